@@ -0,0 +1,88 @@
+// App-shell service worker: the HTML and built assets are cached so the app opens offline.
+// API responses are not handled here; the app keeps its own copy in IndexedDB.
+const SHELL_CACHE = 'tana-shell-v1'
+const SHELL = ['/', '/index.html', '/favicon.svg']
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL)))
+  self.skipWaiting()
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith('tana-shell-') && k !== SHELL_CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim()),
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return
+
+  // Navigations: network first so deploys show up, cached shell when offline (every route is the SPA).
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(res => {
+          const copy = res.clone()
+          caches.open(SHELL_CACHE).then(cache => cache.put('/index.html', copy))
+          return res
+        })
+        .catch(() => caches.match('/index.html')),
+    )
+    return
+  }
+
+  // Hashed build assets never change, so cache first.
+  if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(
+      caches.match(request).then(hit => hit || fetch(request).then(res => {
+        if (res.ok) {
+          const copy = res.clone()
+          caches.open(SHELL_CACHE).then(cache => cache.put(request, copy))
+        }
+        return res
+      })),
+    )
+  }
+})
+
+// Web Push. The backend sends `{ title, body, tag, url }`; the mock in src/lib/push.js posts the same
+// payload as a message so the display path can be tried without a push service.
+function showPush(data) {
+  return self.registration.showNotification(data.title || 'TANA', {
+    body: data.body,
+    tag: data.tag,
+    icon: '/favicon.svg',
+    data: { url: data.url || '/app/sessions' },
+  })
+}
+
+self.addEventListener('push', (event) => {
+  let data = {}
+  try {
+    data = event.data ? event.data.json() : {}
+  } catch {
+    data = { body: event.data.text() }
+  }
+  event.waitUntil(showPush(data))
+})
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'mock-push') event.waitUntil(showPush(event.data.payload))
+})
+
+// Focus an open TANA tab on the target page, or open one. Spatial links open as their own window.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  const url = new URL(event.notification.data?.url || '/app/sessions', self.location.origin)
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      const tab = url.origin === self.location.origin && windows.find(w => new URL(w.url).origin === url.origin)
+      if (!tab) return self.clients.openWindow(url.href)
+      return tab.focus().then(() => tab.navigate(url.href)).catch(() => self.clients.openWindow(url.href))
+    }),
+  )
+})
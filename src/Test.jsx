@@ -1,120 +1,178 @@
-import { useState, useEffect } from 'react'
+import { lazy, Suspense, useState } from 'react'
+import { backendOverride, defaultBackendUrl, mockBackendEnabled, readBackendUrl, setBackendOverride, setMockBackend } from './lib/api'
+import { diagnosticsReport, runContractSuite } from './lib/diagnostics'
+import { downloadFile } from './lib/download'
+
+// Only loaded with the mock on, so the mock backend stays out of the main bundle.
+const MockBackendPanel = lazy(() => import('./components/MockBackendPanel'))
+
+const STATE_STYLES = {
+  pass: 'bg-emerald-100 text-emerald-700',
+  fail: 'bg-rose-100 text-rose-700',
+  warn: 'bg-amber-100 text-amber-700',
+  skip: 'bg-slate-100 text-slate-500',
+}
+
+const ERROR_LABELS = { cors: 'CORS blocked', network: 'Unreachable', timeout: 'Timed out', http: 'HTTP error', schema: 'Schema mismatch' }
+
+function DatabaseInfo({ data }) {
+  if (!data || typeof data !== 'object') return null
+  return (
+    <div className="text-sm bg-gray-100 p-3 rounded space-y-1">
+      <p><span className="font-semibold">Backend:</span> {data.backend}</p>
+      <p><span className="font-semibold">Database:</span> {data.database}</p>
+      <p><span className="font-semibold">DB URL:</span> {data.database_url}</p>
+      <p><span className="font-semibold">DB Name:</span> {data.database_name}</p>
+      <p><span className="font-semibold">Connection:</span> {data.connection_status}</p>
+      {data.collections && data.collections.length > 0 && (
+        <p><span className="font-semibold">Collections:</span> {data.collections.join(', ')}</p>
+      )}
+    </div>
+  )
+}
 
 function Test() {
-  const [backendStatus, setBackendStatus] = useState('checking...')
-  const [backendUrl, setBackendUrl] = useState('')
-  const [databaseStatus, setDatabaseStatus] = useState(null)
-
-  useEffect(() => {
-    checkBackendConnection()
-  }, [])
-
-  const checkBackendConnection = async () => {
-    try {
-      // Get backend URL from environment variable
-      const baseUrl = import.meta.env.VITE_BACKEND_URL || 'http://localhost:8000'
-      setBackendUrl(baseUrl)
-
-      // Test basic backend connectivity
-      const response = await fetch(`${baseUrl}`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      })
-
-      if (response.ok) {
-        const data = await response.json()
-        setBackendStatus(`✅ Connected - ${data.message || 'OK'}`)
-        
-        // Now test database connectivity
-        await checkDatabaseConnection(baseUrl)
-      } else {
-        setBackendStatus(`❌ Failed - ${response.status} ${response.statusText}`)
-        setDatabaseStatus({ error: 'Backend not accessible' })
-      }
-    } catch (error) {
-      setBackendStatus(`❌ Error - ${error.message}`)
-      setDatabaseStatus({ error: 'Backend not accessible' })
-    }
+  const baseUrl = readBackendUrl()
+  const [urlInput, setUrlInput] = useState(baseUrl)
+  const [results, setResults] = useState([])
+  const [running, setRunning] = useState(false)
+  const [times, setTimes] = useState({})
+  const [expanded, setExpanded] = useState(null)
+
+  const runSuite = async () => {
+    setRunning(true)
+    setResults([])
+    setExpanded(null)
+    const startedAt = new Date().toISOString()
+    await runContractSuite(baseUrl, (r) => setResults(list => [...list, r]))
+    setTimes({ startedAt, finishedAt: new Date().toISOString() })
+    setRunning(false)
+  }
+
+  // The API client reads the URL once per page load, so the switch takes effect after a reload.
+  const applyUrl = (url) => {
+    setBackendOverride(url)
+    window.location.reload()
+  }
+
+  const toggleMock = (on) => {
+    setMockBackend(on)
+    window.location.reload()
   }
 
-  const checkDatabaseConnection = async (baseUrl) => {
-    try {
-      const response = await fetch(`${baseUrl}/test`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      })
-
-      if (response.ok) {
-        const dbData = await response.json()
-        setDatabaseStatus(dbData)
-      } else {
-        setDatabaseStatus({ error: `Failed to check database - ${response.status}` })
-      }
-    } catch (error) {
-      setDatabaseStatus({ error: `Database check failed - ${error.message}` })
-    }
+  const exportReport = () => {
+    const report = diagnosticsReport({ baseUrl, results, ...times })
+    downloadFile(`tana-diagnostics-${times.finishedAt?.slice(0, 19).replace(/[:T]/g, '-')}.json`, JSON.stringify(report, null, 2), 'application/json')
   }
 
+  const timed = results.filter(r => r.ms !== undefined && r.state !== 'skip')
+  const average = timed.length ? Math.round(timed.reduce((s, r) => s + r.ms, 0) / timed.length) : null
+  const failed = results.filter(r => r.state === 'fail').length
+  const database = results.find(r => r.path === '/test' && r.state === 'pass')?.response
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 flex items-center justify-center p-8">
-      <div className="bg-white p-8 rounded-lg shadow-lg max-w-md w-full">
-        <h1 className="text-3xl font-bold text-gray-800 mb-6 text-center">
-          Backend & Database Test
+      <div className="bg-white p-8 rounded-lg shadow-lg max-w-4xl w-full space-y-6">
+        <h1 className="text-3xl font-bold text-gray-800 text-center">
+          Backend Diagnostics
         </h1>
 
-        <div className="space-y-4">
-          <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Backend URL:</h3>
-            <p className="text-sm text-gray-600 break-all bg-gray-100 p-2 rounded">
-              {backendUrl || 'Detecting...'}
-            </p>
+        <div>
+          <h3 className="text-lg font-semibold text-gray-700 mb-2">Backend URL:</h3>
+          <form onSubmit={(e) => { e.preventDefault(); applyUrl(urlInput) }} className="flex flex-wrap gap-2">
+            <input type="url" className="flex-1 min-w-[16rem] rounded border p-2 text-sm font-mono" value={urlInput} onChange={e=>setUrlInput(e.target.value)} required />
+            <button disabled={urlInput.trim().replace(/\/+$/, '') === baseUrl} className="rounded bg-slate-700 px-3 py-2 text-sm text-white disabled:opacity-40">Use this URL</button>
+            {backendOverride() && <button type="button" onClick={()=>applyUrl('')} className="rounded bg-slate-200 px-3 py-2 text-sm">Reset to default</button>}
+          </form>
+          <p className="mt-1 text-xs text-gray-500">
+            {backendOverride() ? `Overriding the build default (${defaultBackendUrl()}) in this browser.` : 'Build default from VITE_BACKEND_URL.'} Switching signs this browser out of the app.
+          </p>
+        </div>
+
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-lg font-semibold text-gray-700">Mock Backend:</h3>
+            {import.meta.env.VITE_MOCK_BACKEND === 'true'
+              ? <span className="text-xs text-gray-500">On (VITE_MOCK_BACKEND)</span>
+              : <button onClick={()=>toggleMock(!mockBackendEnabled())} className="rounded bg-slate-200 px-3 py-1 text-sm">{mockBackendEnabled() ? 'Turn off' : 'Turn on'}</button>}
           </div>
+          {mockBackendEnabled()
+            ? <Suspense fallback={<p className="text-sm text-gray-500">Loading…</p>}><MockBackendPanel /></Suspense>
+            : <p className="text-sm text-gray-500">Serve the API from an in-browser fake with seed data, for working on the UI without a server. Switching signs this browser out of the app.</p>}
+        </div>
 
-          <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Backend Status:</h3>
-            <p className="text-sm font-mono bg-gray-100 p-2 rounded">
-              {backendStatus}
-            </p>
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-lg font-semibold text-gray-700">API Contract:</h3>
+            <span className="text-sm text-gray-600">
+              {running ? 'Running…' : results.length > 0 && `${failed ? `❌ ${failed} failing` : '✅ All required checks pass'}${average !== null ? ` • avg ${average} ms` : ''}`}
+            </span>
           </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-left text-gray-500">
+                  <th className="py-1 pr-2">Step</th>
+                  <th className="py-1 pr-2">Endpoint</th>
+                  <th className="py-1 pr-2">HTTP</th>
+                  <th className="py-1 pr-2 text-right">Latency</th>
+                  <th className="py-1">Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map((r, i) => (
+                  <tr key={i} className="border-b align-top">
+                    <td className="py-1 pr-2">{r.name}</td>
+                    <td className="py-1 pr-2 font-mono text-xs">{r.method} {r.path}</td>
+                    <td className="py-1 pr-2 font-mono">{r.status || '—'}</td>
+                    <td className="py-1 pr-2 text-right font-mono">{r.ms !== undefined ? `${r.ms} ms` : '—'}</td>
+                    <td className="py-1">
+                      <span className={`rounded-full px-2 py-0.5 text-xs font-semibold ${STATE_STYLES[r.state]}`}>{r.state}</span>
+                      {r.error && <span className="ml-2 text-xs text-gray-600">{ERROR_LABELS[r.error]}</span>}
+                      {r.detail && <p className="mt-1 text-xs text-gray-500 break-words">{r.detail}</p>}
+                      {r.mismatches?.length > 0 && (
+                        <>
+                          <button onClick={()=>setExpanded(expanded === i ? null : i)} className="text-xs text-indigo-600 hover:underline">{expanded === i ? 'Hide fields' : 'Show fields'}</button>
+                          {expanded === i && <ul className="mt-1 list-disc pl-4 font-mono text-xs text-rose-700">{r.mismatches.map(m => <li key={m}>{m}</li>)}</ul>}
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+                {results.length === 0 && !running && (
+                  <tr><td colSpan={5} className="py-3 text-center text-gray-500">Run the checks to test {baseUrl}.</td></tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+          <p className="mt-2 text-xs text-gray-500">Each run signs up a throwaway diagnostics+…@example.com user and deletes it at the end when the backend supports account deletion.</p>
+        </div>
 
+        {database && (
           <div>
             <h3 className="text-lg font-semibold text-gray-700 mb-2">Database Status:</h3>
-            <div className="text-sm bg-gray-100 p-3 rounded">
-              {databaseStatus ? (
-                databaseStatus.error ? (
-                  <p className="text-red-600 font-mono">{databaseStatus.error}</p>
-                ) : (
-                  <div className="space-y-2">
-                    <p><span className="font-semibold">Backend:</span> {databaseStatus.backend}</p>
-                    <p><span className="font-semibold">Database:</span> {databaseStatus.database}</p>
-                    <p><span className="font-semibold">DB URL:</span> {databaseStatus.database_url}</p>
-                    <p><span className="font-semibold">DB Name:</span> {databaseStatus.database_name}</p>
-                    <p><span className="font-semibold">Connection:</span> {databaseStatus.connection_status}</p>
-                    {databaseStatus.collections && databaseStatus.collections.length > 0 && (
-                      <p><span className="font-semibold">Collections:</span> {databaseStatus.collections.join(', ')}</p>
-                    )}
-                  </div>
-                )
-              ) : (
-                <p className="text-gray-500 font-mono">Checking database...</p>
-              )}
-            </div>
+            <DatabaseInfo data={database} />
           </div>
+        )}
 
+        <div className="grid sm:grid-cols-3 gap-2">
           <button
-            onClick={checkBackendConnection}
-            className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded transition-colors"
+            onClick={runSuite}
+            disabled={running}
+            className="bg-blue-500 hover:bg-blue-600 disabled:opacity-50 text-white font-semibold py-2 px-4 rounded transition-colors"
           >
-            Test Again
+            {running ? 'Running…' : results.length ? 'Run Again' : 'Run Checks'}
+          </button>
+          <button
+            onClick={exportReport}
+            disabled={running || results.length === 0}
+            className="bg-slate-700 hover:bg-slate-800 disabled:opacity-50 text-white font-semibold py-2 px-4 rounded transition-colors"
+          >
+            Export JSON
           </button>
-
           <a
             href="/"
-            className="block w-full bg-gray-500 hover:bg-gray-600 text-white font-semibold py-2 px-4 rounded text-center transition-colors"
+            className="block bg-gray-500 hover:bg-gray-600 text-white font-semibold py-2 px-4 rounded text-center transition-colors"
           >
             Back to Home
           </a>
@@ -124,4 +182,4 @@ function Test() {
   )
 }
 
-export default Test
\ No newline at end of file
+export default Test
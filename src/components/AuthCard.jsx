@@ -0,0 +1,21 @@
+import { Link } from 'react-router-dom'
+import { useI18n } from '../lib/i18n'
+
+// Single-card layout shared by the password and verification screens.
+export default function AuthCard({ title, subtitle, children }) {
+  const { t } = useI18n()
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 py-12 px-6">
+      <div className="mx-auto max-w-md">
+        <div className="mb-8 text-center">
+          <h2 className="text-3xl font-bold text-slate-800">{title}</h2>
+          {subtitle && <p className="text-slate-600">{subtitle}</p>}
+        </div>
+        <div className="bg-white rounded-xl shadow p-6">
+          {children}
+          <Link to="/login" className="mt-4 inline-block text-slate-600 hover:underline">{t('account.backToLogin')}</Link>
+        </div>
+      </div>
+    </div>
+  )
+}
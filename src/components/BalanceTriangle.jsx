@@ -0,0 +1,34 @@
+import { useI18n } from '../lib/i18n'
+import { PILLARS, PILLAR_COLORS } from '../lib/reflections'
+
+const SIZE = 220, C = SIZE / 2, R = 80
+// Axis i points up for Mind, then clockwise for Money and Meaning.
+const point = (i, r) => {
+  const a = -Math.PI / 2 + (i * 2 * Math.PI) / 3
+  return [C + r * Math.cos(a), C + r * Math.sin(a)]
+}
+
+// Radar chart over the three pillars; a perfectly balanced life is an equilateral triangle.
+export default function BalanceTriangle({ percentages }) {
+  const { t } = useI18n()
+  const values = PILLARS.map(p => Math.max(0, Math.min(100, percentages?.[p.toLowerCase()] ?? 0)))
+  const shape = values.map((v, i) => point(i, (v / 100) * R).join(',')).join(' ')
+  return (
+    <svg viewBox={`0 0 ${SIZE} ${SIZE}`} className="mx-auto w-full max-w-xs" role="img" aria-label={t('analytics.triangle')}>
+      {[0.25, 0.5, 0.75, 1].map(f => (
+        <polygon key={f} points={PILLARS.map((_, i) => point(i, f * R).join(',')).join(' ')} fill="none" stroke="#e2e8f0" />
+      ))}
+      {PILLARS.map((p, i) => {
+        const [x, y] = point(i, R)
+        const [lx, ly] = point(i, R + 18)
+        return (
+          <g key={p}>
+            <line x1={C} y1={C} x2={x} y2={y} stroke="#e2e8f0" />
+            <text x={lx} y={ly + 4} fontSize="11" textAnchor="middle" fill={PILLAR_COLORS[p]} fontWeight="600">{t(`pillar.${p}`)} {values[i]}%</text>
+          </g>
+        )
+      })}
+      <polygon points={shape} fill="rgba(99,102,241,0.2)" stroke="#6366f1" strokeWidth="2" />
+    </svg>
+  )
+}
@@ -0,0 +1,80 @@
+import { useRef, useState } from 'react'
+import { errorMessage } from '../lib/api'
+import { ArchiveError, buildArchive, importReflections, parseArchive, reflectionsMarkdown, sessionsCsv } from '../lib/archive'
+import { downloadFile } from '../lib/download'
+import { useI18n } from '../lib/i18n'
+import { fetchAllReflections } from '../lib/reflections'
+import { ymd } from '../lib/time'
+
+const FORMATS = ['json', 'csv', 'md']
+
+// Export always reads fresh from the API rather than the shell's state, so reflections beyond
+// the first journal page are included.
+export default function DataPortability({ api, me, refreshAll }) {
+  const { t } = useI18n()
+  const fileRef = useRef(null)
+  const [busy, setBusy] = useState('')
+  const [message, setMessage] = useState('')
+
+  const exportAs = async (format) => {
+    setBusy(format)
+    setMessage('')
+    try {
+      const [me, sessionData, reflections] = await Promise.all([api.me(), api.listSessions(), fetchAllReflections(api)])
+      const sessions = sessionData.items || []
+      const stamp = ymd(new Date())
+      if (format === 'json') downloadFile(`tana-export-${stamp}.json`, JSON.stringify(buildArchive({ me, sessions, reflections }), null, 2), 'application/json')
+      if (format === 'csv') downloadFile(`tana-sessions-${stamp}.csv`, sessionsCsv(sessions), 'text/csv;charset=utf-8')
+      if (format === 'md') downloadFile(`tana-reflections-${stamp}.md`, reflectionsMarkdown(reflections, me), 'text/markdown;charset=utf-8')
+    } catch (e) {
+      setMessage(t('data.exportFailed', { reason: errorMessage(e, t('common.tryAgain')) }))
+    } finally {
+      setBusy('')
+    }
+  }
+
+  const importFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    setBusy('import')
+    setMessage(t('data.checking'))
+    try {
+      const archive = parseArchive(await file.text())
+      const existing = await fetchAllReflections(api)
+      const total = archive.reflections.length
+      const result = await importReflections(api, me?.id, archive, existing, (r) => setMessage(t('data.progress', { done: r.created + r.skipped + r.failed, total })))
+      setMessage([
+        t('data.imported', { count: result.created }),
+        t('data.skipped', { count: result.skipped }),
+        result.failed ? t('data.failed', { count: result.failed }) : '',
+      ].filter(Boolean).join(' '))
+      if (result.created) refreshAll()
+    } catch (err) {
+      const reason = err instanceof ArchiveError ? t(`data.archive.${err.code}`, { count: err.count }) : errorMessage(err, t('common.tryAgain'))
+      setMessage(t('data.importFailed', { reason }))
+    } finally {
+      setBusy('')
+    }
+  }
+
+  return (
+    <div className="rounded-xl border bg-white p-6 shadow">
+      <h3 className="text-lg font-semibold text-slate-800 mb-1">{t('data.title')}</h3>
+      <p className="text-sm text-slate-600 mb-4">{t('data.intro')}</p>
+      <div className="flex flex-wrap gap-2">
+        {FORMATS.map(f => (
+          <button key={f} onClick={() => exportAs(f)} disabled={!!busy} className="rounded border px-3 py-1.5 text-sm text-slate-700 hover:bg-slate-50 disabled:opacity-50">
+            {busy === f ? t('data.preparing') : `⬇ ${t(`data.format.${f}`)}`}
+          </button>
+        ))}
+        <button onClick={() => fileRef.current?.click()} disabled={!!busy} className="rounded bg-indigo-600 px-3 py-1.5 text-sm text-white disabled:opacity-50">
+          {busy === 'import' ? t('data.importing') : `⬆ ${t('data.import')}`}
+        </button>
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={importFile} className="hidden" />
+      </div>
+      <p className="mt-2 text-xs text-slate-500">{t('data.importNote')}</p>
+      {message && <p className="mt-3 text-sm text-slate-700">{message}</p>}
+    </div>
+  )
+}
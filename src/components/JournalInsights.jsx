@@ -0,0 +1,83 @@
+import { Link } from 'react-router-dom'
+import { useI18n } from '../lib/i18n'
+import { pillarThemes, sentimentShifts, suggestPillar, weeklyDigest } from '../lib/insights'
+import { PILLARS, PILLAR_COLORS } from '../lib/reflections'
+
+const TREND_ARROWS = { lighter: '→ 🙂', heavier: '→ 😕', steady: '→ 😐' }
+
+// Everything here is computed from the reflections already on screen; no entry leaves the device.
+export default function JournalInsights({ reflections, sessions, percentages }) {
+  const { t, formatDate } = useI18n()
+  const digest = weeklyDigest(reflections)
+  const themes = pillarThemes(reflections)
+  const shifts = sentimentShifts(reflections).slice(0, 3)
+  const next = suggestPillar({ reflections, sessions, percentages })
+
+  return (
+    <div className="grid md:grid-cols-2 gap-6">
+      <div className="space-y-4">
+        <div>
+          <h4 className="font-medium text-slate-800">{t('insights.digestTitle', { date: formatDate(`${digest.weekStart}T00:00`, { day: 'numeric', month: 'short' }) })}</h4>
+          {digest.pillars.length === 0
+            ? <p className="text-sm text-slate-600">{t('insights.digestEmpty')}</p>
+            : (
+              <ul className="mt-1 space-y-1 text-sm text-slate-700">
+                {digest.pillars.map(p => (
+                  <li key={p.pillar} className="flex items-center gap-2">
+                    <span className="h-2 w-2 rounded-full" style={{ background: PILLAR_COLORS[p.pillar] }} />
+                    <span>
+                      {t('insights.digestLine', { count: p.count, pillar: t(`pillar.${p.pillar}`) })}
+                      {p.mood && `, ${t('insights.mostly', { mood: t(`mood.tag.${p.mood}`) })}`}
+                      {p.trend && ` ${TREND_ARROWS[p.trend]} ${t(`insights.trend.${p.trend}`)}`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          {digest.sealed > 0 && <p className="mt-1 text-xs text-slate-500">{t('insights.sealed', { count: digest.sealed })}</p>}
+        </div>
+
+        <div className="rounded-lg bg-indigo-50 p-4">
+          <p className="text-sm text-slate-600">{t('insights.nextTitle')}</p>
+          <p className="text-xl font-bold" style={{ color: PILLAR_COLORS[next.pillar] }}>{t(`pillar.${next.pillar}`)}</p>
+          <ul className="mt-1 list-disc pl-4 text-xs text-slate-600">
+            {next.reasons.map(r => <li key={r}>{t(`insights.reason.${r}`)}</li>)}
+          </ul>
+          <Link to="/app/sessions" className="mt-2 inline-block text-sm text-indigo-600 hover:underline">{t('insights.book')}</Link>
+        </div>
+      </div>
+
+      <div className="space-y-4">
+        <div>
+          <h4 className="font-medium text-slate-800">{t('insights.themesTitle')}</h4>
+          <div className="mt-1 space-y-2">
+            {PILLARS.map(p => (
+              <div key={p} className="flex flex-wrap items-center gap-1 text-xs">
+                <span className="w-16 font-medium" style={{ color: PILLAR_COLORS[p] }}>{t(`pillar.${p}`)}</span>
+                {themes[p].length
+                  ? themes[p].map(k => <span key={k.word} className="rounded-full bg-slate-100 px-2 py-0.5 text-slate-700">{k.word} ×{k.count}</span>)
+                  : <span className="text-slate-400">{t('insights.noThemes')}</span>}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <h4 className="font-medium text-slate-800">{t('insights.shiftsTitle')}</h4>
+          {shifts.length === 0
+            ? <p className="text-sm text-slate-600">{t('insights.noShifts')}</p>
+            : (
+              <ul className="mt-1 space-y-1 text-sm text-slate-700">
+                {shifts.map(s => (
+                  <li key={`${s.pillar}-${s.to}`}>
+                    {s.direction === 'up' ? '↗' : '↘'} {t(`insights.shift.${s.direction}`, { pillar: t(`pillar.${s.pillar}`), date: formatDate(`${s.to}T00:00`, { day: 'numeric', month: 'short' }) })}
+                  </li>
+                ))}
+              </ul>
+            )}
+        </div>
+        <p className="text-xs text-slate-500">{t('insights.privacy')}</p>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,15 @@
+import { LOCALES, useI18n } from '../lib/i18n'
+
+// Switches immediately; `onChange` lets signed-in screens also save the choice to the profile.
+export default function LanguageSwitcher({ onChange, className = '' }) {
+  const { t, locale, setLocale } = useI18n()
+  const change = (e) => {
+    setLocale(e.target.value)
+    onChange?.(e.target.value)
+  }
+  return (
+    <select aria-label={t('language.label')} value={locale} onChange={change} className={`rounded border bg-white px-2 py-1 text-sm text-slate-700 ${className}`}>
+      {Object.entries(LOCALES).map(([code, l]) => <option key={code} value={code}>{l.name}</option>)}
+    </select>
+  )
+}
@@ -0,0 +1,32 @@
+const W = 560, H = 180, PAD = 28
+
+// Minimal SVG line chart. series: [{ key, color, values: (number|null)[], titles?: string[] }]
+export default function LineChart({ labels, series, min, max, ticks, label }) {
+  const x = (i) => labels.length === 1 ? W / 2 : PAD + (i * (W - 2 * PAD)) / (labels.length - 1)
+  const y = (v) => H - PAD - ((v - min) * (H - 2 * PAD)) / (max - min)
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full" role="img" aria-label={label}>
+      {ticks.map(t => (
+        <g key={t.value}>
+          <line x1={PAD} x2={W - PAD} y1={y(t.value)} y2={y(t.value)} stroke="#e2e8f0" />
+          <text x={4} y={y(t.value) + 4} fontSize="10" fill="#64748b">{t.label}</text>
+        </g>
+      ))}
+      {labels.map((l, i) => (i === 0 || i === labels.length - 1 || labels.length <= 8) && (
+        <text key={l} x={x(i)} y={H - 8} fontSize="9" textAnchor="middle" fill="#64748b">{l}</text>
+      ))}
+      {series.map(s => {
+        const pts = s.values.map((v, i) => v !== null && v !== undefined && { px: x(i), py: y(v), title: s.titles?.[i] }).filter(Boolean)
+        return (
+          <g key={s.key}>
+            <polyline fill="none" stroke={s.color} strokeWidth="2" points={pts.map(p => `${p.px},${p.py}`).join(' ')} />
+            {pts.map((p, i) => (
+              <circle key={i} cx={p.px} cy={p.py} r="3" fill={s.color}>{p.title && <title>{p.title}</title>}</circle>
+            ))}
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
@@ -0,0 +1,35 @@
+import { Fragment } from 'react'
+import { parseBlocks } from '../lib/markdown'
+
+function Inline({ nodes }) {
+  return nodes.map((n, i) => {
+    if (n.type === 'strong') return <strong key={i}><Inline nodes={n.children} /></strong>
+    if (n.type === 'em') return <em key={i}><Inline nodes={n.children} /></em>
+    return <Fragment key={i}>{n.text}</Fragment>
+  })
+}
+
+const HEADINGS = { 1: 'text-base font-semibold', 2: 'text-sm font-semibold', 3: 'text-sm font-medium' }
+
+function Blocks({ blocks }) {
+  return blocks.map((b, i) => {
+    switch (b.type) {
+      case 'heading': {
+        const Tag = `h${b.level + 2}`
+        return <Tag key={i} className={HEADINGS[b.level]}><Inline nodes={b.children} /></Tag>
+      }
+      case 'quote':
+        return <blockquote key={i} className="border-l-2 border-indigo-200 pl-3 italic text-slate-600"><Blocks blocks={b.children} /></blockquote>
+      case 'list': {
+        const Tag = b.ordered ? 'ol' : 'ul'
+        return <Tag key={i} className={`pl-5 ${b.ordered ? 'list-decimal' : 'list-disc'}`}>{b.items.map((item, j) => <li key={j}><Inline nodes={item} /></li>)}</Tag>
+      }
+      default:
+        return <p key={i}>{b.lines.map((l, j) => <Fragment key={j}>{j > 0 && <br />}<Inline nodes={l} /></Fragment>)}</p>
+    }
+  })
+}
+
+export default function Markdown({ text, className = '' }) {
+  return <div className={`space-y-2 ${className}`}><Blocks blocks={parseBlocks(text)} /></div>
+}
@@ -0,0 +1,58 @@
+import { useRef, useState } from 'react'
+import Markdown from './Markdown'
+import { useI18n } from '../lib/i18n'
+
+// [id, prefix, suffix, block] — block tools prefix each selected line instead of wrapping. Labels are editor.tool.<id>.
+const TOOLS = [
+  ['bold', '**', '**'],
+  ['italic', '_', '_'],
+  ['heading', '## ', '', true],
+  ['bullets', '- ', '', true],
+  ['numbered', '1. ', '', true],
+  ['quote', '> ', '', true],
+]
+
+export default function MarkdownEditor({ value, onChange, rows = 4, required }) {
+  const { t } = useI18n()
+  const [tab, setTab] = useState('write') // write | preview
+  const ref = useRef(null)
+
+  const apply = ([, prefix, suffix, block]) => {
+    const el = ref.current
+    const { selectionStart: start, selectionEnd: end } = el
+    let next, cursor
+    if (block) {
+      const lineStart = value.lastIndexOf('\n', start - 1) + 1
+      const chunk = value.slice(lineStart, end).split('\n').map(l => prefix + l).join('\n')
+      next = value.slice(0, lineStart) + chunk + value.slice(end)
+      cursor = lineStart + chunk.length
+    } else {
+      next = value.slice(0, start) + prefix + value.slice(start, end) + suffix + value.slice(end)
+      cursor = end + prefix.length
+    }
+    onChange(next)
+    requestAnimationFrame(() => { el.focus(); el.setSelectionRange(cursor, cursor) })
+  }
+
+  return (
+    <div className="rounded border">
+      <div className="flex flex-wrap items-center gap-1 border-b bg-slate-50 px-2 py-1 text-xs">
+        {TOOLS.map(tool => (
+          <button type="button" key={tool[0]} disabled={tab !== 'write'} onClick={()=>apply(tool)} className="rounded px-2 py-0.5 text-slate-700 hover:bg-slate-200 disabled:opacity-40">{t(`editor.tool.${tool[0]}`)}</button>
+        ))}
+        <div className="ml-auto flex gap-1">
+          {['write', 'preview'].map(id => (
+            <button type="button" key={id} onClick={()=>setTab(id)} className={`rounded px-2 py-0.5 ${tab===id?'bg-indigo-600 text-white':'text-slate-700'}`}>{t(`editor.${id}`)}</button>
+          ))}
+        </div>
+      </div>
+      {tab === 'write' ? (
+        <textarea ref={ref} required={required} className="w-full rounded-b p-2 outline-none" rows={rows} value={value} onChange={e=>onChange(e.target.value)} />
+      ) : (
+        <div className="min-h-[6rem] p-2 text-sm text-slate-700">
+          {value.trim() ? <Markdown text={value} /> : <p className="text-slate-400">{t('editor.empty')}</p>}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,73 @@
+import { useState } from 'react'
+import { setMockBackend } from '../lib/api'
+import { resetMockPayments } from '../lib/payments'
+import { DEMO_ACCOUNT, FREE_SESSIONS, localStore, readMockConfig, SCENARIOS, seedScenario, writeMockConfig } from '../lib/mockBackend'
+
+const SCENARIO_LABELS = { newUser: 'New user', atLimit: 'At session limit', heavyJournaler: 'Heavy journaler' }
+
+// Failures as one "[METHOD] /path status|network|timeout" per line, the form the textarea edits.
+const failuresText = (failures) => Object.entries(failures).map(([k, v]) => `${k} ${v}`).join('\n')
+
+function parseFailures(text) {
+  const failures = {}
+  for (const line of text.split('\n').map(l => l.trim()).filter(Boolean)) {
+    const parts = line.split(/\s+/)
+    const value = parts.pop()
+    failures[parts.join(' ')] = /^\d+$/.test(value) ? Number(value) : value
+  }
+  return failures
+}
+
+// Scenario seeding and latency / error injection for the in-browser mock backend (lib/mockBackend).
+export default function MockBackendPanel() {
+  const [scenario, setScenario] = useState('newUser')
+  const [config, setConfig] = useState(() => ({ ...readMockConfig(), failures: failuresText(readMockConfig().failures) }))
+  const [saved, setSaved] = useState(false)
+
+  // Every scenario replaces the whole mock database, so the old token is signed out with it.
+  const loadScenario = () => {
+    localStore().save(seedScenario(scenario))
+    resetMockPayments()
+    setMockBackend(true)
+    window.location.assign('/login')
+  }
+
+  const saveConfig = (e) => {
+    e.preventDefault()
+    writeMockConfig({
+      latency: Math.max(0, Number(config.latency) || 0),
+      jitter: Math.max(0, Number(config.jitter) || 0),
+      errorRate: Math.min(1, Math.max(0, Number(config.errorRate) || 0)),
+      failures: parseFailures(config.failures),
+    })
+    setSaved(true)
+  }
+
+  const field = (key) => ({ value: config[key], onChange: (e) => { setConfig({ ...config, [key]: e.target.value }); setSaved(false) } })
+
+  return (
+    <div className="space-y-3 text-sm">
+      <p className="text-gray-600">
+        Requests to this backend URL are answered in the browser from localStorage. Sign in as <span className="font-mono">{DEMO_ACCOUNT.email}</span> / <span className="font-mono">{DEMO_ACCOUNT.password}</span>. Accounts get {FREE_SESSIONS} free sessions; mock payments add more.
+      </p>
+      <div className="flex flex-wrap gap-2">
+        <select className="rounded border p-2" value={scenario} onChange={e=>setScenario(e.target.value)}>
+          {Object.keys(SCENARIOS).map(s => <option key={s} value={s}>{SCENARIO_LABELS[s] || s}</option>)}
+        </select>
+        <button onClick={loadScenario} className="rounded bg-slate-700 px-3 py-2 text-white">Load scenario</button>
+      </div>
+      <form onSubmit={saveConfig} className="grid sm:grid-cols-3 gap-2">
+        <label className="block">Latency (ms)<input type="number" min="0" className="mt-1 w-full rounded border p-2" {...field('latency')} /></label>
+        <label className="block">Jitter (ms)<input type="number" min="0" className="mt-1 w-full rounded border p-2" {...field('jitter')} /></label>
+        <label className="block">Random 503 rate (0–1)<input type="number" min="0" max="1" step="0.05" className="mt-1 w-full rounded border p-2" {...field('errorRate')} /></label>
+        <label className="block sm:col-span-3">Failing endpoints
+          <textarea rows={3} className="mt-1 w-full rounded border p-2 font-mono text-xs" placeholder={'GET /dashboard 500\n/sessions* network\nPOST /reflections timeout'} {...field('failures')} />
+        </label>
+        <div className="sm:col-span-3 flex items-center gap-2">
+          <button className="rounded bg-slate-700 px-3 py-2 text-white">Save</button>
+          {saved && <span className="text-xs text-emerald-700">Saved. Applies to the next request.</span>}
+        </div>
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,56 @@
+import { useState } from 'react'
+import * as Dialog from '@radix-ui/react-dialog'
+import { useI18n } from '../lib/i18n'
+
+export function Modal({ open, onOpenChange, title, description, wide, children }) {
+  return (
+    <Dialog.Root open={open} onOpenChange={onOpenChange}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-40 bg-slate-900/40" />
+        <Dialog.Content className={`fixed left-1/2 top-1/2 z-50 w-[92vw] ${wide ? 'max-w-2xl' : 'max-w-md'} -translate-x-1/2 -translate-y-1/2 rounded-xl bg-white p-6 shadow-lg`}>
+          <Dialog.Title className="text-lg font-semibold text-slate-800">{title}</Dialog.Title>
+          {description && <Dialog.Description className="mt-1 text-sm text-slate-600">{description}</Dialog.Description>}
+          <div className="mt-4">{children}</div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
+
+export function ConfirmDialog({ open, onOpenChange, title, description, confirmLabel, danger, onConfirm }) {
+  const { t } = useI18n()
+  return (
+    <Modal open={open} onOpenChange={onOpenChange} title={title} description={description}>
+      <div className="flex justify-end gap-2">
+        <Dialog.Close className="rounded bg-slate-200 px-4 py-2 text-sm">{t('common.keepIt')}</Dialog.Close>
+        <button onClick={() => { onOpenChange(false); onConfirm() }} className={`rounded px-4 py-2 text-sm text-white ${danger ? 'bg-rose-600' : 'bg-indigo-600'}`}>{confirmLabel || t('common.confirm')}</button>
+      </div>
+    </Modal>
+  )
+}
+
+// Asks for a short free-text reason (declines, rejections) before running `onConfirm(reason)`.
+export function ReasonDialog({ open, onOpenChange, title, description, label, confirmLabel, cancelLabel, required, onConfirm }) {
+  const { t } = useI18n()
+  const [reason, setReason] = useState('')
+  const submit = (e) => {
+    e.preventDefault()
+    onOpenChange(false)
+    onConfirm(reason.trim())
+    setReason('')
+  }
+  return (
+    <Modal open={open} onOpenChange={onOpenChange} title={title} description={description}>
+      <form onSubmit={submit} className="space-y-3">
+        <label className="block space-y-1">
+          <span className="text-sm font-medium text-slate-700">{label}</span>
+          <textarea className="w-full rounded border p-2 text-sm" rows={3} value={reason} onChange={e=>setReason(e.target.value)} required={required} />
+        </label>
+        <div className="flex justify-end gap-2">
+          <Dialog.Close type="button" className="rounded bg-slate-200 px-4 py-2 text-sm">{cancelLabel || t('common.keepIt')}</Dialog.Close>
+          <button className="rounded bg-rose-600 px-4 py-2 text-sm text-white">{confirmLabel}</button>
+        </div>
+      </form>
+    </Modal>
+  )
+}
@@ -0,0 +1,30 @@
+import { useI18n } from '../lib/i18n'
+import { EMOTION_TAGS, MOOD_SCALE } from '../lib/mood'
+
+// value: { mood_score, mood_tags, mood } where `mood` is the free-text note.
+export default function MoodPicker({ value, onChange }) {
+  const { t } = useI18n()
+  const toggleTag = (tag) => {
+    const tags = value.mood_tags.includes(tag) ? value.mood_tags.filter(x => x !== tag) : [...value.mood_tags, tag]
+    onChange({ ...value, mood_tags: tags })
+  }
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-1">
+        {MOOD_SCALE.map(m => (
+          <button type="button" key={m.score} title={t(`mood.level.${m.score}`)} onClick={()=>onChange({ ...value, mood_score: value.mood_score === m.score ? null : m.score })}
+            className={`flex-1 rounded border py-1 text-lg ${value.mood_score === m.score ? 'border-indigo-600 bg-indigo-50' : 'border-slate-200 opacity-70 hover:opacity-100'}`}>
+            {m.emoji}<span className="block text-[10px] text-slate-600">{m.score}</span>
+          </button>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-1">
+        {Object.keys(EMOTION_TAGS).map(tag => (
+          <button type="button" key={tag} onClick={()=>toggleTag(tag)}
+            className={`rounded-full px-2 py-0.5 text-xs ${value.mood_tags.includes(tag) ? 'bg-indigo-600 text-white' : 'bg-slate-100 text-slate-700'}`}>{t(`mood.tag.${tag}`)}</button>
+        ))}
+      </div>
+      <input className="w-full rounded border p-2 text-sm" value={value.mood} onChange={e=>onChange({ ...value, mood: e.target.value })} placeholder={t('mood.notePlaceholder')} />
+    </div>
+  )
+}
@@ -0,0 +1,45 @@
+import { useEffect, useState } from 'react'
+import LineChart from './LineChart'
+import { PillarLegend } from './ui'
+import { errorMessage } from '../lib/api'
+import { useI18n } from '../lib/i18n'
+import { MOOD_SCALE, moodTrends } from '../lib/mood'
+import { PILLAR_COLORS, fetchAllReflections } from '../lib/reflections'
+
+export default function MoodTrends({ api }) {
+  const { t } = useI18n()
+  const [period, setPeriod] = useState('week') // week | month
+  const [reflections, setReflections] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    fetchAllReflections(api).then(setReflections).catch(setError)
+  }, [api])
+
+  if (error) return <p className="text-sm text-rose-600">{errorMessage(error, t('journal.loadFailed'))}</p>
+  if (!reflections) return <p className="text-sm text-slate-500">{t('moodTrends.loading')}</p>
+
+  const { buckets, series } = moodTrends(reflections, period)
+  if (buckets.length === 0) return <p className="text-sm text-slate-600">{t('moodTrends.empty')}</p>
+
+  const lines = Object.entries(series).map(([pillar, points]) => ({
+    key: pillar,
+    color: PILLAR_COLORS[pillar] || '#94a3b8',
+    values: points.map(p => p && p.average),
+    titles: points.map(p => p && t('moodTrends.point', { pillar: t(`pillar.${pillar}`), bucket: p.bucket, average: p.average, count: p.count })),
+  }))
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between text-sm">
+        <PillarLegend />
+        <div className="flex gap-1">
+          {['week', 'month'].map(p => (
+            <button key={p} onClick={()=>setPeriod(p)} className={`rounded px-2 py-0.5 text-xs ${period===p?'bg-indigo-600 text-white':'bg-slate-100 text-slate-700'}`}>{t(`moodTrends.${p}`)}</button>
+          ))}
+        </div>
+      </div>
+      <LineChart labels={buckets} series={lines} min={1} max={5} ticks={MOOD_SCALE.map(m => ({ value: m.score, label: m.emoji }))} label={t('moodTrends.chart')} />
+    </div>
+  )
+}
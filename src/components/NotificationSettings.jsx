@@ -0,0 +1,88 @@
+import { useState } from 'react'
+import { errorMessage } from '../lib/api'
+import { useI18n } from '../lib/i18n'
+import { PushError, pushSupported, sendTestPush, subscribePush, unsubscribePush } from '../lib/push'
+import { notificationPermission, saveNotificationPrefs, useNotificationPrefs } from '../lib/reminders'
+
+const TOGGLES = ['day_before', 'fifteen_min', 'link_ready']
+
+export default function NotificationSettings({ api, me }) {
+  const { t } = useI18n()
+  const prefs = useNotificationPrefs()
+  const [permission, setPermission] = useState(notificationPermission)
+  const [message, setMessage] = useState('')
+  const [busy, setBusy] = useState(false)
+  const active = prefs.enabled && permission === 'granted'
+
+  const save = async (changes) => {
+    setMessage('')
+    try {
+      await saveNotificationPrefs(api, me.id, changes)
+    } catch (e) {
+      setMessage(errorMessage(e, t('notify.saveFailed')))
+    }
+  }
+
+  const enable = async () => {
+    const result = permission === 'granted' ? permission : await Notification.requestPermission()
+    setPermission(result)
+    if (result === 'granted') await save({ enabled: true })
+  }
+
+  const togglePush = async (on) => {
+    setBusy(true)
+    setMessage('')
+    try {
+      if (on) await subscribePush(api)
+      else await unsubscribePush(api)
+      await save({ push: on })
+    } catch (e) {
+      setMessage(e instanceof PushError ? t(`notify.pushError.${e.code}`) : errorMessage(e, t('notify.pushFailed')))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const test = async () => {
+    try {
+      await sendTestPush(api, { title: t('notify.testTitle'), body: t('notify.testBody'), tag: 'tana-test', url: '/app/profile' })
+      setMessage(t('notify.testSent'))
+    } catch (e) {
+      setMessage(errorMessage(e, t('notify.testFailed')))
+    }
+  }
+
+  return (
+    <div className="rounded-xl border bg-white p-6 shadow">
+      <h3 className="text-lg font-semibold text-slate-800 mb-1">{t('notify.title')}</h3>
+      <p className="text-sm text-slate-600 mb-4">{t('notify.intro')}</p>
+      {permission === 'unsupported' ? (
+        <p className="text-sm text-slate-500">{t('notify.unsupported')}</p>
+      ) : permission === 'denied' ? (
+        <p className="text-sm text-amber-700">{t('notify.blocked')}</p>
+      ) : !active ? (
+        <button onClick={enable} className="rounded bg-indigo-600 px-4 py-2 text-sm text-white">{t('notify.enable')}</button>
+      ) : (
+        <div className="space-y-2 text-sm">
+          {TOGGLES.map(k => (
+            <label key={k} className="flex items-center gap-2 text-slate-700">
+              <input type="checkbox" checked={!!prefs[k]} onChange={e=>save({ [k]: e.target.checked })} />
+              {t(`notify.${k}`)}
+            </label>
+          ))}
+          {pushSupported() && (
+            <label className="flex items-center gap-2 text-slate-700">
+              <input type="checkbox" checked={!!prefs.push} disabled={busy} onChange={e=>togglePush(e.target.checked)} />
+              {t('notify.push')}
+            </label>
+          )}
+          <div className="flex gap-3 pt-2">
+            {prefs.push && <button onClick={test} className="text-indigo-600 hover:underline">{t('notify.test')}</button>}
+            <button onClick={()=>save({ enabled: false })} className="text-slate-600 hover:underline">{t('notify.disable')}</button>
+          </div>
+        </div>
+      )}
+      {message && <p className="mt-3 text-sm text-slate-700">{message}</p>}
+    </div>
+  )
+}
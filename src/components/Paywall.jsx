@@ -0,0 +1,121 @@
+import { useEffect, useMemo, useState } from 'react'
+import { QRCodeSVG } from 'qrcode.react'
+import { Field } from './ui'
+import { errorMessage } from '../lib/api'
+import { useI18n } from '../lib/i18n'
+import { describePlan, loadPlans, paymentsClient, readOpenOrder, saveOpenOrder, upiUri } from '../lib/payments'
+
+const POLL_MS = 4000
+
+// Plan picker → UPI order (QR + intent link) → reference submission → pending / verified / failed.
+export default function Paywall({ api, userId, exhausted = true, onGranted }) {
+  const { t, formatCurrency } = useI18n()
+  const payments = useMemo(() => paymentsClient(api, userId), [api, userId])
+  const [plans, setPlans] = useState(null)
+  const [order, setOrder] = useState(() => readOpenOrder(userId))
+  const [reference, setReference] = useState('')
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    loadPlans(payments).then(setPlans).catch(e => setError(errorMessage(e, t('paywall.loadFailed'))))
+  }, [payments])
+
+  const track = (next) => {
+    setOrder(next)
+    saveOpenOrder(userId, next && (next.status === 'created' || next.status === 'pending') ? next : null)
+  }
+
+  // Poll while the payment is being verified.
+  useEffect(() => {
+    if (order?.status !== 'pending') return
+    const id = setInterval(async () => {
+      try {
+        const next = await payments.order(order.id)
+        if (next.status === 'pending') return
+        track(next)
+        if (next.status === 'verified') onGranted?.(next)
+      } catch {
+        // Keep polling; a transient failure shouldn't drop the order.
+      }
+    }, POLL_MS)
+    return () => clearInterval(id)
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [order?.id, order?.status, payments])
+
+  const run = async (fn) => {
+    setBusy(true)
+    setError('')
+    try { await fn() } catch (e) { setError(errorMessage(e, t('paywall.failed'))) } finally { setBusy(false) }
+  }
+
+  const choose = (plan) => run(async () => track(await payments.createOrder(plan.id)))
+  const submit = (e) => {
+    e.preventDefault()
+    run(async () => track(await payments.submitReference(order.id, reference.trim())))
+  }
+  const reset = () => { track(null); setReference('') }
+
+  return (
+    <div id="plans" className="mt-4 rounded-lg border border-amber-300 bg-amber-50 p-4">
+      <p className="font-medium">{exhausted ? t('paywall.exhausted') : t('paywall.upgrade')}</p>
+
+      {!order && (
+        <>
+          <p className="text-sm mt-1">{t('paywall.continue')}</p>
+          <ul className="mt-2 text-sm space-y-2">
+            {(plans || []).map(p => (
+              <li key={p.id} className="flex items-center justify-between gap-3">
+                <span>{formatCurrency(p.price_inr)} — {p.name} ({describePlan(p, t)})</span>
+                <button disabled={busy} onClick={()=>choose(p)} className="rounded bg-indigo-600 text-white px-3 py-1 text-xs disabled:opacity-50">{t('paywall.choose')}</button>
+              </li>
+            ))}
+            {!plans && !error && <li className="text-slate-500">{t('paywall.loading')}</li>}
+          </ul>
+        </>
+      )}
+
+      {order?.status === 'created' && (
+        <div className="mt-3 space-y-3 text-sm">
+          <p>{t('paywall.payTo', { amount: formatCurrency(order.amount), plan: order.plan_name || order.plan_id })} <span className="font-semibold">{order.upi_id}</span></p>
+          <div className="flex items-center gap-4">
+            <div className="rounded bg-white p-2"><QRCodeSVG value={upiUri(order)} size={128} /></div>
+            <a href={upiUri(order)} className="rounded bg-white border px-3 py-2 text-indigo-700">{t('paywall.openUpi')}</a>
+          </div>
+          <form onSubmit={submit} className="space-y-2">
+            <Field label={t('paywall.reference')}>
+              <input required value={reference} onChange={e=>setReference(e.target.value)} inputMode="numeric" placeholder={t('paywall.referenceHint')} className="w-full rounded border p-2" />
+            </Field>
+            <div className="flex gap-2">
+              <button disabled={busy} className="rounded bg-indigo-600 text-white px-4 py-2 disabled:opacity-50">{t('paywall.paid')}</button>
+              <button type="button" onClick={reset} className="rounded bg-slate-200 px-4 py-2">{t('paywall.another')}</button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {order?.status === 'pending' && (
+        <p className="mt-3 text-sm">{t('paywall.verifying', { reference: order.reference })}</p>
+      )}
+
+      {order?.status === 'verified' && (
+        <div className="mt-3 text-sm text-emerald-700">
+          <p>{t('paywall.verified', { plan: order.plan_name || order.plan_id })}</p>
+          <button onClick={reset} className="mt-2 text-slate-600 hover:underline">{t('common.done')}</button>
+        </div>
+      )}
+
+      {order?.status === 'failed' && (
+        <div className="mt-3 text-sm text-rose-700">
+          <p>{order.failure_reason ? t('paywall.rejectedBecause', { reason: order.failure_reason }) : t('paywall.rejected')}</p>
+          <div className="mt-2 flex gap-3">
+            <button onClick={()=>track({ ...order, status: 'created' })} className="text-indigo-600 hover:underline">{t('paywall.retryReference')}</button>
+            <button onClick={reset} className="text-slate-600 hover:underline">{t('paywall.startOver')}</button>
+          </div>
+        </div>
+      )}
+
+      {error && <p className="mt-2 text-sm text-rose-700">{error}</p>}
+    </div>
+  )
+}
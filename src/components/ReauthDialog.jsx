@@ -0,0 +1,57 @@
+import { useEffect, useState } from 'react'
+import { Modal } from './Modal'
+import { Field } from './ui'
+import { errorMessage } from '../lib/api'
+import { useAuth } from '../lib/auth'
+import { useI18n } from '../lib/i18n'
+
+// Shown shortly before a token that couldn't be refreshed runs out, so signing in again
+// doesn't mean leaving the page (or losing whatever is half-typed on it).
+export default function ReauthDialog({ email, expiresAt, onDismiss, onLogout }) {
+  const { api, saveToken } = useAuth()
+  const { t } = useI18n()
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => {
+    if (!expiresAt) return
+    setNow(Date.now())
+    const id = setInterval(() => setNow(Date.now()), 15000)
+    return () => clearInterval(id)
+  }, [expiresAt])
+
+  const submit = async (e) => {
+    e.preventDefault()
+    setError('')
+    setBusy(true)
+    try {
+      const data = await api.login({ email, password })
+      saveToken(data.token)
+    } catch (err) {
+      setError(errorMessage(err, t('reauth.failed')))
+    } finally {
+      setBusy(false)
+      setPassword('')
+    }
+  }
+
+  const minutes = Math.max(1, Math.ceil(((expiresAt || 0) - now) / 60000))
+
+  return (
+    <Modal open={!!expiresAt && !!email} onOpenChange={(open) => { if (!open) onDismiss() }} title={t('reauth.title')}
+      description={t('reauth.body', { count: minutes })}>
+      <form onSubmit={submit} className="space-y-3">
+        <Field label={email}>
+          <input type="password" required autoFocus autoComplete="current-password" value={password} onChange={e=>setPassword(e.target.value)} className="w-full rounded border p-2" />
+        </Field>
+        {error && <p className="text-sm text-rose-600">{error}</p>}
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onLogout} className="rounded bg-slate-200 px-4 py-2 text-sm">{t('nav.logout')}</button>
+          <button disabled={busy} className="rounded bg-indigo-600 px-4 py-2 text-sm text-white disabled:opacity-50">{busy ? t('auth.signingIn') : t('reauth.stay')}</button>
+        </div>
+      </form>
+    </Modal>
+  )
+}
@@ -0,0 +1,107 @@
+import { useEffect, useMemo, useState } from 'react'
+import { loadAvailability, slotBlocker } from '../lib/availability'
+import { errorMessage } from '../lib/api'
+import { useI18n } from '../lib/i18n'
+import { isActive } from '../lib/sessions'
+import { addDays, sameDay, sessionStart, startOfDay, startOfMonth, startOfWeek, userTimeZone } from '../lib/time'
+
+export default function SessionCalendar({ api, sessions, selected, onSelect }) {
+  const { t, formatDate, formatTime } = useI18n()
+  const [view, setView] = useState('week') // week | month
+  const [cursor, setCursor] = useState(() => new Date())
+  const [availability, setAvailability] = useState({ timezone: '', slots: [] })
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  const range = useMemo(() => {
+    const from = view === 'week' ? startOfWeek(cursor) : startOfWeek(startOfMonth(cursor))
+    return { from, to: addDays(from, view === 'week' ? 7 : 42) }
+  }, [view, cursor])
+
+  useEffect(() => {
+    let stale = false
+    setLoading(true)
+    setError('')
+    loadAvailability(api, range.from, range.to)
+      .then(data => { if (!stale) setAvailability(data) })
+      .catch(e => { if (!stale) setError(errorMessage(e, t('calendar.loadFailed'))) })
+      .finally(() => { if (!stale) setLoading(false) })
+    return () => { stale = true }
+  }, [api, range])
+
+  const days = Array.from({ length: view === 'week' ? 7 : 42 }, (_, i) => addDays(range.from, i))
+  const slotsOn = (day) => availability.slots.filter(s => sameDay(new Date(s.start), day))
+  const sessionsOn = (day) => sessions.filter(s => isActive(s) && sessionStart(s) && sameDay(sessionStart(s), day))
+  const today = startOfDay(new Date())
+
+  const step = (dir) => setCursor(c => view === 'week' ? addDays(c, 7 * dir) : new Date(c.getFullYear(), c.getMonth() + dir, 1))
+  const title = view === 'week'
+    ? `${formatDate(range.from, { day: 'numeric', month: 'short' })} – ${formatDate(addDays(range.from, 6), { day: 'numeric', month: 'short', year: 'numeric' })}`
+    : formatDate(cursor, { month: 'long', year: 'numeric' })
+  // The grid starts on Monday, so the first week of `days` gives the column headers.
+  const weekdays = days.slice(0, 7).map(d => formatDate(d, { weekday: 'short' }))
+  const time = (d) => formatTime(d, { hour: 'numeric', minute: '2-digit' })
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between text-sm">
+        <div className="flex items-center gap-2">
+          <button type="button" onClick={()=>step(-1)} className="rounded bg-slate-100 px-2">‹</button>
+          <span className="font-medium text-slate-700">{title}</span>
+          <button type="button" onClick={()=>step(1)} className="rounded bg-slate-100 px-2">›</button>
+        </div>
+        <div className="flex gap-1">
+          {['week', 'month'].map(v => (
+            <button type="button" key={v} onClick={()=>setView(v)} className={`rounded px-2 py-0.5 ${view===v?'bg-indigo-600 text-white':'bg-slate-100 text-slate-700'}`}>{t(`calendar.${v}`)}</button>
+          ))}
+        </div>
+      </div>
+
+      {view === 'week' ? (
+        <div className="grid grid-cols-7 gap-1 text-xs">
+          {days.map((day, i) => (
+            <div key={i} className={`rounded border p-1 ${day < today ? 'bg-slate-50' : ''}`}>
+              <p className="text-center font-medium text-slate-600">{weekdays[i]} {day.getDate()}</p>
+              <div className="mt-1 space-y-1">
+                {sessionsOn(day).map(s => (
+                  <p key={s.id} className="truncate rounded bg-indigo-100 px-1 text-indigo-700" title={s.topic}>{time(sessionStart(s))} ●</p>
+                ))}
+                {slotsOn(day).map(slot => {
+                  const blocker = slotBlocker(slot, sessions)
+                  const active = selected === slot.start
+                  return (
+                    <button type="button" key={slot.start} disabled={!!blocker} title={t(`calendar.${blocker || 'available'}`)} onClick={()=>onSelect(slot)}
+                      className={`block w-full rounded px-1 ${active ? 'bg-indigo-600 text-white' : blocker ? 'bg-slate-100 text-slate-300 line-through cursor-not-allowed' : 'bg-emerald-50 text-emerald-700 hover:bg-emerald-100'}`}>
+                      {time(slot.start)}
+                    </button>
+                  )
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="grid grid-cols-7 gap-1 text-xs">
+          {weekdays.map(d => <p key={d} className="text-center font-medium text-slate-500">{d}</p>)}
+          {days.map((day, i) => {
+            const open = slotsOn(day).filter(s => !slotBlocker(s, sessions)).length
+            const booked = sessionsOn(day).length
+            const outside = day.getMonth() !== cursor.getMonth()
+            return (
+              <button type="button" key={i} disabled={day < today} onClick={()=>{ setCursor(day); setView('week') }}
+                className={`h-12 rounded border p-1 text-left ${day < today ? 'bg-slate-50 text-slate-300' : outside ? 'text-slate-400' : 'text-slate-700 hover:bg-indigo-50'}`}>
+                <span>{day.getDate()}</span>
+                {booked > 0 && <span className="ml-1 text-indigo-600">●</span>}
+                {day >= today && open > 0 && <span className="block text-[10px] text-emerald-600">{t('calendar.open', { count: open })}</span>}
+              </button>
+            )
+          })}
+        </div>
+      )}
+
+      <p className="text-xs text-slate-500">
+        {loading ? t('calendar.loading') : error || `${t('calendar.zone', { zone: userTimeZone() })}${availability.timezone ? ` ${t('calendar.hostZone', { zone: availability.timezone })}` : ''}`}
+      </p>
+    </div>
+  )
+}
@@ -0,0 +1,23 @@
+import { useI18n } from '../lib/i18n'
+import { useSyncStatus } from '../lib/offline'
+
+const STYLES = {
+  offline: 'bg-amber-100 text-amber-800',
+  syncing: 'bg-indigo-100 text-indigo-700',
+  synced: 'bg-emerald-100 text-emerald-700',
+  online: 'bg-emerald-50 text-emerald-700',
+}
+
+// `live` is the update channel's state; a dot shows whether host changes arrive instantly or by polling.
+export default function SyncBadge({ live }) {
+  const { t } = useI18n()
+  const { status, pending } = useSyncStatus()
+  return (
+    <span className="flex items-center gap-1.5">
+      {live && status !== 'offline' && <span title={t(`live.${live}`)} className={`h-2 w-2 rounded-full ${live === 'live' ? 'bg-emerald-500' : 'bg-slate-300'}`} />}
+      <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${STYLES[status]}`} title={pending ? t('sync.waiting', { count: pending }) : undefined}>
+        {t(`sync.${status}`)}{pending > 0 && ` · ${t('sync.queued', { count: pending })}`}
+      </span>
+    </span>
+  )
+}
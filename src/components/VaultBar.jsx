@@ -0,0 +1,57 @@
+import { useState } from 'react'
+import { useI18n } from '../lib/i18n'
+import { createVault, lockVault, unlockVault, useVault, vaultConfig } from '../lib/vault'
+
+// `sample` is any sealed entry already on the server. Without a local config it decides between
+// unlocking (entries exist, so the passphrase must open them) and creating a new vault.
+export default function VaultBar({ userId, sample = null }) {
+  const { unlocked } = useVault()
+  const { t } = useI18n()
+  const [passphrase, setPassphrase] = useState('')
+  const [confirm, setConfirm] = useState('')
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+  const configured = !!vaultConfig(userId) || !!sample
+
+  const submit = async (e) => {
+    e.preventDefault()
+    setError('')
+    if (!configured && passphrase !== confirm) return setError(t('vault.mismatch'))
+    if (!configured && passphrase.length < 8) return setError(t('password.issue.length', { min: 8 }))
+    setBusy(true)
+    try {
+      if (configured) {
+        if (!(await unlockVault(userId, passphrase, sample))) setError(t('vault.wrong'))
+      } else {
+        await createVault(userId, passphrase)
+      }
+    } finally {
+      setBusy(false)
+      setPassphrase('')
+      setConfirm('')
+    }
+  }
+
+  if (unlocked) {
+    return (
+      <div className="flex items-center justify-between rounded-lg border border-emerald-200 bg-emerald-50 px-3 py-2 text-sm">
+        <span className="text-emerald-800">{t('vault.unlocked')}</span>
+        <button onClick={lockVault} className="rounded bg-white px-3 py-1 text-xs border">{t('vault.lock')}</button>
+      </div>
+    )
+  }
+
+  return (
+    <form onSubmit={submit} className="rounded-lg border bg-slate-50 px-3 py-2 text-sm space-y-2">
+      <p className="text-slate-700">
+        {configured ? t('vault.locked') : t('vault.setup')}
+      </p>
+      <div className="flex flex-wrap gap-2">
+        <input type="password" required autoComplete="off" value={passphrase} onChange={e=>setPassphrase(e.target.value)} placeholder={t('vault.passphrase')} className="flex-1 rounded border p-1.5" />
+        {!configured && <input type="password" required autoComplete="off" value={confirm} onChange={e=>setConfirm(e.target.value)} placeholder={t('vault.repeat')} className="flex-1 rounded border p-1.5" />}
+        <button disabled={busy} className="rounded bg-indigo-600 px-3 py-1 text-white disabled:opacity-50">{busy ? t('vault.working') : configured ? t('vault.unlock') : t('vault.create')}</button>
+      </div>
+      {error && <p className="text-rose-600">{error}</p>}
+    </form>
+  )
+}
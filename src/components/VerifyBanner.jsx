@@ -0,0 +1,41 @@
+import { useEffect, useState } from 'react'
+import { errorMessage } from '../lib/api'
+import { useI18n } from '../lib/i18n'
+
+const RESEND_COOLDOWN = 60
+
+// Only accounts the server explicitly reports as unverified see this; older backends omit the flag.
+export default function VerifyBanner({ api, me }) {
+  const { t } = useI18n()
+  const [message, setMessage] = useState('')
+  const [cooldown, setCooldown] = useState(0)
+
+  // One tick per second while cooling down; unmounting cancels the pending one.
+  useEffect(() => {
+    if (cooldown <= 0) return
+    const id = setTimeout(() => setCooldown(c => c - 1), 1000)
+    return () => clearTimeout(id)
+  }, [cooldown])
+
+  if (me?.email_verified !== false) return null
+
+  const resend = async () => {
+    setMessage(t('verify.sending'))
+    try {
+      await api.resendVerification()
+      setMessage(t('verify.sent', { email: me.email }))
+      setCooldown(RESEND_COOLDOWN)
+    } catch (e) {
+      setMessage(errorMessage(e, t('verify.sendFailed')))
+    }
+  }
+
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-2 rounded-lg border border-amber-200 bg-amber-50 px-4 py-2 text-sm">
+      <span className="text-amber-900">📧 {t('verify.banner')}{message && ` ${message}`}</span>
+      <button onClick={resend} disabled={cooldown > 0} className="rounded bg-white px-3 py-1 text-xs border disabled:opacity-50">
+        {cooldown > 0 ? t('verify.resendIn', { seconds: cooldown }) : t('verify.resend')}
+      </button>
+    </div>
+  )
+}
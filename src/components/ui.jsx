@@ -0,0 +1,47 @@
+import { useI18n } from '../lib/i18n'
+import { PASSWORD_MIN } from '../lib/password'
+import { PILLARS, PILLAR_COLORS } from '../lib/reflections'
+
+export function Field({ label, children }) {
+  return (
+    <label className="block space-y-1">
+      <span className="text-sm font-medium text-slate-700">{label}</span>
+      {children}
+    </label>
+  )
+}
+
+const STRENGTH_COLORS = ['bg-rose-500', 'bg-rose-400', 'bg-amber-400', 'bg-lime-500', 'bg-emerald-500']
+
+// Four-segment meter for the result of passwordStrength(), with what's still missing listed underneath.
+export function PasswordMeter({ strength, password }) {
+  const { t } = useI18n()
+  if (!password) return null
+  return (
+    <div className="space-y-1">
+      <div className="flex gap-1">
+        {[1, 2, 3, 4].map(i => <span key={i} className={`h-1.5 flex-1 rounded ${i <= strength.score ? STRENGTH_COLORS[strength.score] : 'bg-slate-200'}`} />)}
+      </div>
+      <p className="text-xs text-slate-600">{t(`password.level.${strength.level}`)}</p>
+      {strength.issues.length > 0 && (
+        <ul className="list-disc pl-4 text-xs text-slate-500">
+          {strength.issues.map(i => <li key={i}>{t(`password.issue.${i}`, { min: PASSWORD_MIN })}</li>)}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export function PillBadge({ label, active }) {
+  const colors = active ? 'bg-indigo-600 text-white' : 'bg-slate-100 text-slate-700'
+  return <span className={`inline-flex items-center rounded-full px-3 py-1 text-xs font-semibold ${colors}`}>{label}</span>
+}
+
+export function PillarLegend() {
+  const { t } = useI18n()
+  return (
+    <div className="flex gap-3">
+      {PILLARS.map(p => <span key={p} className="flex items-center gap-1 text-slate-600"><span className="h-2 w-2 rounded-full" style={{ background: PILLAR_COLORS[p] }} />{t(`pillar.${p}`)}</span>)}
+    </div>
+  )
+}
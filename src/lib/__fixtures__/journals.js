@@ -0,0 +1,24 @@
+// Fixture journals for the insights tests. Dates are local so results don't depend on the machine's zone.
+// NOW is Wednesday 21 Oct 2026; its week starts Monday the 19th.
+export const NOW = new Date(2026, 9, 21, 12)
+
+const at = (day, hour = 20) => new Date(2026, 9, day, hour).toISOString()
+
+// Money gets lighter from the week of the 5th to the week of the 12th; Mind gets heavier into this week.
+// Two Mind entries say they're "not anxious", which must not read as anxiety.
+export const JOURNAL = [
+  { id: 1, pillar: 'Money', entry_text: 'Worried about debt. The budget feels impossible.', mood_score: 2, created_at: at(5) },
+  { id: 2, pillar: 'Money', entry_text: 'Debt again, stuck with the budget.', mood_score: 1, created_at: at(7) },
+  { id: 3, pillar: 'Money', entry_text: 'Paid off some debt, proud of the budget.', mood_score: 5, created_at: at(13) },
+  { id: 4, pillar: 'Mind', entry_text: 'Meditation before work, calm and clear.', mood_score: 4, created_at: at(13) },
+  { id: 5, pillar: 'Mind', entry_text: 'Not anxious about the meeting.', created_at: at(14) },
+  { id: 6, pillar: 'Meaning', entry_text: 'Volunteered at the shelter, grateful.', mood_score: 5, created_at: at(19) },
+  { id: 7, pillar: 'Mind', entry_text: 'Meditation skipped, exhausted.', mood_score: 1, created_at: at(20) },
+  { id: 8, pillar: 'Meaning', entry_text: '🔒 Private entry', vault: { ct: 'sealed' }, created_at: at(20) },
+  { id: 9, pillar: 'Mind', entry_text: 'Still not anxious, calm after meditation.', created_at: at(21, 8) },
+  { id: 10, pillar: 'Mind', entry_text: 'Not anxious today. Meditation helped.', created_at: at(21, 9) },
+]
+
+export const SESSIONS = [
+  { id: 's1', topic: 'Mind — Clarity', status: 'completed', starts_at: at(15, 10), created_at: at(10) },
+]
@@ -0,0 +1,5 @@
+// A Map-backed stand-in for localStorage, for tests that stub it with vi.stubGlobal.
+export const memoryStorage = () => {
+  const data = new Map()
+  return { getItem: k => data.get(k) ?? null, setItem: (k, v) => data.set(k, String(v)), removeItem: k => data.delete(k) }
+}
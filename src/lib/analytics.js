@@ -0,0 +1,95 @@
+import { ApiError } from './api'
+import { milestoneActivity } from './goals'
+import { PILLARS } from './reflections'
+import { normalizeStatus } from './sessions'
+import { addDays, sessionStart, startOfDay, ymd } from './time'
+
+// Relative weight of each activity when the balance is rebuilt client-side.
+const WEIGHTS = { session: 2, milestone: 2, reflection: 1 }
+
+// Session topics read "Mind — Clarity"; the pillar is the part before the dash.
+export function sessionPillar(session) {
+  const head = String(session.pillar || session.topic || '').split(/[—–-]/)[0].trim()
+  return PILLARS.find(p => p.toLowerCase() === head.toLowerCase()) || null
+}
+
+// Every session, reflection and completed goal milestone as a dated, weighted pillar event, oldest first.
+export function activityEvents(sessions, reflections, goals = []) {
+  const events = []
+  for (const s of sessions) {
+    const pillar = sessionPillar(s)
+    const status = normalizeStatus(s)
+    if (!pillar || status === 'cancelled' || status === 'declined' || status === 'no_show') continue
+    const when = s.created_at ? new Date(s.created_at) : sessionStart(s)
+    if (when) events.push({ date: when, pillar, kind: 'session', weight: WEIGHTS.session })
+  }
+  for (const r of reflections) {
+    if (PILLARS.includes(r.pillar) && r.created_at) events.push({ date: new Date(r.created_at), pillar: r.pillar, kind: 'reflection', weight: WEIGHTS.reflection })
+  }
+  for (const m of milestoneActivity(goals)) events.push({ ...m, kind: 'milestone', weight: WEIGHTS.milestone })
+  return events.sort((a, b) => a.date - b.date)
+}
+
+// Day-by-day share of activity per pillar, as percentages that sum to ~100.
+export function balanceHistory(events) {
+  const totals = { mind: 0, money: 0, meaning: 0 }
+  const days = new Map()
+  for (const e of events) {
+    totals[e.pillar.toLowerCase()] += e.weight
+    const sum = totals.mind + totals.money + totals.meaning
+    days.set(ymd(e.date), {
+      date: ymd(e.date),
+      mind: Math.round((totals.mind / sum) * 100),
+      money: Math.round((totals.money / sum) * 100),
+      meaning: Math.round((totals.meaning / sum) * 100),
+    })
+  }
+  return [...days.values()]
+}
+
+// Prefers a backend history when one exists; otherwise rebuilds it from sessions and reflections.
+export async function loadBalanceHistory(api, sessions, reflections, goals = []) {
+  try {
+    const data = await api.balanceHistory()
+    return data.items || []
+  } catch (e) {
+    if (e instanceof ApiError && e.status === 404) return balanceHistory(activityEvents(sessions, reflections, goals))
+    throw e
+  }
+}
+
+// Consecutive local days with at least one reflection. The current streak survives until a full day is missed.
+export function reflectionStreaks(reflections, now = new Date()) {
+  const days = new Set(reflections.filter(r => r.created_at).map(r => ymd(new Date(r.created_at))))
+  const sorted = [...days].sort()
+  let longest = 0
+  let run = 0
+  let prev = null
+  for (const d of sorted) {
+    run = prev && ymd(addDays(new Date(`${prev}T00:00`), 1)) === d ? run + 1 : 1
+    longest = Math.max(longest, run)
+    prev = d
+  }
+  let current = 0
+  let day = startOfDay(now)
+  if (!days.has(ymd(day))) day = addDays(day, -1)
+  while (days.has(ymd(day))) {
+    current++
+    day = addDays(day, -1)
+  }
+  return { current, longest, activeToday: days.has(ymd(now)) }
+}
+
+// Lowest-percentage pillar; ties go to the one untouched for longest.
+export function neglectedPillar(percentages, events, now = new Date()) {
+  const lastSeen = {}
+  for (const e of events) lastSeen[e.pillar] = e.date
+  const ranked = PILLARS.map(p => ({
+    pillar: p,
+    percentage: percentages?.[p.toLowerCase()] ?? 0,
+    daysIdle: lastSeen[p] ? Math.floor((now - lastSeen[p]) / 86400000) : null,
+  }))
+  const idle = (x) => x.daysIdle ?? Number.MAX_SAFE_INTEGER
+  ranked.sort((a, b) => a.percentage - b.percentage || idle(b) - idle(a))
+  return ranked[0]
+}
@@ -0,0 +1,239 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { isOffline, offlineAdapter } from './offline'
+
+const DEFAULT_TIMEOUT = 15000
+const GET_RETRIES = 2
+const RETRY_BASE_DELAY = 400
+const TOKEN_KEY = 'tana_token'
+// Set from the /test page to point this browser at another backend (e.g. staging) without a rebuild.
+const BACKEND_KEY = 'tana_backend_url'
+// Set from the /test page to serve the API from the in-browser mock (see ./mockBackend).
+const MOCK_BACKEND_KEY = 'tana_mock_backend'
+
+export const readToken = () => localStorage.getItem(TOKEN_KEY) || ''
+
+export const defaultBackendUrl = () => import.meta.env.VITE_BACKEND_URL || 'http://localhost:8000'
+export const backendOverride = () => localStorage.getItem(BACKEND_KEY) || ''
+export const readBackendUrl = () => backendOverride() || defaultBackendUrl()
+
+// A token from one backend means nothing to another, so switching signs this browser out.
+export function setBackendOverride(url) {
+  const next = String(url || '').trim().replace(/\/+$/, '')
+  if (next === backendOverride()) return
+  if (next && next !== defaultBackendUrl()) localStorage.setItem(BACKEND_KEY, next)
+  else localStorage.removeItem(BACKEND_KEY)
+  localStorage.removeItem(TOKEN_KEY)
+}
+
+export const mockBackendEnabled = () => import.meta.env.VITE_MOCK_BACKEND === 'true' || localStorage.getItem(MOCK_BACKEND_KEY) === 'true'
+
+// Same as switching backends: mock and real accounts don't share tokens.
+export function setMockBackend(on) {
+  if (on) localStorage.setItem(MOCK_BACKEND_KEY, 'true')
+  else localStorage.removeItem(MOCK_BACKEND_KEY)
+  localStorage.removeItem(TOKEN_KEY)
+}
+
+export function useBackend() {
+  const baseUrl = useMemo(readBackendUrl, [])
+  const [token, setToken] = useState(readToken)
+  // Why the last session ended ('expired' | 'otherTab'), shown on the login screen as auth.ended.<reason>.
+  const [endedReason, setEndedReason] = useState('')
+  const authHeaders = token ? { Authorization: `Bearer ${token}` } : {}
+  const saveToken = useCallback((t) => { localStorage.setItem(TOKEN_KEY, t); setToken(t); setEndedReason('') }, [])
+  const clearToken = useCallback((reason = '') => { localStorage.removeItem(TOKEN_KEY); setToken(''); setEndedReason(reason) }, [])
+
+  // Logins, refreshes and logouts in other tabs arrive as `storage` events (never in the tab that wrote them).
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key !== TOKEN_KEY && e.key !== null) return
+      const next = readToken()
+      setToken(next)
+      setEndedReason(next ? '' : 'otherTab')
+    }
+    window.addEventListener('storage', onStorage)
+    return () => window.removeEventListener('storage', onStorage)
+  }, [])
+
+  return { baseUrl, token, endedReason, authHeaders, saveToken, clearToken }
+}
+
+// Error thrown for every failed request. `status` is 0 when the server was never reached.
+export class ApiError extends Error {
+  constructor({ status = 0, message, fieldErrors = {}, body = null, timeout = false, network = false }) {
+    super(message || (status ? `Request failed (${status})` : 'Network error'))
+    this.name = 'ApiError'
+    this.status = status
+    this.serverMessage = message || ''
+    this.fieldErrors = fieldErrors
+    this.body = body
+    this.timeout = timeout
+    this.network = network
+  }
+}
+
+// Accepts FastAPI-style `{ detail }` (string or validation list) as well as `{ message, errors }`.
+function parseErrorBody(body) {
+  if (!body || typeof body !== 'object') return { message: typeof body === 'string' && body ? body : '', fieldErrors: {} }
+  const fieldErrors = {}
+  let message = body.message || ''
+  if (typeof body.detail === 'string') {
+    message = message || body.detail
+  } else if (Array.isArray(body.detail)) {
+    for (const d of body.detail) {
+      const field = Array.isArray(d.loc) ? d.loc.filter(p => p !== 'body').join('.') : ''
+      if (field) fieldErrors[field] = d.msg
+    }
+    message = message || body.detail.map(d => d.msg).filter(Boolean).join('; ')
+  }
+  if (body.errors && typeof body.errors === 'object') Object.assign(fieldErrors, body.errors)
+  return { message, fieldErrors }
+}
+
+async function readBody(res) {
+  const text = await res.text()
+  if (!text) return null
+  try { return JSON.parse(text) } catch { return text }
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms))
+
+// `getToken` is read per request so a client created before login picks up the new token.
+// `offline` (see ./offline) caches reads and queues writes when the server can't be reached.
+// `onUnauthorized` runs whenever the server rejects the token we sent, whichever call noticed.
+export function createApiClient({ baseUrl, getToken = () => '', timeout = DEFAULT_TIMEOUT, retries = GET_RETRIES, offline = null, onUnauthorized = null }) {
+  const once = async (method, path, { body, auth = true } = {}) => {
+    // No point waiting out a timeout when the browser already knows it's offline.
+    if (isOffline()) throw new ApiError({ message: 'You are offline', network: true })
+    const token = auth ? getToken() : ''
+    const headers = { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), timeout)
+    let res
+    try {
+      res = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: controller.signal,
+      })
+    } catch (e) {
+      const timedOut = e.name === 'AbortError'
+      throw new ApiError({ message: timedOut ? 'Request timed out' : 'Could not reach the server', timeout: timedOut, network: !timedOut })
+    } finally {
+      clearTimeout(timer)
+    }
+    const data = await readBody(res)
+    if (!res.ok) {
+      const { message, fieldErrors } = parseErrorBody(data)
+      throw new ApiError({ status: res.status, message, fieldErrors, body: data })
+    }
+    return data
+  }
+
+  // Only GETs are retried: network failures, timeouts and 5xx, with exponential backoff.
+  const attempt = async (method, path, opts) => {
+    const attempts = method === 'GET' && !isOffline() ? retries + 1 : 1
+    for (let i = 0; ; i++) {
+      try {
+        return await once(method, path, opts)
+      } catch (e) {
+        const retryable = e.status === 0 || e.status >= 500
+        if (!retryable || i + 1 >= attempts) throw e
+        await sleep(RETRY_BASE_DELAY * 2 ** i)
+      }
+    }
+  }
+
+  const request = async (method, path, opts) => {
+    let data
+    try {
+      data = await attempt(method, path, opts)
+    } catch (e) {
+      // A wrong password on a call that re-checks it isn't an expired session.
+      if (e.status === 401 && opts?.auth !== false && !opts?.passwordCheck && getToken() && onUnauthorized) onUnauthorized(e)
+      const fallback = offline && e.status === 0 ? await offline.fallback(method, path, opts) : undefined
+      if (fallback === undefined) throw e
+      return fallback
+    }
+    if (offline) await offline.remember(method, path, data)
+    return data
+  }
+
+  const get = (path, opts) => request('GET', path, opts)
+  const post = (path, body, opts) => request('POST', path, { ...opts, body })
+  const put = (path, body, opts) => request('PUT', path, { ...opts, body })
+  const patch = (path, body, opts) => request('PATCH', path, { ...opts, body })
+  const del = (path, opts) => request('DELETE', path, opts)
+
+  return {
+    get, post, put, patch, del,
+    login: (creds) => post('/auth/login', creds, { auth: false }),
+    signup: (payload) => post('/auth/signup', payload, { auth: false }),
+    refreshToken: () => post('/auth/refresh'),
+    requestPasswordReset: (email) => post('/auth/password/forgot', { email }, { auth: false }),
+    resetPassword: (token, password) => post('/auth/password/reset', { token, password }, { auth: false }),
+    verifyEmail: (token) => post('/auth/verify', { token }, { auth: false }),
+    resendVerification: () => post('/auth/verify/resend'),
+    deleteAccount: (password) => del('/auth/account', { body: { password }, passwordCheck: true }),
+    me: () => get('/me'),
+    entitlements: () => get('/entitlements'),
+    updateProfile: (payload) => post('/profile', payload),
+    dashboard: () => get('/dashboard'),
+    balanceHistory: () => get('/dashboard/history'),
+    listSessions: () => get('/sessions'),
+    createSession: (payload) => post('/sessions', payload),
+    updateSession: (id, changes) => patch(`/sessions/${id}`, changes),
+    cancelSession: (id, reason) => patch(`/sessions/${id}`, { status: 'cancelled', reason }),
+    rescheduleSession: (id, slot) => patch(`/sessions/${id}`, slot),
+    notificationPrefs: () => get('/notifications/preferences'),
+    updateNotificationPrefs: (prefs) => put('/notifications/preferences', prefs),
+    pushKey: () => get('/push/vapid-key'),
+    subscribePush: (subscription) => post('/push/subscriptions', subscription),
+    unsubscribePush: (endpoint) => del('/push/subscriptions', { body: { endpoint } }),
+    testPush: () => post('/push/test'),
+    availability: ({ from, to }) => get(`/availability?${new URLSearchParams({ from, to })}`),
+    plans: () => get('/plans'),
+    createOrder: (planId) => post('/payments/orders', { plan_id: planId }),
+    submitPaymentReference: (orderId, reference) => post(`/payments/orders/${orderId}/reference`, { reference }),
+    paymentOrder: (orderId) => get(`/payments/orders/${orderId}`),
+    listReflections: (params) => get(params ? `/reflections?${new URLSearchParams(params)}` : '/reflections'),
+    createReflection: (payload) => post('/reflections', payload),
+    updateReflection: (id, changes) => patch(`/reflections/${id}`, changes),
+    deleteReflection: (id) => del(`/reflections/${id}`),
+    listGoals: () => get('/goals'),
+    createGoal: (payload) => post('/goals', payload),
+    updateGoal: (id, changes) => patch(`/goals/${id}`, changes),
+    deleteGoal: (id) => del(`/goals/${id}`),
+    updateMilestone: (goalId, milestoneId, changes) => patch(`/goals/${goalId}/milestones/${milestoneId}`, changes),
+    checkIn: (goalId, date) => post(`/goals/${goalId}/checkins`, { date }),
+    undoCheckIn: (goalId, date) => del(`/goals/${goalId}/checkins/${date}`),
+    hostSessions: (params) => get(params ? `/host/sessions?${new URLSearchParams(params)}` : '/host/sessions'),
+    hostUpdateSession: (id, changes) => patch(`/host/sessions/${id}`, changes),
+    hostUser: (id) => get(`/host/users/${id}`),
+    adminPayments: (params) => get(params ? `/admin/payments?${new URLSearchParams(params)}` : '/admin/payments'),
+    adminVerifyPayment: (id, grant) => post(`/admin/payments/${id}/verify`, grant),
+    adminRejectPayment: (id, reason) => post(`/admin/payments/${id}/reject`, { reason }),
+    adminGrantCredits: (payload) => post('/admin/credits', payload),
+  }
+}
+
+export function useApi() {
+  const backend = useBackend()
+  const { baseUrl, clearToken } = backend
+  const api = useMemo(() => createApiClient({
+    baseUrl,
+    getToken: readToken,
+    offline: offlineAdapter,
+    onUnauthorized: () => clearToken('expired'),
+  }), [baseUrl, clearToken])
+  return { ...backend, api }
+}
+
+// Human readable reason for a failed call, falling back to `fallback` when the server gave none.
+export function errorMessage(err, fallback) {
+  if (!(err instanceof ApiError)) return fallback
+  if (err.status === 0) return err.message
+  const fields = Object.entries(err.fieldErrors).map(([k, v]) => `${k}: ${v}`).join(', ')
+  return err.serverMessage || fields || fallback
+}
@@ -0,0 +1,111 @@
+import { MOOD_SCALE } from './mood'
+import { PILLARS } from './reflections'
+import { isSealed } from './vault'
+
+export const ARCHIVE_KIND = 'tana-export'
+export const ARCHIVE_VERSION = 1
+
+// Fields a reflection is re-created with on import. Private entries keep their ciphertext, so
+// they stay readable only with the vault passphrase they were written under.
+const REFLECTION_FIELDS = ['pillar', 'entry_text', 'mood', 'mood_score', 'mood_tags', 'prompt', 'template', 'answers', 'vault', 'created_at']
+const SESSION_COLUMNS = ['id', 'topic', 'status', 'date', 'time', 'starts_at', 'timezone', 'spatial_url', 'created_at']
+
+export function buildArchive({ me, sessions, reflections }, now = new Date()) {
+  return { kind: ARCHIVE_KIND, version: ARCHIVE_VERSION, exported_at: now.toISOString(), me, sessions, reflections }
+}
+
+const csvCell = (value) => {
+  const text = value == null ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function sessionsCsv(sessions) {
+  const rows = [SESSION_COLUMNS, ...sessions.map(s => SESSION_COLUMNS.map(c => s[c]))]
+  return rows.map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n'
+}
+
+const entryDate = (r) => (r.created_at || '').slice(0, 10) || 'Undated'
+
+// One section per pillar, then one per day (newest first), entries in the order they were written.
+export function reflectionsMarkdown(reflections, me) {
+  const out = [`# TANA reflections${me?.name ? ` — ${me.name}` : ''}`, '']
+  const pillars = [...PILLARS, ...new Set(reflections.map(r => r.pillar).filter(p => !PILLARS.includes(p)))]
+  for (const pillar of pillars) {
+    const entries = reflections.filter(r => r.pillar === pillar).sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)))
+    if (!entries.length) continue
+    out.push(`## ${pillar}`, '')
+    const days = [...new Set(entries.map(entryDate))].sort().reverse()
+    for (const day of days) {
+      out.push(`### ${day}`, '')
+      for (const r of entries.filter(e => entryDate(e) === day)) {
+        const scale = MOOD_SCALE.find(m => m.score === r.mood_score)
+        const mood = [scale && `${scale.emoji} ${scale.label}`, r.mood_tags?.length && r.mood_tags.join(', '), r.mood].filter(Boolean).join(' · ')
+        if (mood && !isSealed(r)) out.push(`*Mood: ${mood}*`, '')
+        out.push(isSealed(r) ? '_🔒 Private entry — encrypted, not included._' : (r.entry_text || '').trim(), '', '---', '')
+      }
+    }
+  }
+  if (out.length === 2) out.push('_No reflections yet._', '')
+  return out.join('\n')
+}
+
+// Why a file was refused: `code` is a data.archive.<code> catalog key and `count` fills in its {count}.
+export class ArchiveError extends Error {
+  constructor(code, count) {
+    super(code)
+    this.name = 'ArchiveError'
+    this.code = code
+    this.count = count
+  }
+}
+
+// Throws an ArchiveError when `text` isn't an archive this app produced.
+export function parseArchive(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new ArchiveError('notJson')
+  }
+  if (data?.kind !== ARCHIVE_KIND) throw new ArchiveError('notTana')
+  if (data.version > ARCHIVE_VERSION) throw new ArchiveError('tooNew')
+  if (!Array.isArray(data.reflections)) throw new ArchiveError('noReflections')
+  const invalid = data.reflections.filter(r => !r || typeof r !== 'object' || !PILLARS.includes(r.pillar) || typeof r.entry_text !== 'string')
+  if (invalid.length) throw new ArchiveError('malformed', invalid.length)
+  return data
+}
+
+// Where an entry first came from. The server gives imported entries a new id and date, so imports
+// send the originals along as `source_id` / `original_created_at` and carry them through re-exports.
+const sourceId = (r) => r.source_id ?? r.id
+const originalDate = (r) => r.original_created_at || r.created_at || ''
+const fingerprint = (r) => `${r.pillar}\n${originalDate(r)}\n${isSealed(r) ? r.vault.ct : r.entry_text}`
+
+// Re-creates archived reflections that aren't already on the account. An entry counts as present
+// when an existing one has its id or source id, or the same pillar, original date and text, so
+// importing the same file twice (or into the account it came from) adds nothing, provided the
+// backend keeps the source fields. Entries are created for `userId`, like ones written in the journal.
+export async function importReflections(api, userId, archive, existing, onProgress = () => {}) {
+  const ids = new Set(existing.flatMap(r => [r.id, r.source_id]).filter(id => id != null).map(String))
+  const prints = new Set(existing.map(fingerprint))
+  const result = { created: 0, skipped: 0, failed: 0 }
+  for (const r of archive.reflections) {
+    if ((sourceId(r) != null && ids.has(String(sourceId(r)))) || prints.has(fingerprint(r))) {
+      result.skipped++
+    } else {
+      const payload = { user_id: userId, ...Object.fromEntries(REFLECTION_FIELDS.filter(f => r[f] !== undefined).map(f => [f, r[f]])) }
+      if (sourceId(r) != null) payload.source_id = String(sourceId(r))
+      if (originalDate(r)) payload.original_created_at = originalDate(r)
+      try {
+        await api.createReflection(payload)
+        result.created++
+        if (payload.source_id) ids.add(payload.source_id)
+        prints.add(fingerprint(r))
+      } catch {
+        result.failed++
+      }
+    }
+    onProgress(result)
+  }
+  return result
+}
@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest'
+import { ArchiveError, buildArchive, importReflections, parseArchive } from './archive'
+import { createMockServer, DEMO_ACCOUNT, memoryStore, noPayments } from './mockBackend'
+import { NOW } from './__fixtures__/journals'
+
+// A backend at its least helpful: new ids, the import time as `created_at`, unknown fields kept.
+function fakeApi() {
+  const rows = []
+  let next = 100
+  return {
+    rows,
+    createReflection: async (payload) => {
+      rows.push({ ...payload, id: next++, created_at: new Date(2026, 9, 19, next % 60).toISOString() })
+      return rows.at(-1)
+    },
+  }
+}
+
+const archive = buildArchive({
+  me: { id: 'u1' },
+  sessions: [],
+  reflections: [
+    { id: 1, pillar: 'Mind', entry_text: 'First', created_at: '2026-01-02T08:00:00.000Z' },
+    { id: 2, pillar: 'Money', entry_text: 'Second', created_at: '2026-01-03T08:00:00.000Z' },
+  ],
+})
+
+describe('importReflections', () => {
+  it('sends the original id and date along', async () => {
+    const api = fakeApi()
+    expect(await importReflections(api, 'u1', archive, [])).toEqual({ created: 2, skipped: 0, failed: 0 })
+    expect(api.rows[0]).toMatchObject({ user_id: 'u1', source_id: '1', original_created_at: '2026-01-02T08:00:00.000Z' })
+  })
+
+  it('adds nothing when the same file is imported again', async () => {
+    const api = fakeApi()
+    await importReflections(api, 'u1', archive, [])
+    expect(await importReflections(api, 'u1', archive, [...api.rows])).toEqual({ created: 0, skipped: 2, failed: 0 })
+    expect(api.rows).toHaveLength(2)
+  })
+
+  it('keeps the first source through a re-export', async () => {
+    const api = fakeApi()
+    await importReflections(api, 'u1', archive, [])
+    const reexport = buildArchive({ me: { id: 'u1' }, sessions: [], reflections: [...api.rows] })
+    expect(await importReflections(api, 'u1', reexport, [...api.rows])).toMatchObject({ created: 0, skipped: 2 })
+    expect(await importReflections(fakeApi(), 'u1', reexport, archive.reflections)).toMatchObject({ created: 0, skipped: 2 })
+  })
+
+  it('skips entries that match on pillar, original date and text', async () => {
+    const existing = [{ id: 'x', pillar: 'Mind', entry_text: 'First', created_at: '2026-01-02T08:00:00.000Z' }]
+    expect(await importReflections(fakeApi(), 'u1', archive, existing)).toEqual({ created: 1, skipped: 1, failed: 0 })
+  })
+
+  it('adds nothing on a second import through the mock backend', async () => {
+    const seeded = (name) => {
+      const mock = createMockServer({ store: memoryStore(), payments: noPayments, now: () => NOW.getTime() })
+      mock.seed(name)
+      return mock
+    }
+    const source = seeded('atLimit')
+    const exported = buildArchive({ me: { id: 'u1' }, sessions: [], reflections: source.db().reflections })
+
+    const mock = seeded('newUser')
+    const token = mock.handle('POST', '/auth/login', { body: DEMO_ACCOUNT })[1].token
+    const api = { createReflection: async (body) => mock.handle('POST', '/reflections', { token, body })[1] }
+    const list = () => mock.handle('GET', '/reflections', { token })[1].items
+
+    expect(await importReflections(api, 'u1', exported, list())).toMatchObject({ created: 2, skipped: 0 })
+    expect(await importReflections(api, 'u1', exported, list())).toMatchObject({ created: 0, skipped: 2 })
+    expect(list().map(r => r.created_at).sort()).toEqual(exported.reflections.map(r => r.created_at).sort())
+  })
+})
+
+describe('parseArchive', () => {
+  const codeOf = (text) => {
+    try {
+      parseArchive(text)
+    } catch (e) {
+      return e instanceof ArchiveError ? [e.code, e.count] : e
+    }
+  }
+
+  it('refuses files with an id the page can translate', () => {
+    expect(codeOf('{')).toEqual(['notJson', undefined])
+    expect(codeOf('{"kind":"other"}')).toEqual(['notTana', undefined])
+    expect(codeOf(JSON.stringify({ ...archive, version: 99 }))).toEqual(['tooNew', undefined])
+    expect(codeOf(JSON.stringify({ ...archive, reflections: [{ pillar: 'Nope', entry_text: '' }] }))).toEqual(['malformed', 1])
+    expect(parseArchive(JSON.stringify(archive)).reflections).toHaveLength(2)
+  })
+})
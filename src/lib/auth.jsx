@@ -0,0 +1,119 @@
+import { createContext, useContext, useEffect, useState } from 'react'
+import { Navigate, useLocation, useOutletContext } from 'react-router-dom'
+import { readToken, useApi } from './api'
+import { useI18n } from './i18n'
+
+const AuthContext = createContext(null)
+
+// Refresh (or ask for the password again) this long before the token runs out.
+const REFRESH_LEAD = 5 * 60 * 1000
+// setTimeout fires immediately for delays past ~24.8 days.
+const MAX_TIMER = 2 ** 31 - 1
+const EXPIRED = 'expired'
+
+// Payload of a JWT, or null for tokens that aren't JWTs.
+function tokenClaims(token) {
+  try {
+    return JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')))
+  } catch {
+    return null
+  }
+}
+
+// Reads the `exp` claim of a JWT. Returns null for tokens that aren't JWTs or carry no expiry.
+export function tokenExpiry(token) {
+  const exp = tokenClaims(token)?.exp
+  return typeof exp === 'number' ? exp * 1000 : null
+}
+
+// Identifies whose token this is, so a refreshed token for the same account isn't treated as a new login.
+export function tokenSubject(token) {
+  const sub = tokenClaims(token)?.sub
+  return sub === undefined ? token : String(sub)
+}
+
+export function isTokenValid(token) {
+  if (!token) return false
+  const exp = tokenExpiry(token)
+  return exp === null || exp > Date.now()
+}
+
+// Swaps the token for a fresh one shortly before it expires. When the backend can't refresh,
+// `reauthAt` is set so the app can ask for the password before the session ends at `exp`.
+function useTokenRenewal({ api, token, saveToken, clearToken }) {
+  const [reauthAt, setReauthAt] = useState(null)
+
+  useEffect(() => {
+    setReauthAt(null)
+    const exp = tokenExpiry(token)
+    if (!exp) return
+    if (exp <= Date.now()) {
+      clearToken(EXPIRED)
+      return
+    }
+
+    const renew = async () => {
+      // Another tab got there first; its token reaches us through the storage event.
+      if (readToken() !== token) return
+      try {
+        const data = await api.refreshToken()
+        if (data?.token) return saveToken(data.token)
+      } catch (e) {
+        if (e.status === 401) return
+      }
+      setReauthAt(exp)
+    }
+
+    const timers = [[renew, exp - REFRESH_LEAD], [() => clearToken(EXPIRED), exp]]
+      .map(([fn, at]) => [fn, at - Date.now()])
+      .filter(([, ms]) => ms < MAX_TIMER)
+      .map(([fn, ms]) => setTimeout(fn, Math.max(0, ms)))
+    return () => timers.forEach(clearTimeout)
+  }, [api, token, saveToken, clearToken])
+
+  return { reauthAt, dismissReauth: () => setReauthAt(null) }
+}
+
+export function AuthProvider({ children }) {
+  const backend = useApi()
+  const renewal = useTokenRenewal(backend)
+  return <AuthContext.Provider value={{ ...backend, ...renewal }}>{children}</AuthContext.Provider>
+}
+
+export function useAuth() {
+  return useContext(AuthContext)
+}
+
+// Sends visitors without a usable token to /login, remembering where they were headed.
+export function RequireAuth({ children }) {
+  const { token, endedReason } = useAuth()
+  const { t } = useI18n()
+  const location = useLocation()
+  if (!isTokenValid(token)) {
+    const reason = token ? EXPIRED : endedReason
+    return <Navigate to="/login" replace state={{ from: location, message: reason && t(`auth.ended.${reason}`) }} />
+  }
+  return children
+}
+
+// `/me` carries a single `role` (or a `roles` list). Admins can do everything hosts can.
+export function hasRole(me, role) {
+  const roles = [me?.role, ...(me?.roles || [])].filter(Boolean)
+  return roles.includes(role) || (role === 'host' && roles.includes('admin'))
+}
+
+// For /app/* routes: waits for /me, then sends users without `role` back to the dashboard.
+export function RequireRole({ role, children }) {
+  const { me } = useOutletContext()
+  if (!me) return null
+  if (!hasRole(me, role)) return <Navigate to="/app/dashboard" replace />
+  return children
+}
+
+// Signed-in visitors skip the landing and auth screens, as the single-page app used to.
+export function RedirectIfAuthed({ children }) {
+  const { token } = useAuth()
+  const location = useLocation()
+  if (isTokenValid(token)) return <Navigate to={location.state?.from || '/app/dashboard'} replace />
+  return children
+}
@@ -0,0 +1,49 @@
+import { ApiError } from './api'
+import { addDays, sessionStart, startOfDay } from './time'
+import { isActive } from './sessions'
+
+export const SLOT_MINUTES = 60
+
+// Local stand-in for GET /availability: a host in IST (UTC+05:30, no DST) taking hourly
+// sessions 10:00–19:00 Monday to Saturday, with a deterministic sprinkle of taken slots.
+const MOCK_HOST = { timezone: 'Asia/Kolkata', offsetMinutes: 330, firstHour: 10, lastHour: 19 }
+
+export function mockAvailability(from, to) {
+  const slots = []
+  for (let day = startOfDay(from); day < to; day = addDays(day, 1)) {
+    const y = day.getFullYear(), m = day.getMonth(), d = day.getDate()
+    if (new Date(Date.UTC(y, m, d)).getUTCDay() === 0) continue
+    for (let h = MOCK_HOST.firstHour; h < MOCK_HOST.lastHour; h++) {
+      const start = new Date(Date.UTC(y, m, d, h) - MOCK_HOST.offsetMinutes * 60000)
+      const taken = (d * 31 + h * 7) % 5 === 0
+      slots.push({ start: start.toISOString(), end: new Date(start.getTime() + SLOT_MINUTES * 60000).toISOString(), available: !taken })
+    }
+  }
+  return { timezone: MOCK_HOST.timezone, slots }
+}
+
+// Falls back to the mock when VITE_MOCK_AVAILABILITY is set or the backend has no such endpoint yet.
+export async function loadAvailability(api, from, to) {
+  if (import.meta.env.VITE_MOCK_AVAILABILITY === 'true') return mockAvailability(from, to)
+  try {
+    const data = await api.availability({ from: from.toISOString(), to: to.toISOString() })
+    return { timezone: data.timezone || 'UTC', slots: data.slots || data.items || [] }
+  } catch (e) {
+    if (e instanceof ApiError && e.status === 404) return mockAvailability(from, to)
+    throw e
+  }
+}
+
+// Why a slot can't be booked, or '' when it can.
+export function slotBlocker(slot, sessions, now = new Date()) {
+  const start = new Date(slot.start)
+  if (start <= now) return 'past'
+  if (slot.available === false) return 'unavailable'
+  const end = slot.end ? new Date(slot.end) : new Date(start.getTime() + SLOT_MINUTES * 60000)
+  const clash = sessions.some(s => {
+    if (!isActive(s)) return false
+    const t = sessionStart(s)
+    return t && t < end && new Date(t.getTime() + SLOT_MINUTES * 60000) > start
+  })
+  return clash ? 'booked' : ''
+}
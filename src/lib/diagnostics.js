@@ -0,0 +1,151 @@
+// Contract checks behind the /test page: each step calls one endpoint the app depends on and
+// compares the response with the fields the screens actually read.
+
+const TIMEOUT = 15000
+
+// Schemas are plain objects of field → type. A trailing `?` on the key marks the field optional,
+// `[schema]` is an array whose items match `schema`, and `'a|b'` accepts either type.
+const PERCENTAGES = { mind: 'number', money: 'number', meaning: 'number' }
+const SESSION = { id: 'string|number', topic: 'string', 'status?': 'string', 'date?': 'string', 'time?': 'string', 'starts_at?': 'string|null', 'spatial_url?': 'string|null' }
+const REFLECTION = { id: 'string|number', pillar: 'string', entry_text: 'string', 'created_at?': 'string', 'mood_score?': 'number|null', 'mood_tags?': ['string'] }
+
+export const SCHEMAS = {
+  root: { 'message?': 'string' },
+  auth: { token: 'string' },
+  me: { id: 'string|number', email: 'string', 'name?': 'string', 'purpose?': 'string|null', 'age?': 'number|null', 'locale?': 'string|null', 'role?': 'string|null' },
+  profile: {},
+  dashboard: { name: 'string', tana: { percentages: PERCENTAGES }, sessions: { used: 'number', total: 'number|null' } },
+  sessions: { items: [SESSION] },
+  reflections: { items: [REFLECTION], 'next_cursor?': 'string|null' },
+}
+
+const typeOf = (value) => value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value
+
+// Every place `value` departs from `schema`, as "path: expected X, got Y". Extra fields are fine.
+export function checkShape(value, schema, path = '') {
+  if (typeof schema === 'string') {
+    const actual = typeOf(value)
+    return schema.split('|').includes(actual) ? [] : [`${path || '(body)'}: expected ${schema}, got ${actual}`]
+  }
+  if (Array.isArray(schema)) {
+    if (!Array.isArray(value)) return [`${path || '(body)'}: expected array, got ${typeOf(value)}`]
+    // The first few items are representative; a thousand-session account shouldn't report a thousand rows.
+    return value.slice(0, 5).flatMap((item, i) => checkShape(item, schema[0], `${path}[${i}]`))
+  }
+  if (typeOf(value) !== 'object') return [`${path || '(body)'}: expected object, got ${typeOf(value)}`]
+  return Object.entries(schema).flatMap(([rawKey, inner]) => {
+    const optional = rawKey.endsWith('?')
+    const key = optional ? rawKey.slice(0, -1) : rawKey
+    const at = path ? `${path}.${key}` : key
+    if (value[key] === undefined) return optional ? [] : [`${at}: missing`]
+    return checkShape(value[key], inner, at)
+  })
+}
+
+// fetch() rejects the same way for CORS and for an unreachable host. A no-cors probe tells them
+// apart: it succeeds (with an unreadable response) whenever the server answered at all.
+async function classifyFailure(url, error) {
+  if (error.name === 'AbortError') return { error: 'timeout', detail: `No response within ${TIMEOUT / 1000}s` }
+  try {
+    await fetch(url, { mode: 'no-cors' })
+    return { error: 'cors', detail: 'The server answered but the browser blocked the response (CORS). Check Access-Control-Allow-Origin for this origin.' }
+  } catch {
+    return { error: 'network', detail: error.message || 'Could not reach the server' }
+  }
+}
+
+async function call(baseUrl, { method = 'GET', path, body, token }) {
+  const url = `${baseUrl}${path}`
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), TIMEOUT)
+  const started = performance.now()
+  try {
+    const res = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: controller.signal,
+    })
+    const text = await res.text()
+    const ms = Math.round(performance.now() - started)
+    let data = null
+    try { data = text ? JSON.parse(text) : null } catch { data = text }
+    return { status: res.status, ok: res.ok, ms, data }
+  } catch (e) {
+    return { status: 0, ok: false, ms: Math.round(performance.now() - started), ...(await classifyFailure(url, e)) }
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+// The suite, in order. `needs` names what a step requires from earlier ones; `optional` steps
+// report a warning instead of a failure (the endpoint is useful but the app copes without it).
+function steps(account) {
+  return [
+    { name: 'Backend root', path: '/', schema: SCHEMAS.root, optional: true },
+    { name: 'Database check', path: '/test', schema: {}, optional: true },
+    { name: 'Sign up', method: 'POST', path: '/auth/signup', body: account, schema: SCHEMAS.auth, auth: false },
+    { name: 'Log in', method: 'POST', path: '/auth/login', body: { email: account.email, password: account.password }, schema: SCHEMAS.auth, auth: false },
+    { name: 'Current user', path: '/me', schema: SCHEMAS.me },
+    { name: 'Update profile', method: 'POST', path: '/profile', body: { name: account.name, purpose: 'Growth', age: 30 }, schema: SCHEMAS.profile },
+    { name: 'Dashboard', path: '/dashboard', schema: SCHEMAS.dashboard },
+    { name: 'Sessions', path: '/sessions', schema: SCHEMAS.sessions },
+    { name: 'Reflections', path: '/reflections', schema: SCHEMAS.reflections },
+    { name: 'Delete test user', method: 'DELETE', path: '/auth/account', body: { password: account.password }, schema: {}, optional: true },
+  ]
+}
+
+export function throwawayAccount(now = Date.now()) {
+  const tag = `${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`
+  return { name: 'Diagnostics Bot', email: `diagnostics+${tag}@example.com`, password: `Diag-${tag}-Pw9!`, purpose: 'Growth' }
+}
+
+// Runs the suite against `baseUrl`, reporting each result through `onResult` as it lands.
+// A result's `state` is pass | fail | warn | skip.
+export async function runContractSuite(baseUrl, onResult = () => {}) {
+  const account = throwawayAccount()
+  const results = []
+  let token = ''
+  for (const step of steps(account)) {
+    const needsToken = step.auth !== false && step.path !== '/' && step.path !== '/test'
+    if (needsToken && !token) {
+      results.push({ name: step.name, method: step.method || 'GET', path: step.path, state: 'skip', detail: 'Skipped: no token from sign up or log in' })
+      onResult(results.at(-1))
+      continue
+    }
+    const res = await call(baseUrl, { ...step, token: needsToken ? token : '' })
+    const mismatches = res.ok ? checkShape(res.data, step.schema) : []
+    if (res.ok && step.schema === SCHEMAS.auth && typeof res.data?.token === 'string') token = res.data.token
+    let state = 'pass'
+    let error = res.error || null
+    let detail = res.detail || ''
+    if (!res.ok) {
+      state = step.optional ? 'warn' : 'fail'
+      error ||= 'http'
+      detail ||= (typeof res.data === 'object' && (res.data?.detail || res.data?.message)) || `HTTP ${res.status}`
+      if (typeof detail !== 'string') detail = JSON.stringify(detail)
+    } else if (mismatches.length) {
+      state = step.optional ? 'warn' : 'fail'
+      error = 'schema'
+      detail = `${mismatches.length} field(s) differ from what the app reads`
+    }
+    results.push({ name: step.name, method: step.method || 'GET', path: step.path, status: res.status, ms: res.ms, state, error, detail, mismatches, response: res.data })
+    onResult(results.at(-1))
+  }
+  return results
+}
+
+// Everything a bug report needs, minus the throwaway password and tokens.
+export function diagnosticsReport({ baseUrl, results, startedAt, finishedAt }) {
+  const redact = (r) => ({ ...r, response: r.response && typeof r.response === 'object' && 'token' in r.response ? { ...r.response, token: '[redacted]' } : r.response })
+  return {
+    kind: 'tana-diagnostics',
+    backend_url: baseUrl,
+    origin: typeof window !== 'undefined' ? window.location.origin : '',
+    user_agent: typeof navigator !== 'undefined' ? navigator.userAgent : '',
+    started_at: startedAt,
+    finished_at: finishedAt,
+    summary: ['pass', 'fail', 'warn', 'skip'].reduce((acc, s) => ({ ...acc, [s]: results.filter(r => r.state === s).length }), {}),
+    results: results.map(redact),
+  }
+}
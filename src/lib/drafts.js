@@ -0,0 +1,48 @@
+import { useEffect, useState } from 'react'
+
+const PREFIX = 'tana_draft'
+
+// Journal drafts live in localStorage, one per user and pillar, so a closed tab or an expired token loses nothing.
+const draftKey = (userId, pillar) => `${PREFIX}:${userId || 'anon'}:${pillar}`
+const lastPillarKey = (userId) => `${PREFIX}:${userId || 'anon'}:pillar`
+
+export function readDraft(userId, pillar) {
+  try {
+    return JSON.parse(localStorage.getItem(draftKey(userId, pillar))) || null
+  } catch {
+    return null
+  }
+}
+
+export function writeDraft(userId, pillar, draft) {
+  const answered = Object.values(draft.answers || {}).some(a => a?.trim())
+  const empty = !draft.entry_text?.trim() && !draft.mood?.trim() && !draft.mood_score && !draft.mood_tags?.length && !answered
+  if (empty) localStorage.removeItem(draftKey(userId, pillar))
+  else localStorage.setItem(draftKey(userId, pillar), JSON.stringify({ ...draft, saved_at: new Date().toISOString() }))
+  localStorage.setItem(lastPillarKey(userId), pillar)
+}
+
+export const clearDraft = (userId, pillar) => localStorage.removeItem(draftKey(userId, pillar))
+
+export const lastDraftPillar = (userId) => localStorage.getItem(lastPillarKey(userId))
+
+// Writes `draft` back after `ms` of quiet. Returns the time of the last autosave for the UI.
+export function useAutosave(userId, pillar, draft, ms = 500) {
+  const [savedAt, setSavedAt] = useState(null)
+  const serialized = JSON.stringify(draft)
+  useEffect(() => {
+    if (!userId) return
+    const t = setTimeout(() => {
+      writeDraft(userId, pillar, JSON.parse(serialized))
+      setSavedAt(new Date())
+    }, ms)
+    return () => clearTimeout(t)
+  }, [userId, pillar, serialized, ms])
+  return savedAt
+}
+
+// Removes every draft this device holds for `userId`, e.g. once the account is gone.
+export function clearDrafts(userId) {
+  const prefix = `${PREFIX}:${userId || 'anon'}:`
+  Object.keys(localStorage).filter(k => k.startsWith(prefix)).forEach(k => localStorage.removeItem(k))
+}
@@ -0,0 +1,78 @@
+import { createContext, useContext } from 'react'
+import { Link } from 'react-router-dom'
+import { ApiError } from './api'
+import { useI18n } from './i18n'
+import { FALLBACK_PLANS, mockEntitlements } from './payments'
+
+// What the signed-in user's plan allows. `sessions.limit === null` means unlimited;
+// never compare `used` against a number for those plans.
+// `ai_insights` gates Analytics insights and `vault` the private journal. `mentorship` is sold with the
+// top plan but has no screen yet; whatever adds one goes behind <Gate feature="mentorship">.
+export const FEATURES = ['ai_insights', 'mentorship', 'vault']
+
+// Combines, in order of preference: GET /entitlements, entitlement fields on /me, and the
+// dashboard's session counters (plus mock grants in development).
+export function buildEntitlements({ remote, me, dash }) {
+  const src = remote || me?.entitlements || {}
+  const mock = mockEntitlements(me?.id)
+  const features = new Set([...(src.features || me?.plan?.features || []), ...(mock?.features || [])])
+  const plan = src.plan || me?.plan || mock?.plan || null
+  // The dashboard counter wins for `used` because optimistic cancels adjust it locally.
+  const used = dash?.sessions?.used ?? src.sessions?.used ?? 0
+  let limit = src.sessions && 'limit' in src.sessions ? src.sessions.limit : dash?.sessions?.total ?? 0
+  if (src.sessions?.unlimited || dash?.sessions?.unlimited) limit = null
+  if (mock) limit = mock.extra_sessions === null || limit === null ? null : limit + mock.extra_sessions
+  return {
+    plan,
+    features,
+    sessions: { used, limit, remaining: limit === null ? null : Math.max(0, limit - used) },
+  }
+}
+
+export async function loadRemoteEntitlements(api) {
+  try {
+    return await api.entitlements()
+  } catch (e) {
+    if (e instanceof ApiError && e.status === 404) return null
+    throw e
+  }
+}
+
+export const canBookSession = (ent) => !!ent && (ent.sessions.limit === null || ent.sessions.used < ent.sessions.limit)
+
+// Cheapest plan that includes a feature, for upgrade prompts.
+export function planFor(feature, plans = FALLBACK_PLANS) {
+  return [...plans].sort((a, b) => a.price_inr - b.price_inr).find(p => p.features?.includes(feature)) || null
+}
+
+const EntitlementsContext = createContext(null)
+
+export const EntitlementsProvider = ({ value, children }) => <EntitlementsContext.Provider value={value}>{children}</EntitlementsContext.Provider>
+
+export function useEntitlements() {
+  return useContext(EntitlementsContext)
+}
+
+export function useEntitlement(feature) {
+  const ent = useEntitlements()
+  return { allowed: !!ent?.features.has(feature), loading: !ent, plan: ent?.plan || null, upgradeTo: planFor(feature) }
+}
+
+export function UpgradePrompt({ feature, children }) {
+  const { t, formatCurrency } = useI18n()
+  const plan = planFor(feature)
+  return (
+    <div className="rounded-lg border border-dashed border-indigo-300 bg-indigo-50/50 p-4 text-sm">
+      <p className="font-medium text-slate-800">🔒 {children || t('upgrade.paidFeature', { feature: t(`feature.${feature}`) })}</p>
+      {plan && <p className="mt-1 text-slate-600">{t('upgrade.includedFrom', { price: formatCurrency(plan.price_inr), plan: plan.name })}</p>}
+      <Link to="/app/dashboard#plans" className="mt-2 inline-block text-indigo-600 hover:underline">{t('upgrade.seePlans')}</Link>
+    </div>
+  )
+}
+
+// Renders children only when the plan includes `feature`; otherwise an upgrade prompt.
+export function Gate({ feature, prompt, children }) {
+  const { allowed, loading } = useEntitlement(feature)
+  if (loading) return null
+  return allowed ? children : <UpgradePrompt feature={feature}>{prompt}</UpgradePrompt>
+}
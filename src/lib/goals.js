@@ -0,0 +1,96 @@
+import { useCallback, useEffect, useState } from 'react'
+import { ApiError } from './api'
+import { PILLARS } from './reflections'
+import { addDays, startOfDay, startOfWeek, ymd } from './time'
+
+// A goal sits under one pillar: { id, pillar, title, target_date, milestones: [{ id, title, done_at }],
+// habit: { cadence: 'daily' | 'weekly', label } | null, checkins: ['YYYY-MM-DD'], feeds_balance, status }.
+export const CADENCES = ['daily', 'weekly']
+
+// Null when the backend has no /goals yet, so screens can hide the feature instead of showing an error.
+export async function loadGoals(api) {
+  try {
+    const data = await api.listGoals()
+    return data.items || []
+  } catch (e) {
+    if (e instanceof ApiError && e.status === 404) return null
+    throw e
+  }
+}
+
+export function useGoals(api) {
+  const [goals, setGoals] = useState(null)
+  const [unavailable, setUnavailable] = useState(false)
+  const [error, setError] = useState(null)
+
+  const reload = useCallback(async () => {
+    setError(null)
+    try {
+      const items = await loadGoals(api)
+      setUnavailable(items === null)
+      setGoals(items || [])
+    } catch (e) {
+      setError(e)
+    }
+  }, [api])
+
+  useEffect(() => { reload() }, [reload])
+
+  return { goals, setGoals, unavailable, error, reload }
+}
+
+export const isActiveGoal = (goal) => (goal.status || 'active') === 'active'
+
+// Share of milestones done, 0–100. A goal without milestones counts as done only once completed.
+export function goalProgress(goal) {
+  const milestones = goal.milestones || []
+  if (!milestones.length) return goal.status === 'completed' ? 100 : 0
+  return Math.round((milestones.filter(m => m.done_at).length / milestones.length) * 100)
+}
+
+// Average progress of each pillar's active goals, for the dashboard. `count` is 0 for pillars without goals.
+export function pillarGoalProgress(goals) {
+  return Object.fromEntries(PILLARS.map(p => {
+    const active = goals.filter(g => g.pillar === p && isActiveGoal(g))
+    const progress = active.length ? Math.round(active.reduce((sum, g) => sum + goalProgress(g), 0) / active.length) : null
+    return [p, { count: active.length, progress }]
+  }))
+}
+
+// Key of the day or week a check-in date falls in (weeks are keyed by their Monday).
+const periodOf = (date, cadence) => ymd(cadence === 'weekly' ? startOfWeek(date) : startOfDay(date))
+const previousPeriod = (date, cadence) => addDays(date, cadence === 'weekly' ? -7 : -1)
+
+export function checkedIn(goal, now = new Date()) {
+  const cadence = goal.habit?.cadence || 'daily'
+  const current = periodOf(now, cadence)
+  return (goal.checkins || []).some(d => periodOf(new Date(`${d}T00:00`), cadence) === current)
+}
+
+// Consecutive days (or weeks) with a check-in. The current period doesn't break the streak until it's over.
+export function habitStreak(goal, now = new Date()) {
+  const cadence = goal.habit?.cadence || 'daily'
+  const periods = new Set((goal.checkins || []).map(d => periodOf(new Date(`${d}T00:00`), cadence)))
+  let cursor = periods.has(periodOf(now, cadence)) ? now : previousPeriod(now, cadence)
+  let streak = 0
+  while (periods.has(periodOf(cursor, cadence))) {
+    streak++
+    cursor = previousPeriod(cursor, cadence)
+  }
+  return streak
+}
+
+// Days until the target date; negative once it has passed, null without one.
+export function daysLeft(goal, now = new Date()) {
+  if (!goal.target_date) return null
+  return Math.round((new Date(`${goal.target_date}T00:00`) - startOfDay(now)) / 86400000)
+}
+
+// Completed milestones of goals that opted in, as pillar activity for the client-side balance
+// (the Analytics history rebuilt when there's no /dashboard/history). The dashboard shows the
+// backend's `tana.percentages` as they are, so the backend has to count these milestones there.
+export function milestoneActivity(goals = []) {
+  return goals
+    .filter(g => g.feeds_balance !== false && PILLARS.includes(g.pillar))
+    .flatMap(g => (g.milestones || []).filter(m => m.done_at).map(m => ({ pillar: g.pillar, date: new Date(m.done_at) })))
+}
@@ -0,0 +1,103 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react'
+import en from '../locales/en'
+import hi from '../locales/hi'
+import ta from '../locales/ta'
+
+// English is the source catalog: every key starts there, and it's the fallback for the others.
+export const LOCALES = {
+  en: { name: 'English', intl: 'en-IN', messages: en },
+  hi: { name: 'हिन्दी', intl: 'hi-IN', messages: hi },
+  ta: { name: 'தமிழ்', intl: 'ta-IN', messages: ta },
+}
+export const DEFAULT_LOCALE = 'en'
+const STORAGE_KEY = 'tana_locale'
+
+// "hi-IN", "HI" and "hi" all resolve to "hi"; unknown languages resolve to null.
+export function resolveLocale(tag) {
+  const base = String(tag || '').toLowerCase().split('-')[0]
+  return LOCALES[base] ? base : null
+}
+
+const initialLocale = () => resolveLocale(localStorage.getItem(STORAGE_KEY)) || resolveLocale(navigator.language) || DEFAULT_LOCALE
+
+// Keys present in English but absent from `locale`'s catalog.
+export function missingKeys(locale) {
+  const messages = LOCALES[locale]?.messages || {}
+  return Object.keys(en).filter(k => !(k in messages))
+}
+
+const warned = new Set()
+function reportMissing(locale, key) {
+  if (!import.meta.env.DEV || warned.has(`${locale}:${key}`)) return
+  warned.add(`${locale}:${key}`)
+  console.warn(`[i18n] "${key}" is missing from the ${locale} catalog`)
+}
+
+if (import.meta.env.DEV) {
+  for (const locale of Object.keys(LOCALES)) {
+    const missing = missingKeys(locale)
+    if (missing.length) console.warn(`[i18n] ${locale} is missing ${missing.length} key(s):`, missing)
+  }
+}
+
+// Fills "{name}" placeholders. A numeric `count` picks `key.one` / `key.other` by the locale's plural rules.
+export function translate(locale, key, vars = {}) {
+  const { intl, messages } = LOCALES[locale] || LOCALES[DEFAULT_LOCALE]
+  let id = key
+  if (typeof vars.count === 'number') {
+    const form = `${key}.${new Intl.PluralRules(intl).select(vars.count)}`
+    id = form in en ? form : `${key}.other`
+  }
+  let text = messages[id]
+  if (text === undefined) {
+    reportMissing(locale, id)
+    text = en[id] ?? id
+  }
+  return text.replace(/\{(\w+)\}/g, (match, name) => vars[name] ?? match)
+}
+
+const intlCache = new Map()
+function intlFormat(Ctor, intl, options) {
+  const key = `${Ctor.name}|${intl}|${JSON.stringify(options)}`
+  if (!intlCache.has(key)) intlCache.set(key, new Ctor(intl, options))
+  return intlCache.get(key)
+}
+
+export function formatters(locale) {
+  const { intl } = LOCALES[locale] || LOCALES[DEFAULT_LOCALE]
+  const date = (options) => (value) => {
+    const d = value instanceof Date ? value : new Date(value)
+    return Number.isNaN(d.getTime()) ? '' : intlFormat(Intl.DateTimeFormat, intl, options).format(d)
+  }
+  return {
+    formatDate: (value, options = { dateStyle: 'medium' }) => date(options)(value),
+    formatTime: (value, options = { timeStyle: 'short' }) => date(options)(value),
+    formatDateTime: (value, options = { dateStyle: 'medium', timeStyle: 'short' }) => date(options)(value),
+    formatNumber: (value, options) => intlFormat(Intl.NumberFormat, intl, options).format(value),
+    // Whole rupee amounts drop the paise: ₹499, not ₹499.00.
+    formatCurrency: (amount, currency = 'INR') => intlFormat(Intl.NumberFormat, intl, {
+      style: 'currency', currency, maximumFractionDigits: Number.isInteger(Number(amount)) ? 0 : 2,
+    }).format(amount),
+  }
+}
+
+const I18nContext = createContext(null)
+
+export function I18nProvider({ children }) {
+  const [locale, setLocaleState] = useState(initialLocale)
+  const setLocale = useCallback((next) => {
+    const resolved = resolveLocale(next)
+    if (!resolved) return
+    localStorage.setItem(STORAGE_KEY, resolved)
+    setLocaleState(resolved)
+  }, [])
+
+  useEffect(() => { document.documentElement.lang = LOCALES[locale].intl }, [locale])
+
+  const value = useMemo(() => ({
+    locale, setLocale, t: (key, vars) => translate(locale, key, vars), ...formatters(locale),
+  }), [locale, setLocale])
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>
+}
+
+export const useI18n = () => useContext(I18nContext)
@@ -0,0 +1,74 @@
+import { SLOT_MINUTES } from './availability'
+import { isActive, normalizeStatus } from './sessions'
+import { sessionStart } from './time'
+import { downloadFile } from './download'
+
+const PRODID = '-//LifeOS x TANA//Sanctuary Sessions//EN'
+const REMINDER_MINUTES = 15
+
+// RFC 5545 §3.3.5 UTC form: 20250101T093000Z
+const icsDate = (d) => d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+
+// RFC 5545 §3.3.11 text escaping.
+const escapeText = (s) => String(s ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n')
+
+// RFC 5545 §3.1: lines longer than 75 octets continue on the next line after a single space.
+function fold(line) {
+  const bytes = new TextEncoder().encode(line)
+  if (bytes.length <= 75) return line
+  const out = []
+  let chunk = ''
+  let size = 0
+  for (const ch of line) {
+    const n = new TextEncoder().encode(ch).length
+    if (size + n > (out.length ? 74 : 75)) {
+      out.push(chunk)
+      chunk = ''
+      size = 0
+    }
+    chunk += ch
+    size += n
+  }
+  out.push(chunk)
+  return out.join('\r\n ')
+}
+
+const ICS_STATUS = { requested: 'TENTATIVE', confirmed: 'CONFIRMED', link_issued: 'CONFIRMED', completed: 'CONFIRMED', cancelled: 'CANCELLED', declined: 'CANCELLED', no_show: 'CANCELLED' }
+
+export function sessionEvent(session, now = new Date()) {
+  const start = sessionStart(session)
+  if (!start) return null
+  const end = new Date(start.getTime() + SLOT_MINUTES * 60000)
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:session-${session.id}@tana.lifeos`,
+    `DTSTAMP:${icsDate(now)}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(end)}`,
+    `SUMMARY:${escapeText(`TANA Sanctuary — ${session.topic}`)}`,
+    `STATUS:${ICS_STATUS[normalizeStatus(session)]}`,
+    `DESCRIPTION:${escapeText(session.spatial_url ? `Join on Spatial: ${session.spatial_url}` : 'Your Spatial link will appear in TANA near the session time.')}`,
+  ]
+  if (session.spatial_url) lines.push(`LOCATION:${escapeText(session.spatial_url)}`, `URL:${session.spatial_url}`)
+  lines.push(
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `TRIGGER:-PT${REMINDER_MINUTES}M`,
+    `DESCRIPTION:${escapeText(`${session.topic} starts in ${REMINDER_MINUTES} minutes`)}`,
+    'END:VALARM',
+    'END:VEVENT',
+  )
+  return lines
+}
+
+export function buildCalendar(sessions, now = new Date()) {
+  const events = sessions.map(s => sessionEvent(s, now)).filter(Boolean)
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH', 'X-WR-CALNAME:TANA Sanctuary', ...events.flat(), 'END:VCALENDAR']
+  return lines.map(fold).join('\r\n') + '\r\n'
+}
+
+export function upcomingSessions(sessions, now = new Date()) {
+  return sessions.filter(s => isActive(s) && sessionStart(s) > now)
+}
+
+export const downloadCalendar = (filename, sessions) => downloadFile(filename, buildCalendar(sessions), 'text/calendar;charset=utf-8')
@@ -0,0 +1,40 @@
+// Tiny promise wrapper over IndexedDB. Falls back to memory where IndexedDB is unavailable
+// (private mode in some browsers), so callers never need to branch.
+const DB_NAME = 'tana'
+const DB_VERSION = 1
+export const STORES = ['cache', 'outbox']
+
+let dbPromise = null
+const memory = Object.fromEntries(STORES.map(s => [s, new Map()]))
+
+function open() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null)
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION)
+      req.onupgradeneeded = () => {
+        for (const s of STORES) if (!req.result.objectStoreNames.contains(s)) req.result.createObjectStore(s)
+      }
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => resolve(null)
+    })
+  }
+  return dbPromise
+}
+
+async function run(store, mode, fn) {
+  const db = await open()
+  if (!db) return fn(null, memory[store])
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode)
+    const req = fn(tx.objectStore(store))
+    tx.oncomplete = () => resolve(req?.result)
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+export const idbGet = (store, key) => run(store, 'readonly', (os, mem) => os ? os.get(key) : mem.get(key))
+export const idbPut = (store, key, value) => run(store, 'readwrite', (os, mem) => os ? os.put(value, key) : void mem.set(key, value))
+export const idbDelete = (store, key) => run(store, 'readwrite', (os, mem) => os ? os.delete(key) : void mem.delete(key))
+export const idbClear = (store) => run(store, 'readwrite', (os, mem) => os ? os.clear() : void mem.clear())
+export const idbValues = (store) => run(store, 'readonly', (os, mem) => os ? os.getAll() : [...mem.values()])
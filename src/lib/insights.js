@@ -0,0 +1,197 @@
+import { sessionPillar } from './analytics'
+import { EMOTION_TAGS, normalizeMood } from './mood'
+import { PILLARS } from './reflections'
+import { normalizeStatus } from './sessions'
+import { addDays, sessionStart, startOfWeek, ymd } from './time'
+import { isSealed } from './vault'
+
+// Journal insights computed entirely on this device: nothing here calls the network, and
+// every function takes `now` so the same journal always yields the same result.
+
+const STOPWORDS = new Set(`
+a about above after again against all also am an and any are as at be because been before being below between both but by
+can could did do does doing done down during each even ever every few for from further get got had has have having he her
+here hers herself him himself his how i if in into is it its itself just like lot make made me more most much my myself
+need no nor not now of off on once only or other our ours ourselves out over own really same she should so some still such
+than that the their theirs them themselves then there these they thing things this those through to today too under until
+up very was way we well were what when where which while who whom why will with would yet you your yours yourself
+feel feeling felt going know want wanted think thought time day week bit little
+`.trim().split(/\s+/))
+
+const NEGATIONS = new Set(['not', 'no', 'never', "don't", "didn't", "isn't", "wasn't", "can't", 'cannot', 'hardly'])
+
+// Extra sentiment words beyond the emotion tags' vocabulary, which already covers most moods.
+const LEXICON = {
+  better: 1, calmer: 1, proud: 1, progress: 1, win: 1, won: 1, saved: 1, love: 1, enjoyed: 1, easier: 1, relief: 1, relieved: 1, confident: 1, clarity: 1,
+  worse: -1, fear: -1, debt: -1, struggle: -1, struggling: -1, stuck: -1, hard: -1, fail: -1, failed: -1, guilt: -1, guilty: -1, panic: -1, regret: -1, pain: -1,
+}
+const VALENCE = { ...LEXICON }
+for (const { valence, words } of Object.values(EMOTION_TAGS)) for (const w of words) if (!w.includes(' ')) VALENCE[w] = valence
+
+// A keyword has to turn up in at least this many entries of a pillar to count as recurring.
+const MIN_ENTRIES = 2
+// Change in average sentiment (on a -1…1 scale) between consecutive weeks that counts as a shift.
+const SHIFT_THRESHOLD = 0.4
+const DAY = 86400000
+
+// Templated entries are read by their answers only; the question wording would otherwise pass for a theme.
+const bodyOf = (r) => r.answers?.length ? r.answers.map(a => a.answer).join('\n') : r.entry_text
+
+const open = (reflections) => reflections.filter(r => !isSealed(r) && PILLARS.includes(r.pillar))
+
+// Lower-cased words of any script, with markdown and punctuation stripped. Apostrophes stay so negations survive.
+export function words(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{M}][\p{L}\p{M}']*/gu) || []
+}
+
+// Plurals fold onto the singular so "savings" and "saving" recur together ("anxious", "stress" and "crisis" stay whole).
+function stem(word) {
+  if (word.length > 5 && word.endsWith('ies')) return `${word.slice(0, -3)}y`
+  if (word.length > 4 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1)
+  return word
+}
+
+// Each word with whether a negation governs it: one of the two words before it, within the same
+// clause, so "not anxious, calm" is calm. "Not anxious" says nothing about being anxious.
+function scopedWords(text) {
+  return String(text || '').split(/[.,;:!?\n]+/).flatMap(clause => {
+    const list = words(clause)
+    return list.map((word, i) => ({ word, negated: NEGATIONS.has(list[i - 1]) || NEGATIONS.has(list[i - 2]) }))
+  })
+}
+
+const affirmed = (text) => scopedWords(text).filter(w => !w.negated).map(w => w.word)
+
+export function keywords(text) {
+  return affirmed(text).filter(w => w.length > 2 && !STOPWORDS.has(w) && !NEGATIONS.has(w) && !w.includes("'")).map(stem)
+}
+
+// Recurring keywords per pillar, ranked by how many entries mention them and how specific they are to the pillar.
+export function pillarThemes(reflections, { limit = 6 } = {}) {
+  const perPillar = Object.fromEntries(PILLARS.map(p => [p, new Map()]))
+  const overall = new Map()
+  for (const r of open(reflections)) {
+    for (const k of new Set(keywords(bodyOf(r)))) {
+      perPillar[r.pillar].set(k, (perPillar[r.pillar].get(k) || 0) + 1)
+      overall.set(k, (overall.get(k) || 0) + 1)
+    }
+  }
+  return Object.fromEntries(PILLARS.map(p => {
+    const ranked = [...perPillar[p]]
+      .filter(([, count]) => count >= MIN_ENTRIES)
+      .map(([word, count]) => ({ word, count, score: count * (count / overall.get(word)) }))
+      .sort((a, b) => b.score - a.score || b.count - a.count || a.word.localeCompare(b.word))
+      .slice(0, limit)
+      .map(({ word, count }) => ({ word, count }))
+    return [p, ranked]
+  }))
+}
+
+// -1 (heavy) … +1 (light) from the entry's words, with "not calm" counting against. Null when no word carries feeling.
+export function textSentiment(text) {
+  let total = 0
+  let hits = 0
+  for (const { word, negated } of scopedWords(text)) {
+    const v = VALENCE[word] ?? VALENCE[stem(word)]
+    if (v === undefined || v === 0) continue
+    total += negated ? -v : v
+    hits++
+  }
+  return hits ? total / hits : null
+}
+
+// Blends the rated mood (when there is one) with what the text says; the rating carries more weight.
+export function entrySentiment(r) {
+  const { score } = normalizeMood(r)
+  const mood = score === null ? null : (score - 3) / 2
+  const text = textSentiment(bodyOf(r))
+  if (mood === null) return text
+  if (text === null) return mood
+  return Math.round((mood * 2 + text) / 3 * 100) / 100
+}
+
+// Most frequent emotion tag, from the picker or inferred from the text; earliest tag in EMOTION_TAGS order wins ties.
+function dominantTag(entries) {
+  const counts = {}
+  for (const r of entries) {
+    const tags = normalizeMood(r).tags
+    const said = affirmed(bodyOf(r))
+    const found = tags.length ? tags : Object.keys(EMOTION_TAGS).filter(t => EMOTION_TAGS[t].words.some(w => said.includes(w)))
+    for (const t of found) counts[t] = (counts[t] || 0) + 1
+  }
+  return Object.keys(EMOTION_TAGS).filter(t => counts[t]).sort((a, b) => counts[b] - counts[a])[0] || null
+}
+
+const average = (values) => {
+  const known = values.filter(v => v !== null)
+  return known.length ? known.reduce((s, v) => s + v, 0) / known.length : null
+}
+
+const byDate = (a, b) => new Date(a.created_at) - new Date(b.created_at)
+
+// Week-over-week swings in average sentiment per pillar, newest first.
+export function sentimentShifts(reflections, { since = null } = {}) {
+  const weeks = {}
+  for (const r of open(reflections)) {
+    if (!r.created_at) continue
+    const week = ymd(startOfWeek(new Date(r.created_at)))
+    if (since && week < since) continue
+    ;((weeks[r.pillar] ||= {})[week] ||= []).push(entrySentiment(r))
+  }
+  const shifts = []
+  for (const [pillar, buckets] of Object.entries(weeks)) {
+    const series = Object.keys(buckets).sort().map(week => ({ week, value: average(buckets[week]) })).filter(b => b.value !== null)
+    for (let i = 1; i < series.length; i++) {
+      const delta = series[i].value - series[i - 1].value
+      if (Math.abs(delta) < SHIFT_THRESHOLD) continue
+      shifts.push({ pillar, from: series[i - 1].week, to: series[i].week, direction: delta > 0 ? 'up' : 'down', delta: Math.round(delta * 100) / 100 })
+    }
+  }
+  return shifts.sort((a, b) => b.to.localeCompare(a.to) || PILLARS.indexOf(a.pillar) - PILLARS.indexOf(b.pillar))
+}
+
+// This week's (Monday onwards) reflections per pillar: how many, the prevailing emotion and which way it moved.
+export function weeklyDigest(reflections, now = new Date()) {
+  const start = startOfWeek(now)
+  const end = addDays(start, 7)
+  const inWeek = reflections.filter(r => r.created_at && new Date(r.created_at) >= start && new Date(r.created_at) < end)
+  const week = open(inWeek).sort(byDate)
+  const pillars = PILLARS.map(pillar => {
+    const entries = week.filter(r => r.pillar === pillar)
+    if (!entries.length) return null
+    const half = Math.ceil(entries.length / 2)
+    const first = average(entries.slice(0, half).map(entrySentiment))
+    const last = average(entries.slice(half).map(entrySentiment))
+    let trend = null
+    if (first !== null && last !== null) trend = last - first >= 0.25 ? 'lighter' : first - last >= 0.25 ? 'heavier' : 'steady'
+    return { pillar, count: entries.length, mood: dominantTag(entries), trend }
+  }).filter(Boolean)
+  return { weekStart: ymd(start), total: week.length, sealed: inWeek.filter(isSealed).length, pillars }
+}
+
+// Which pillar to book a session for next: low balance, a heavy recent mood and no recent session each add weight.
+export function suggestPillar({ reflections, sessions = [], percentages = {}, now = new Date() }) {
+  const recent = open(reflections).filter(r => r.created_at && now - new Date(r.created_at) <= 14 * DAY)
+  const ranked = PILLARS.map(pillar => {
+    const reasons = []
+    let score = 0
+    const share = percentages?.[pillar.toLowerCase()] ?? 0
+    score += (100 - share) / 100
+    if (share < 100 / PILLARS.length) reasons.push('lowBalance')
+    const mood = average(recent.filter(r => r.pillar === pillar).map(entrySentiment))
+    if (mood !== null && mood < 0) {
+      score -= mood
+      reasons.push('heavyMood')
+    }
+    const booked = sessions.some(s => {
+      const start = sessionStart(s)
+      return sessionPillar(s) === pillar && ['requested', 'confirmed', 'link_issued', 'completed'].includes(normalizeStatus(s)) && start && now - start <= 30 * DAY
+    })
+    if (!booked) {
+      score += 0.5
+      reasons.push('noRecentSession')
+    }
+    return { pillar, score, reasons }
+  })
+  return ranked.sort((a, b) => b.score - a.score)[0]
+}
@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest'
+import { JOURNAL, NOW, SESSIONS } from './__fixtures__/journals'
+import { pillarThemes, sentimentShifts, suggestPillar, textSentiment, weeklyDigest } from './insights'
+
+const themeWords = (themes, pillar) => themes[pillar].map(t => t.word)
+
+describe('pillarThemes', () => {
+  it('ranks keywords recurring within a pillar', () => {
+    const themes = pillarThemes(JOURNAL)
+    expect(themes.Money).toEqual([{ word: 'budget', count: 3 }, { word: 'debt', count: 3 }])
+    expect(themeWords(themes, 'Mind')).toContain('meditation')
+  })
+
+  it('ignores negated words', () => {
+    expect(themeWords(pillarThemes(JOURNAL), 'Mind')).not.toContain('anxious')
+  })
+
+  it('skips sealed entries', () => {
+    const sealed = JOURNAL.map(r => ({ ...r, vault: { ct: 'x' } }))
+    expect(pillarThemes(sealed)).toEqual({ Mind: [], Money: [], Meaning: [] })
+  })
+})
+
+describe('textSentiment', () => {
+  it('scores feeling words', () => {
+    expect(textSentiment('calm and grateful')).toBe(1)
+    expect(textSentiment('exhausted')).toBe(-1)
+    expect(textSentiment('a table and a chair')).toBeNull()
+  })
+
+  it('flips negated words', () => {
+    expect(textSentiment('not calm')).toBe(-1)
+    expect(textSentiment("I wasn't anxious")).toBe(1)
+    expect(textSentiment('never stressed, always grateful')).toBe(1)
+  })
+})
+
+describe('sentimentShifts', () => {
+  it('reports week-over-week swings per pillar, newest first', () => {
+    expect(sentimentShifts(JOURNAL)).toEqual([
+      { pillar: 'Mind', from: '2026-10-12', to: '2026-10-19', direction: 'down', delta: -0.5 },
+      { pillar: 'Money', from: '2026-10-05', to: '2026-10-12', direction: 'up', delta: 1.51 },
+    ])
+  })
+
+  it('starts from `since`', () => {
+    expect(sentimentShifts(JOURNAL, { since: '2026-10-12' }).map(s => s.pillar)).toEqual(['Mind'])
+  })
+})
+
+describe('weeklyDigest', () => {
+  it('summarises the current week per pillar', () => {
+    expect(weeklyDigest(JOURNAL, NOW)).toEqual({
+      weekStart: '2026-10-19',
+      total: 4,
+      sealed: 1,
+      pillars: [
+        { pillar: 'Mind', count: 3, mood: 'calm', trend: 'lighter' },
+        { pillar: 'Meaning', count: 1, mood: 'grateful', trend: null },
+      ],
+    })
+  })
+
+  it('does not take "not anxious" for the dominant mood', () => {
+    const mind = weeklyDigest(JOURNAL, NOW).pillars.find(p => p.pillar === 'Mind')
+    expect(mind.mood).not.toBe('anxious')
+  })
+
+  it('is empty for a week without entries', () => {
+    expect(weeklyDigest(JOURNAL, new Date(2026, 10, 20))).toEqual({ weekStart: '2026-11-16', total: 0, sealed: 0, pillars: [] })
+  })
+})
+
+describe('suggestPillar', () => {
+  it('prefers the low-balance pillar without a recent session', () => {
+    const pick = suggestPillar({ reflections: JOURNAL, sessions: SESSIONS, percentages: { mind: 50, money: 40, meaning: 10 }, now: NOW })
+    expect(pick.pillar).toBe('Meaning')
+    expect(pick.reasons).toEqual(['lowBalance', 'noRecentSession'])
+  })
+
+  it('weighs a heavy recent mood', () => {
+    const heavy = [{ id: 1, pillar: 'Money', entry_text: 'Panic about debt.', mood_score: 1, created_at: new Date(2026, 9, 20).toISOString() }]
+    const pick = suggestPillar({ reflections: heavy, sessions: [], percentages: { mind: 34, money: 33, meaning: 33 }, now: NOW })
+    expect(pick).toMatchObject({ pillar: 'Money', reasons: ['lowBalance', 'heavyMood', 'noRecentSession'] })
+  })
+})
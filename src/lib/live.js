@@ -0,0 +1,96 @@
+import { useEffect, useRef, useState } from 'react'
+
+// Server-sent events from GET /events. Named events:
+//   session    — a session object that changed (status, time, spatial_url); `{ id, deleted: true }` when removed
+//   dashboard  — the full /dashboard payload after counters changed
+//   entitlements — the full /entitlements payload after a plan change
+// EventSource can't send headers, so the token rides in the query string.
+const EVENT_TYPES = ['session', 'dashboard', 'entitlements']
+const BACKOFF_BASE_MS = 1000
+const BACKOFF_MAX_MS = 30000
+const POLL_MS = 30000
+
+const backoff = (attempt) => Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt) * (0.5 + Math.random() / 2)
+
+// Keeps `handlers` fed from the event stream, reconnecting with jittered exponential backoff.
+// While the stream is down (or the backend has none) `poll()` runs every 30s instead, only in visible tabs.
+// Returns 'connecting' | 'live' | 'polling'.
+export function useLiveUpdates({ baseUrl, token, handlers, poll }) {
+  const [status, setStatus] = useState('connecting')
+  const latest = useRef({ handlers, poll })
+  latest.current = { handlers, poll }
+
+  useEffect(() => {
+    if (!token) return
+    let source = null
+    let retryTimer = null
+    let pollTimer = null
+    let attempt = 0
+    let closed = false
+
+    const startPolling = () => {
+      setStatus('polling')
+      if (pollTimer) return
+      pollTimer = setInterval(() => {
+        if (document.visibilityState === 'visible' && navigator.onLine !== false) latest.current.poll()
+      }, POLL_MS)
+    }
+    const stopPolling = () => {
+      clearInterval(pollTimer)
+      pollTimer = null
+    }
+
+    const connect = () => {
+      if (closed) return
+      if (typeof EventSource === 'undefined') return startPolling()
+      source = new EventSource(`${baseUrl}/events?${new URLSearchParams({ access_token: token })}`)
+      source.onopen = () => {
+        attempt = 0
+        stopPolling()
+        setStatus('live')
+      }
+      for (const type of EVENT_TYPES) {
+        source.addEventListener(type, (e) => {
+          try {
+            latest.current.handlers[type]?.(JSON.parse(e.data))
+          } catch { /* a malformed event shouldn't take the stream down */ }
+        })
+      }
+      // EventSource retries some failures itself but gives up on HTTP errors; handle both the same way.
+      source.onerror = () => {
+        source.close()
+        startPolling()
+        retryTimer = setTimeout(connect, backoff(attempt++))
+      }
+    }
+
+    // Coming back online is worth an immediate attempt and a catch-up poll.
+    const onOnline = () => {
+      clearTimeout(retryTimer)
+      source?.close()
+      attempt = 0
+      latest.current.poll()
+      connect()
+    }
+
+    connect()
+    window.addEventListener('online', onOnline)
+    return () => {
+      closed = true
+      source?.close()
+      clearTimeout(retryTimer)
+      stopPolling()
+      window.removeEventListener('online', onOnline)
+    }
+  }, [baseUrl, token])
+
+  return status
+}
+
+// Applies a `session` event to a list: replaces by id, appends new ones, drops deleted ones.
+export function applySessionEvent(sessions, event) {
+  if (event.deleted) return sessions.filter(s => s.id !== event.id)
+  return sessions.some(s => s.id === event.id)
+    ? sessions.map(s => s.id === event.id ? { ...s, ...event } : s)
+    : [event, ...sessions]
+}
@@ -0,0 +1,54 @@
+// A deliberately small markdown dialect for journal entries: headings, bold, italics, lists,
+// quotes and paragraphs. It produces plain data that components turn into React elements,
+// so entry text is never injected as HTML.
+
+// Inline spans: **bold**, *italic* / _italic_. Anything else is literal text.
+export function parseInline(text) {
+  const out = []
+  const re = /\*\*(.+?)\*\*|\*(.+?)\*|_(.+?)_/g
+  let last = 0
+  let m
+  while ((m = re.exec(text))) {
+    if (m.index > last) out.push({ type: 'text', text: text.slice(last, m.index) })
+    if (m[1] !== undefined) out.push({ type: 'strong', children: parseInline(m[1]) })
+    else out.push({ type: 'em', children: parseInline(m[2] ?? m[3]) })
+    last = re.lastIndex
+  }
+  if (last < text.length) out.push({ type: 'text', text: text.slice(last) })
+  return out
+}
+
+export function parseBlocks(src) {
+  const lines = String(src || '').replace(/\r\n?/g, '\n').split('\n')
+  const blocks = []
+  let i = 0
+  while (i < lines.length) {
+    const line = lines[i]
+    if (!line.trim()) { i++; continue }
+    const heading = /^(#{1,3})\s+([\s\S]*)$/.exec(line)
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) })
+      i++
+      continue
+    }
+    if (/^>\s?/.test(line)) {
+      const quoted = []
+      while (i < lines.length && /^>\s?/.test(lines[i])) quoted.push(lines[i++].replace(/^>\s?/, ''))
+      blocks.push({ type: 'quote', children: parseBlocks(quoted.join('\n')) })
+      continue
+    }
+    const listItem = /^\s*([-*]|\d+[.)])\s+/
+    if (listItem.test(line)) {
+      const ordered = /\d/.test(listItem.exec(line)[1])
+      const items = []
+      while (i < lines.length && listItem.test(lines[i])) items.push(parseInline(lines[i++].replace(listItem, '')))
+      blocks.push({ type: 'list', ordered, items })
+      continue
+    }
+    // The first line always goes in, so a line no branch above claims can't stall the loop.
+    const para = [lines[i++]]
+    while (i < lines.length && lines[i].trim() && !/^(#{1,3}\s|>|\s*([-*]|\d+[.)])\s)/.test(lines[i])) para.push(lines[i++])
+    blocks.push({ type: 'paragraph', lines: para.map(parseInline) })
+  }
+  return blocks
+}
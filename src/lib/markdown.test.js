@@ -0,0 +1,13 @@
+import { describe, expect, it } from 'vitest'
+import { parseBlocks } from './markdown'
+
+describe('parseBlocks', () => {
+  it('reads a heading whose text contains a line separator', () => {
+    expect(parseBlocks('# a\u2028b')).toEqual([{ type: 'heading', level: 1, children: [{ type: 'text', text: 'a\u2028b' }] }])
+  })
+
+  it('keeps a paragraph line that looks like the start of another block', () => {
+    expect(parseBlocks('####### seven\ntext').map(b => b.type)).toEqual(['paragraph'])
+    expect(parseBlocks('one\n## two').map(b => b.type)).toEqual(['paragraph', 'heading'])
+  })
+})
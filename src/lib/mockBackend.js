@@ -0,0 +1,424 @@
+import { activityEvents } from './analytics'
+import { mockEntitlements, resetMockPayments } from './payments'
+import { matchesFilters, PAGE_SIZE, PILLARS } from './reflections'
+import { normalizeStatus } from './sessions'
+import { addDays, hm, userTimeZone, ymd } from './time'
+
+// In-browser stand-in for the backend: /auth/*, /me, /profile, /dashboard, /sessions and /reflections,
+// answered from a JSON "database" in localStorage (or memory, for scripts and tests). Everything else is a 404,
+// so screens take the same fallbacks they take against an older backend. Switched on by
+// VITE_MOCK_BACKEND or from the /test page; see installMockBackend.
+
+const DB_KEY = 'tana_mock_db'
+const CONFIG_KEY = 'tana_mock_config'
+const TOKEN_TTL_S = 3600
+// A requested session is "confirmed by the host", with a link, this long after it was requested.
+const CONFIRM_AFTER_MS = 60000
+const SESSION_MINUTES = 60
+
+// Sessions every account gets before the paywall; mock payment grants add to it.
+export const FREE_SESSIONS = 2
+// Every seed scenario signs in with these.
+export const DEMO_ACCOUNT = { email: 'demo@tana.test', password: 'Demo-pass-123' }
+
+const readJson = (key, fallback) => {
+  try { return JSON.parse(localStorage.getItem(key)) ?? fallback } catch { return fallback }
+}
+
+export const localStore = (key = DB_KEY) => ({
+  load: () => readJson(key, null),
+  save: (db) => localStorage.setItem(key, JSON.stringify(db)),
+})
+
+export function memoryStore(initial = null) {
+  let saved = initial && JSON.stringify(initial)
+  return { load: () => saved && JSON.parse(saved), save: (db) => { saved = JSON.stringify(db) } }
+}
+
+// `latency` ms plus up to `jitter` more on every response. `errorRate` (0–1) fails that share of
+// requests with a 503. `failures` pins a failure to an endpoint: keys are "METHOD /path" or just
+// "/path" (any method), a trailing `*` matches a prefix; values are an HTTP status, 'network'
+// (fetch rejects) or 'timeout' (no answer until the client gives up).
+export const DEFAULT_CONFIG = { latency: 150, jitter: 250, errorRate: 0, failures: {} }
+
+export const readMockConfig = () => ({ ...DEFAULT_CONFIG, ...readJson(CONFIG_KEY, {}) })
+export const writeMockConfig = (changes) => localStorage.setItem(CONFIG_KEY, JSON.stringify({ ...readMockConfig(), ...changes }))
+
+function injectedFailure({ failures = {}, errorRate = 0 }, method, path) {
+  for (const [key, value] of Object.entries(failures)) {
+    const [m, p] = key.includes(' ') ? key.split(' ') : [null, key]
+    if (m && m.toUpperCase() !== method) continue
+    if (p.endsWith('*') ? path.startsWith(p.slice(0, -1)) : path === p) return value
+  }
+  return Math.random() < errorRate ? 503 : null
+}
+
+// --- Seed scenarios ------------------------------------------------------------------------
+
+const emptyDb = () => ({ users: [], tokens: {}, links: {}, sessions: [], reflections: [], next_id: 1 })
+const nextId = (db, prefix) => `${prefix}${db.next_id++}`
+
+function addUser(db, fields, now) {
+  const user = {
+    id: nextId(db, 'u'), name: '', age: null, purpose: 'Growth', locale: null, role: 'user',
+    email_verified: true, created_at: new Date(now).toISOString(), ...fields,
+  }
+  db.users.push(user)
+  return user
+}
+
+function addSession(db, user, { topic, start, status, requested }) {
+  const id = nextId(db, 's')
+  const spatial = ['confirmed', 'completed'].includes(status)
+  db.sessions.push({
+    id, user_id: user.id, topic, date: ymd(start), time: hm(start), starts_at: start.toISOString(),
+    timezone: userTimeZone(), status, spatial_url: spatial ? `https://www.spatial.io/s/tana-mock-${id}` : null,
+    created_at: requested.toISOString(), requested_at: requested.toISOString(),
+    status_history: [{ status: 'requested', at: requested.toISOString() }, ...(spatial ? [{ status: 'confirmed', at: requested.toISOString() }] : [])],
+  })
+}
+
+function addReflection(db, user, fields) {
+  db.reflections.push({ id: nextId(db, 'r'), user_id: user.id, mood: '', mood_score: null, mood_tags: [], ...fields, updated_at: fields.created_at })
+}
+
+const hoursAgo = (now, h) => new Date(now - h * 3600000)
+
+const JOURNAL_LINES = {
+  Mind: ['Slept badly and felt anxious most of the morning.', 'Ten minutes of breathing before work helped me stay calm.', 'Noticed how much scrolling drains me. Tried a walk instead.', 'A quiet evening, finally. My head feels clear.'],
+  Money: ['Tracked every expense this week. Less scary than I thought.', 'Said no to an impulse buy and felt proud of it.'],
+  Meaning: ['Called my grandmother. It reminded me what matters.'],
+}
+const MOODS = [['anxious', 2], ['calm', 4], ['tired', 2], ['grateful', 5], ['focused', 4], ['stressed', 2], ['hopeful', 4]]
+
+export const SCENARIOS = {
+  // A fresh account: no sessions, no reflections, the whole free allowance left.
+  newUser(db, now) {
+    addUser(db, { ...DEMO_ACCOUNT, name: 'Demo User' }, now)
+  },
+  // Has booked every free session, so the next booking comes back `limited` and opens the paywall.
+  atLimit(db, now) {
+    const user = addUser(db, { ...DEMO_ACCOUNT, name: 'Asha Limit', purpose: 'Direction', created_at: hoursAgo(now, 24 * 21).toISOString() }, now)
+    addSession(db, user, { topic: 'Mind — Clarity', start: hoursAgo(now, 24 * 9), status: 'completed', requested: hoursAgo(now, 24 * 14) })
+    addSession(db, user, { topic: 'Money — Discipline', start: hoursAgo(now, -48), status: 'confirmed', requested: hoursAgo(now, 24 * 2) })
+    addReflection(db, user, { pillar: 'Mind', entry_text: 'The session helped me name what keeps me stuck.', mood: 'hopeful', mood_score: 4, mood_tags: ['hopeful'], created_at: hoursAgo(now, 24 * 9 - 2).toISOString() })
+    addReflection(db, user, { pillar: 'Money', entry_text: 'Wrote down a monthly budget for the first time.', mood: 'focused', mood_score: 4, mood_tags: ['focused'], created_at: hoursAgo(now, 24 * 4).toISOString() })
+  },
+  // Three months of near-daily entries, mostly Mind, with Meaning neglected.
+  heavyJournaler(db, now) {
+    const user = addUser(db, { ...DEMO_ACCOUNT, name: 'Jai Journal', purpose: 'Healing', created_at: hoursAgo(now, 24 * 95).toISOString() }, now)
+    addSession(db, user, { topic: 'Mind — Clarity', start: hoursAgo(now, 24 * 30), status: 'completed', requested: hoursAgo(now, 24 * 35) })
+    let seed = 7
+    const rand = () => (seed = (seed * 16807) % 2147483647) / 2147483647
+    for (let day = 90; day >= 0; day--) {
+      if (rand() < 0.15) continue
+      const roll = rand()
+      const pillar = roll < 0.7 ? 'Mind' : roll < 0.95 ? 'Money' : 'Meaning'
+      const lines = JOURNAL_LINES[pillar]
+      const [tag, score] = MOODS[Math.floor(rand() * MOODS.length)]
+      const at = addDays(new Date(now), -day)
+      at.setHours(20 + Math.floor(rand() * 3), Math.floor(rand() * 60), 0, 0)
+      if (at > now) at.setTime(now - 60000)
+      addReflection(db, user, { pillar, entry_text: lines[Math.floor(rand() * lines.length)], mood: tag, mood_score: score, mood_tags: [tag], created_at: at.toISOString() })
+    }
+  },
+}
+
+// A fresh database for one of SCENARIOS. Ids start again from 1, so whoever stores it should also
+// clear mock payment grants (resetMockPayments) or the new accounts inherit the old ones' plans.
+export function seedScenario(name, now = Date.now()) {
+  if (!SCENARIOS[name]) throw new Error(`Unknown scenario "${name}"`)
+  const db = emptyDb()
+  SCENARIOS[name](db, now)
+  return db
+}
+
+// --- Request handling ----------------------------------------------------------------------
+
+const b64url = (obj) => btoa(JSON.stringify(obj)).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_')
+
+// Unsigned JWTs, so the client's expiry handling and silent refresh run as they do for real tokens.
+function issueToken(db, user, now) {
+  for (const [t, entry] of Object.entries(db.tokens)) if (entry.exp * 1000 <= now) delete db.tokens[t]
+  const exp = Math.floor(now / 1000) + TOKEN_TTL_S
+  const token = `${b64url({ alg: 'none', typ: 'JWT' })}.${b64url({ sub: user.id, exp, jti: db.next_id++ })}.mock`
+  db.tokens[token] = { user_id: user.id, exp }
+  return { token, token_type: 'bearer' }
+}
+
+// One-off token for a reset or verification link. There's no mail, so the link goes to the console.
+function issueLink(db, user, kind, path) {
+  const token = `${kind}-${user.id}-${Math.random().toString(36).slice(2, 10)}`
+  db.links[token] = { user_id: user.id, kind }
+  console.info(`[mock backend] ${kind} link for ${user.email}: ${globalThis.location?.origin || ''}${path}?token=${token}`)
+}
+
+const publicUser = ({ password, ...user }) => user
+const fail = (status, detail) => [status, { detail }]
+const invalid = (field, msg) => [422, { detail: [{ loc: ['body', field], msg, type: 'value_error' }] }]
+const ownedBy = (list, user) => list.filter(item => item.user_id === user.id)
+
+// Sessions that aren't cancelled or declined count against the allowance, as on the real backend.
+const usedSessions = (db, user) => ownedBy(db.sessions, user).filter(s => !['cancelled', 'declined'].includes(normalizeStatus(s))).length
+
+function sessionLimit(payments, user) {
+  const extra = payments.entitlements(user.id)?.extra_sessions
+  return extra === null ? null : FREE_SESSIONS + (extra || 0)
+}
+
+// What the host and the clock would have done since the last request.
+function advanceSessions(db, now) {
+  for (const s of db.sessions) {
+    const status = normalizeStatus(s)
+    if (status === 'requested' && now - Date.parse(s.requested_at || s.created_at) >= CONFIRM_AFTER_MS) {
+      Object.assign(s, { status: 'confirmed', spatial_url: `https://www.spatial.io/s/tana-mock-${s.id}` })
+      s.status_history = [...(s.status_history || []), { status: 'confirmed', at: new Date(now).toISOString() }]
+    } else if (status === 'link_issued' && Date.parse(s.starts_at) + SESSION_MINUTES * 60000 <= now) {
+      s.status = 'completed'
+      s.status_history = [...(s.status_history || []), { status: 'completed', at: new Date(now).toISOString() }]
+    }
+  }
+}
+
+// Share of weighted pillar activity, the same weighting the client uses to rebuild the balance.
+function percentages(db, user) {
+  const totals = { mind: 0, money: 0, meaning: 0 }
+  for (const e of activityEvents(ownedBy(db.sessions, user), ownedBy(db.reflections, user))) totals[e.pillar.toLowerCase()] += e.weight
+  const sum = totals.mind + totals.money + totals.meaning
+  return Object.fromEntries(Object.entries(totals).map(([k, v]) => [k, sum ? Math.round((v / sum) * 100) : 0]))
+}
+
+const validEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email || ''))
+const PROFILE_FIELDS = ['name', 'age', 'purpose', 'locale']
+const SESSION_FIELDS = ['topic', 'date', 'time', 'starts_at', 'timezone', 'reason']
+const REFLECTION_READONLY = ['id', 'user_id', 'created_at', 'updated_at']
+
+// Where paid plans come from: mock payment grants in the browser; scripts and tests pass their own.
+export const browserPayments = { entitlements: mockEntitlements, reset: resetMockPayments }
+export const noPayments = { entitlements: () => null, reset: () => {} }
+
+const pick = (obj, fields) => Object.fromEntries(fields.filter(f => obj?.[f] !== undefined).map(f => [f, obj[f]]))
+const omit = (obj, fields) => Object.fromEntries(Object.entries(obj || {}).filter(([k]) => !fields.includes(k)))
+
+// [method, path pattern, handler, needs auth]. Handlers get { db, user, body, query, params, now, payments }
+// and return [status, body]; they may mutate `db`, which is saved after every request.
+const ROUTES = [
+  ['GET', '/', () => [200, { message: 'TANA mock backend' }], false],
+  ['GET', '/test', ({ db }) => [200, { backend: 'mock (in-browser)', database: 'localStorage', database_url: `localStorage:${DB_KEY}`, database_name: DB_KEY, connection_status: 'connected', collections: ['users', 'sessions', 'reflections'], counts: { users: db.users.length } }], false],
+
+  ['POST', '/auth/signup', ({ db, body, now }) => {
+    if (!validEmail(body?.email)) return invalid('email', 'Enter a valid email address')
+    if (String(body.password || '').length < 8) return invalid('password', 'Password must be at least 8 characters')
+    if (db.users.some(u => u.email.toLowerCase() === body.email.toLowerCase())) return fail(409, 'An account with this email already exists')
+    const user = addUser(db, { ...pick(body, PROFILE_FIELDS), email: body.email, password: body.password, email_verified: false }, now)
+    issueLink(db, user, 'verify', '/verify-email')
+    return [201, issueToken(db, user, now)]
+  }, false],
+  ['POST', '/auth/login', ({ db, body, now }) => {
+    const user = db.users.find(u => u.email.toLowerCase() === String(body?.email || '').toLowerCase())
+    if (!user || user.password !== body.password) return fail(401, 'Incorrect email or password')
+    return [200, issueToken(db, user, now)]
+  }, false],
+  ['POST', '/auth/refresh', ({ db, user, token, now }) => {
+    delete db.tokens[token]
+    return [200, issueToken(db, user, now)]
+  }],
+  ['POST', '/auth/password/forgot', ({ db, body }) => {
+    const user = db.users.find(u => u.email.toLowerCase() === String(body?.email || '').toLowerCase())
+    if (user) issueLink(db, user, 'reset', '/reset-password')
+    return [200, { ok: true }]
+  }, false],
+  ['POST', '/auth/password/reset', ({ db, body }) => {
+    const link = db.links[body?.token]
+    if (link?.kind !== 'reset') return fail(400, 'This reset link is invalid or has expired')
+    if (String(body.password || '').length < 8) return invalid('password', 'Password must be at least 8 characters')
+    delete db.links[body.token]
+    db.users.find(u => u.id === link.user_id).password = body.password
+    for (const [t, entry] of Object.entries(db.tokens)) if (entry.user_id === link.user_id) delete db.tokens[t]
+    return [200, { ok: true }]
+  }, false],
+  ['POST', '/auth/verify', ({ db, body }) => {
+    const link = db.links[body?.token]
+    if (link?.kind !== 'verify') return fail(400, 'This verification link is invalid or has expired')
+    delete db.links[body.token]
+    db.users.find(u => u.id === link.user_id).email_verified = true
+    return [200, { ok: true }]
+  }, false],
+  ['POST', '/auth/verify/resend', ({ db, user }) => {
+    if (!user.email_verified) issueLink(db, user, 'verify', '/verify-email')
+    return [200, { ok: true }]
+  }],
+  ['DELETE', '/auth/account', ({ db, user, body }) => {
+    if (body?.password !== user.password) return fail(401, 'Incorrect password')
+    db.users = db.users.filter(u => u.id !== user.id)
+    db.sessions = db.sessions.filter(s => s.user_id !== user.id)
+    db.reflections = db.reflections.filter(r => r.user_id !== user.id)
+    for (const [t, entry] of Object.entries(db.tokens)) if (entry.user_id === user.id) delete db.tokens[t]
+    return [200, { ok: true }]
+  }],
+
+  ['GET', '/me', ({ user }) => [200, publicUser(user)]],
+  ['POST', '/profile', ({ user, body }) => {
+    if (body?.age !== undefined && body.age !== null && !(Number(body.age) > 0)) return invalid('age', 'Age must be a positive number')
+    Object.assign(user, pick(body, PROFILE_FIELDS))
+    return [200, publicUser(user)]
+  }],
+  ['GET', '/dashboard', ({ db, user }) => [200, {
+    name: user.name || user.email.split('@')[0],
+    tana: { percentages: percentages(db, user) },
+    sessions: { used: usedSessions(db, user), total: FREE_SESSIONS },
+  }]],
+
+  ['GET', '/sessions', ({ db, user }) => [200, { items: ownedBy(db.sessions, user).sort((a, b) => String(a.starts_at).localeCompare(String(b.starts_at))) }]],
+  ['POST', '/sessions', ({ db, user, body, now, payments }) => {
+    if (!String(body?.topic || '').trim()) return invalid('topic', 'Pick a topic')
+    if (!body.starts_at && !(body.date && body.time)) return invalid('starts_at', 'Pick a time slot')
+    const limit = sessionLimit(payments, user)
+    if (limit !== null && usedSessions(db, user) >= limit) return [200, { limited: true, detail: 'Session limit reached for your plan' }]
+    const start = new Date(body.starts_at || `${body.date}T${body.time}`)
+    addSession(db, user, { topic: body.topic, start, status: 'requested', requested: new Date(now) })
+    return [201, { ...db.sessions.at(-1), limited: false }]
+  }],
+  ['PATCH', '/sessions/:id', ({ db, user, body, params, now }) => {
+    const session = ownedBy(db.sessions, user).find(s => s.id === params.id)
+    if (!session) return fail(404, 'Session not found')
+    if (['completed', 'cancelled', 'declined', 'no_show'].includes(normalizeStatus(session))) return fail(409, 'This session can no longer be changed')
+    const at = new Date(now).toISOString()
+    if (body?.status === 'cancelled') {
+      Object.assign(session, { status: 'cancelled', reason: body.reason || '' })
+      session.status_history.push({ status: 'cancelled', at })
+    } else if (body?.starts_at || body?.date || body?.time) {
+      // A new slot goes back to the host for confirmation.
+      Object.assign(session, pick(body, SESSION_FIELDS), { status: 'requested', spatial_url: null, requested_at: at })
+      if (body.starts_at) Object.assign(session, { date: ymd(new Date(body.starts_at)), time: hm(new Date(body.starts_at)) })
+      session.status_history.push({ status: 'requested', at })
+    } else {
+      Object.assign(session, pick(body, ['topic', 'reason']))
+    }
+    return [200, session]
+  }],
+
+  ['GET', '/reflections', ({ db, user, query }) => {
+    const all = ownedBy(db.reflections, user).filter(r => matchesFilters(r, query)).sort((a, b) => b.created_at.localeCompare(a.created_at))
+    const start = Number(query.cursor) || 0
+    const limit = Number(query.limit) || PAGE_SIZE
+    const end = start + limit
+    return [200, { items: all.slice(start, end), next_cursor: end < all.length ? String(end) : null }]
+  }],
+  ['POST', '/reflections', ({ db, user, body, now }) => {
+    if (!PILLARS.includes(body?.pillar)) return invalid('pillar', `Pillar must be one of ${PILLARS.join(', ')}`)
+    if (!String(body.entry_text || '').trim()) return invalid('entry_text', 'Write something first')
+    // Imported entries keep the date they were first written.
+    addReflection(db, user, { ...omit(body, REFLECTION_READONLY), created_at: body.original_created_at || new Date(now).toISOString() })
+    return [201, db.reflections.at(-1)]
+  }],
+  ['PATCH', '/reflections/:id', ({ db, user, body, params, now }) => {
+    const reflection = ownedBy(db.reflections, user).find(r => r.id === params.id)
+    if (!reflection) return fail(404, 'Reflection not found')
+    if (body?.pillar !== undefined && !PILLARS.includes(body.pillar)) return invalid('pillar', `Pillar must be one of ${PILLARS.join(', ')}`)
+    Object.assign(reflection, omit(body, REFLECTION_READONLY), { updated_at: new Date(now).toISOString() })
+    return [200, reflection]
+  }],
+  ['DELETE', '/reflections/:id', ({ db, user, params }) => {
+    if (!ownedBy(db.reflections, user).some(r => r.id === params.id)) return fail(404, 'Reflection not found')
+    db.reflections = db.reflections.filter(r => r.id !== params.id)
+    return [200, { ok: true }]
+  }],
+]
+
+function matchRoute(method, path) {
+  const parts = path.split('/')
+  for (const [m, pattern, handler, auth = true] of ROUTES) {
+    const want = pattern.split('/')
+    if (m !== method || want.length !== parts.length) continue
+    const params = {}
+    if (want.every((w, i) => w.startsWith(':') ? (params[w.slice(1)] = decodeURIComponent(parts[i])) : w === parts[i])) return { handler, auth, params }
+  }
+  return null
+}
+
+// Never resolves unless `signal` aborts, like a server that stopped answering.
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => { clearTimeout(timer); reject(new DOMException('The operation was aborted.', 'AbortError')) }
+    if (signal?.aborted) return abort()
+    const timer = ms === Infinity ? null : setTimeout(resolve, ms)
+    signal?.addEventListener('abort', abort, { once: true })
+  })
+}
+
+const respond = (status, body) => new Response(JSON.stringify(body ?? null), { status, headers: { 'Content-Type': 'application/json' } })
+
+// `handle` answers one request synchronously, for scripts and tests; `fetch` wraps it with the
+// configured latency and failures and returns a Response. `now` is injectable for deterministic runs.
+// Outside a browser pass a `store` (memoryStore), `payments` (noPayments or a stub) and `getConfig`.
+export function createMockServer({ store = localStore(), payments = browserPayments, getConfig = readMockConfig, now = () => Date.now() } = {}) {
+  const reseed = (name) => {
+    const db = seedScenario(name, now())
+    payments.reset()
+    store.save(db)
+    return db
+  }
+
+  // Loaded per request so a reseed from the /test page (or another tab) shows up immediately.
+  const load = () => {
+    return store.load() || reseed('newUser')
+  }
+
+  function handle(method, path, { body, query = {}, token = '' } = {}) {
+    const route = matchRoute(method, path.replace(/(.)\/+$/, '$1'))
+    if (!route) return fail(404, 'Not Found')
+    const db = load()
+    const at = now()
+    advanceSessions(db, at)
+    let user = null
+    if (route.auth) {
+      const entry = db.tokens[token]
+      if (!entry || entry.exp * 1000 <= at) return fail(401, entry ? 'Token expired' : 'Not authenticated')
+      user = db.users.find(u => u.id === entry.user_id)
+      if (!user) return fail(401, 'Not authenticated')
+    }
+    const result = route.handler({ db, user, token, body, query, params: route.params, now: at, payments })
+    store.save(db)
+    // Responses are copies, so callers can't reach into the stored data.
+    return [result[0], JSON.parse(JSON.stringify(result[1]))]
+  }
+
+  async function fetchMock(url, init = {}) {
+    const method = (init.method || 'GET').toUpperCase()
+    const [path, search = ''] = url.split('?')
+    const config = getConfig()
+    await wait(config.latency + Math.random() * config.jitter, init.signal)
+    const failure = injectedFailure(config, method, path)
+    if (failure === 'network') throw new TypeError('Failed to fetch')
+    if (failure === 'timeout') await wait(Infinity, init.signal)
+    if (failure) return respond(failure, { detail: `Injected ${failure} from the mock backend` })
+    const token = (new Headers(init.headers).get('Authorization') || '').replace(/^Bearer\s+/i, '')
+    const body = typeof init.body === 'string' && init.body ? JSON.parse(init.body) : undefined
+    const [status, data] = handle(method, path || '/', { body, query: Object.fromEntries(new URLSearchParams(search)), token })
+    return respond(status, data)
+  }
+
+  return {
+    handle,
+    fetch: fetchMock,
+    db: load,
+    seed: reseed,
+  }
+}
+
+// Routes every fetch under `baseUrl` to the mock; anything else (assets, other hosts) is untouched.
+// EventSource can't be intercepted, so live updates fall back to polling.
+export function installMockBackend(baseUrl, server = createMockServer()) {
+  const realFetch = window.fetch.bind(window)
+  window.fetch = (input, init) => {
+    const url = typeof input === 'string' ? input : input instanceof URL ? input.href : input.url
+    const rest = url.startsWith(baseUrl) ? url.slice(baseUrl.length) : null
+    if (rest === null || !(rest === '' || rest.startsWith('/') || rest.startsWith('?'))) return realFetch(input, init)
+    return server.fetch(rest, init)
+  }
+  // For poking at from the console: tanaMock.seed('atLimit'), tanaMock.configure({ errorRate: 0.2 }).
+  window.tanaMock = { server, seed: server.seed, db: server.db, configure: writeMockConfig, config: readMockConfig }
+  console.info(`[mock backend] serving ${baseUrl} from localStorage; sign in as ${DEMO_ACCOUNT.email} / ${DEMO_ACCOUNT.password}`)
+  return server
+}
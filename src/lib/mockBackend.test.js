@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest'
+import { createMockServer, DEFAULT_CONFIG, DEMO_ACCOUNT, FREE_SESSIONS, memoryStore, noPayments } from './mockBackend'
+import { NOW } from './__fixtures__/journals'
+
+// No localStorage, window or Vite env here: the server has to run on what it's given.
+function server({ scenario = 'newUser', payments = noPayments, failures = {} } = {}) {
+  const mock = createMockServer({
+    store: memoryStore(),
+    payments,
+    getConfig: () => ({ ...DEFAULT_CONFIG, latency: 0, jitter: 0, failures }),
+    now: () => NOW.getTime(),
+  })
+  mock.seed(scenario)
+  return mock
+}
+
+const login = (mock, account = DEMO_ACCOUNT) => mock.handle('POST', '/auth/login', { body: account })[1].token
+
+const book = (mock, token) => mock.handle('POST', '/sessions', { token, body: { topic: 'Mind — Clarity', starts_at: '2026-10-25T10:00:00.000Z' } })[1]
+
+describe('createMockServer outside a browser', () => {
+  it('signs in the demo account and rejects a wrong password', () => {
+    expect(typeof localStorage).toBe('undefined')
+    const mock = server()
+    expect(login(mock)).toMatch(/\.mock$/)
+    expect(mock.handle('POST', '/auth/login', { body: { ...DEMO_ACCOUNT, password: 'nope' } })[0]).toBe(401)
+    expect(mock.handle('GET', '/me')[0]).toBe(401)
+  })
+
+  it('works out dashboard percentages from the seeded history', () => {
+    const mock = server({ scenario: 'heavyJournaler' })
+    const [status, dash] = mock.handle('GET', '/dashboard', { token: login(mock) })
+    expect(status).toBe(200)
+    const { mind, money, meaning } = dash.tana.percentages
+    expect(mind + money + meaning).toBeGreaterThanOrEqual(99)
+    expect(mind).toBeGreaterThan(money)
+    expect(money).toBeGreaterThan(meaning)
+    expect(dash.sessions.total).toBe(FREE_SESSIONS)
+  })
+
+  it('answers `limited` once the free sessions are used', () => {
+    const mock = server({ scenario: 'atLimit' })
+    expect(book(mock, login(mock))).toMatchObject({ limited: true })
+
+    const fresh = server()
+    const token = login(fresh)
+    for (let i = 0; i < FREE_SESSIONS; i++) expect(book(fresh, token)).toMatchObject({ limited: false, status: 'requested' })
+    expect(book(fresh, token)).toMatchObject({ limited: true })
+  })
+
+  it('counts paid sessions for the account that bought them only', () => {
+    const payments = { ...noPayments, entitlements: (userId) => (userId === 'u1' ? { extra_sessions: 3 } : null) }
+    const mock = server({ scenario: 'atLimit', payments })
+    expect(book(mock, login(mock))).toMatchObject({ limited: false })
+
+    const other = { email: 'other@tana.test', password: 'Other-pass-123' }
+    expect(mock.handle('POST', '/auth/signup', { body: other })[0]).toBe(201)
+    const token = login(mock, other)
+    for (let i = 0; i < FREE_SESSIONS; i++) book(mock, token)
+    expect(book(mock, token)).toMatchObject({ limited: true })
+  })
+
+  it('pages through every reflection exactly once', () => {
+    const mock = server({ scenario: 'heavyJournaler' })
+    const token = login(mock)
+    const seen = []
+    let cursor = ''
+    do {
+      const [, page] = mock.handle('GET', '/reflections', { token, query: { limit: '20', ...(cursor && { cursor }) } })
+      seen.push(...page.items.map(r => r.id))
+      cursor = page.next_cursor
+    } while (cursor)
+    expect(seen.length).toBe(mock.db().reflections.length)
+    expect(new Set(seen).size).toBe(seen.length)
+  })
+
+  it('injects configured failures through fetch', async () => {
+    const mock = server({ failures: { 'GET /dashboard': 500, '/sessions*': 'network' } })
+    const headers = { Authorization: `Bearer ${login(mock)}` }
+    expect((await mock.fetch('/dashboard', { headers })).status).toBe(500)
+    await expect(mock.fetch('/sessions', { headers })).rejects.toThrow(TypeError)
+    expect((await mock.fetch('/me', { headers })).status).toBe(200)
+  })
+})
@@ -0,0 +1,73 @@
+import { startOfWeek, ymd } from './time'
+
+export const MOOD_SCALE = [
+  { score: 1, label: 'Very low', emoji: '😞' },
+  { score: 2, label: 'Low', emoji: '😕' },
+  { score: 3, label: 'Okay', emoji: '😐' },
+  { score: 4, label: 'Good', emoji: '🙂' },
+  { score: 5, label: 'Great', emoji: '😄' },
+]
+
+// Emotion tags with a valence (-1 unpleasant … +1 pleasant) and the words that map old free-text moods onto them.
+export const EMOTION_TAGS = {
+  calm: { valence: 1, words: ['calm', 'peaceful', 'relaxed', 'serene', 'centered', 'centred', 'grounded', 'at ease'] },
+  grateful: { valence: 1, words: ['grateful', 'thankful', 'blessed', 'appreciative', 'gratitude'] },
+  hopeful: { valence: 1, words: ['hopeful', 'optimistic', 'positive', 'inspired'] },
+  joyful: { valence: 1, words: ['joyful', 'happy', 'glad', 'excited', 'cheerful', 'content', 'good', 'great'] },
+  energized: { valence: 1, words: ['energized', 'energised', 'energetic', 'motivated', 'alive', 'pumped'] },
+  focused: { valence: 1, words: ['focused', 'focussed', 'clear', 'productive', 'determined'] },
+  confused: { valence: 0, words: ['confused', 'lost', 'unsure', 'uncertain', 'mixed', 'meh'] },
+  tired: { valence: -1, words: ['tired', 'exhausted', 'drained', 'sleepy', 'burnt out', 'burned out'] },
+  anxious: { valence: -1, words: ['anxious', 'worried', 'nervous', 'uneasy', 'scared', 'afraid', 'fearful'] },
+  stressed: { valence: -1, words: ['stressed', 'tense', 'pressured', 'overworked'] },
+  overwhelmed: { valence: -1, words: ['overwhelmed', 'swamped', 'too much'] },
+  sad: { valence: -1, words: ['sad', 'down', 'low', 'unhappy', 'depressed', 'blue', 'heartbroken'] },
+  lonely: { valence: -1, words: ['lonely', 'alone', 'isolated'] },
+  angry: { valence: -1, words: ['angry', 'frustrated', 'irritated', 'annoyed', 'upset', 'mad'] },
+}
+
+// Best-effort mapping of a legacy free-text mood ("calm, a bit anxious") onto known tags.
+export function tagsFromText(text) {
+  const lower = ` ${String(text || '').toLowerCase().replace(/[^a-z\s]/g, ' ').replace(/\s+/g, ' ')} `
+  return Object.keys(EMOTION_TAGS).filter(tag => EMOTION_TAGS[tag].words.some(w => lower.includes(` ${w} `)))
+}
+
+// Score implied by a set of tags, for entries that predate the 1–5 scale.
+export function scoreFromTags(tags) {
+  if (!tags.length) return null
+  const avg = tags.reduce((sum, t) => sum + (EMOTION_TAGS[t]?.valence || 0), 0) / tags.length
+  return Math.min(5, Math.max(1, Math.round(3 + avg * 2)))
+}
+
+// Structured view of any reflection's mood. `inferred` marks scores derived from legacy text.
+export function normalizeMood(r) {
+  const tags = Array.isArray(r.mood_tags) && r.mood_tags.length ? r.mood_tags : tagsFromText(r.mood)
+  const hasScore = typeof r.mood_score === 'number'
+  return {
+    score: hasScore ? r.mood_score : scoreFromTags(tags),
+    tags,
+    note: r.mood || '',
+    inferred: !hasScore,
+  }
+}
+
+const bucketKey = (date, period) => period === 'month' ? ymd(date).slice(0, 7) : ymd(startOfWeek(date))
+
+// Average mood per pillar per week (bucket = Monday's date) or month (bucket = YYYY-MM).
+export function moodTrends(reflections, period = 'week') {
+  const sums = {}
+  for (const r of reflections) {
+    const { score } = normalizeMood(r)
+    if (score === null || !r.created_at) continue
+    const key = bucketKey(new Date(r.created_at), period)
+    const cell = ((sums[r.pillar] ||= {})[key] ||= { total: 0, count: 0 })
+    cell.total += score
+    cell.count += 1
+  }
+  const buckets = [...new Set(Object.values(sums).flatMap(Object.keys))].sort()
+  const series = Object.fromEntries(Object.entries(sums).map(([pillar, cells]) => [
+    pillar,
+    buckets.map(b => cells[b] ? { bucket: b, average: Math.round((cells[b].total / cells[b].count) * 10) / 10, count: cells[b].count } : null),
+  ]))
+  return { buckets, series }
+}
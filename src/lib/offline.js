@@ -0,0 +1,94 @@
+import { useSyncExternalStore } from 'react'
+import { idbClear, idbDelete, idbGet, idbPut, idbValues } from './idb'
+
+// Reads that are served from IndexedDB when the network is gone, and writes that queue instead of failing.
+const CACHEABLE = ['/me', '/entitlements', '/dashboard', '/sessions', '/reflections', '/goals']
+const QUEUEABLE = ['/reflections', '/sessions']
+
+const basePath = (path) => path.split('?')[0]
+
+// Sync state shared with the UI: online | offline | syncing | synced, plus the number of queued writes.
+let state = { status: typeof navigator !== 'undefined' && navigator.onLine === false ? 'offline' : 'online', pending: 0 }
+const listeners = new Set()
+function setState(patch) {
+  state = { ...state, ...patch }
+  listeners.forEach(l => l())
+}
+
+export function useSyncStatus() {
+  return useSyncExternalStore((l) => { listeners.add(l); return () => listeners.delete(l) }, () => state)
+}
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('offline', () => markOffline())
+  window.addEventListener('online', () => setState({ status: 'online' }))
+}
+
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false
+
+export function markOffline() {
+  if (state.status !== 'offline') setState({ status: 'offline' })
+}
+
+export async function countPending() {
+  setState({ pending: (await idbValues('outbox')).length })
+}
+
+// Plugged into createApiClient: `remember` after every successful GET, `fallback` after a network failure.
+export const offlineAdapter = {
+  async remember(method, path, data) {
+    if (state.status === 'offline') setState({ status: 'online' })
+    if (method === 'GET' && CACHEABLE.includes(basePath(path))) await idbPut('cache', path, data)
+  },
+  async fallback(method, path, opts) {
+    markOffline()
+    if (method === 'GET' && CACHEABLE.includes(basePath(path))) {
+      return (await idbGet('cache', path)) ?? (await idbGet('cache', basePath(path)))
+    }
+    if (method === 'POST' && QUEUEABLE.includes(path) && opts?.queue !== false) {
+      const id = `local-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+      const entry = { id, method, path, body: opts.body, queued_at: new Date().toISOString() }
+      await idbPut('outbox', id, entry)
+      await countPending()
+      return { ...opts.body, id, created_at: entry.queued_at, pending: true }
+    }
+    return undefined
+  },
+}
+
+export async function queuedWrites() {
+  return (await idbValues('outbox')).sort((a, b) => a.queued_at.localeCompare(b.queued_at))
+}
+
+// Replays queued writes in order. Entries written by another account are left alone;
+// a network failure stops the run so the rest stay queued for the next attempt.
+// Returns the entries sent and those the server rejected (which are dropped, since retrying won't help).
+export async function flushOutbox(api, userId) {
+  const entries = await queuedWrites()
+  const result = { sent: [], rejected: [] }
+  if (!entries.length) return result
+  setState({ status: 'syncing' })
+  for (const entry of entries) {
+    if (userId && entry.body?.user_id && entry.body.user_id !== userId) continue
+    try {
+      await api.post(entry.path, entry.body, { queue: false })
+      result.sent.push(entry)
+    } catch (e) {
+      if (e.status === 0) {
+        markOffline()
+        await countPending()
+        return result
+      }
+      result.rejected.push({ ...entry, error: e })
+    }
+    await idbDelete('outbox', entry.id)
+  }
+  await countPending()
+  setState({ status: 'synced' })
+  return result
+}
+
+export async function clearOfflineData() {
+  await Promise.all([idbClear('cache'), idbClear('outbox')])
+  setState({ pending: 0 })
+}
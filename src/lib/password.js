@@ -0,0 +1,29 @@
+export const PASSWORD_MIN = 8
+
+// Ids for the password.level.* and password.issue.* catalog keys.
+const LEVELS = ['tooWeak', 'weak', 'fair', 'good', 'strong']
+const COMMON = ['password', 'qwerty', '123456', '12345678', 'letmein', 'welcome', 'iloveyou', 'admin', 'abc123', 'tana']
+
+// Length and character variety, capped when the password leans on a common word or the user's own name.
+// `valid` is what signup and reset enforce client-side; the server still has the final say.
+export function passwordStrength(password = '', { email = '', name = '' } = {}) {
+  const lower = password.toLowerCase()
+  const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter(r => r.test(password)).length
+  const personal = [email.split('@')[0], ...name.split(/\s+/)].map(w => w.toLowerCase()).filter(w => w.length >= 3)
+  const guessable = COMMON.some(w => lower.includes(w)) || /(.)\1\1/.test(password)
+  const mine = personal.some(w => lower.includes(w))
+
+  const issues = []
+  if (password.length < PASSWORD_MIN) issues.push('length')
+  if (classes < 3) issues.push('variety')
+  if (mine) issues.push('personal')
+  if (guessable) issues.push('common')
+
+  let score = [password.length >= PASSWORD_MIN, password.length >= 12, classes >= 3, password.length >= 16 || classes === 4].filter(Boolean).length
+  if (mine || guessable) score = Math.min(score, 1)
+  if (!password) score = 0
+  return { score, level: LEVELS[score], issues, valid: issues.length === 0 }
+}
+
+// The issues as translated sentences, for a status line.
+export const describeIssues = (t, issues) => issues.map(i => t(`password.issue.${i}`, { min: PASSWORD_MIN })).join(' ')
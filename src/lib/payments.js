@@ -0,0 +1,129 @@
+import { ApiError, mockBackendEnabled } from './api'
+
+// Tiers shown when the backend has no /plans yet. `sessions: null` means unlimited.
+export const FALLBACK_PLANS = [
+  { id: 'try', name: 'Let me try', price_inr: 499, sessions: 3, features: [] },
+  { id: 'serious', name: 'I’m serious', price_inr: 999, sessions: 7, features: ['ai_insights'] },
+  { id: 'addicted', name: 'I’m addicted', price_inr: 1999, sessions: null, features: ['ai_insights', 'mentorship', 'vault'] },
+]
+
+// The mock backend has no payment endpoints, so it always pairs with the mock provider.
+const usingMock = () => import.meta.env.VITE_MOCK_PAYMENTS === 'true' || mockBackendEnabled()
+
+export const PAYMENT_STATES = ['created', 'pending', 'verified', 'failed']
+
+// `t` from useI18n(); features the catalog doesn't know fall back to their id.
+export function describePlan(plan, t) {
+  const sessions = plan.sessions === null ? t('plan.unlimitedSessions') : t('plan.moreSessions', { count: plan.sessions })
+  return [sessions, ...(plan.features || []).map(f => t(`feature.${f}`))].join(' + ')
+}
+
+// UPI deep link (NPCI "upi://pay" intent); also what the QR code encodes.
+export function upiUri(order) {
+  const params = new URLSearchParams({ pa: order.upi_id, pn: order.payee_name || 'TANA', am: String(order.amount), cu: 'INR', tn: `TANA ${order.plan_name || order.plan_id}`, tr: order.id })
+  return `upi://pay?${params}`
+}
+
+// --- Local mock provider -------------------------------------------------------------------
+// Orders live in localStorage. A submitted reference "verifies" a few seconds later when it
+// looks like a 12-digit UPI transaction id (UTR) and fails otherwise. Verified orders are
+// recorded as grants for the account that placed them, so the dashboard can reflect them without a backend.
+
+const MOCK_ORDERS = 'tana_mock_orders'
+const MOCK_GRANTS = 'tana_mock_grants'
+const MOCK_VERIFY_MS = 3000
+
+const readJson = (key, fallback) => {
+  try { return JSON.parse(localStorage.getItem(key)) ?? fallback } catch { return fallback }
+}
+const writeJson = (key, value) => localStorage.setItem(key, JSON.stringify(value))
+
+function notFound(id) {
+  return new ApiError({ status: 404, message: `Order ${id} not found` })
+}
+
+// Orders and grants belong to `userId`; another account signing in on the same browser starts on the free plan.
+export const mockPaymentProvider = (userId) => ({
+  async plans() {
+    return { items: FALLBACK_PLANS }
+  },
+  async createOrder(planId) {
+    const plan = FALLBACK_PLANS.find(p => p.id === planId)
+    if (!plan) throw new ApiError({ status: 422, message: 'Unknown plan', fieldErrors: { plan_id: 'Unknown plan' } })
+    const order = { id: `mock-${Date.now()}`, user_id: String(userId), plan_id: plan.id, plan_name: plan.name, amount: plan.price_inr, upi_id: 'tana.mock@upi', payee_name: 'TANA (mock)', status: 'created', created_at: new Date().toISOString() }
+    writeJson(MOCK_ORDERS, { ...readJson(MOCK_ORDERS, {}), [order.id]: order })
+    return order
+  },
+  async submitReference(orderId, reference) {
+    const orders = readJson(MOCK_ORDERS, {})
+    if (!orders[orderId]) throw notFound(orderId)
+    orders[orderId] = { ...orders[orderId], status: 'pending', reference, verify_at: Date.now() + MOCK_VERIFY_MS }
+    writeJson(MOCK_ORDERS, orders)
+    return orders[orderId]
+  },
+  async order(orderId) {
+    const orders = readJson(MOCK_ORDERS, {})
+    const order = orders[orderId]
+    if (!order) throw notFound(orderId)
+    if (order.status === 'pending' && Date.now() >= order.verify_at) {
+      order.status = /^\d{12}$/.test(order.reference) ? 'verified' : 'failed'
+      if (order.status === 'failed') order.failure_reason = 'Reference did not match any received payment'
+      else writeJson(MOCK_GRANTS, [...readJson(MOCK_GRANTS, []), { order_id: order.id, user_id: order.user_id, plan_id: order.plan_id }])
+      writeJson(MOCK_ORDERS, orders)
+    }
+    return order
+  },
+})
+
+// What `userId`'s mock grants add up to, in the shape of an /entitlements response. Null outside mock mode.
+export function mockEntitlements(userId) {
+  if (!usingMock() || userId == null) return null
+  const plans = readJson(MOCK_GRANTS, [])
+    .filter(g => g.user_id === String(userId))
+    .map(g => FALLBACK_PLANS.find(p => p.id === g.plan_id))
+    .filter(Boolean)
+  if (!plans.length) return null
+  const latest = plans[plans.length - 1]
+  return {
+    plan: { id: latest.id, name: latest.name },
+    features: [...new Set(plans.flatMap(p => p.features))],
+    extra_sessions: plans.some(p => p.sessions === null) ? null : plans.reduce((n, p) => n + p.sessions, 0),
+  }
+}
+
+// The backend provider, or the mock when VITE_MOCK_PAYMENTS (or the mock backend) is on.
+export function paymentsClient(api, userId) {
+  if (usingMock()) return mockPaymentProvider(userId)
+  return {
+    plans: () => api.plans(),
+    createOrder: (planId) => api.createOrder(planId),
+    submitReference: (orderId, reference) => api.submitPaymentReference(orderId, reference),
+    order: (orderId) => api.paymentOrder(orderId),
+  }
+}
+
+// Plans from the backend, falling back to the built-in tiers while it has none.
+export async function loadPlans(payments) {
+  try {
+    const data = await payments.plans()
+    return data.items?.length ? data.items : FALLBACK_PLANS
+  } catch (e) {
+    if (e instanceof ApiError && e.status === 404) return FALLBACK_PLANS
+    throw e
+  }
+}
+
+// The order being paid survives reloads so a user can come back with their reference. It's stored
+// as { user_id, order } and only handed back to that account, not whoever signs in next on this browser.
+const OPEN_ORDER = 'tana_open_order'
+
+// Forgets every mock order and grant, e.g. when the mock backend is reseeded.
+export function resetMockPayments() {
+  for (const key of [MOCK_ORDERS, MOCK_GRANTS, OPEN_ORDER]) localStorage.removeItem(key)
+}
+
+export function readOpenOrder(userId) {
+  const saved = readJson(OPEN_ORDER, null)
+  return userId != null && saved?.user_id === String(userId) ? saved.order : null
+}
+export const saveOpenOrder = (userId, order) => order ? writeJson(OPEN_ORDER, { user_id: String(userId), order }) : localStorage.removeItem(OPEN_ORDER)
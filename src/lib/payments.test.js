@@ -0,0 +1,53 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { mockEntitlements, mockPaymentProvider, readOpenOrder, saveOpenOrder } from './payments'
+import { memoryStorage } from './__fixtures__/storage'
+
+async function buy(userId, planId) {
+  const provider = mockPaymentProvider(userId)
+  const order = await provider.createOrder(planId)
+  await provider.submitReference(order.id, '123456789012')
+  vi.advanceTimersByTime(5000)
+  return provider.order(order.id)
+}
+
+describe('mock payment grants', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.stubGlobal('localStorage', memoryStorage())
+    vi.stubEnv('VITE_MOCK_PAYMENTS', 'true')
+  })
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.unstubAllGlobals()
+    vi.unstubAllEnvs()
+  })
+
+  it('belong to the account that paid', async () => {
+    expect(await buy('u1', 'serious')).toMatchObject({ status: 'verified', user_id: 'u1' })
+    expect(mockEntitlements('u1')).toMatchObject({ plan: { id: 'serious' }, extra_sessions: 7, features: ['ai_insights'] })
+    expect(mockEntitlements('u2')).toBeNull()
+    expect(mockEntitlements(undefined)).toBeNull()
+  })
+
+  it('add up per account', async () => {
+    await buy('u1', 'try')
+    await buy('u2', 'addicted')
+    await buy('u1', 'try')
+    expect(mockEntitlements('u1').extra_sessions).toBe(6)
+    expect(mockEntitlements('u2').extra_sessions).toBeNull()
+  })
+})
+
+describe('the open order', () => {
+  beforeEach(() => vi.stubGlobal('localStorage', memoryStorage()))
+  afterEach(() => vi.unstubAllGlobals())
+
+  it('is only handed back to the account that started it', () => {
+    saveOpenOrder('u1', { id: 'o1', status: 'pending' })
+    expect(readOpenOrder('u1')).toEqual({ id: 'o1', status: 'pending' })
+    expect(readOpenOrder('u2')).toBeNull()
+    expect(readOpenOrder(undefined)).toBeNull()
+    saveOpenOrder('u1', null)
+    expect(readOpenOrder('u1')).toBeNull()
+  })
+})
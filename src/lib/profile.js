@@ -0,0 +1,2 @@
+// Stored in English on the profile; screens translate them through `purpose.<value>`.
+export const PURPOSES = ['Healing', 'Growth', 'Direction']
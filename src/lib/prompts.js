@@ -0,0 +1,50 @@
+// Prompt and template ids are stored on reflections; their wording lives in the locale catalogs
+// under `prompts.<id>` and `template.<id>.*`, so the same entry reads in whichever language is active.
+
+// The label the journal always used, kept for entries written right after a session.
+export const SESSION_PROMPT = 'afterSession'
+
+export const PILLAR_PROMPTS = {
+  Mind: ['mindNoticed', 'mindDrained', 'mindQuiet'],
+  Money: ['moneyDecision', 'moneyWorry', 'moneyEnough'],
+  Meaning: ['meaningAlive', 'meaningValue', 'meaningContribute'],
+}
+
+export const PURPOSE_PROMPTS = {
+  Healing: ['healingGentle', 'healingLetGo'],
+  Growth: ['growthStretch', 'growthLearned'],
+  Direction: ['directionStep', 'directionNorthStar'],
+}
+
+// Multi-question templates. `pillar` is the one they're written for; null fits any pillar.
+export const TEMPLATES = [
+  { id: 'gratitude', pillar: null, questions: ['three', 'why', 'share'] },
+  { id: 'moneyCheckin', pillar: 'Money', questions: ['spent', 'aligned', 'feeling', 'next'] },
+  { id: 'valuesAlignment', pillar: 'Meaning', questions: ['values', 'lived', 'gap', 'adjust'] },
+  { id: 'sessionDebrief', pillar: null, questions: ['insight', 'feeling', 'practice'] },
+]
+
+export const findTemplate = (id) => TEMPLATES.find(tpl => tpl.id === id) || null
+
+// Purpose prompts first (they follow the user's reason for being here), then the pillar's own.
+export function promptsFor(pillar, purpose, { session = false } = {}) {
+  return [...(session ? [SESSION_PROMPT] : []), ...(PURPOSE_PROMPTS[purpose] || []), ...(PILLAR_PROMPTS[pillar] || [])]
+}
+
+// Templates that fit the pillar, the pillar's own listed first.
+export function templatesFor(pillar) {
+  return TEMPLATES.filter(tpl => !tpl.pillar || tpl.pillar === pillar).sort((a, b) => (b.pillar === pillar) - (a.pillar === pillar))
+}
+
+// Structured answers as saved on the reflection: the question's wording travels with it, so
+// exports and other devices read correctly without the catalog. Unanswered questions are dropped.
+export function templateAnswers(template, answers, t) {
+  return template.questions
+    .map(q => ({ id: q, question: t(`template.${template.id}.${q}`), answer: String(answers?.[q] || '').trim() }))
+    .filter(a => a.answer)
+}
+
+// Markdown body for a templated entry, so lists, search, insights and exports see it like any other.
+export function composeEntry(structured) {
+  return structured.map(a => `**${a.question}**\n\n${a.answer}`).join('\n\n')
+}
@@ -0,0 +1,58 @@
+import { showNotification } from './reminders'
+
+// `VITE_MOCK_PUSH=true` swaps the backend for an in-page mock: "subscribing" always succeeds and
+// test pushes are posted to the service worker, which shows them exactly like a real push.
+const MOCK_PUSH = import.meta.env.VITE_MOCK_PUSH === 'true'
+const MOCK_DELAY_MS = 3000
+
+export const pushSupported = () => MOCK_PUSH || (typeof window !== 'undefined' && 'serviceWorker' in navigator && 'PushManager' in window)
+
+function keyBytes(base64url) {
+  const base64 = (base64url + '='.repeat((4 - base64url.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/')
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0))
+}
+
+// Why push couldn't be switched on: `code` is a notify.pushError.<code> catalog key.
+export class PushError extends Error {
+  constructor(code) {
+    super(code)
+    this.name = 'PushError'
+    this.code = code
+  }
+}
+
+// The worker only registers in production builds (see ./serviceWorker), so push is unavailable under `vite dev`.
+async function registration() {
+  const reg = await navigator.serviceWorker?.getRegistration?.()
+  if (!reg) throw new PushError('noWorker')
+  return reg
+}
+
+export async function subscribePush(api) {
+  if (MOCK_PUSH) return
+  const reg = await registration()
+  const key = import.meta.env.VITE_VAPID_PUBLIC_KEY || (await api.pushKey()).public_key
+  const sub = await reg.pushManager.getSubscription() || await reg.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: keyBytes(key) })
+  await api.subscribePush(sub.toJSON())
+}
+
+// Without `api` (e.g. at logout, when the token is already gone) only the browser side is dropped;
+// the backend forgets the endpoint the next time a push to it fails.
+export async function unsubscribePush(api) {
+  if (MOCK_PUSH) return
+  const reg = await navigator.serviceWorker?.getRegistration?.()
+  const sub = await reg?.pushManager.getSubscription()
+  if (!sub) return
+  if (api) await api.unsubscribePush(sub.endpoint).catch(() => {})
+  await sub.unsubscribe()
+}
+
+// Asks the backend to push a sample notification to this user's subscriptions.
+export async function sendTestPush(api, payload) {
+  if (!MOCK_PUSH) return api.testPush()
+  setTimeout(async () => {
+    const reg = await navigator.serviceWorker?.getRegistration?.()
+    if (reg?.active) reg.active.postMessage({ type: 'mock-push', payload })
+    else showNotification(payload.title, { body: payload.body, tag: payload.tag, data: { url: payload.url } })
+  }, MOCK_DELAY_MS)
+}
@@ -0,0 +1,110 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { ymd } from './time'
+
+export const PAGE_SIZE = 20
+export const PILLARS = ['Mind', 'Money', 'Meaning']
+export const PILLAR_COLORS = { Mind: '#6366f1', Money: '#10b981', Meaning: '#ec4899' }
+
+// Query params for GET /reflections; empty filters are left out.
+export function feedParams(filters, cursor) {
+  const params = { limit: PAGE_SIZE }
+  if (cursor) params.cursor = cursor
+  for (const k of ['q', 'pillar', 'mood', 'from', 'to']) if (filters[k]) params[k] = filters[k]
+  return params
+}
+
+// Client-side copy of the server filters, so a backend that ignores the params still gives correct results.
+export function matchesFilters(r, { q, pillar, mood, from, to }) {
+  if (pillar && r.pillar !== pillar) return false
+  if (mood && ![r.mood, ...(r.mood_tags || [])].some(m => String(m || '').toLowerCase().includes(mood.toLowerCase()))) return false
+  if (q && !String(r.entry_text || '').toLowerCase().includes(q.toLowerCase())) return false
+  // Date inputs are local days, so compare the entry's local day rather than its UTC date.
+  const day = r.created_at ? ymd(new Date(r.created_at)) : ''
+  if (from && day < from) return false
+  if (to && day > to) return false
+  return true
+}
+
+// Paged, filtered view over /reflections. Uses `next_cursor` when the backend pages;
+// when it returns everything at once the list is revealed PAGE_SIZE entries at a time.
+export function useReflectionFeed(api, filters) {
+  const [items, setItems] = useState([])
+  const [hasMore, setHasMore] = useState(false)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const cursor = useRef(null)
+  const pool = useRef(null)
+  const request = useRef(0)
+  const key = JSON.stringify(filters)
+
+  const fetchPage = useCallback(async (reset) => {
+    const id = ++request.current
+    setLoading(true)
+    setError(null)
+    try {
+      const data = await api.listReflections(feedParams(filters, reset ? null : cursor.current))
+      if (id !== request.current) return
+      const page = (data.items || []).filter(r => matchesFilters(r, filters))
+      if ('next_cursor' in data) {
+        pool.current = null
+        cursor.current = data.next_cursor || null
+        setItems(prev => reset ? page : [...prev, ...page])
+        setHasMore(!!data.next_cursor)
+      } else {
+        pool.current = page
+        setItems(page.slice(0, PAGE_SIZE))
+        setHasMore(page.length > PAGE_SIZE)
+      }
+    } catch (e) {
+      if (id === request.current) setError(e)
+    } finally {
+      if (id === request.current) setLoading(false)
+    }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [api, key])
+
+  useEffect(() => { fetchPage(true) }, [fetchPage])
+
+  const loadMore = useCallback(() => {
+    if (loading || !hasMore) return
+    if (pool.current) {
+      const next = pool.current.slice(0, items.length + PAGE_SIZE)
+      setItems(next)
+      setHasMore(pool.current.length > next.length)
+    } else {
+      fetchPage(false)
+    }
+  }, [loading, hasMore, items.length, fetchPage])
+
+  // Local edits, so a save doesn't cost a full reload.
+  const upsert = useCallback((entry) => {
+    const apply = (list) => {
+      const without = list.filter(r => r.id !== entry.id)
+      const existed = without.length !== list.length
+      if (!matchesFilters(entry, filters)) return without
+      return existed ? list.map(r => r.id === entry.id ? entry : r) : [entry, ...list]
+    }
+    if (pool.current) pool.current = apply(pool.current)
+    setItems(apply)
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [key])
+
+  const remove = useCallback((id) => {
+    if (pool.current) pool.current = pool.current.filter(r => r.id !== id)
+    setItems(list => list.filter(r => r.id !== id))
+  }, [])
+
+  return { items, hasMore, loading, error, loadMore, reload: () => fetchPage(true), upsert, remove }
+}
+
+// Walks every page of /reflections. For views that need the whole history (trends, analytics).
+export async function fetchAllReflections(api) {
+  const all = []
+  let cursor = null
+  for (;;) {
+    const data = await api.listReflections({ limit: 100, ...(cursor ? { cursor } : {}) })
+    all.push(...(data.items || []))
+    cursor = data.next_cursor
+    if (!cursor) return all
+  }
+}
@@ -0,0 +1,21 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest'
+import { matchesFilters } from './reflections'
+
+describe('matchesFilters', () => {
+  const zone = process.env.TZ
+  beforeEach(() => { process.env.TZ = 'Asia/Kolkata' })
+  afterEach(() => { process.env.TZ = zone })
+
+  // 01:00 on the 5th in India is still the 4th in UTC.
+  const entry = { pillar: 'Mind', entry_text: 'Up late', created_at: '2026-10-04T19:30:00Z' }
+
+  it('filters dates by the local day', () => {
+    expect(matchesFilters(entry, { from: '2026-10-05', to: '2026-10-05' })).toBe(true)
+    expect(matchesFilters(entry, { to: '2026-10-04' })).toBe(false)
+  })
+
+  it('matches pillar, text and mood', () => {
+    expect(matchesFilters({ ...entry, mood_tags: ['tired'] }, { pillar: 'Mind', q: 'LATE', mood: 'tir' })).toBe(true)
+    expect(matchesFilters(entry, { pillar: 'Money' })).toBe(false)
+  })
+})
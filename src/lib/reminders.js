@@ -0,0 +1,121 @@
+import { useEffect, useRef, useSyncExternalStore } from 'react'
+import { ApiError } from './api'
+import { SLOT_MINUTES } from './availability'
+import { isActive } from './sessions'
+import { sessionStart } from './time'
+
+// Local reminders while the app is open; Web Push (./push) covers the times it isn't.
+export const REMINDERS = [
+  { kind: 'day', pref: 'day_before', minutes: 24 * 60 },
+  { kind: 'soon', pref: 'fifteen_min', minutes: 15 },
+]
+export const DEFAULT_PREFS = { enabled: false, day_before: true, fifteen_min: true, link_ready: true, push: false }
+const CHECK_MS = 30 * 1000
+const SENT_KEY = 'tana_notified'
+const SENT_LIMIT = 200
+
+export const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window
+export const notificationPermission = () => notificationsSupported() ? Notification.permission : 'unsupported'
+
+// Goes through the service worker when there is one, so clicks are handled even after the tab closes.
+export async function showNotification(title, options) {
+  const reg = await navigator.serviceWorker?.getRegistration?.()
+  if (reg) return reg.showNotification(title, options)
+  const n = new Notification(title, options)
+  n.onclick = () => window.focus()
+}
+
+// --- Preferences -------------------------------------------------------------------------
+// Kept per user on this device and mirrored to the backend, which needs them to decide what to push.
+
+const prefsKey = (userId) => `tana_notify:${userId}`
+let prefs = DEFAULT_PREFS
+const listeners = new Set()
+
+function setPrefs(userId, next) {
+  prefs = next
+  localStorage.setItem(prefsKey(userId), JSON.stringify(next))
+  listeners.forEach(l => l())
+}
+
+export function useNotificationPrefs() {
+  return useSyncExternalStore((l) => { listeners.add(l); return () => listeners.delete(l) }, () => prefs)
+}
+
+export async function loadNotificationPrefs(api, userId) {
+  let local = null
+  try { local = JSON.parse(localStorage.getItem(prefsKey(userId))) } catch { /* unreadable: defaults */ }
+  setPrefs(userId, { ...DEFAULT_PREFS, ...local })
+  try {
+    setPrefs(userId, { ...prefs, ...(await api.notificationPrefs()) })
+  } catch (e) {
+    // Backends without the endpoint, or no network: the device copy stands.
+    if (!(e instanceof ApiError)) throw e
+  }
+  return prefs
+}
+
+export async function saveNotificationPrefs(api, userId, changes) {
+  setPrefs(userId, { ...prefs, ...changes })
+  try {
+    await api.updateNotificationPrefs(prefs)
+  } catch (e) {
+    if (e.status !== 404) throw e
+  }
+}
+
+// --- Scheduling --------------------------------------------------------------------------
+
+function readSent() {
+  try { return new Set(JSON.parse(localStorage.getItem(SENT_KEY)) || []) } catch { return new Set() }
+}
+
+function markSent(id) {
+  const sent = [...readSent(), id].slice(-SENT_LIMIT)
+  localStorage.setItem(SENT_KEY, JSON.stringify(sent))
+}
+
+// Reminders owed right now. Per session only the closest threshold already passed counts, so opening
+// the app an hour before a session doesn't also announce it for tomorrow. `key` includes the start
+// time so a rescheduled session is reminded again; `tag` lets the OS collapse duplicates from other tabs or push.
+export function dueReminders(sessions, prefs, sent, now = new Date()) {
+  const due = []
+  for (const session of sessions) {
+    const start = sessionStart(session)
+    if (!isActive(session) || !start || start.getTime() + SLOT_MINUTES * 60000 <= now) continue
+    const passed = REMINDERS.filter(r => start - r.minutes * 60000 <= now)
+    const latest = passed[passed.length - 1]
+    if (start > now && latest && prefs[latest.pref]) {
+      const tag = `session-${session.id}-${latest.kind}`
+      const key = `${tag}@${start.getTime()}`
+      if (!sent.has(key)) due.push({ key, tag, kind: latest.kind, session, start })
+    }
+    if (prefs.link_ready && session.spatial_url) {
+      const tag = `session-${session.id}-link`
+      const key = `${tag}@${session.spatial_url}`
+      if (!sent.has(key)) due.push({ key, tag, kind: 'link', session, start })
+    }
+  }
+  return due
+}
+
+// `describe(reminder)` returns `{ title, body, url }` in the user's language.
+export function useSessionReminders(sessions, describe) {
+  const current = useNotificationPrefs()
+  const describeRef = useRef(describe)
+  describeRef.current = describe
+
+  useEffect(() => {
+    if (!current.enabled || notificationPermission() !== 'granted') return
+    const check = () => {
+      for (const r of dueReminders(sessions, current, readSent())) {
+        markSent(r.key)
+        const { title, body, url } = describeRef.current(r)
+        showNotification(title, { body, tag: r.tag, icon: '/favicon.svg', data: { url } }).catch(() => {})
+      }
+    }
+    check()
+    const id = setInterval(check, CHECK_MS)
+    return () => clearInterval(id)
+  }, [sessions, current])
+}
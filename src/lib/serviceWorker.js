@@ -0,0 +1,5 @@
+// Registered only in production builds; the dev server serves unhashed modules that shouldn't be cached.
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return Promise.resolve(null)
+  return navigator.serviceWorker.register('/sw.js').catch(() => null)
+}
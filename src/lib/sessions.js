@@ -0,0 +1,48 @@
+// Session lifecycle: requested → confirmed → link issued → completed, with declined / cancelled / no-show as exits.
+// Display names live in the catalogs as status.<key>.
+export const SESSION_STEPS = ['requested', 'confirmed', 'link_issued', 'completed']
+
+const EXITS = ['declined', 'cancelled', 'no_show']
+const TERMINAL = ['completed', ...EXITS]
+const STATUSES = [...SESSION_STEPS, ...EXITS]
+
+// Backends may report "confirmed" with a link attached, or spell statuses loosely ("no-show").
+export function normalizeStatus(session) {
+  const raw = String(session.status || 'requested').toLowerCase().replace(/[\s-]+/g, '_')
+  if (raw === 'canceled') return 'cancelled'
+  if (raw === 'confirmed' && session.spatial_url) return 'link_issued'
+  return STATUSES.includes(raw) ? raw : 'requested'
+}
+
+// One entry per step with `done` / `current` flags, plus the exit step when the session ended early.
+export function sessionTimeline(session) {
+  const status = normalizeStatus(session)
+  const exit = EXITS.includes(status)
+  const history = Array.isArray(session.status_history) ? session.status_history : []
+  const reached = exit
+    ? Math.max(0, ...history.map(h => SESSION_STEPS.indexOf(h.status)))
+    : SESSION_STEPS.indexOf(status)
+  const steps = SESSION_STEPS.map((key, i) => ({
+    key,
+    done: exit ? i <= reached : i < reached || status === 'completed',
+    current: !exit && i === reached,
+  }))
+  if (exit) steps.push({ key: status, done: true, current: true, exit: true })
+  return steps
+}
+
+export function isActive(session) {
+  return !TERMINAL.includes(normalizeStatus(session))
+}
+
+// Sessions that took place (or are about to, with a link) can be reflected on from the journal.
+export const canReflect = (session) => ['link_issued', 'completed'].includes(normalizeStatus(session))
+
+export const canCancel = isActive
+export const canReschedule = isActive
+
+// Cancelled sessions stop counting against the plan, so `used` drops by one.
+export function releaseSlot(dash) {
+  if (!dash?.sessions) return dash
+  return { ...dash, sessions: { ...dash.sessions, used: Math.max(0, dash.sessions.used - 1) } }
+}
@@ -0,0 +1,39 @@
+// Local-calendar helpers. Instants travel as UTC ISO strings; dates and times shown to the user are in their zone.
+export const userTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+
+const pad = (n) => String(n).padStart(2, '0')
+
+export const ymd = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`
+export const hm = (d) => `${pad(d.getHours())}:${pad(d.getMinutes())}`
+
+export function startOfDay(d) {
+  const x = new Date(d)
+  x.setHours(0, 0, 0, 0)
+  return x
+}
+
+export function addDays(d, n) {
+  const x = new Date(d)
+  x.setDate(x.getDate() + n)
+  return x
+}
+
+// Weeks start on Monday.
+export function startOfWeek(d) {
+  const x = startOfDay(d)
+  return addDays(x, -((x.getDay() + 6) % 7))
+}
+
+export function startOfMonth(d) {
+  return new Date(d.getFullYear(), d.getMonth(), 1)
+}
+
+export const sameDay = (a, b) => ymd(a) === ymd(b)
+
+// Older sessions only carry bare date/time strings, which were entered in the user's local zone.
+export function sessionStart(session) {
+  if (session.starts_at) return new Date(session.starts_at)
+  if (!session.date) return null
+  const d = new Date(`${session.date}T${session.time || '00:00'}`)
+  return isNaN(d) ? null : d
+}
@@ -0,0 +1,142 @@
+import { useSyncExternalStore } from 'react'
+
+// Opt-in private journal. Entries are encrypted in the browser with AES-GCM under a key derived
+// from the user's passphrase (PBKDF2-SHA-256); the server only ever stores ciphertext. Each
+// encrypted payload carries its own salt and iteration count, so any device with the passphrase
+// can decrypt it. Nothing derived from the passphrase is persisted.
+
+const ITERATIONS = 310000
+const AUTO_LOCK_MS = 5 * 60 * 1000
+const CHECK_TEXT = 'tana-vault-check'
+export const VAULT_PLACEHOLDER = '🔒 Private entry'
+
+const enc = new TextEncoder()
+const dec = new TextDecoder()
+function toB64(buf) {
+  let bin = ''
+  for (const b of new Uint8Array(buf)) bin += String.fromCharCode(b)
+  return btoa(bin)
+}
+const fromB64 = (s) => Uint8Array.from(atob(s), c => c.charCodeAt(0))
+
+export async function deriveKey(passphrase, salt, iterations = ITERATIONS) {
+  const base = await crypto.subtle.importKey('raw', enc.encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+  return crypto.subtle.deriveKey({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, base, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+}
+
+export async function encryptWith(key, salt, iterations, data) {
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const ct = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, enc.encode(JSON.stringify(data)))
+  return { v: 1, alg: 'AES-GCM', kdf: 'PBKDF2-SHA256', iter: iterations, salt: toB64(salt), iv: toB64(iv), ct: toB64(ct) }
+}
+
+export async function decryptWith(key, payload) {
+  const pt = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromB64(payload.iv) }, key, fromB64(payload.ct))
+  return JSON.parse(dec.decode(pt))
+}
+
+// --- Per-user vault config ---------------------------------------------------------------
+// Only the salt and an encrypted check value are stored, to tell a wrong passphrase apart on unlock.
+
+const configKey = (userId) => `tana_vault:${userId}`
+
+export function vaultConfig(userId) {
+  try { return JSON.parse(localStorage.getItem(configKey(userId))) } catch { return null }
+}
+
+export const forgetVault = (userId) => localStorage.removeItem(configKey(userId))
+
+// --- Session state -----------------------------------------------------------------------
+
+let session = null // { userId, passphrase, salt, iterations, keys: Map<salt, CryptoKey> }
+let lockTimer = null
+const listeners = new Set()
+const notify = () => listeners.forEach(l => l())
+
+export function useVault() {
+  const unlocked = useSyncExternalStore((l) => { listeners.add(l); return () => listeners.delete(l) }, () => !!session)
+  return { unlocked }
+}
+
+export function lockVault() {
+  session = null
+  clearTimeout(lockTimer)
+  notify()
+}
+
+// Any user activity pushes the auto-lock back.
+export function touchVault() {
+  if (!session) return
+  clearTimeout(lockTimer)
+  lockTimer = setTimeout(lockVault, AUTO_LOCK_MS)
+}
+
+if (typeof window !== 'undefined') {
+  for (const evt of ['pointerdown', 'keydown']) window.addEventListener(evt, touchVault, { passive: true })
+}
+
+function startSession(userId, passphrase, salt, iterations, key) {
+  session = { userId, passphrase, salt, iterations, keys: new Map([[toB64(salt), key]]) }
+  touchVault()
+  notify()
+}
+
+async function saveConfig(userId, salt, iterations, key) {
+  const check = await encryptWith(key, salt, iterations, CHECK_TEXT)
+  localStorage.setItem(configKey(userId), JSON.stringify({ salt: toB64(salt), iterations, check }))
+}
+
+export async function createVault(userId, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16))
+  const key = await deriveKey(passphrase, salt)
+  await saveConfig(userId, salt, ITERATIONS, key)
+  startSession(userId, passphrase, salt, ITERATIONS, key)
+}
+
+// Resolves false on a wrong passphrase. A device without a local config has nothing to check
+// against but the entries themselves: the passphrase must open `sample` (any sealed payload from
+// the server) before a config is written, and the config adopts that entry's salt.
+export async function unlockVault(userId, passphrase, sample = null) {
+  const config = vaultConfig(userId)
+  if (!config && !sample) return false
+  const salt = fromB64(config ? config.salt : sample.salt)
+  const iterations = (config ? config.iterations : sample.iter) || ITERATIONS
+  const key = await deriveKey(passphrase, salt, iterations)
+  try {
+    if (config && (await decryptWith(key, config.check)) !== CHECK_TEXT) return false
+    if (!config) await decryptWith(key, sample)
+  } catch {
+    return false
+  }
+  if (!config) await saveConfig(userId, salt, iterations, key)
+  startSession(userId, passphrase, salt, iterations, key)
+  return true
+}
+
+async function keyFor(saltB64, iterations) {
+  if (!session.keys.has(saltB64)) session.keys.set(saltB64, await deriveKey(session.passphrase, fromB64(saltB64), iterations))
+  return session.keys.get(saltB64)
+}
+
+export async function sealEntry(data) {
+  if (!session) throw new Error('Vault is locked')
+  touchVault()
+  const saltB64 = toB64(session.salt)
+  return encryptWith(await keyFor(saltB64, session.iterations), session.salt, session.iterations, data)
+}
+
+export async function openEntry(payload) {
+  if (!session) throw new Error('Vault is locked')
+  return decryptWith(await keyFor(payload.salt, payload.iter), payload)
+}
+
+// The private fields of a reflection. Pillar, dates and ids stay in the clear.
+export const SEALED_FIELDS = ['entry_text', 'mood', 'mood_score', 'mood_tags', 'answers']
+
+export async function sealReflection(body) {
+  const secret = Object.fromEntries(SEALED_FIELDS.map(f => [f, body[f]]))
+  const vault = await sealEntry(secret)
+  return { ...body, entry_text: VAULT_PLACEHOLDER, mood: '', mood_score: null, mood_tags: [], ...(body.answers ? { answers: [] } : {}), vault }
+}
+
+export const isSealed = (r) => !!r?.vault?.ct
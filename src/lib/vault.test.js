@@ -0,0 +1,32 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { createVault, forgetVault, lockVault, openEntry, sealEntry, unlockVault, vaultConfig } from './vault'
+import { memoryStorage } from './__fixtures__/storage'
+
+describe('unlockVault on a device without a config', () => {
+  let sealed
+  beforeEach(async () => {
+    vi.stubGlobal('localStorage', memoryStorage())
+    await createVault('u1', 'correct horse')
+    sealed = await sealEntry({ entry_text: 'secret' })
+    lockVault()
+    forgetVault('u1')
+  })
+
+  it('rejects a passphrase that cannot open an existing entry and saves nothing', async () => {
+    expect(await unlockVault('u1', 'correct hrose', sealed)).toBe(false)
+    expect(vaultConfig('u1')).toBeNull()
+    expect(await unlockVault('u1', 'correct horse', sealed)).toBe(true)
+  })
+
+  it('adopts the entry salt so new entries open on the first device too', async () => {
+    expect(await unlockVault('u1', 'correct horse', sealed)).toBe(true)
+    expect(vaultConfig('u1').salt).toBe(sealed.salt)
+    const next = await sealEntry({ entry_text: 'another' })
+    expect(await openEntry(next)).toEqual({ entry_text: 'another' })
+    expect(await openEntry(sealed)).toEqual({ entry_text: 'secret' })
+  })
+
+  it('refuses to unlock with nothing to check against', async () => {
+    expect(await unlockVault('u1', 'anything')).toBe(false)
+  })
+})
@@ -0,0 +1,589 @@
+// Source catalog. Keys ending in .one / .other are chosen by `count` (see translate in lib/i18n).
+export default {
+  'common.loading': 'Loading…',
+  'common.back': 'Back',
+  'common.tryAgain': 'Please try again.',
+  'common.confirm': 'Confirm',
+  'common.keepIt': 'Keep it',
+  'common.edit': 'Edit',
+  'common.delete': 'Delete',
+  'common.cannotUndo': 'This can’t be undone.',
+  'common.retry': 'Retry',
+  'common.loadMore': 'Load more',
+  'common.done': 'Done',
+  'language.label': 'Language',
+
+  'nav.dashboard': 'Dashboard',
+  'nav.sessions': 'Sessions',
+  'nav.journal': 'Journal',
+  'nav.goals': 'Goals',
+  'nav.analytics': 'Analytics',
+  'nav.profile': 'Profile',
+  'nav.host': 'Host',
+  'nav.admin': 'Admin',
+  'nav.logout': 'Logout',
+
+  'pillar.Mind': 'Mind',
+  'pillar.Money': 'Money',
+  'pillar.Meaning': 'Meaning',
+
+  'purpose.Healing': 'Healing',
+  'purpose.Growth': 'Growth',
+  'purpose.Direction': 'Direction',
+
+  'sync.offline': 'Offline',
+  'sync.syncing': 'Syncing…',
+  'sync.synced': 'Synced',
+  'sync.online': 'Online',
+  'sync.queued.one': '{count} queued',
+  'sync.queued.other': '{count} queued',
+  'sync.waiting.one': '{count} change waiting to sync',
+  'sync.waiting.other': '{count} changes waiting to sync',
+
+  'shell.offline': 'You are offline. Showing your last saved data.',
+  'shell.refreshFailed': 'Could not refresh your data. Please try again shortly.',
+  'shell.synced.one': 'Synced {count} offline change ✅',
+  'shell.synced.other': 'Synced {count} offline changes ✅',
+  'shell.rejected.one': '{count} offline change was rejected by the server and discarded.',
+  'shell.rejected.other': '{count} offline changes were rejected by the server and discarded.',
+  'shell.languageNotSaved': 'Language changed on this device, but it could not be saved to your profile.',
+
+  'home.tagline': 'A mindful digital ecosystem to heal, reflect and grow across Mind, Money and Meaning.',
+  'home.getStarted': 'Get Started',
+  'home.checkBackend': 'Check Backend',
+
+  'auth.title': 'Enter your Sanctuary',
+  'auth.subtitle': 'Create an account or sign in to continue.',
+  'auth.login': 'Login',
+  'auth.signup': 'Signup',
+  'auth.name': 'Name',
+  'auth.email': 'Email',
+  'auth.password': 'Password',
+  'auth.age': 'Age',
+  'auth.purpose': 'Purpose',
+  'auth.signIn': 'Sign In',
+  'auth.createAccount': 'Create Account',
+  'auth.forgot': 'Forgot password?',
+  'auth.creating': 'Creating your account...',
+  'auth.signingIn': 'Signing in...',
+  'auth.welcomeNew': 'Welcome to TANA ✨',
+  'auth.welcomeBack': 'Welcome back ✨',
+  'auth.signupFailed': 'Signup failed. {reason}',
+  'auth.loginFailed': 'Login failed. {reason}',
+  'auth.checkCredentials': 'Check your credentials.',
+  'auth.weakPassword': 'Choose a stronger password. {issues}',
+  'auth.modelTitle': 'The TANA Model',
+  'auth.modelBody': 'Mind, Money, Meaning — three pillars of a balanced life. Start at 0 each and grow through sessions and reflections.',
+  'auth.tokenNote': 'Secure sign-in uses a token stored on your device. No 3rd-party provider required for this MVP.',
+  'auth.ended.expired': 'Your session expired. Please login again.',
+  'auth.ended.otherTab': 'You were signed out in another tab.',
+
+  'dashboard.welcome': 'Welcome {name}',
+  'dashboard.balance': 'Your current balance within TANA:',
+  'dashboard.trendsLink': 'See trends and streaks →',
+  'dashboard.goalProgress.one': '{count} goal · {progress}%',
+  'dashboard.goalProgress.other': '{count} goals · {progress}%',
+  'dashboard.noGoals': 'No goals yet',
+  'dashboard.goalsLink': 'Goals and habits →',
+  'dashboard.sessionsUsed': 'Sessions used {used} / {limit}',
+  'dashboard.plan': 'Plan:',
+  'dashboard.upgrade': 'Upgrade',
+  'dashboard.yourPlan': 'Your plan',
+  'dashboard.planActive': 'Payment verified. {plan} is now active ✨',
+
+  'plan.free': 'Free',
+  'plan.unlimited': 'Unlimited',
+  'plan.unlimitedSessions': 'Unlimited sessions',
+  'plan.moreSessions.one': '+{count} session',
+  'plan.moreSessions.other': '+{count} sessions',
+  'feature.ai_insights': 'AI journal insights',
+  'feature.mentorship': 'Mentorship',
+  'feature.vault': 'Private vault',
+  'upgrade.paidFeature': '{feature} is part of a paid plan.',
+  'upgrade.includedFrom': 'Included from {price} — {plan}.',
+  'upgrade.seePlans': 'See plans →',
+
+  'profile.title': 'Profile',
+  'profile.save': 'Save',
+  'profile.saving': 'Saving profile...',
+  'profile.saved': 'Profile updated ✅',
+  'profile.saveFailed': 'Could not save profile.',
+  'profile.deletePrompt': 'Delete your account and everything stored with it.',
+  'profile.deleteLink': 'Delete account',
+
+  'status.requested': 'Requested',
+  'status.confirmed': 'Confirmed',
+  'status.link_issued': 'Link issued',
+  'status.completed': 'Completed',
+  'status.cancelled': 'Cancelled',
+  'status.declined': 'Declined',
+  'status.no_show': 'No-show',
+
+  'topic.mindClarity': 'Mind — Clarity',
+  'topic.moneyDiscipline': 'Money — Discipline',
+  'topic.meaningAlignment': 'Meaning — Alignment',
+
+  'sessions.bookTitle': 'Book a Sanctuary Session',
+  'sessions.topic': 'Pillar & Topic',
+  'sessions.slot': 'Slot',
+  'sessions.selected': 'Selected: {when}',
+  'sessions.noSlot': 'No slot selected yet.',
+  'sessions.request': 'Request Session',
+  'sessions.hostNote': 'We’ll email the host with your request. You’ll receive a Spatial link near the session time.',
+  'sessions.yours': 'Your Sessions',
+  'sessions.exportAll': 'Export all to calendar',
+  'sessions.join': 'Join',
+  'sessions.pendingLink': 'Pending link',
+  'sessions.addToCalendar': 'Add to calendar',
+  'sessions.reschedule': 'Reschedule',
+  'sessions.cancel': 'Cancel',
+  'sessions.reflect': 'Reflect on this session',
+  'sessions.none': 'No sessions yet.',
+  'sessions.cancelTitle': 'Cancel this session?',
+  'sessions.cancelDescription': '{topic} on {when}. The slot returns to your plan.',
+  'sessions.cancelConfirm': 'Cancel session',
+  'sessions.rescheduleTitle': 'Reschedule session',
+  'sessions.currently': '{topic} — currently {when}',
+  'sessions.pickSlot': 'Pick an open slot in the calendar first.',
+  'sessions.requesting': 'Requesting session...',
+  'sessions.queued': 'You are offline. Your request is queued and will be sent when you reconnect.',
+  'sessions.limited': 'You reached your current session limit. Consider unlocking more.',
+  'sessions.requested': 'Session requested. We will email the host.',
+  'sessions.requestFailed': 'Could not request session.',
+  'sessions.cancelling': 'Cancelling session...',
+  'sessions.cancelled': 'Session cancelled. Your slot is free again.',
+  'sessions.cancelFailed': 'Could not cancel session.',
+  'sessions.rescheduling': 'Rescheduling session...',
+  'sessions.rescheduled': 'Session rescheduled. We will let the host know.',
+  'sessions.rescheduleFailed': 'Could not reschedule session.',
+
+  'calendar.week': 'Week',
+  'calendar.month': 'Month',
+  'calendar.available': 'Available',
+  'calendar.past': 'In the past',
+  'calendar.unavailable': 'Host unavailable',
+  'calendar.booked': 'You already have a session',
+  'calendar.open.one': '{count} open',
+  'calendar.open.other': '{count} open',
+  'calendar.loading': 'Loading availability…',
+  'calendar.loadFailed': 'Could not load availability',
+  'calendar.zone': 'Times shown in your zone ({zone}).',
+  'calendar.hostZone': 'Host is in {zone}.',
+
+  'notify.title': 'Notifications',
+  'notify.intro': 'Get a reminder before each session and a ping when its Spatial link is ready.',
+  'notify.unsupported': 'This browser does not support notifications.',
+  'notify.blocked': 'Notifications are blocked for this site. Allow them in your browser settings to get reminders.',
+  'notify.enable': 'Turn on reminders',
+  'notify.disable': 'Turn off reminders',
+  'notify.day_before': '24 hours before a session',
+  'notify.fifteen_min': '15 minutes before a session',
+  'notify.link_ready': 'When the Spatial link is ready',
+  'notify.push': 'Also notify me when TANA is closed (push)',
+  'notify.test': 'Send a test notification',
+  'notify.testTitle': 'TANA test notification',
+  'notify.testBody': 'Reminders are working on this device.',
+  'notify.testSent': 'Test sent. It should arrive in a few seconds.',
+  'notify.testFailed': 'Could not send a test notification.',
+  'notify.saveFailed': 'Could not save your notification settings.',
+  'notify.pushError.noWorker': 'Push needs the installed app (a production build with its service worker).',
+  'notify.pushFailed': 'Could not change push notifications on this device.',
+
+  'reminders.dayTitle': 'Upcoming session',
+  'reminders.dayBody': '{topic} · {when}',
+  'reminders.soonTitle': 'Session in 15 minutes',
+  'reminders.soonBody': '{topic} starts at {when}.',
+  'reminders.linkTitle': 'Your Spatial link is ready',
+  'reminders.linkBody': '{topic} · {when}. Tap to join.',
+
+  'live.connecting': 'Connecting to live updates…',
+  'live.live': 'Live updates on',
+  'live.polling': 'Live updates unavailable; checking every 30 seconds',
+
+  'host.title': 'Session requests',
+  'host.reload': 'Reload',
+  'host.pillar': 'Pillar',
+  'host.status': 'Status',
+  'host.from': 'From',
+  'host.to': 'To',
+  'host.all': 'All',
+  'host.noBalance': 'No balance yet',
+  'host.user': 'User {id}',
+  'host.reason': 'Reason: {reason}',
+  'host.confirm': 'Confirm',
+  'host.decline': 'Decline',
+  'host.attachLink': 'Attach Spatial link',
+  'host.editLink': 'Edit link',
+  'host.markCompleted': 'Mark completed',
+  'host.markNoShow': 'Mark no-show',
+  'host.confirmed': 'Session confirmed.',
+  'host.declined': 'Session declined.',
+  'host.linked': 'Spatial link saved. The user can join now.',
+  'host.completed': 'Session marked completed.',
+  'host.noShow': 'Session marked as no-show.',
+  'host.updateFailed': 'Could not update the session.',
+  'host.loadFailed': 'Could not load session requests.',
+  'host.none': 'No sessions match these filters.',
+  'host.declineTitle': 'Decline this request?',
+  'host.declineDescription': '{topic} on {when}. The user gets the slot back on their plan.',
+  'host.declineReason': 'Reason (shared with the user, optional)',
+  'host.linkTitle': 'Spatial link',
+  'host.linkDescription': 'Where the user joins “{topic}”.',
+  'host.linkLabel': 'Spatial URL',
+  'host.linkInvalid': 'Enter a full https:// link.',
+  'host.linkSave': 'Save link',
+  'admin.paymentsTitle': 'Payments awaiting verification',
+  'admin.reference': 'UPI reference',
+  'admin.verifyGrant.one': 'Verify & grant {count} session',
+  'admin.verifyGrant.other': 'Verify & grant {count} sessions',
+  'admin.verifyUnlimited': 'Verify & grant unlimited sessions',
+  'admin.unknownPlan': 'Unknown plan. Sessions to grant:',
+  'admin.verify': 'Verify',
+  'admin.verified': 'Payment verified. Credits granted to {email}.',
+  'admin.reject': 'Reject',
+  'admin.rejectTitle': 'Reject this payment?',
+  'admin.rejectDescription': 'Reference {reference} for {amount}. The user will see the reason.',
+  'admin.rejected': 'Payment rejected.',
+  'admin.updateFailed': 'Could not update the payment.',
+  'admin.loadFailed': 'Could not load payments.',
+  'admin.none': 'No payments are waiting for verification.',
+  'admin.grantTitle': 'Grant session credits',
+  'admin.grantHelp': 'For payments verified outside the app, goodwill credits and corrections. Every grant is logged with its reason.',
+  'admin.email': 'User email',
+  'admin.sessions': 'Sessions',
+  'admin.reason': 'Reason',
+  'admin.reasonPlaceholder': 'e.g. Bank transfer ref 12345',
+  'admin.grant': 'Grant credits',
+  'admin.granted.one': 'Granted {count} session to {email}.',
+  'admin.granted.other': 'Granted {count} sessions to {email}.',
+  'admin.grantFailed': 'Could not grant credits.',
+
+  'insights.title': 'Journal insights',
+  'insights.digestTitle': 'This week (from {date})',
+  'insights.digestEmpty': 'No reflections yet this week.',
+  'insights.digestLine.one': '{count} {pillar} reflection',
+  'insights.digestLine.other': '{count} {pillar} reflections',
+  'insights.mostly': 'mostly {mood}',
+  'insights.trend.lighter': 'lighter',
+  'insights.trend.heavier': 'heavier',
+  'insights.trend.steady': 'steady',
+  'insights.sealed.one': '{count} private vault entry was left out.',
+  'insights.sealed.other': '{count} private vault entries were left out.',
+  'insights.nextTitle': 'Suggested focus for your next session',
+  'insights.book': 'Book a session',
+  'insights.reason.lowBalance': 'Below its share of your balance',
+  'insights.reason.heavyMood': 'Your recent entries here feel heavy',
+  'insights.reason.noRecentSession': 'No session on it in the last 30 days',
+  'insights.themesTitle': 'Recurring themes',
+  'insights.noThemes': 'Not enough entries yet',
+  'insights.shiftsTitle': 'Mood shifts',
+  'insights.noShifts': 'No big week-to-week changes so far.',
+  'insights.shift.up': '{pillar} entries got lighter in the week of {date}',
+  'insights.shift.down': '{pillar} entries got heavier in the week of {date}',
+  'insights.privacy': 'Worked out on this device from your reflections. Nothing is sent to an AI service.',
+
+  'journal.guide': 'Prompt or template',
+  'journal.freeWriting': 'Free writing',
+  'journal.prompts': 'Prompts',
+  'journal.templates': 'Templates',
+  'journal.freeLabel': 'What’s on your mind?',
+  'journal.answerOne': 'Answer at least one question before saving.',
+  'journal.linkedTo': 'Reflecting on: {session}',
+  'journal.aSession': 'a past session',
+  'journal.unlink': 'Unlink',
+  'journal.title': 'Reflection Journal',
+  'journal.pillar': 'Pillar',
+  'journal.feel': 'How do you feel?',
+  'journal.mood': 'Mood',
+  'journal.entry': 'Entry',
+  'journal.private': 'Private — encrypt before upload',
+  'journal.unlockFirst': '(unlock the vault below first)',
+  'journal.save': 'Save Reflection',
+  'journal.savePrivate': 'Save Private Reflection',
+  'journal.draftSaved': 'Draft saved {time}',
+  'journal.vaultPitch': 'Keep entries private with the encrypted vault.',
+  'journal.moodTrends': 'Mood trends',
+  'journal.search': 'Search entries…',
+  'journal.allPillars': 'All pillars',
+  'journal.moodFilter': 'Mood or tag',
+  'journal.from': 'From',
+  'journal.to': 'To',
+  'journal.clearFilters': 'Clear filters',
+  'journal.sealed': 'Private entry — unlock the vault to read it.',
+  'journal.otherPassphrase': 'This entry was sealed with a different passphrase.',
+  'journal.pending': 'Waiting to sync',
+  'journal.empty': 'No reflections yet.',
+  'journal.noMatches': 'No reflections match these filters.',
+  'journal.loadFailed': 'Could not load reflections',
+  'journal.editTitle': 'Edit reflection',
+  'journal.saveChanges': 'Save changes',
+  'journal.deleteTitle': 'Delete this reflection?',
+  'journal.saving': 'Saving reflection...',
+  'journal.savedOffline': 'You are offline. Your reflection is saved on this device and will sync when you reconnect.',
+  'journal.saved': 'Reflection saved ✍️',
+  'journal.saveFailed': 'Could not save reflection. {reason} Your draft is kept.',
+  'journal.updating': 'Updating reflection...',
+  'journal.updated': 'Reflection updated ✍️',
+  'journal.updateFailed': 'Could not update reflection. {reason}',
+  'journal.deleting': 'Deleting reflection...',
+  'journal.deleted': 'Reflection deleted',
+  'journal.deleteFailed': 'Could not delete reflection. {reason}',
+  'prompts.afterSession': 'What did you feel after this Sanctuary?',
+  'prompts.mindNoticed': 'What did your mind keep returning to today?',
+  'prompts.mindDrained': 'What drained your energy, and what restored it?',
+  'prompts.mindQuiet': 'When did you feel most at peace this week?',
+  'prompts.moneyDecision': 'Which money decision are you putting off, and why?',
+  'prompts.moneyWorry': 'What is one money worry you can name precisely?',
+  'prompts.moneyEnough': 'What would “enough” look like for you this month?',
+  'prompts.meaningAlive': 'When did you feel most alive recently?',
+  'prompts.meaningValue': 'Which of your values did you act on today?',
+  'prompts.meaningContribute': 'Who did you help, or who helped you?',
+  'prompts.healingGentle': 'Where can you be gentler with yourself right now?',
+  'prompts.healingLetGo': 'What are you ready to let go of?',
+  'prompts.growthStretch': 'What stretched you this week?',
+  'prompts.growthLearned': 'What did a mistake teach you recently?',
+  'prompts.directionStep': 'What is the next small step toward where you want to be?',
+  'prompts.directionNorthStar': 'If this year went perfectly, what would be different?',
+  'template.gratitude.title': 'Gratitude',
+  'template.gratitude.three': 'Three things you are grateful for',
+  'template.gratitude.why': 'Why does one of them matter to you?',
+  'template.gratitude.share': 'Who could you thank or share this with?',
+  'template.moneyCheckin.title': 'Money check-in',
+  'template.moneyCheckin.spent': 'What did you spend or save on this week?',
+  'template.moneyCheckin.aligned': 'Which spending felt aligned with your priorities, and which didn’t?',
+  'template.moneyCheckin.feeling': 'How do you feel about money right now?',
+  'template.moneyCheckin.next': 'One money action for next week',
+  'template.valuesAlignment.title': 'Values alignment',
+  'template.valuesAlignment.values': 'Your top three values right now',
+  'template.valuesAlignment.lived': 'Where did you live them this week?',
+  'template.valuesAlignment.gap': 'Where did your actions drift from them?',
+  'template.valuesAlignment.adjust': 'What will you adjust?',
+  'template.sessionDebrief.title': 'Session debrief',
+  'template.sessionDebrief.insight': 'The insight you are taking away',
+  'template.sessionDebrief.feeling': 'How you felt before and after',
+  'template.sessionDebrief.practice': 'What you will practise before the next session',
+
+  'goals.newTitle': 'Set a goal',
+  'goals.yours': 'Your goals',
+  'goals.titleLabel': 'Goal',
+  'goals.titlePlaceholder': 'e.g. Build a 3-month emergency fund',
+  'goals.pillar': 'Pillar',
+  'goals.targetDate': 'Target date',
+  'goals.milestones': 'Milestones',
+  'goals.milestonePlaceholder': 'Milestone {n}',
+  'goals.addMilestone': '+ Add milestone',
+  'goals.removeMilestone': 'Remove milestone',
+  'goals.habit': 'Habit check-in',
+  'goals.noHabit': 'None',
+  'goals.cadence.daily': 'Daily',
+  'goals.cadence.weekly': 'Weekly',
+  'goals.habitLabel': 'Habit',
+  'goals.habitPlaceholder': 'e.g. Log expenses',
+  'goals.feedsBalance': 'Completed milestones count toward my pillar balance',
+  'goals.create': 'Create goal',
+  'goals.due': 'due {date}',
+  'goals.daysLeft.one': '{count} day left',
+  'goals.daysLeft.other': '{count} days left',
+  'goals.overdue.one': '{count} day overdue',
+  'goals.overdue.other': '{count} days overdue',
+  'goals.streak.daily.one': '{count}-day streak',
+  'goals.streak.daily.other': '{count}-day streak',
+  'goals.streak.weekly.one': '{count}-week streak',
+  'goals.streak.weekly.other': '{count}-week streak',
+  'goals.checkIn': 'Check in',
+  'goals.checkedIn': '✓ Done',
+  'goals.markComplete': 'Mark goal complete',
+  'goals.reopen': 'Reopen',
+  'goals.delete': 'Delete',
+  'goals.created': 'Goal created 🎯',
+  'goals.createFailed': 'Could not create the goal.',
+  'goals.updateFailed': 'Could not update the goal.',
+  'goals.milestoneDone': 'Milestone done ✅',
+  'goals.checkInSaved': 'Check-in saved.',
+  'goals.completed': 'Goal completed 🎉',
+  'goals.deleted': 'Goal deleted.',
+  'goals.deleteFailed': 'Could not delete the goal.',
+  'goals.deleteTitle': 'Delete this goal?',
+  'goals.deleteDescription': '“{title}”, its milestones and check-ins will be removed.',
+  'goals.loadFailed': 'Could not load your goals.',
+  'goals.retry': 'Retry',
+  'goals.none': 'No active goals. Set one to see what you are growing toward.',
+  'goals.closed.one': 'Completed ({count})',
+  'goals.closed.other': 'Completed ({count})',
+  'goals.unavailable': 'Goals are not available on this server yet.',
+
+  'mood.level.1': 'Very low',
+  'mood.level.2': 'Low',
+  'mood.level.3': 'Okay',
+  'mood.level.4': 'Good',
+  'mood.level.5': 'Great',
+  'mood.estimated': '{label} (estimated)',
+  'mood.notePlaceholder': 'Anything else about how you feel? (optional)',
+  'mood.tag.calm': 'calm',
+  'mood.tag.grateful': 'grateful',
+  'mood.tag.hopeful': 'hopeful',
+  'mood.tag.joyful': 'joyful',
+  'mood.tag.energized': 'energized',
+  'mood.tag.focused': 'focused',
+  'mood.tag.confused': 'confused',
+  'mood.tag.tired': 'tired',
+  'mood.tag.anxious': 'anxious',
+  'mood.tag.stressed': 'stressed',
+  'mood.tag.overwhelmed': 'overwhelmed',
+  'mood.tag.sad': 'sad',
+  'mood.tag.lonely': 'lonely',
+  'mood.tag.angry': 'angry',
+  'moodTrends.loading': 'Loading mood history…',
+  'moodTrends.empty': 'Rate your mood on a few reflections to see trends here.',
+  'moodTrends.week': 'Weekly',
+  'moodTrends.month': 'Monthly',
+  'moodTrends.point.one': '{pillar} {bucket}: {average} ({count} entry)',
+  'moodTrends.point.other': '{pillar} {bucket}: {average} ({count} entries)',
+  'moodTrends.chart': 'Mood over time by pillar',
+
+  'editor.write': 'Write',
+  'editor.preview': 'Preview',
+  'editor.empty': 'Nothing to preview yet.',
+  'editor.tool.bold': 'B',
+  'editor.tool.italic': 'I',
+  'editor.tool.heading': 'H',
+  'editor.tool.bullets': '• List',
+  'editor.tool.numbered': '1. List',
+  'editor.tool.quote': '❝ Quote',
+
+  'vault.locked': '🔒 Private entries are locked. Enter your vault passphrase to read or write them.',
+  'vault.setup': '🔒 Set a vault passphrase to keep chosen entries encrypted on this device before they are uploaded. It cannot be recovered if forgotten.',
+  'vault.passphrase': 'Vault passphrase',
+  'vault.repeat': 'Repeat passphrase',
+  'vault.unlock': 'Unlock',
+  'vault.create': 'Create vault',
+  'vault.working': 'Working…',
+  'vault.mismatch': 'Passphrases do not match.',
+  'vault.wrong': 'Wrong passphrase.',
+  'vault.unlocked': '🔓 Vault unlocked — locks itself after 5 minutes of inactivity.',
+  'vault.lock': 'Lock now',
+
+  'password.level.tooWeak': 'Too weak',
+  'password.level.weak': 'Weak',
+  'password.level.fair': 'Fair',
+  'password.level.good': 'Good',
+  'password.level.strong': 'Strong',
+  'password.issue.length': 'Use at least {min} characters.',
+  'password.issue.variety': 'Mix upper and lower case letters, numbers or symbols.',
+  'password.issue.personal': 'Don’t include your name or email.',
+  'password.issue.common': 'Avoid common words and repeated characters.',
+
+  'account.backToLogin': 'Back to login',
+  'account.linkExpired': 'The link may have expired.',
+  'forgot.title': 'Forgot password',
+  'forgot.subtitle': 'We’ll email you a link to choose a new one.',
+  'forgot.submit': 'Send reset link',
+  'forgot.sending': 'Sending reset link...',
+  'forgot.failed': 'Could not send the link. {reason}',
+  'forgot.sent': 'If an account exists for {email}, a reset link is on its way. It expires after a short while, so use it soon.',
+  'reset.title': 'Reset password',
+  'reset.subtitle': 'Choose a new password for your account.',
+  'reset.newPassword': 'New password',
+  'reset.repeatPassword': 'Repeat password',
+  'reset.submit': 'Set new password',
+  'reset.mismatch': 'Passwords do not match.',
+  'reset.saving': 'Saving new password...',
+  'reset.done': 'Password updated. Please login with your new password.',
+  'reset.failed': 'Could not reset your password. {reason}',
+  'reset.incomplete': 'This reset link is incomplete.',
+  'reset.requestNew': 'Request a new one.',
+  'reset.expired': 'Link expired? Send a new one',
+  'verify.title': 'Verify email',
+  'verify.checking': 'Checking your link…',
+  'verify.done': 'Your email is verified ✅',
+  'verify.failed': 'Could not verify your email. {reason} You can request a new link from the banner in the app.',
+  'verify.incomplete': 'This verification link is incomplete. Request a new one from the banner in the app.',
+  'verify.toDashboard': 'Go to your dashboard',
+  'verify.banner': 'Please verify your email address. Check your inbox for the link we sent.',
+  'verify.sending': 'Sending...',
+  'verify.sent': 'Sent a new link to {email}.',
+  'verify.sendFailed': 'Could not send the email. Please try again shortly.',
+  'verify.resend': 'Resend email',
+  'verify.resendIn': 'Resend in {seconds}s',
+  'reauth.title': 'Stay signed in?',
+  'reauth.body.one': 'Your session ends in about {count} minute. Enter your password to keep going.',
+  'reauth.body.other': 'Your session ends in about {count} minutes. Enter your password to keep going.',
+  'reauth.stay': 'Stay signed in',
+  'reauth.failed': 'Could not sign you in.',
+  'deleteAccount.title': 'Delete my account and data',
+  'deleteAccount.body': 'This permanently removes your profile, sessions, reflections, balance history and plan from TANA, and clears what this device has saved for you. It cannot be undone.',
+  'deleteAccount.noRefund': 'Paid plan time that is left is not refunded. Want a copy first?',
+  'deleteAccount.export': 'Export your data before you continue.',
+  'deleteAccount.typePhrase': 'Type {phrase} to confirm',
+  'deleteAccount.submit': 'Delete everything',
+  'deleteAccount.busy': 'Deleting…',
+  'deleteAccount.keep': 'Keep my account',
+  'deleteAccount.deleting': 'Deleting your account...',
+  'deleteAccount.wrongPassword': 'That password is not right.',
+  'deleteAccount.failed': 'Could not delete your account. Please try again.',
+  'deleteAccount.done': 'Your account and all of its data were deleted.',
+
+  'data.title': 'Your data',
+  'data.intro': 'Download everything you’ve written and booked, or bring reflections back from an earlier export.',
+  'data.format.json': 'Full archive (JSON)',
+  'data.format.csv': 'Sessions (CSV)',
+  'data.format.md': 'Reflections (Markdown)',
+  'data.preparing': 'Preparing…',
+  'data.import': 'Import archive',
+  'data.importing': 'Importing…',
+  'data.importNote': 'Imports add reflections only; sessions and your profile are left as they are. Entries already on your account are skipped.',
+  'data.exportFailed': 'Export failed. {reason}',
+  'data.importFailed': 'Import failed. {reason}',
+  'data.archive.notJson': 'This file is not valid JSON.',
+  'data.archive.notTana': 'This file is not a TANA export.',
+  'data.archive.tooNew': 'This export was made by a newer version of TANA.',
+  'data.archive.noReflections': 'The export has no reflections list.',
+  'data.archive.malformed.one': '{count} reflection in the file is malformed.',
+  'data.archive.malformed.other': '{count} reflections in the file are malformed.',
+  'data.checking': 'Checking the file...',
+  'data.progress': 'Importing… {done} / {total}',
+  'data.imported.one': 'Imported {count} reflection.',
+  'data.imported.other': 'Imported {count} reflections.',
+  'data.skipped.one': 'Skipped {count} already here.',
+  'data.skipped.other': 'Skipped {count} already here.',
+  'data.failed.one': '{count} failed.',
+  'data.failed.other': '{count} failed.',
+
+  'paywall.exhausted': 'You’ve completed your free sessions 🌙',
+  'paywall.upgrade': 'Upgrade your plan ✨',
+  'paywall.continue': 'Continue your journey within TANA:',
+  'paywall.choose': 'Choose',
+  'paywall.loading': 'Loading plans…',
+  'paywall.loadFailed': 'Could not load plans',
+  'paywall.failed': 'Something went wrong. Please try again.',
+  'paywall.payTo': 'Pay {amount} for {plan} to UPI ID',
+  'paywall.openUpi': 'Open UPI app',
+  'paywall.reference': 'UPI transaction reference (UTR)',
+  'paywall.referenceHint': '12-digit reference from your UPI app',
+  'paywall.paid': 'I’ve Paid',
+  'paywall.another': 'Choose another plan',
+  'paywall.verifying': 'Verifying your payment (reference {reference})… this page updates automatically.',
+  'paywall.verified': 'Payment verified ✅ Your {plan} is active.',
+  'paywall.rejected': 'We couldn’t verify this payment.',
+  'paywall.rejectedBecause': 'We couldn’t verify this payment: {reason}.',
+  'paywall.retryReference': 'Try another reference',
+  'paywall.startOver': 'Start over',
+
+  'analytics.loading': 'Crunching your history…',
+  'analytics.historyFailed': 'Could not load balance history',
+  'analytics.balance': 'Balance',
+  'analytics.triangle': 'TANA balance',
+  'analytics.streak': 'Reflection streak',
+  'analytics.days.one': 'day',
+  'analytics.days.other': 'days',
+  'analytics.longest.one': 'Longest: {count} day',
+  'analytics.longest.other': 'Longest: {count} days',
+  'analytics.keepStreak': 'Write today to keep your streak going.',
+  'analytics.needsAttention': 'Needs attention',
+  'analytics.neverActive': '{pct}% of your balance — no sessions or reflections yet.',
+  'analytics.lastActive.one': '{pct}% of your balance — last activity {count} day ago.',
+  'analytics.lastActive.other': '{pct}% of your balance — last activity {count} days ago.',
+  'analytics.overTime': 'Balance over time',
+  'analytics.chart': 'Pillar balance over time',
+  'analytics.noHistory': 'Book sessions and write reflections to see how your balance moves.',
+}
@@ -0,0 +1,588 @@
+export default {
+  'common.loading': 'लोड हो रहा है…',
+  'common.back': 'वापस',
+  'common.tryAgain': 'कृपया फिर से कोशिश करें।',
+  'common.confirm': 'पुष्टि करें',
+  'common.keepIt': 'रहने दें',
+  'common.edit': 'संपादित करें',
+  'common.delete': 'हटाएँ',
+  'common.cannotUndo': 'इसे पूर्ववत नहीं किया जा सकता।',
+  'common.retry': 'फिर से कोशिश करें',
+  'common.loadMore': 'और दिखाएँ',
+  'common.done': 'हो गया',
+  'language.label': 'भाषा',
+
+  'nav.dashboard': 'डैशबोर्ड',
+  'nav.sessions': 'सत्र',
+  'nav.journal': 'जर्नल',
+  'nav.goals': 'लक्ष्य',
+  'nav.analytics': 'विश्लेषण',
+  'nav.profile': 'प्रोफ़ाइल',
+  'nav.host': 'होस्ट',
+  'nav.admin': 'एडमिन',
+  'nav.logout': 'लॉग आउट',
+
+  'pillar.Mind': 'मन',
+  'pillar.Money': 'धन',
+  'pillar.Meaning': 'अर्थ',
+
+  'purpose.Healing': 'उपचार',
+  'purpose.Growth': 'विकास',
+  'purpose.Direction': 'दिशा',
+
+  'sync.offline': 'ऑफ़लाइन',
+  'sync.syncing': 'सिंक हो रहा है…',
+  'sync.synced': 'सिंक हो गया',
+  'sync.online': 'ऑनलाइन',
+  'sync.queued.one': '{count} कतार में',
+  'sync.queued.other': '{count} कतार में',
+  'sync.waiting.one': '{count} बदलाव सिंक होने की प्रतीक्षा में',
+  'sync.waiting.other': '{count} बदलाव सिंक होने की प्रतीक्षा में',
+
+  'shell.offline': 'आप ऑफ़लाइन हैं। आपका पिछला सहेजा गया डेटा दिखाया जा रहा है।',
+  'shell.refreshFailed': 'आपका डेटा रीफ़्रेश नहीं हो सका। कृपया थोड़ी देर में फिर कोशिश करें।',
+  'shell.synced.one': '{count} ऑफ़लाइन बदलाव सिंक हुआ ✅',
+  'shell.synced.other': '{count} ऑफ़लाइन बदलाव सिंक हुए ✅',
+  'shell.rejected.one': '{count} ऑफ़लाइन बदलाव सर्वर ने अस्वीकार किया और हटा दिया गया।',
+  'shell.rejected.other': '{count} ऑफ़लाइन बदलाव सर्वर ने अस्वीकार किए और हटा दिए गए।',
+  'shell.languageNotSaved': 'इस डिवाइस पर भाषा बदल गई, लेकिन इसे आपकी प्रोफ़ाइल में सहेजा नहीं जा सका।',
+
+  'home.tagline': 'मन, धन और अर्थ में उपचार, चिंतन और विकास के लिए एक सजग डिजिटल इकोसिस्टम।',
+  'home.getStarted': 'शुरू करें',
+  'home.checkBackend': 'बैकएंड जाँचें',
+
+  'auth.title': 'अपने सैंक्चुअरी में प्रवेश करें',
+  'auth.subtitle': 'जारी रखने के लिए खाता बनाएँ या साइन इन करें।',
+  'auth.login': 'लॉगिन',
+  'auth.signup': 'साइन अप',
+  'auth.name': 'नाम',
+  'auth.email': 'ईमेल',
+  'auth.password': 'पासवर्ड',
+  'auth.age': 'आयु',
+  'auth.purpose': 'उद्देश्य',
+  'auth.signIn': 'साइन इन करें',
+  'auth.createAccount': 'खाता बनाएँ',
+  'auth.forgot': 'पासवर्ड भूल गए?',
+  'auth.creating': 'आपका खाता बनाया जा रहा है...',
+  'auth.signingIn': 'साइन इन हो रहा है...',
+  'auth.welcomeNew': 'TANA में आपका स्वागत है ✨',
+  'auth.welcomeBack': 'वापसी पर स्वागत है ✨',
+  'auth.signupFailed': 'साइन अप विफल। {reason}',
+  'auth.loginFailed': 'लॉगिन विफल। {reason}',
+  'auth.checkCredentials': 'अपना ईमेल और पासवर्ड जाँचें।',
+  'auth.weakPassword': 'कोई मज़बूत पासवर्ड चुनें। {issues}',
+  'auth.modelTitle': 'TANA मॉडल',
+  'auth.modelBody': 'मन, धन, अर्थ — संतुलित जीवन के तीन स्तंभ। हर एक 0 से शुरू करें और सत्रों व चिंतन के साथ आगे बढ़ें।',
+  'auth.tokenNote': 'सुरक्षित साइन-इन आपके डिवाइस पर सहेजे गए टोकन का उपयोग करता है। इस MVP के लिए किसी तीसरे पक्ष की ज़रूरत नहीं है।',
+  'auth.ended.expired': 'आपका सत्र समाप्त हो गया। कृपया फिर से लॉगिन करें।',
+  'auth.ended.otherTab': 'आपको किसी दूसरे टैब में साइन आउट कर दिया गया।',
+
+  'dashboard.welcome': 'स्वागत है, {name}',
+  'dashboard.balance': 'TANA में आपका वर्तमान संतुलन:',
+  'dashboard.trendsLink': 'रुझान और सिलसिले देखें →',
+  'dashboard.goalProgress.one': '{count} लक्ष्य · {progress}%',
+  'dashboard.goalProgress.other': '{count} लक्ष्य · {progress}%',
+  'dashboard.noGoals': 'अभी कोई लक्ष्य नहीं',
+  'dashboard.goalsLink': 'लक्ष्य और आदतें →',
+  'dashboard.sessionsUsed': 'उपयोग किए गए सत्र {used} / {limit}',
+  'dashboard.plan': 'प्लान:',
+  'dashboard.upgrade': 'अपग्रेड करें',
+  'dashboard.yourPlan': 'आपका प्लान',
+  'dashboard.planActive': 'भुगतान सत्यापित हुआ। {plan} अब सक्रिय है ✨',
+
+  'plan.free': 'मुफ़्त',
+  'plan.unlimited': 'असीमित',
+  'plan.unlimitedSessions': 'असीमित सत्र',
+  'plan.moreSessions.one': '+{count} सत्र',
+  'plan.moreSessions.other': '+{count} सत्र',
+  'feature.ai_insights': 'AI जर्नल इनसाइट्स',
+  'feature.mentorship': 'मेंटरशिप',
+  'feature.vault': 'निजी वॉल्ट',
+  'upgrade.paidFeature': '{feature} एक सशुल्क प्लान का हिस्सा है।',
+  'upgrade.includedFrom': '{price} से शामिल — {plan}।',
+  'upgrade.seePlans': 'प्लान देखें →',
+
+  'profile.title': 'प्रोफ़ाइल',
+  'profile.save': 'सहेजें',
+  'profile.saving': 'प्रोफ़ाइल सहेजी जा रही है...',
+  'profile.saved': 'प्रोफ़ाइल अपडेट हो गई ✅',
+  'profile.saveFailed': 'प्रोफ़ाइल सहेजी नहीं जा सकी।',
+  'profile.deletePrompt': 'अपना खाता और उसमें सहेजी गई हर चीज़ हटाएँ।',
+  'profile.deleteLink': 'खाता हटाएँ',
+
+  'status.requested': 'अनुरोधित',
+  'status.confirmed': 'पुष्ट',
+  'status.link_issued': 'लिंक जारी',
+  'status.completed': 'पूर्ण',
+  'status.cancelled': 'रद्द',
+  'status.declined': 'अस्वीकृत',
+  'status.no_show': 'अनुपस्थित',
+
+  'topic.mindClarity': 'मन — स्पष्टता',
+  'topic.moneyDiscipline': 'धन — अनुशासन',
+  'topic.meaningAlignment': 'अर्थ — सामंजस्य',
+
+  'sessions.bookTitle': 'सैंक्चुअरी सत्र बुक करें',
+  'sessions.topic': 'स्तंभ और विषय',
+  'sessions.slot': 'समय',
+  'sessions.selected': 'चुना गया: {when}',
+  'sessions.noSlot': 'अभी कोई समय नहीं चुना गया।',
+  'sessions.request': 'सत्र का अनुरोध करें',
+  'sessions.hostNote': 'हम आपके अनुरोध के बारे में होस्ट को ईमेल करेंगे। सत्र के समय के पास आपको Spatial लिंक मिलेगा।',
+  'sessions.yours': 'आपके सत्र',
+  'sessions.exportAll': 'सभी को कैलेंडर में निर्यात करें',
+  'sessions.join': 'जुड़ें',
+  'sessions.pendingLink': 'लिंक लंबित',
+  'sessions.addToCalendar': 'कैलेंडर में जोड़ें',
+  'sessions.reschedule': 'समय बदलें',
+  'sessions.cancel': 'रद्द करें',
+  'sessions.reflect': 'इस सत्र पर चिंतन करें',
+  'sessions.none': 'अभी कोई सत्र नहीं।',
+  'sessions.cancelTitle': 'यह सत्र रद्द करें?',
+  'sessions.cancelDescription': '{topic}, {when}। यह स्लॉट आपके प्लान में वापस जुड़ जाएगा।',
+  'sessions.cancelConfirm': 'सत्र रद्द करें',
+  'sessions.rescheduleTitle': 'सत्र का समय बदलें',
+  'sessions.currently': '{topic} — अभी {when}',
+  'sessions.pickSlot': 'पहले कैलेंडर में कोई खुला समय चुनें।',
+  'sessions.requesting': 'सत्र का अनुरोध भेजा जा रहा है...',
+  'sessions.queued': 'आप ऑफ़लाइन हैं। आपका अनुरोध कतार में है और कनेक्ट होने पर भेजा जाएगा।',
+  'sessions.limited': 'आप अपनी मौजूदा सत्र सीमा तक पहुँच गए हैं। और सत्र अनलॉक करने पर विचार करें।',
+  'sessions.requested': 'सत्र का अनुरोध भेजा गया। हम होस्ट को ईमेल करेंगे।',
+  'sessions.requestFailed': 'सत्र का अनुरोध नहीं हो सका।',
+  'sessions.cancelling': 'सत्र रद्द किया जा रहा है...',
+  'sessions.cancelled': 'सत्र रद्द हुआ। आपका स्लॉट फिर से उपलब्ध है।',
+  'sessions.cancelFailed': 'सत्र रद्द नहीं हो सका।',
+  'sessions.rescheduling': 'सत्र का समय बदला जा रहा है...',
+  'sessions.rescheduled': 'सत्र का समय बदल गया। हम होस्ट को बता देंगे।',
+  'sessions.rescheduleFailed': 'सत्र का समय नहीं बदला जा सका।',
+
+  'calendar.week': 'सप्ताह',
+  'calendar.month': 'महीना',
+  'calendar.available': 'उपलब्ध',
+  'calendar.past': 'बीत चुका',
+  'calendar.unavailable': 'होस्ट उपलब्ध नहीं',
+  'calendar.booked': 'इस समय आपका पहले से एक सत्र है',
+  'calendar.open.one': '{count} खाली',
+  'calendar.open.other': '{count} खाली',
+  'calendar.loading': 'उपलब्धता लोड हो रही है…',
+  'calendar.loadFailed': 'उपलब्धता लोड नहीं हो सकी',
+  'calendar.zone': 'समय आपके समय क्षेत्र ({zone}) में दिखाया गया है।',
+  'calendar.hostZone': 'होस्ट {zone} में है।',
+
+  'notify.title': 'सूचनाएँ',
+  'notify.intro': 'हर सत्र से पहले रिमाइंडर पाएँ, और Spatial लिंक तैयार होने पर सूचना।',
+  'notify.unsupported': 'यह ब्राउज़र सूचनाओं का समर्थन नहीं करता।',
+  'notify.blocked': 'इस साइट के लिए सूचनाएँ ब्लॉक हैं। रिमाइंडर पाने के लिए ब्राउज़र सेटिंग्स में इन्हें अनुमति दें।',
+  'notify.enable': 'रिमाइंडर चालू करें',
+  'notify.disable': 'रिमाइंडर बंद करें',
+  'notify.day_before': 'सत्र से 24 घंटे पहले',
+  'notify.fifteen_min': 'सत्र से 15 मिनट पहले',
+  'notify.link_ready': 'जब Spatial लिंक तैयार हो',
+  'notify.push': 'TANA बंद होने पर भी सूचना दें (पुश)',
+  'notify.test': 'परीक्षण सूचना भेजें',
+  'notify.testTitle': 'TANA परीक्षण सूचना',
+  'notify.testBody': 'इस डिवाइस पर रिमाइंडर काम कर रहे हैं।',
+  'notify.testSent': 'परीक्षण भेजा गया। यह कुछ सेकंड में पहुँचना चाहिए।',
+  'notify.testFailed': 'परीक्षण सूचना नहीं भेजी जा सकी।',
+  'notify.saveFailed': 'आपकी सूचना सेटिंग्स सहेजी नहीं जा सकीं।',
+  'notify.pushError.noWorker': 'पुश के लिए इंस्टॉल किया गया ऐप चाहिए (सर्विस वर्कर वाला प्रोडक्शन बिल्ड)।',
+  'notify.pushFailed': 'इस डिवाइस पर पुश सूचनाएँ बदली नहीं जा सकीं।',
+
+  'reminders.dayTitle': 'आगामी सत्र',
+  'reminders.dayBody': '{topic} · {when}',
+  'reminders.soonTitle': '15 मिनट में सत्र',
+  'reminders.soonBody': '{topic} {when} पर शुरू होगा।',
+  'reminders.linkTitle': 'आपका Spatial लिंक तैयार है',
+  'reminders.linkBody': '{topic} · {when}। जुड़ने के लिए टैप करें।',
+
+  'live.connecting': 'लाइव अपडेट से जुड़ रहा है…',
+  'live.live': 'लाइव अपडेट चालू',
+  'live.polling': 'लाइव अपडेट उपलब्ध नहीं; हर 30 सेकंड में जाँच हो रही है',
+
+  'host.title': 'सत्र अनुरोध',
+  'host.reload': 'फिर से लोड करें',
+  'host.pillar': 'स्तंभ',
+  'host.status': 'स्थिति',
+  'host.from': 'से',
+  'host.to': 'तक',
+  'host.all': 'सभी',
+  'host.noBalance': 'अभी कोई संतुलन नहीं',
+  'host.user': 'उपयोगकर्ता {id}',
+  'host.reason': 'कारण: {reason}',
+  'host.confirm': 'पुष्टि करें',
+  'host.decline': 'अस्वीकार करें',
+  'host.attachLink': 'Spatial लिंक जोड़ें',
+  'host.editLink': 'लिंक बदलें',
+  'host.markCompleted': 'पूरा चिह्नित करें',
+  'host.markNoShow': 'अनुपस्थित चिह्नित करें',
+  'host.confirmed': 'सत्र की पुष्टि हुई।',
+  'host.declined': 'सत्र अस्वीकार किया गया।',
+  'host.linked': 'Spatial लिंक सहेजा गया। उपयोगकर्ता अब जुड़ सकता है।',
+  'host.completed': 'सत्र पूरा चिह्नित किया गया।',
+  'host.noShow': 'सत्र अनुपस्थित चिह्नित किया गया।',
+  'host.updateFailed': 'सत्र अपडेट नहीं हो सका।',
+  'host.loadFailed': 'सत्र अनुरोध लोड नहीं हो सके।',
+  'host.none': 'इन फ़िल्टर से कोई सत्र मेल नहीं खाता।',
+  'host.declineTitle': 'यह अनुरोध अस्वीकार करें?',
+  'host.declineDescription': '{topic}, {when}। उपयोगकर्ता को स्लॉट उसके प्लान में वापस मिल जाएगा।',
+  'host.declineReason': 'कारण (उपयोगकर्ता को दिखेगा, वैकल्पिक)',
+  'host.linkTitle': 'Spatial लिंक',
+  'host.linkDescription': 'जहाँ उपयोगकर्ता “{topic}” में जुड़ेगा।',
+  'host.linkLabel': 'Spatial URL',
+  'host.linkInvalid': 'पूरा https:// लिंक दर्ज करें।',
+  'host.linkSave': 'लिंक सहेजें',
+  'admin.paymentsTitle': 'सत्यापन की प्रतीक्षा में भुगतान',
+  'admin.reference': 'UPI संदर्भ',
+  'admin.verifyGrant.one': 'सत्यापित करें और {count} सत्र दें',
+  'admin.verifyGrant.other': 'सत्यापित करें और {count} सत्र दें',
+  'admin.verifyUnlimited': 'सत्यापित करें और असीमित सत्र दें',
+  'admin.unknownPlan': 'अज्ञात प्लान। देने के लिए सत्र:',
+  'admin.verify': 'सत्यापित करें',
+  'admin.verified': 'भुगतान सत्यापित हुआ। {email} को क्रेडिट दिए गए।',
+  'admin.reject': 'अस्वीकार करें',
+  'admin.rejectTitle': 'यह भुगतान अस्वीकार करें?',
+  'admin.rejectDescription': '{amount} के लिए संदर्भ {reference}। उपयोगकर्ता को कारण दिखेगा।',
+  'admin.rejected': 'भुगतान अस्वीकार किया गया।',
+  'admin.updateFailed': 'भुगतान अपडेट नहीं हो सका।',
+  'admin.loadFailed': 'भुगतान लोड नहीं हो सके।',
+  'admin.none': 'कोई भुगतान सत्यापन की प्रतीक्षा में नहीं है।',
+  'admin.grantTitle': 'सत्र क्रेडिट दें',
+  'admin.grantHelp': 'ऐप के बाहर सत्यापित भुगतानों, सद्भावना क्रेडिट और सुधारों के लिए। हर क्रेडिट उसके कारण के साथ दर्ज होता है।',
+  'admin.email': 'उपयोगकर्ता ईमेल',
+  'admin.sessions': 'सत्र',
+  'admin.reason': 'कारण',
+  'admin.reasonPlaceholder': 'जैसे बैंक ट्रांसफ़र संदर्भ 12345',
+  'admin.grant': 'क्रेडिट दें',
+  'admin.granted.one': '{email} को {count} सत्र दिया गया।',
+  'admin.granted.other': '{email} को {count} सत्र दिए गए।',
+  'admin.grantFailed': 'क्रेडिट नहीं दिए जा सके।',
+
+  'insights.title': 'जर्नल इनसाइट्स',
+  'insights.digestTitle': 'इस सप्ताह ({date} से)',
+  'insights.digestEmpty': 'इस सप्ताह अभी तक कोई चिंतन नहीं।',
+  'insights.digestLine.one': '{count} {pillar} चिंतन',
+  'insights.digestLine.other': '{count} {pillar} चिंतन',
+  'insights.mostly': 'ज़्यादातर {mood}',
+  'insights.trend.lighter': 'हल्का',
+  'insights.trend.heavier': 'भारी',
+  'insights.trend.steady': 'स्थिर',
+  'insights.sealed.one': '{count} निजी वॉल्ट प्रविष्टि शामिल नहीं की गई।',
+  'insights.sealed.other': '{count} निजी वॉल्ट प्रविष्टियाँ शामिल नहीं की गईं।',
+  'insights.nextTitle': 'आपके अगले सत्र के लिए सुझाया गया फ़ोकस',
+  'insights.book': 'सत्र बुक करें',
+  'insights.reason.lowBalance': 'आपके संतुलन में इसका हिस्सा कम है',
+  'insights.reason.heavyMood': 'यहाँ आपकी हाल की प्रविष्टियाँ भारी लगती हैं',
+  'insights.reason.noRecentSession': 'पिछले 30 दिनों में इस पर कोई सत्र नहीं',
+  'insights.themesTitle': 'बार-बार आने वाले विषय',
+  'insights.noThemes': 'अभी पर्याप्त प्रविष्टियाँ नहीं',
+  'insights.shiftsTitle': 'मूड में बदलाव',
+  'insights.noShifts': 'अब तक सप्ताह-दर-सप्ताह कोई बड़ा बदलाव नहीं।',
+  'insights.shift.up': '{date} वाले सप्ताह में {pillar} प्रविष्टियाँ हल्की हुईं',
+  'insights.shift.down': '{date} वाले सप्ताह में {pillar} प्रविष्टियाँ भारी हुईं',
+  'insights.privacy': 'आपके चिंतनों से इसी डिवाइस पर निकाला गया। कुछ भी किसी AI सेवा को नहीं भेजा जाता।',
+
+  'journal.guide': 'प्रॉम्प्ट या टेम्पलेट',
+  'journal.freeWriting': 'मुक्त लेखन',
+  'journal.prompts': 'प्रॉम्प्ट',
+  'journal.templates': 'टेम्पलेट',
+  'journal.freeLabel': 'आपके मन में क्या है?',
+  'journal.answerOne': 'सहेजने से पहले कम से कम एक प्रश्न का उत्तर दें।',
+  'journal.linkedTo': 'इस पर चिंतन: {session}',
+  'journal.aSession': 'एक पिछला सत्र',
+  'journal.unlink': 'लिंक हटाएँ',
+  'journal.title': 'चिंतन जर्नल',
+  'journal.pillar': 'स्तंभ',
+  'journal.feel': 'आप कैसा महसूस कर रहे हैं?',
+  'journal.mood': 'मनोदशा',
+  'journal.entry': 'प्रविष्टि',
+  'journal.private': 'निजी — अपलोड से पहले एन्क्रिप्ट करें',
+  'journal.unlockFirst': '(पहले नीचे वॉल्ट अनलॉक करें)',
+  'journal.save': 'चिंतन सहेजें',
+  'journal.savePrivate': 'निजी चिंतन सहेजें',
+  'journal.draftSaved': 'ड्राफ़्ट {time} पर सहेजा गया',
+  'journal.vaultPitch': 'एन्क्रिप्टेड वॉल्ट से प्रविष्टियाँ निजी रखें।',
+  'journal.moodTrends': 'मनोदशा के रुझान',
+  'journal.search': 'प्रविष्टियाँ खोजें…',
+  'journal.allPillars': 'सभी स्तंभ',
+  'journal.moodFilter': 'मनोदशा या टैग',
+  'journal.from': 'से',
+  'journal.to': 'तक',
+  'journal.clearFilters': 'फ़िल्टर हटाएँ',
+  'journal.sealed': 'निजी प्रविष्टि — पढ़ने के लिए वॉल्ट अनलॉक करें।',
+  'journal.otherPassphrase': 'यह प्रविष्टि किसी दूसरे पासफ़्रेज़ से सील की गई थी।',
+  'journal.pending': 'सिंक होने की प्रतीक्षा में',
+  'journal.empty': 'अभी तक कोई चिंतन नहीं।',
+  'journal.noMatches': 'इन फ़िल्टरों से कोई चिंतन मेल नहीं खाता।',
+  'journal.loadFailed': 'चिंतन लोड नहीं हो सके',
+  'journal.editTitle': 'चिंतन संपादित करें',
+  'journal.saveChanges': 'बदलाव सहेजें',
+  'journal.deleteTitle': 'यह चिंतन हटाएँ?',
+  'journal.saving': 'चिंतन सहेजा जा रहा है...',
+  'journal.savedOffline': 'आप ऑफ़लाइन हैं। आपका चिंतन इस डिवाइस पर सहेजा गया है और दोबारा कनेक्ट होने पर सिंक हो जाएगा।',
+  'journal.saved': 'चिंतन सहेजा गया ✍️',
+  'journal.saveFailed': 'चिंतन सहेजा नहीं जा सका। {reason} आपका ड्राफ़्ट सुरक्षित है।',
+  'journal.updating': 'चिंतन अपडेट हो रहा है...',
+  'journal.updated': 'चिंतन अपडेट हो गया ✍️',
+  'journal.updateFailed': 'चिंतन अपडेट नहीं हो सका। {reason}',
+  'journal.deleting': 'चिंतन हटाया जा रहा है...',
+  'journal.deleted': 'चिंतन हटा दिया गया',
+  'journal.deleteFailed': 'चिंतन हटाया नहीं जा सका। {reason}',
+  'prompts.afterSession': 'इस सैंक्चुअरी के बाद आपने क्या महसूस किया?',
+  'prompts.mindNoticed': 'आज आपका मन बार-बार किस बात पर लौटता रहा?',
+  'prompts.mindDrained': 'किस चीज़ ने आपकी ऊर्जा घटाई, और किसने लौटाई?',
+  'prompts.mindQuiet': 'इस सप्ताह आपने सबसे ज़्यादा शांति कब महसूस की?',
+  'prompts.moneyDecision': 'पैसों का कौन-सा फ़ैसला आप टाल रहे हैं, और क्यों?',
+  'prompts.moneyWorry': 'पैसों की कौन-सी एक चिंता आप ठीक-ठीक बता सकते हैं?',
+  'prompts.moneyEnough': 'इस महीने आपके लिए “पर्याप्त” कैसा दिखेगा?',
+  'prompts.meaningAlive': 'हाल ही में आपने सबसे ज़्यादा जीवंत कब महसूस किया?',
+  'prompts.meaningValue': 'आज आपने अपने किस मूल्य पर अमल किया?',
+  'prompts.meaningContribute': 'आपने किसकी मदद की, या किसने आपकी?',
+  'prompts.healingGentle': 'अभी आप ख़ुद के साथ कहाँ नरमी बरत सकते हैं?',
+  'prompts.healingLetGo': 'आप किस चीज़ को छोड़ने के लिए तैयार हैं?',
+  'prompts.growthStretch': 'इस सप्ताह किस चीज़ ने आपको आगे बढ़ने पर मजबूर किया?',
+  'prompts.growthLearned': 'हाल की किसी ग़लती ने आपको क्या सिखाया?',
+  'prompts.directionStep': 'जहाँ आप पहुँचना चाहते हैं, उसकी ओर अगला छोटा क़दम क्या है?',
+  'prompts.directionNorthStar': 'अगर यह साल बिल्कुल सही गया, तो क्या अलग होगा?',
+  'template.gratitude.title': 'कृतज्ञता',
+  'template.gratitude.three': 'तीन चीज़ें जिनके लिए आप आभारी हैं',
+  'template.gratitude.why': 'उनमें से एक आपके लिए क्यों मायने रखती है?',
+  'template.gratitude.share': 'आप किसे धन्यवाद दे सकते हैं या किसके साथ यह बाँट सकते हैं?',
+  'template.moneyCheckin.title': 'पैसों की जाँच',
+  'template.moneyCheckin.spent': 'इस सप्ताह आपने किस पर ख़र्च किया या बचाया?',
+  'template.moneyCheckin.aligned': 'कौन-सा ख़र्च आपकी प्राथमिकताओं से मेल खाता था, और कौन-सा नहीं?',
+  'template.moneyCheckin.feeling': 'अभी पैसों को लेकर आप कैसा महसूस करते हैं?',
+  'template.moneyCheckin.next': 'अगले सप्ताह के लिए पैसों से जुड़ा एक क़दम',
+  'template.valuesAlignment.title': 'मूल्यों से तालमेल',
+  'template.valuesAlignment.values': 'अभी आपके तीन सबसे अहम मूल्य',
+  'template.valuesAlignment.lived': 'इस सप्ताह आपने उन्हें कहाँ जिया?',
+  'template.valuesAlignment.gap': 'आपके काम उनसे कहाँ भटके?',
+  'template.valuesAlignment.adjust': 'आप क्या बदलेंगे?',
+  'template.sessionDebrief.title': 'सत्र के बाद समीक्षा',
+  'template.sessionDebrief.insight': 'आप कौन-सी सीख साथ ले जा रहे हैं',
+  'template.sessionDebrief.feeling': 'पहले और बाद में आपने कैसा महसूस किया',
+  'template.sessionDebrief.practice': 'अगले सत्र से पहले आप क्या अभ्यास करेंगे',
+
+  'goals.newTitle': 'लक्ष्य तय करें',
+  'goals.yours': 'आपके लक्ष्य',
+  'goals.titleLabel': 'लक्ष्य',
+  'goals.titlePlaceholder': 'जैसे 3 महीने का आपात फ़ंड बनाना',
+  'goals.pillar': 'स्तंभ',
+  'goals.targetDate': 'लक्ष्य तिथि',
+  'goals.milestones': 'पड़ाव',
+  'goals.milestonePlaceholder': 'पड़ाव {n}',
+  'goals.addMilestone': '+ पड़ाव जोड़ें',
+  'goals.removeMilestone': 'पड़ाव हटाएँ',
+  'goals.habit': 'आदत चेक-इन',
+  'goals.noHabit': 'कोई नहीं',
+  'goals.cadence.daily': 'रोज़ाना',
+  'goals.cadence.weekly': 'साप्ताहिक',
+  'goals.habitLabel': 'आदत',
+  'goals.habitPlaceholder': 'जैसे ख़र्च लिखना',
+  'goals.feedsBalance': 'पूरे हुए पड़ाव मेरे स्तंभ संतुलन में गिने जाएँ',
+  'goals.create': 'लक्ष्य बनाएँ',
+  'goals.due': '{date} तक',
+  'goals.daysLeft.one': '{count} दिन बाकी',
+  'goals.daysLeft.other': '{count} दिन बाकी',
+  'goals.overdue.one': '{count} दिन की देरी',
+  'goals.overdue.other': '{count} दिन की देरी',
+  'goals.streak.daily.one': '{count} दिन का सिलसिला',
+  'goals.streak.daily.other': '{count} दिन का सिलसिला',
+  'goals.streak.weekly.one': '{count} सप्ताह का सिलसिला',
+  'goals.streak.weekly.other': '{count} सप्ताह का सिलसिला',
+  'goals.checkIn': 'चेक-इन करें',
+  'goals.checkedIn': '✓ हो गया',
+  'goals.markComplete': 'लक्ष्य पूरा चिह्नित करें',
+  'goals.reopen': 'फिर से खोलें',
+  'goals.delete': 'हटाएँ',
+  'goals.created': 'लक्ष्य बनाया गया 🎯',
+  'goals.createFailed': 'लक्ष्य नहीं बन सका।',
+  'goals.updateFailed': 'लक्ष्य अपडेट नहीं हो सका।',
+  'goals.milestoneDone': 'पड़ाव पूरा ✅',
+  'goals.checkInSaved': 'चेक-इन सहेजा गया।',
+  'goals.completed': 'लक्ष्य पूरा हुआ 🎉',
+  'goals.deleted': 'लक्ष्य हटाया गया।',
+  'goals.deleteFailed': 'लक्ष्य हटाया नहीं जा सका।',
+  'goals.deleteTitle': 'यह लक्ष्य हटाएँ?',
+  'goals.deleteDescription': '“{title}”, उसके पड़ाव और चेक-इन हटा दिए जाएँगे।',
+  'goals.loadFailed': 'आपके लक्ष्य लोड नहीं हो सके।',
+  'goals.retry': 'फिर कोशिश करें',
+  'goals.none': 'कोई सक्रिय लक्ष्य नहीं। एक तय करें ताकि दिखे कि आप किस ओर बढ़ रहे हैं।',
+  'goals.closed.one': 'पूरे हुए ({count})',
+  'goals.closed.other': 'पूरे हुए ({count})',
+  'goals.unavailable': 'इस सर्वर पर अभी लक्ष्य उपलब्ध नहीं हैं।',
+
+  'mood.level.1': 'बहुत उदास',
+  'mood.level.2': 'उदास',
+  'mood.level.3': 'ठीक-ठाक',
+  'mood.level.4': 'अच्छा',
+  'mood.level.5': 'बहुत बढ़िया',
+  'mood.estimated': '{label} (अनुमानित)',
+  'mood.notePlaceholder': 'आप कैसा महसूस कर रहे हैं, इस बारे में कुछ और? (वैकल्पिक)',
+  'mood.tag.calm': 'शांत',
+  'mood.tag.grateful': 'आभारी',
+  'mood.tag.hopeful': 'आशावान',
+  'mood.tag.joyful': 'प्रसन्न',
+  'mood.tag.energized': 'ऊर्जावान',
+  'mood.tag.focused': 'एकाग्र',
+  'mood.tag.confused': 'उलझन में',
+  'mood.tag.tired': 'थका हुआ',
+  'mood.tag.anxious': 'चिंतित',
+  'mood.tag.stressed': 'तनावग्रस्त',
+  'mood.tag.overwhelmed': 'अभिभूत',
+  'mood.tag.sad': 'दुखी',
+  'mood.tag.lonely': 'अकेला',
+  'mood.tag.angry': 'नाराज़',
+  'moodTrends.loading': 'मनोदशा का इतिहास लोड हो रहा है…',
+  'moodTrends.empty': 'यहाँ रुझान देखने के लिए कुछ चिंतनों पर अपनी मनोदशा दर्ज करें।',
+  'moodTrends.week': 'साप्ताहिक',
+  'moodTrends.month': 'मासिक',
+  'moodTrends.point.one': '{pillar} {bucket}: {average} ({count} प्रविष्टि)',
+  'moodTrends.point.other': '{pillar} {bucket}: {average} ({count} प्रविष्टियाँ)',
+  'moodTrends.chart': 'स्तंभ के अनुसार समय के साथ मनोदशा',
+
+  'editor.write': 'लिखें',
+  'editor.preview': 'पूर्वावलोकन',
+  'editor.empty': 'अभी पूर्वावलोकन के लिए कुछ नहीं है।',
+  'editor.tool.bold': 'B',
+  'editor.tool.italic': 'I',
+  'editor.tool.heading': 'H',
+  'editor.tool.bullets': '• सूची',
+  'editor.tool.numbered': '1. सूची',
+  'editor.tool.quote': '❝ उद्धरण',
+
+  'vault.locked': '🔒 निजी प्रविष्टियाँ लॉक हैं। उन्हें पढ़ने या लिखने के लिए अपना वॉल्ट पासफ़्रेज़ डालें।',
+  'vault.setup': '🔒 चुनी हुई प्रविष्टियों को अपलोड से पहले इसी डिवाइस पर एन्क्रिप्ट रखने के लिए वॉल्ट पासफ़्रेज़ सेट करें। भूल जाने पर इसे वापस नहीं पाया जा सकता।',
+  'vault.passphrase': 'वॉल्ट पासफ़्रेज़',
+  'vault.repeat': 'पासफ़्रेज़ दोहराएँ',
+  'vault.unlock': 'अनलॉक करें',
+  'vault.create': 'वॉल्ट बनाएँ',
+  'vault.working': 'प्रक्रिया जारी है…',
+  'vault.mismatch': 'पासफ़्रेज़ मेल नहीं खाते।',
+  'vault.wrong': 'गलत पासफ़्रेज़।',
+  'vault.unlocked': '🔓 वॉल्ट अनलॉक है — 5 मिनट निष्क्रिय रहने पर अपने आप लॉक हो जाएगा।',
+  'vault.lock': 'अभी लॉक करें',
+
+  'password.level.tooWeak': 'बहुत कमज़ोर',
+  'password.level.weak': 'कमज़ोर',
+  'password.level.fair': 'ठीक-ठाक',
+  'password.level.good': 'अच्छा',
+  'password.level.strong': 'मज़बूत',
+  'password.issue.length': 'कम से कम {min} अक्षर रखें।',
+  'password.issue.variety': 'बड़े और छोटे अक्षर, अंक या चिह्न मिलाएँ।',
+  'password.issue.personal': 'अपना नाम या ईमेल शामिल न करें।',
+  'password.issue.common': 'आम शब्दों और दोहराए गए अक्षरों से बचें।',
+
+  'account.backToLogin': 'लॉगिन पर वापस जाएँ',
+  'account.linkExpired': 'हो सकता है कि लिंक की समय-सीमा खत्म हो गई हो।',
+  'forgot.title': 'पासवर्ड भूल गए',
+  'forgot.subtitle': 'नया पासवर्ड चुनने के लिए हम आपको एक लिंक ईमेल करेंगे।',
+  'forgot.submit': 'रीसेट लिंक भेजें',
+  'forgot.sending': 'रीसेट लिंक भेजा जा रहा है...',
+  'forgot.failed': 'लिंक भेजा नहीं जा सका। {reason}',
+  'forgot.sent': 'अगर {email} के लिए कोई खाता है, तो रीसेट लिंक भेजा जा रहा है। इसकी समय-सीमा जल्दी खत्म हो जाती है, इसलिए इसे जल्द इस्तेमाल करें।',
+  'reset.title': 'पासवर्ड रीसेट करें',
+  'reset.subtitle': 'अपने खाते के लिए नया पासवर्ड चुनें।',
+  'reset.newPassword': 'नया पासवर्ड',
+  'reset.repeatPassword': 'पासवर्ड दोहराएँ',
+  'reset.submit': 'नया पासवर्ड सेट करें',
+  'reset.mismatch': 'पासवर्ड मेल नहीं खाते।',
+  'reset.saving': 'नया पासवर्ड सहेजा जा रहा है...',
+  'reset.done': 'पासवर्ड अपडेट हो गया। कृपया नए पासवर्ड से लॉगिन करें।',
+  'reset.failed': 'आपका पासवर्ड रीसेट नहीं हो सका। {reason}',
+  'reset.incomplete': 'यह रीसेट लिंक अधूरा है।',
+  'reset.requestNew': 'नया लिंक मँगाएँ।',
+  'reset.expired': 'लिंक की समय-सीमा खत्म हो गई? नया भेजें',
+  'verify.title': 'ईमेल सत्यापित करें',
+  'verify.checking': 'आपका लिंक जाँचा जा रहा है…',
+  'verify.done': 'आपका ईमेल सत्यापित हो गया ✅',
+  'verify.failed': 'आपका ईमेल सत्यापित नहीं हो सका। {reason} आप ऐप के बैनर से नया लिंक मँगा सकते हैं।',
+  'verify.incomplete': 'यह सत्यापन लिंक अधूरा है। ऐप के बैनर से नया लिंक मँगाएँ।',
+  'verify.toDashboard': 'अपने डैशबोर्ड पर जाएँ',
+  'verify.banner': 'कृपया अपना ईमेल पता सत्यापित करें। हमारे भेजे गए लिंक के लिए अपना इनबॉक्स देखें।',
+  'verify.sending': 'भेजा जा रहा है...',
+  'verify.sent': '{email} पर नया लिंक भेज दिया गया।',
+  'verify.sendFailed': 'ईमेल भेजा नहीं जा सका। कृपया थोड़ी देर में फिर से कोशिश करें।',
+  'verify.resend': 'ईमेल फिर से भेजें',
+  'verify.resendIn': '{seconds} सेकंड में फिर भेजें',
+  'reauth.title': 'साइन इन बने रहें?',
+  'reauth.body.one': 'आपका सत्र लगभग {count} मिनट में समाप्त होगा। जारी रखने के लिए अपना पासवर्ड डालें।',
+  'reauth.body.other': 'आपका सत्र लगभग {count} मिनट में समाप्त होगा। जारी रखने के लिए अपना पासवर्ड डालें।',
+  'reauth.stay': 'साइन इन बने रहें',
+  'reauth.failed': 'आपको साइन इन नहीं किया जा सका।',
+  'deleteAccount.title': 'मेरा खाता और डेटा हटाएँ',
+  'deleteAccount.body': 'यह TANA से आपकी प्रोफ़ाइल, सत्र, चिंतन, संतुलन का इतिहास और प्लान हमेशा के लिए हटा देता है, और इस डिवाइस पर आपके लिए सहेजा गया डेटा भी मिटा देता है। इसे पूर्ववत नहीं किया जा सकता।',
+  'deleteAccount.noRefund': 'सशुल्क प्लान का बचा हुआ समय वापस नहीं किया जाता। पहले एक कॉपी चाहिए?',
+  'deleteAccount.export': 'आगे बढ़ने से पहले अपना डेटा एक्सपोर्ट करें।',
+  'deleteAccount.typePhrase': 'पुष्टि के लिए {phrase} लिखें',
+  'deleteAccount.submit': 'सब कुछ हटाएँ',
+  'deleteAccount.busy': 'हटाया जा रहा है…',
+  'deleteAccount.keep': 'मेरा खाता रहने दें',
+  'deleteAccount.deleting': 'आपका खाता हटाया जा रहा है...',
+  'deleteAccount.wrongPassword': 'यह पासवर्ड सही नहीं है।',
+  'deleteAccount.failed': 'आपका खाता हटाया नहीं जा सका। कृपया फिर से कोशिश करें।',
+  'deleteAccount.done': 'आपका खाता और उसका सारा डेटा हटा दिया गया।',
+
+  'data.title': 'आपका डेटा',
+  'data.intro': 'आपने जो कुछ लिखा और बुक किया है, सब डाउनलोड करें, या किसी पुराने एक्सपोर्ट से चिंतन वापस लाएँ।',
+  'data.format.json': 'पूरा संग्रह (JSON)',
+  'data.format.csv': 'सत्र (CSV)',
+  'data.format.md': 'चिंतन (Markdown)',
+  'data.preparing': 'तैयार हो रहा है…',
+  'data.import': 'संग्रह इंपोर्ट करें',
+  'data.importing': 'इंपोर्ट हो रहा है…',
+  'data.importNote': 'इंपोर्ट सिर्फ़ चिंतन जोड़ता है; सत्र और आपकी प्रोफ़ाइल जैसे हैं वैसे रहते हैं। आपके खाते में पहले से मौजूद प्रविष्टियाँ छोड़ दी जाती हैं।',
+  'data.exportFailed': 'एक्सपोर्ट विफल। {reason}',
+  'data.importFailed': 'इंपोर्ट विफल। {reason}',
+  'data.archive.notJson': 'यह फ़ाइल मान्य JSON नहीं है।',
+  'data.archive.notTana': 'यह फ़ाइल TANA का एक्सपोर्ट नहीं है।',
+  'data.archive.tooNew': 'यह एक्सपोर्ट TANA के नए संस्करण से बनाया गया था।',
+  'data.archive.noReflections': 'इस एक्सपोर्ट में चिंतनों की सूची नहीं है।',
+  'data.archive.malformed.one': 'फ़ाइल में {count} चिंतन खराब है।',
+  'data.archive.malformed.other': 'फ़ाइल में {count} चिंतन खराब हैं।',
+  'data.checking': 'फ़ाइल जाँची जा रही है...',
+  'data.progress': 'इंपोर्ट हो रहा है… {done} / {total}',
+  'data.imported.one': '{count} चिंतन इंपोर्ट हुआ।',
+  'data.imported.other': '{count} चिंतन इंपोर्ट हुए।',
+  'data.skipped.one': 'पहले से मौजूद {count} छोड़ा गया।',
+  'data.skipped.other': 'पहले से मौजूद {count} छोड़े गए।',
+  'data.failed.one': '{count} विफल रहा।',
+  'data.failed.other': '{count} विफल रहे।',
+
+  'paywall.exhausted': 'आपके मुफ़्त सत्र पूरे हो गए हैं 🌙',
+  'paywall.upgrade': 'अपना प्लान अपग्रेड करें ✨',
+  'paywall.continue': 'TANA में अपनी यात्रा जारी रखें:',
+  'paywall.choose': 'चुनें',
+  'paywall.loading': 'प्लान लोड हो रहे हैं…',
+  'paywall.loadFailed': 'प्लान लोड नहीं हो सके',
+  'paywall.failed': 'कुछ गलत हो गया। कृपया फिर से कोशिश करें।',
+  'paywall.payTo': '{plan} के लिए {amount} इस UPI ID पर भुगतान करें:',
+  'paywall.openUpi': 'UPI ऐप खोलें',
+  'paywall.reference': 'UPI लेन-देन संदर्भ (UTR)',
+  'paywall.referenceHint': 'आपके UPI ऐप से 12 अंकों का संदर्भ',
+  'paywall.paid': 'मैंने भुगतान कर दिया',
+  'paywall.another': 'दूसरा प्लान चुनें',
+  'paywall.verifying': 'आपके भुगतान की पुष्टि हो रही है (संदर्भ {reference})… यह पेज अपने आप अपडेट होगा।',
+  'paywall.verified': 'भुगतान की पुष्टि हो गई ✅ आपका {plan} सक्रिय है।',
+  'paywall.rejected': 'हम इस भुगतान की पुष्टि नहीं कर सके।',
+  'paywall.rejectedBecause': 'हम इस भुगतान की पुष्टि नहीं कर सके: {reason}।',
+  'paywall.retryReference': 'दूसरा संदर्भ आज़माएँ',
+  'paywall.startOver': 'फिर से शुरू करें',
+
+  'analytics.loading': 'आपके इतिहास का विश्लेषण हो रहा है…',
+  'analytics.historyFailed': 'संतुलन का इतिहास लोड नहीं हो सका',
+  'analytics.balance': 'संतुलन',
+  'analytics.triangle': 'TANA संतुलन',
+  'analytics.streak': 'चिंतन का सिलसिला',
+  'analytics.days.one': 'दिन',
+  'analytics.days.other': 'दिन',
+  'analytics.longest.one': 'सबसे लंबा: {count} दिन',
+  'analytics.longest.other': 'सबसे लंबा: {count} दिन',
+  'analytics.keepStreak': 'अपना सिलसिला बनाए रखने के लिए आज लिखें।',
+  'analytics.needsAttention': 'ध्यान देने की ज़रूरत',
+  'analytics.neverActive': 'आपके संतुलन का {pct}% — अभी तक कोई सत्र या चिंतन नहीं।',
+  'analytics.lastActive.one': 'आपके संतुलन का {pct}% — पिछली गतिविधि {count} दिन पहले।',
+  'analytics.lastActive.other': 'आपके संतुलन का {pct}% — पिछली गतिविधि {count} दिन पहले।',
+  'analytics.overTime': 'समय के साथ संतुलन',
+  'analytics.chart': 'समय के साथ स्तंभों का संतुलन',
+  'analytics.noHistory': 'अपना संतुलन कैसे बदलता है, यह देखने के लिए सत्र बुक करें और चिंतन लिखें।',
+}
@@ -0,0 +1,588 @@
+export default {
+  'common.loading': 'ஏற்றுகிறது…',
+  'common.back': 'பின்செல்',
+  'common.tryAgain': 'மீண்டும் முயற்சிக்கவும்.',
+  'common.confirm': 'உறுதிசெய்',
+  'common.keepIt': 'வைத்திருங்கள்',
+  'common.edit': 'திருத்து',
+  'common.delete': 'நீக்கு',
+  'common.cannotUndo': 'இதைத் திரும்பப் பெற முடியாது.',
+  'common.retry': 'மீண்டும் முயல்க',
+  'common.loadMore': 'மேலும் காட்டு',
+  'common.done': 'முடிந்தது',
+  'language.label': 'மொழி',
+
+  'nav.dashboard': 'டாஷ்போர்டு',
+  'nav.sessions': 'அமர்வுகள்',
+  'nav.journal': 'நாட்குறிப்பு',
+  'nav.goals': 'இலக்குகள்',
+  'nav.analytics': 'பகுப்பாய்வு',
+  'nav.profile': 'சுயவிவரம்',
+  'nav.host': 'ஹோஸ்ட்',
+  'nav.admin': 'நிர்வாகம்',
+  'nav.logout': 'வெளியேறு',
+
+  'pillar.Mind': 'மனம்',
+  'pillar.Money': 'பணம்',
+  'pillar.Meaning': 'அர்த்தம்',
+
+  'purpose.Healing': 'குணமடைதல்',
+  'purpose.Growth': 'வளர்ச்சி',
+  'purpose.Direction': 'திசை',
+
+  'sync.offline': 'ஆஃப்லைன்',
+  'sync.syncing': 'ஒத்திசைக்கிறது…',
+  'sync.synced': 'ஒத்திசைந்தது',
+  'sync.online': 'ஆன்லைன்',
+  'sync.queued.one': '{count} வரிசையில்',
+  'sync.queued.other': '{count} வரிசையில்',
+  'sync.waiting.one': '{count} மாற்றம் ஒத்திசைக்கக் காத்திருக்கிறது',
+  'sync.waiting.other': '{count} மாற்றங்கள் ஒத்திசைக்கக் காத்திருக்கின்றன',
+
+  'shell.offline': 'நீங்கள் ஆஃப்லைனில் உள்ளீர்கள். கடைசியாகச் சேமித்த தரவு காட்டப்படுகிறது.',
+  'shell.refreshFailed': 'உங்கள் தரவைப் புதுப்பிக்க முடியவில்லை. சிறிது நேரத்தில் மீண்டும் முயற்சிக்கவும்.',
+  'shell.synced.one': '{count} ஆஃப்லைன் மாற்றம் ஒத்திசைக்கப்பட்டது ✅',
+  'shell.synced.other': '{count} ஆஃப்லைன் மாற்றங்கள் ஒத்திசைக்கப்பட்டன ✅',
+  'shell.rejected.one': '{count} ஆஃப்லைன் மாற்றத்தை சர்வர் நிராகரித்தது; அது நீக்கப்பட்டது.',
+  'shell.rejected.other': '{count} ஆஃப்லைன் மாற்றங்களை சர்வர் நிராகரித்தது; அவை நீக்கப்பட்டன.',
+  'shell.languageNotSaved': 'இந்தச் சாதனத்தில் மொழி மாறியது, ஆனால் உங்கள் சுயவிவரத்தில் சேமிக்க முடியவில்லை.',
+
+  'home.tagline': 'மனம், பணம், அர்த்தம் ஆகியவற்றில் குணமடைய, சிந்திக்க, வளர ஒரு கவனமான டிஜிட்டல் சூழல்.',
+  'home.getStarted': 'தொடங்குங்கள்',
+  'home.checkBackend': 'பேக்எண்டைச் சரிபார்',
+
+  'auth.title': 'உங்கள் சரணாலயத்துக்குள் நுழையுங்கள்',
+  'auth.subtitle': 'தொடர ஒரு கணக்கை உருவாக்குங்கள் அல்லது உள்நுழையுங்கள்.',
+  'auth.login': 'உள்நுழை',
+  'auth.signup': 'பதிவு செய்',
+  'auth.name': 'பெயர்',
+  'auth.email': 'மின்னஞ்சல்',
+  'auth.password': 'கடவுச்சொல்',
+  'auth.age': 'வயது',
+  'auth.purpose': 'நோக்கம்',
+  'auth.signIn': 'உள்நுழை',
+  'auth.createAccount': 'கணக்கை உருவாக்கு',
+  'auth.forgot': 'கடவுச்சொல் மறந்துவிட்டதா?',
+  'auth.creating': 'உங்கள் கணக்கு உருவாக்கப்படுகிறது...',
+  'auth.signingIn': 'உள்நுழைகிறது...',
+  'auth.welcomeNew': 'TANA-க்கு வரவேற்கிறோம் ✨',
+  'auth.welcomeBack': 'மீண்டும் வருக ✨',
+  'auth.signupFailed': 'பதிவு தோல்வியடைந்தது. {reason}',
+  'auth.loginFailed': 'உள்நுழைவு தோல்வியடைந்தது. {reason}',
+  'auth.checkCredentials': 'உங்கள் மின்னஞ்சல் மற்றும் கடவுச்சொல்லைச் சரிபார்க்கவும்.',
+  'auth.weakPassword': 'வலுவான கடவுச்சொல்லைத் தேர்ந்தெடுக்கவும். {issues}',
+  'auth.modelTitle': 'TANA மாதிரி',
+  'auth.modelBody': 'மனம், பணம், அர்த்தம் — சமநிலையான வாழ்க்கையின் மூன்று தூண்கள். ஒவ்வொன்றும் 0-இல் தொடங்கி, அமர்வுகள் மற்றும் சிந்தனைகள் மூலம் வளருங்கள்.',
+  'auth.tokenNote': 'பாதுகாப்பான உள்நுழைவு உங்கள் சாதனத்தில் சேமிக்கப்பட்ட டோக்கனைப் பயன்படுத்துகிறது. இந்த MVP-க்கு மூன்றாம் தரப்பு சேவை தேவையில்லை.',
+  'auth.ended.expired': 'உங்கள் அமர்வு காலாவதியானது. மீண்டும் உள்நுழையவும்.',
+  'auth.ended.otherTab': 'வேறொரு தாவலில் நீங்கள் வெளியேற்றப்பட்டீர்கள்.',
+
+  'dashboard.welcome': 'வரவேற்கிறோம், {name}',
+  'dashboard.balance': 'TANA-வில் உங்கள் தற்போதைய சமநிலை:',
+  'dashboard.trendsLink': 'போக்குகள் மற்றும் தொடர்களைப் பாருங்கள் →',
+  'dashboard.goalProgress.one': '{count} இலக்கு · {progress}%',
+  'dashboard.goalProgress.other': '{count} இலக்குகள் · {progress}%',
+  'dashboard.noGoals': 'இன்னும் இலக்குகள் இல்லை',
+  'dashboard.goalsLink': 'இலக்குகளும் பழக்கங்களும் →',
+  'dashboard.sessionsUsed': 'பயன்படுத்திய அமர்வுகள் {used} / {limit}',
+  'dashboard.plan': 'திட்டம்:',
+  'dashboard.upgrade': 'மேம்படுத்து',
+  'dashboard.yourPlan': 'உங்கள் திட்டம்',
+  'dashboard.planActive': 'கட்டணம் சரிபார்க்கப்பட்டது. {plan} இப்போது செயலில் உள்ளது ✨',
+
+  'plan.free': 'இலவசம்',
+  'plan.unlimited': 'வரம்பற்றது',
+  'plan.unlimitedSessions': 'வரம்பற்ற அமர்வுகள்',
+  'plan.moreSessions.one': '+{count} அமர்வு',
+  'plan.moreSessions.other': '+{count} அமர்வுகள்',
+  'feature.ai_insights': 'AI நாட்குறிப்பு நுண்ணறிவுகள்',
+  'feature.mentorship': 'வழிகாட்டுதல்',
+  'feature.vault': 'தனிப்பட்ட பெட்டகம்',
+  'upgrade.paidFeature': '{feature} கட்டணத் திட்டத்தின் ஒரு பகுதி.',
+  'upgrade.includedFrom': '{price} முதல் கிடைக்கும் — {plan}.',
+  'upgrade.seePlans': 'திட்டங்களைப் பார் →',
+
+  'profile.title': 'சுயவிவரம்',
+  'profile.save': 'சேமி',
+  'profile.saving': 'சுயவிவரம் சேமிக்கப்படுகிறது...',
+  'profile.saved': 'சுயவிவரம் புதுப்பிக்கப்பட்டது ✅',
+  'profile.saveFailed': 'சுயவிவரத்தைச் சேமிக்க முடியவில்லை.',
+  'profile.deletePrompt': 'உங்கள் கணக்கையும் அதில் சேமிக்கப்பட்ட அனைத்தையும் நீக்குங்கள்.',
+  'profile.deleteLink': 'கணக்கை நீக்கு',
+
+  'status.requested': 'கோரப்பட்டது',
+  'status.confirmed': 'உறுதிசெய்யப்பட்டது',
+  'status.link_issued': 'இணைப்பு வழங்கப்பட்டது',
+  'status.completed': 'முடிந்தது',
+  'status.cancelled': 'ரத்துசெய்யப்பட்டது',
+  'status.declined': 'நிராகரிக்கப்பட்டது',
+  'status.no_show': 'வரவில்லை',
+
+  'topic.mindClarity': 'மனம் — தெளிவு',
+  'topic.moneyDiscipline': 'பணம் — ஒழுக்கம்',
+  'topic.meaningAlignment': 'அர்த்தம் — இசைவு',
+
+  'sessions.bookTitle': 'சரணாலய அமர்வை முன்பதிவு செய்யுங்கள்',
+  'sessions.topic': 'தூண் & தலைப்பு',
+  'sessions.slot': 'நேரம்',
+  'sessions.selected': 'தேர்ந்தெடுத்தது: {when}',
+  'sessions.noSlot': 'இன்னும் நேரம் தேர்ந்தெடுக்கப்படவில்லை.',
+  'sessions.request': 'அமர்வைக் கோரு',
+  'sessions.hostNote': 'உங்கள் கோரிக்கையைப் பற்றி ஹோஸ்டுக்கு மின்னஞ்சல் அனுப்புவோம். அமர்வு நேரத்துக்கு அருகில் Spatial இணைப்பு கிடைக்கும்.',
+  'sessions.yours': 'உங்கள் அமர்வுகள்',
+  'sessions.exportAll': 'அனைத்தையும் நாட்காட்டிக்கு ஏற்றுமதி செய்',
+  'sessions.join': 'சேர்',
+  'sessions.pendingLink': 'இணைப்பு நிலுவையில்',
+  'sessions.addToCalendar': 'நாட்காட்டியில் சேர்',
+  'sessions.reschedule': 'நேரத்தை மாற்று',
+  'sessions.cancel': 'ரத்துசெய்',
+  'sessions.reflect': 'இந்த அமர்வைப் பற்றிப் பிரதிபலி',
+  'sessions.none': 'இன்னும் அமர்வுகள் இல்லை.',
+  'sessions.cancelTitle': 'இந்த அமர்வை ரத்துசெய்யவா?',
+  'sessions.cancelDescription': '{topic}, {when}. இந்த இடம் உங்கள் திட்டத்துக்குத் திரும்பும்.',
+  'sessions.cancelConfirm': 'அமர்வை ரத்துசெய்',
+  'sessions.rescheduleTitle': 'அமர்வின் நேரத்தை மாற்று',
+  'sessions.currently': '{topic} — தற்போது {when}',
+  'sessions.pickSlot': 'முதலில் நாட்காட்டியில் ஒரு காலியான நேரத்தைத் தேர்ந்தெடுக்கவும்.',
+  'sessions.requesting': 'அமர்வு கோரப்படுகிறது...',
+  'sessions.queued': 'நீங்கள் ஆஃப்லைனில் உள்ளீர்கள். உங்கள் கோரிக்கை வரிசையில் உள்ளது; இணைந்ததும் அனுப்பப்படும்.',
+  'sessions.limited': 'உங்கள் தற்போதைய அமர்வு வரம்பை அடைந்துவிட்டீர்கள். கூடுதல் அமர்வுகளைத் திறப்பதைப் பரிசீலிக்கவும்.',
+  'sessions.requested': 'அமர்வு கோரப்பட்டது. ஹோஸ்டுக்கு மின்னஞ்சல் அனுப்புவோம்.',
+  'sessions.requestFailed': 'அமர்வைக் கோர முடியவில்லை.',
+  'sessions.cancelling': 'அமர்வு ரத்துசெய்யப்படுகிறது...',
+  'sessions.cancelled': 'அமர்வு ரத்துசெய்யப்பட்டது. உங்கள் இடம் மீண்டும் காலியாக உள்ளது.',
+  'sessions.cancelFailed': 'அமர்வை ரத்துசெய்ய முடியவில்லை.',
+  'sessions.rescheduling': 'அமர்வின் நேரம் மாற்றப்படுகிறது...',
+  'sessions.rescheduled': 'அமர்வின் நேரம் மாற்றப்பட்டது. ஹோஸ்டுக்குத் தெரிவிப்போம்.',
+  'sessions.rescheduleFailed': 'அமர்வின் நேரத்தை மாற்ற முடியவில்லை.',
+
+  'calendar.week': 'வாரம்',
+  'calendar.month': 'மாதம்',
+  'calendar.available': 'கிடைக்கிறது',
+  'calendar.past': 'கடந்துவிட்டது',
+  'calendar.unavailable': 'ஹோஸ்ட் கிடைக்கவில்லை',
+  'calendar.booked': 'இந்த நேரத்தில் உங்களுக்கு ஏற்கனவே ஒரு அமர்வு உள்ளது',
+  'calendar.open.one': '{count} காலி',
+  'calendar.open.other': '{count} காலி',
+  'calendar.loading': 'கிடைக்கும் நேரங்கள் ஏற்றப்படுகின்றன…',
+  'calendar.loadFailed': 'கிடைக்கும் நேரங்களை ஏற்ற முடியவில்லை',
+  'calendar.zone': 'நேரங்கள் உங்கள் நேர மண்டலத்தில் ({zone}) காட்டப்படுகின்றன.',
+  'calendar.hostZone': 'ஹோஸ்ட் {zone}-இல் உள்ளார்.',
+
+  'notify.title': 'அறிவிப்புகள்',
+  'notify.intro': 'ஒவ்வொரு அமர்வுக்கும் முன் நினைவூட்டலும், Spatial இணைப்பு தயாரானதும் அறிவிப்பும் பெறுங்கள்.',
+  'notify.unsupported': 'இந்த உலாவி அறிவிப்புகளை ஆதரிக்கவில்லை.',
+  'notify.blocked': 'இந்தத் தளத்துக்கு அறிவிப்புகள் தடுக்கப்பட்டுள்ளன. நினைவூட்டல்களைப் பெற உலாவி அமைப்புகளில் அனுமதிக்கவும்.',
+  'notify.enable': 'நினைவூட்டல்களை இயக்கு',
+  'notify.disable': 'நினைவூட்டல்களை அணை',
+  'notify.day_before': 'அமர்வுக்கு 24 மணி நேரம் முன்',
+  'notify.fifteen_min': 'அமர்வுக்கு 15 நிமிடம் முன்',
+  'notify.link_ready': 'Spatial இணைப்பு தயாரானதும்',
+  'notify.push': 'TANA மூடியிருக்கும்போதும் அறிவி (புஷ்)',
+  'notify.test': 'சோதனை அறிவிப்பை அனுப்பு',
+  'notify.testTitle': 'TANA சோதனை அறிவிப்பு',
+  'notify.testBody': 'இந்தச் சாதனத்தில் நினைவூட்டல்கள் செயல்படுகின்றன.',
+  'notify.testSent': 'சோதனை அனுப்பப்பட்டது. சில விநாடிகளில் வந்துசேரும்.',
+  'notify.testFailed': 'சோதனை அறிவிப்பை அனுப்ப முடியவில்லை.',
+  'notify.saveFailed': 'உங்கள் அறிவிப்பு அமைப்புகளைச் சேமிக்க முடியவில்லை.',
+  'notify.pushError.noWorker': 'புஷ் அறிவிப்புக்கு நிறுவப்பட்ட ஆப் தேவை (சர்வீஸ் வொர்க்கருடன் கூடிய புரொடக்ஷன் பில்ட்).',
+  'notify.pushFailed': 'இந்தச் சாதனத்தில் புஷ் அறிவிப்புகளை மாற்ற முடியவில்லை.',
+
+  'reminders.dayTitle': 'வரவிருக்கும் அமர்வு',
+  'reminders.dayBody': '{topic} · {when}',
+  'reminders.soonTitle': '15 நிமிடத்தில் அமர்வு',
+  'reminders.soonBody': '{topic} {when}-க்குத் தொடங்கும்.',
+  'reminders.linkTitle': 'உங்கள் Spatial இணைப்பு தயார்',
+  'reminders.linkBody': '{topic} · {when}. சேர தட்டவும்.',
+
+  'live.connecting': 'நேரடி புதுப்பிப்புகளுடன் இணைக்கிறது…',
+  'live.live': 'நேரடி புதுப்பிப்புகள் இயக்கத்தில்',
+  'live.polling': 'நேரடி புதுப்பிப்புகள் கிடைக்கவில்லை; ஒவ்வொரு 30 விநாடிக்கும் சரிபார்க்கிறது',
+
+  'host.title': 'அமர்வு கோரிக்கைகள்',
+  'host.reload': 'மீண்டும் ஏற்று',
+  'host.pillar': 'தூண்',
+  'host.status': 'நிலை',
+  'host.from': 'இருந்து',
+  'host.to': 'வரை',
+  'host.all': 'அனைத்தும்',
+  'host.noBalance': 'இன்னும் சமநிலை இல்லை',
+  'host.user': 'பயனர் {id}',
+  'host.reason': 'காரணம்: {reason}',
+  'host.confirm': 'உறுதிசெய்',
+  'host.decline': 'நிராகரி',
+  'host.attachLink': 'Spatial இணைப்பைச் சேர்',
+  'host.editLink': 'இணைப்பைத் திருத்து',
+  'host.markCompleted': 'முடிந்ததாகக் குறி',
+  'host.markNoShow': 'வரவில்லை எனக் குறி',
+  'host.confirmed': 'அமர்வு உறுதிசெய்யப்பட்டது.',
+  'host.declined': 'அமர்வு நிராகரிக்கப்பட்டது.',
+  'host.linked': 'Spatial இணைப்பு சேமிக்கப்பட்டது. பயனர் இப்போது சேரலாம்.',
+  'host.completed': 'அமர்வு முடிந்ததாகக் குறிக்கப்பட்டது.',
+  'host.noShow': 'அமர்வு வரவில்லை எனக் குறிக்கப்பட்டது.',
+  'host.updateFailed': 'அமர்வைப் புதுப்பிக்க முடியவில்லை.',
+  'host.loadFailed': 'அமர்வு கோரிக்கைகளை ஏற்ற முடியவில்லை.',
+  'host.none': 'இந்த வடிகட்டிகளுக்குப் பொருந்தும் அமர்வுகள் இல்லை.',
+  'host.declineTitle': 'இந்தக் கோரிக்கையை நிராகரிக்கவா?',
+  'host.declineDescription': '{topic}, {when}. பயனருக்கு அந்த இடம் திட்டத்தில் திரும்பக் கிடைக்கும்.',
+  'host.declineReason': 'காரணம் (பயனருக்குக் காட்டப்படும், விருப்பத்தேர்வு)',
+  'host.linkTitle': 'Spatial இணைப்பு',
+  'host.linkDescription': '“{topic}” அமர்வில் பயனர் சேரும் இடம்.',
+  'host.linkLabel': 'Spatial URL',
+  'host.linkInvalid': 'முழு https:// இணைப்பை உள்ளிடவும்.',
+  'host.linkSave': 'இணைப்பைச் சேமி',
+  'admin.paymentsTitle': 'சரிபார்ப்புக்குக் காத்திருக்கும் கட்டணங்கள்',
+  'admin.reference': 'UPI குறிப்பு',
+  'admin.verifyGrant.one': 'சரிபார்த்து {count} அமர்வு வழங்கு',
+  'admin.verifyGrant.other': 'சரிபார்த்து {count} அமர்வுகள் வழங்கு',
+  'admin.verifyUnlimited': 'சரிபார்த்து வரம்பற்ற அமர்வுகள் வழங்கு',
+  'admin.unknownPlan': 'தெரியாத திட்டம். வழங்க வேண்டிய அமர்வுகள்:',
+  'admin.verify': 'சரிபார்',
+  'admin.verified': 'கட்டணம் சரிபார்க்கப்பட்டது. {email} க்கு கிரெடிட்கள் வழங்கப்பட்டன.',
+  'admin.reject': 'நிராகரி',
+  'admin.rejectTitle': 'இந்தக் கட்டணத்தை நிராகரிக்கவா?',
+  'admin.rejectDescription': '{amount} க்கான குறிப்பு {reference}. பயனருக்குக் காரணம் காட்டப்படும்.',
+  'admin.rejected': 'கட்டணம் நிராகரிக்கப்பட்டது.',
+  'admin.updateFailed': 'கட்டணத்தைப் புதுப்பிக்க முடியவில்லை.',
+  'admin.loadFailed': 'கட்டணங்களை ஏற்ற முடியவில்லை.',
+  'admin.none': 'சரிபார்ப்புக்குக் காத்திருக்கும் கட்டணங்கள் இல்லை.',
+  'admin.grantTitle': 'அமர்வு கிரெடிட்கள் வழங்கு',
+  'admin.grantHelp': 'செயலிக்கு வெளியே சரிபார்க்கப்பட்ட கட்டணங்கள், நல்லெண்ண கிரெடிட்கள் மற்றும் திருத்தங்களுக்கு. ஒவ்வொரு வழங்கலும் அதன் காரணத்துடன் பதிவாகும்.',
+  'admin.email': 'பயனர் மின்னஞ்சல்',
+  'admin.sessions': 'அமர்வுகள்',
+  'admin.reason': 'காரணம்',
+  'admin.reasonPlaceholder': 'எ.கா. வங்கிப் பரிமாற்றக் குறிப்பு 12345',
+  'admin.grant': 'கிரெடிட்கள் வழங்கு',
+  'admin.granted.one': '{email} க்கு {count} அமர்வு வழங்கப்பட்டது.',
+  'admin.granted.other': '{email} க்கு {count} அமர்வுகள் வழங்கப்பட்டன.',
+  'admin.grantFailed': 'கிரெடிட்களை வழங்க முடியவில்லை.',
+
+  'insights.title': 'நாட்குறிப்பு நுண்ணறிவுகள்',
+  'insights.digestTitle': 'இந்த வாரம் ({date} முதல்)',
+  'insights.digestEmpty': 'இந்த வாரம் இன்னும் பிரதிபலிப்புகள் இல்லை.',
+  'insights.digestLine.one': '{count} {pillar} பிரதிபலிப்பு',
+  'insights.digestLine.other': '{count} {pillar} பிரதிபலிப்புகள்',
+  'insights.mostly': 'பெரும்பாலும் {mood}',
+  'insights.trend.lighter': 'இலகுவாக',
+  'insights.trend.heavier': 'கனமாக',
+  'insights.trend.steady': 'நிலையாக',
+  'insights.sealed.one': '{count} தனிப்பட்ட பெட்டகப் பதிவு சேர்க்கப்படவில்லை.',
+  'insights.sealed.other': '{count} தனிப்பட்ட பெட்டகப் பதிவுகள் சேர்க்கப்படவில்லை.',
+  'insights.nextTitle': 'உங்கள் அடுத்த அமர்வுக்குப் பரிந்துரைக்கப்படும் கவனம்',
+  'insights.book': 'அமர்வை முன்பதிவு செய்',
+  'insights.reason.lowBalance': 'உங்கள் சமநிலையில் இதன் பங்கு குறைவு',
+  'insights.reason.heavyMood': 'இங்கே உங்கள் சமீபத்திய பதிவுகள் கனமாக உள்ளன',
+  'insights.reason.noRecentSession': 'கடந்த 30 நாட்களில் இதற்கு அமர்வு இல்லை',
+  'insights.themesTitle': 'மீண்டும் வரும் கருப்பொருள்கள்',
+  'insights.noThemes': 'இன்னும் போதுமான பதிவுகள் இல்லை',
+  'insights.shiftsTitle': 'மனநிலை மாற்றங்கள்',
+  'insights.noShifts': 'இதுவரை வாரத்துக்கு வாரம் பெரிய மாற்றங்கள் இல்லை.',
+  'insights.shift.up': '{date} வாரத்தில் {pillar} பதிவுகள் இலகுவாயின',
+  'insights.shift.down': '{date} வாரத்தில் {pillar} பதிவுகள் கனமாயின',
+  'insights.privacy': 'உங்கள் பிரதிபலிப்புகளிலிருந்து இந்தச் சாதனத்திலேயே கணக்கிடப்பட்டது. எதுவும் AI சேவைக்கு அனுப்பப்படுவதில்லை.',
+
+  'journal.guide': 'தூண்டல் அல்லது வார்ப்புரு',
+  'journal.freeWriting': 'சுதந்திர எழுத்து',
+  'journal.prompts': 'தூண்டல்கள்',
+  'journal.templates': 'வார்ப்புருக்கள்',
+  'journal.freeLabel': 'உங்கள் மனதில் என்ன இருக்கிறது?',
+  'journal.answerOne': 'சேமிக்கும் முன் குறைந்தது ஒரு கேள்விக்குப் பதிலளிக்கவும்.',
+  'journal.linkedTo': 'இதைப் பற்றிப் பிரதிபலிக்கிறீர்கள்: {session}',
+  'journal.aSession': 'ஒரு முந்தைய அமர்வு',
+  'journal.unlink': 'இணைப்பை நீக்கு',
+  'journal.title': 'சிந்தனை நாட்குறிப்பு',
+  'journal.pillar': 'தூண்',
+  'journal.feel': 'நீங்கள் எப்படி உணர்கிறீர்கள்?',
+  'journal.mood': 'மனநிலை',
+  'journal.entry': 'பதிவு',
+  'journal.private': 'தனிப்பட்டது — பதிவேற்றும் முன் மறைகுறியாக்கு',
+  'journal.unlockFirst': '(முதலில் கீழே உள்ள பெட்டகத்தைத் திறக்கவும்)',
+  'journal.save': 'சிந்தனையைச் சேமி',
+  'journal.savePrivate': 'தனிப்பட்ட சிந்தனையைச் சேமி',
+  'journal.draftSaved': 'வரைவு {time}-க்குச் சேமிக்கப்பட்டது',
+  'journal.vaultPitch': 'மறைகுறியாக்கப்பட்ட பெட்டகத்தில் பதிவுகளைத் தனிப்பட்டதாக வைத்திருங்கள்.',
+  'journal.moodTrends': 'மனநிலைப் போக்குகள்',
+  'journal.search': 'பதிவுகளைத் தேடு…',
+  'journal.allPillars': 'அனைத்துத் தூண்களும்',
+  'journal.moodFilter': 'மனநிலை அல்லது குறிச்சொல்',
+  'journal.from': 'முதல்',
+  'journal.to': 'வரை',
+  'journal.clearFilters': 'வடிகட்டிகளை அழி',
+  'journal.sealed': 'தனிப்பட்ட பதிவு — படிக்க பெட்டகத்தைத் திறக்கவும்.',
+  'journal.otherPassphrase': 'இந்தப் பதிவு வேறொரு கடவுச்சொற்றொடரால் பூட்டப்பட்டது.',
+  'journal.pending': 'ஒத்திசைவுக்குக் காத்திருக்கிறது',
+  'journal.empty': 'இன்னும் சிந்தனைகள் இல்லை.',
+  'journal.noMatches': 'இந்த வடிகட்டிகளுக்குப் பொருந்தும் சிந்தனைகள் இல்லை.',
+  'journal.loadFailed': 'சிந்தனைகளை ஏற்ற முடியவில்லை',
+  'journal.editTitle': 'சிந்தனையைத் திருத்து',
+  'journal.saveChanges': 'மாற்றங்களைச் சேமி',
+  'journal.deleteTitle': 'இந்தச் சிந்தனையை நீக்கவா?',
+  'journal.saving': 'சிந்தனை சேமிக்கப்படுகிறது...',
+  'journal.savedOffline': 'நீங்கள் இணைப்பில் இல்லை. உங்கள் சிந்தனை இந்தச் சாதனத்தில் சேமிக்கப்பட்டது; மீண்டும் இணைந்ததும் ஒத்திசைக்கப்படும்.',
+  'journal.saved': 'சிந்தனை சேமிக்கப்பட்டது ✍️',
+  'journal.saveFailed': 'சிந்தனையைச் சேமிக்க முடியவில்லை. {reason} உங்கள் வரைவு வைக்கப்பட்டுள்ளது.',
+  'journal.updating': 'சிந்தனை புதுப்பிக்கப்படுகிறது...',
+  'journal.updated': 'சிந்தனை புதுப்பிக்கப்பட்டது ✍️',
+  'journal.updateFailed': 'சிந்தனையைப் புதுப்பிக்க முடியவில்லை. {reason}',
+  'journal.deleting': 'சிந்தனை நீக்கப்படுகிறது...',
+  'journal.deleted': 'சிந்தனை நீக்கப்பட்டது',
+  'journal.deleteFailed': 'சிந்தனையை நீக்க முடியவில்லை. {reason}',
+  'prompts.afterSession': 'இந்த சரணாலய அமர்வுக்குப் பிறகு நீங்கள் என்ன உணர்ந்தீர்கள்?',
+  'prompts.mindNoticed': 'இன்று உங்கள் மனம் மீண்டும் மீண்டும் எதற்குத் திரும்பியது?',
+  'prompts.mindDrained': 'உங்கள் ஆற்றலைக் குறைத்தது எது, மீட்டெடுத்தது எது?',
+  'prompts.mindQuiet': 'இந்த வாரம் எப்போது மிகவும் அமைதியாக உணர்ந்தீர்கள்?',
+  'prompts.moneyDecision': 'எந்தப் பண முடிவைத் தள்ளிப்போடுகிறீர்கள், ஏன்?',
+  'prompts.moneyWorry': 'துல்லியமாகச் சொல்லக்கூடிய ஒரு பணக் கவலை என்ன?',
+  'prompts.moneyEnough': 'இந்த மாதம் உங்களுக்கு “போதும்” என்பது எப்படி இருக்கும்?',
+  'prompts.meaningAlive': 'சமீபத்தில் எப்போது மிகவும் உயிர்ப்புடன் உணர்ந்தீர்கள்?',
+  'prompts.meaningValue': 'இன்று உங்கள் எந்த மதிப்பின்படி நடந்தீர்கள்?',
+  'prompts.meaningContribute': 'நீங்கள் யாருக்கு உதவினீர்கள், அல்லது யார் உங்களுக்கு உதவினார்கள்?',
+  'prompts.healingGentle': 'இப்போது உங்களிடம் எங்கே மென்மையாக இருக்கலாம்?',
+  'prompts.healingLetGo': 'எதை விட்டுவிடத் தயாராக இருக்கிறீர்கள்?',
+  'prompts.growthStretch': 'இந்த வாரம் உங்களை எது விரிவடையச் செய்தது?',
+  'prompts.growthLearned': 'சமீபத்திய ஒரு தவறு உங்களுக்கு என்ன கற்றுத்தந்தது?',
+  'prompts.directionStep': 'நீங்கள் இருக்க விரும்பும் இடத்தை நோக்கி அடுத்த சிறிய அடி என்ன?',
+  'prompts.directionNorthStar': 'இந்த ஆண்டு முழுமையாகச் சென்றால், என்ன மாறியிருக்கும்?',
+  'template.gratitude.title': 'நன்றியுணர்வு',
+  'template.gratitude.three': 'நீங்கள் நன்றியுள்ள மூன்று விஷயங்கள்',
+  'template.gratitude.why': 'அவற்றில் ஒன்று ஏன் உங்களுக்கு முக்கியம்?',
+  'template.gratitude.share': 'யாருக்கு நன்றி சொல்லலாம் அல்லது யாருடன் பகிரலாம்?',
+  'template.moneyCheckin.title': 'பணச் சரிபார்ப்பு',
+  'template.moneyCheckin.spent': 'இந்த வாரம் எதற்குச் செலவழித்தீர்கள் அல்லது சேமித்தீர்கள்?',
+  'template.moneyCheckin.aligned': 'எந்தச் செலவு உங்கள் முன்னுரிமைகளுடன் ஒத்துப்போனது, எது இல்லை?',
+  'template.moneyCheckin.feeling': 'இப்போது பணத்தைப் பற்றி எப்படி உணர்கிறீர்கள்?',
+  'template.moneyCheckin.next': 'அடுத்த வாரத்துக்கான ஒரு பணச் செயல்',
+  'template.valuesAlignment.title': 'மதிப்புகளுடன் ஒத்திசைவு',
+  'template.valuesAlignment.values': 'இப்போது உங்கள் முதன்மையான மூன்று மதிப்புகள்',
+  'template.valuesAlignment.lived': 'இந்த வாரம் அவற்றை எங்கே வாழ்ந்தீர்கள்?',
+  'template.valuesAlignment.gap': 'உங்கள் செயல்கள் அவற்றிலிருந்து எங்கே விலகின?',
+  'template.valuesAlignment.adjust': 'நீங்கள் எதைச் சரிசெய்வீர்கள்?',
+  'template.sessionDebrief.title': 'அமர்வுக்குப் பிந்தைய மதிப்பாய்வு',
+  'template.sessionDebrief.insight': 'நீங்கள் எடுத்துச் செல்லும் புரிதல்',
+  'template.sessionDebrief.feeling': 'முன்பும் பின்பும் எப்படி உணர்ந்தீர்கள்',
+  'template.sessionDebrief.practice': 'அடுத்த அமர்வுக்கு முன் நீங்கள் பயிற்சி செய்யப்போவது',
+
+  'goals.newTitle': 'இலக்கை அமை',
+  'goals.yours': 'உங்கள் இலக்குகள்',
+  'goals.titleLabel': 'இலக்கு',
+  'goals.titlePlaceholder': 'எ.கா. 3 மாத அவசர நிதியை உருவாக்கு',
+  'goals.pillar': 'தூண்',
+  'goals.targetDate': 'இலக்குத் தேதி',
+  'goals.milestones': 'மைல்கற்கள்',
+  'goals.milestonePlaceholder': 'மைல்கல் {n}',
+  'goals.addMilestone': '+ மைல்கல் சேர்',
+  'goals.removeMilestone': 'மைல்கல்லை நீக்கு',
+  'goals.habit': 'பழக்கச் சரிபார்ப்பு',
+  'goals.noHabit': 'எதுவும் இல்லை',
+  'goals.cadence.daily': 'தினசரி',
+  'goals.cadence.weekly': 'வாராந்திர',
+  'goals.habitLabel': 'பழக்கம்',
+  'goals.habitPlaceholder': 'எ.கா. செலவுகளைப் பதிவு செய்',
+  'goals.feedsBalance': 'முடிந்த மைல்கற்கள் என் தூண் சமநிலையில் கணக்கிடப்படட்டும்',
+  'goals.create': 'இலக்கை உருவாக்கு',
+  'goals.due': '{date} க்குள்',
+  'goals.daysLeft.one': '{count} நாள் மீதம்',
+  'goals.daysLeft.other': '{count} நாட்கள் மீதம்',
+  'goals.overdue.one': '{count} நாள் தாமதம்',
+  'goals.overdue.other': '{count} நாட்கள் தாமதம்',
+  'goals.streak.daily.one': '{count} நாள் தொடர்',
+  'goals.streak.daily.other': '{count} நாள் தொடர்',
+  'goals.streak.weekly.one': '{count} வாரத் தொடர்',
+  'goals.streak.weekly.other': '{count} வாரத் தொடர்',
+  'goals.checkIn': 'சரிபார்',
+  'goals.checkedIn': '✓ முடிந்தது',
+  'goals.markComplete': 'இலக்கை முடிந்ததாகக் குறி',
+  'goals.reopen': 'மீண்டும் திற',
+  'goals.delete': 'நீக்கு',
+  'goals.created': 'இலக்கு உருவாக்கப்பட்டது 🎯',
+  'goals.createFailed': 'இலக்கை உருவாக்க முடியவில்லை.',
+  'goals.updateFailed': 'இலக்கைப் புதுப்பிக்க முடியவில்லை.',
+  'goals.milestoneDone': 'மைல்கல் முடிந்தது ✅',
+  'goals.checkInSaved': 'சரிபார்ப்பு சேமிக்கப்பட்டது.',
+  'goals.completed': 'இலக்கு நிறைவேறியது 🎉',
+  'goals.deleted': 'இலக்கு நீக்கப்பட்டது.',
+  'goals.deleteFailed': 'இலக்கை நீக்க முடியவில்லை.',
+  'goals.deleteTitle': 'இந்த இலக்கை நீக்கவா?',
+  'goals.deleteDescription': '“{title}”, அதன் மைல்கற்கள் மற்றும் சரிபார்ப்புகள் நீக்கப்படும்.',
+  'goals.loadFailed': 'உங்கள் இலக்குகளை ஏற்ற முடியவில்லை.',
+  'goals.retry': 'மீண்டும் முயல்',
+  'goals.none': 'செயலில் உள்ள இலக்குகள் இல்லை. நீங்கள் எதை நோக்கி வளர்கிறீர்கள் என்பதைக் காண ஒன்றை அமையுங்கள்.',
+  'goals.closed.one': 'முடிந்தவை ({count})',
+  'goals.closed.other': 'முடிந்தவை ({count})',
+  'goals.unavailable': 'இந்தச் சேவையகத்தில் இலக்குகள் இன்னும் கிடைக்கவில்லை.',
+
+  'mood.level.1': 'மிகவும் தாழ்வு',
+  'mood.level.2': 'தாழ்வு',
+  'mood.level.3': 'பரவாயில்லை',
+  'mood.level.4': 'நன்று',
+  'mood.level.5': 'அருமை',
+  'mood.estimated': '{label} (மதிப்பீடு)',
+  'mood.notePlaceholder': 'நீங்கள் எப்படி உணர்கிறீர்கள் என்பது பற்றி வேறு ஏதாவது? (விருப்பத்தேர்வு)',
+  'mood.tag.calm': 'அமைதி',
+  'mood.tag.grateful': 'நன்றியுணர்வு',
+  'mood.tag.hopeful': 'நம்பிக்கை',
+  'mood.tag.joyful': 'மகிழ்ச்சி',
+  'mood.tag.energized': 'உற்சாகம்',
+  'mood.tag.focused': 'கவனம்',
+  'mood.tag.confused': 'குழப்பம்',
+  'mood.tag.tired': 'சோர்வு',
+  'mood.tag.anxious': 'பதற்றம்',
+  'mood.tag.stressed': 'மன அழுத்தம்',
+  'mood.tag.overwhelmed': 'திணறல்',
+  'mood.tag.sad': 'சோகம்',
+  'mood.tag.lonely': 'தனிமை',
+  'mood.tag.angry': 'கோபம்',
+  'moodTrends.loading': 'மனநிலை வரலாறு ஏற்றப்படுகிறது…',
+  'moodTrends.empty': 'இங்கே போக்குகளைக் காண சில சிந்தனைகளில் உங்கள் மனநிலையை மதிப்பிடுங்கள்.',
+  'moodTrends.week': 'வாராந்திரம்',
+  'moodTrends.month': 'மாதாந்திரம்',
+  'moodTrends.point.one': '{pillar} {bucket}: {average} ({count} பதிவு)',
+  'moodTrends.point.other': '{pillar} {bucket}: {average} ({count} பதிவுகள்)',
+  'moodTrends.chart': 'தூண் வாரியாகக் காலப்போக்கில் மனநிலை',
+
+  'editor.write': 'எழுது',
+  'editor.preview': 'முன்னோட்டம்',
+  'editor.empty': 'முன்னோட்டம் காட்ட இன்னும் எதுவும் இல்லை.',
+  'editor.tool.bold': 'B',
+  'editor.tool.italic': 'I',
+  'editor.tool.heading': 'H',
+  'editor.tool.bullets': '• பட்டியல்',
+  'editor.tool.numbered': '1. பட்டியல்',
+  'editor.tool.quote': '❝ மேற்கோள்',
+
+  'vault.locked': '🔒 தனிப்பட்ட பதிவுகள் பூட்டப்பட்டுள்ளன. அவற்றைப் படிக்க அல்லது எழுத உங்கள் பெட்டகக் கடவுச்சொற்றொடரை உள்ளிடவும்.',
+  'vault.setup': '🔒 தேர்ந்தெடுத்த பதிவுகளைப் பதிவேற்றும் முன் இந்தச் சாதனத்திலேயே மறைகுறியாக்க ஒரு பெட்டகக் கடவுச்சொற்றொடரை அமைக்கவும். மறந்துவிட்டால் அதை மீட்க முடியாது.',
+  'vault.passphrase': 'பெட்டகக் கடவுச்சொற்றொடர்',
+  'vault.repeat': 'கடவுச்சொற்றொடரை மீண்டும் உள்ளிடவும்',
+  'vault.unlock': 'திற',
+  'vault.create': 'பெட்டகத்தை உருவாக்கு',
+  'vault.working': 'செயலாக்குகிறது…',
+  'vault.mismatch': 'கடவுச்சொற்றொடர்கள் பொருந்தவில்லை.',
+  'vault.wrong': 'தவறான கடவுச்சொற்றொடர்.',
+  'vault.unlocked': '🔓 பெட்டகம் திறந்துள்ளது — 5 நிமிடம் செயலற்றிருந்தால் தானாகப் பூட்டிக்கொள்ளும்.',
+  'vault.lock': 'இப்போது பூட்டு',
+
+  'password.level.tooWeak': 'மிகவும் பலவீனம்',
+  'password.level.weak': 'பலவீனம்',
+  'password.level.fair': 'பரவாயில்லை',
+  'password.level.good': 'நன்று',
+  'password.level.strong': 'வலுவானது',
+  'password.issue.length': 'குறைந்தது {min} எழுத்துகளைப் பயன்படுத்தவும்.',
+  'password.issue.variety': 'பெரிய, சிறிய எழுத்துகள், எண்கள் அல்லது குறியீடுகளைக் கலந்து பயன்படுத்தவும்.',
+  'password.issue.personal': 'உங்கள் பெயர் அல்லது மின்னஞ்சலைச் சேர்க்க வேண்டாம்.',
+  'password.issue.common': 'பொதுவான சொற்களையும் திரும்பத் திரும்ப வரும் எழுத்துகளையும் தவிர்க்கவும்.',
+
+  'account.backToLogin': 'உள்நுழைவுக்குத் திரும்பு',
+  'account.linkExpired': 'இணைப்பு காலாவதியாகியிருக்கலாம்.',
+  'forgot.title': 'கடவுச்சொல் மறந்துவிட்டது',
+  'forgot.subtitle': 'புதிய கடவுச்சொல்லைத் தேர்வுசெய்ய உங்களுக்கு ஒரு இணைப்பை மின்னஞ்சல் செய்வோம்.',
+  'forgot.submit': 'மீட்டமைப்பு இணைப்பை அனுப்பு',
+  'forgot.sending': 'மீட்டமைப்பு இணைப்பு அனுப்பப்படுகிறது...',
+  'forgot.failed': 'இணைப்பை அனுப்ப முடியவில்லை. {reason}',
+  'forgot.sent': '{email} என்ற முகவரிக்குக் கணக்கு இருந்தால், மீட்டமைப்பு இணைப்பு வந்துகொண்டிருக்கிறது. அது சிறிது நேரத்தில் காலாவதியாகும், எனவே விரைவில் பயன்படுத்துங்கள்.',
+  'reset.title': 'கடவுச்சொல்லை மீட்டமை',
+  'reset.subtitle': 'உங்கள் கணக்கிற்குப் புதிய கடவுச்சொல்லைத் தேர்ந்தெடுக்கவும்.',
+  'reset.newPassword': 'புதிய கடவுச்சொல்',
+  'reset.repeatPassword': 'கடவுச்சொல்லை மீண்டும் உள்ளிடவும்',
+  'reset.submit': 'புதிய கடவுச்சொல்லை அமை',
+  'reset.mismatch': 'கடவுச்சொற்கள் பொருந்தவில்லை.',
+  'reset.saving': 'புதிய கடவுச்சொல் சேமிக்கப்படுகிறது...',
+  'reset.done': 'கடவுச்சொல் புதுப்பிக்கப்பட்டது. புதிய கடவுச்சொல்லுடன் உள்நுழையவும்.',
+  'reset.failed': 'உங்கள் கடவுச்சொல்லை மீட்டமைக்க முடியவில்லை. {reason}',
+  'reset.incomplete': 'இந்த மீட்டமைப்பு இணைப்பு முழுமையற்றது.',
+  'reset.requestNew': 'புதிய இணைப்பைக் கோருங்கள்.',
+  'reset.expired': 'இணைப்பு காலாவதியானதா? புதியதை அனுப்பு',
+  'verify.title': 'மின்னஞ்சலைச் சரிபார்',
+  'verify.checking': 'உங்கள் இணைப்பு சரிபார்க்கப்படுகிறது…',
+  'verify.done': 'உங்கள் மின்னஞ்சல் சரிபார்க்கப்பட்டது ✅',
+  'verify.failed': 'உங்கள் மின்னஞ்சலைச் சரிபார்க்க முடியவில்லை. {reason} செயலியில் உள்ள பதாகையிலிருந்து புதிய இணைப்பைக் கோரலாம்.',
+  'verify.incomplete': 'இந்தச் சரிபார்ப்பு இணைப்பு முழுமையற்றது. செயலியில் உள்ள பதாகையிலிருந்து புதியதைக் கோருங்கள்.',
+  'verify.toDashboard': 'உங்கள் டாஷ்போர்டுக்குச் செல்',
+  'verify.banner': 'உங்கள் மின்னஞ்சல் முகவரியைச் சரிபார்க்கவும். நாங்கள் அனுப்பிய இணைப்புக்கு உங்கள் இன்பாக்ஸைப் பாருங்கள்.',
+  'verify.sending': 'அனுப்புகிறது...',
+  'verify.sent': '{email}-க்குப் புதிய இணைப்பு அனுப்பப்பட்டது.',
+  'verify.sendFailed': 'மின்னஞ்சலை அனுப்ப முடியவில்லை. சிறிது நேரம் கழித்து மீண்டும் முயற்சிக்கவும்.',
+  'verify.resend': 'மின்னஞ்சலை மீண்டும் அனுப்பு',
+  'verify.resendIn': '{seconds} வி. இல் மீண்டும் அனுப்பு',
+  'reauth.title': 'உள்நுழைந்தே இருக்கவா?',
+  'reauth.body.one': 'உங்கள் அமர்வு சுமார் {count} நிமிடத்தில் முடியும். தொடர உங்கள் கடவுச்சொல்லை உள்ளிடவும்.',
+  'reauth.body.other': 'உங்கள் அமர்வு சுமார் {count} நிமிடங்களில் முடியும். தொடர உங்கள் கடவுச்சொல்லை உள்ளிடவும்.',
+  'reauth.stay': 'உள்நுழைந்தே இரு',
+  'reauth.failed': 'உங்களை உள்நுழைய வைக்க முடியவில்லை.',
+  'deleteAccount.title': 'என் கணக்கையும் தரவையும் நீக்கு',
+  'deleteAccount.body': 'இது TANA-விலிருந்து உங்கள் சுயவிவரம், அமர்வுகள், சிந்தனைகள், சமநிலை வரலாறு மற்றும் திட்டத்தை நிரந்தரமாக நீக்கும்; இந்தச் சாதனத்தில் உங்களுக்காகச் சேமிக்கப்பட்டவற்றையும் அழிக்கும். இதைத் திரும்பப் பெற முடியாது.',
+  'deleteAccount.noRefund': 'கட்டணத் திட்டத்தின் மீதமுள்ள காலத்துக்குப் பணம் திருப்பித் தரப்படாது. முதலில் ஒரு நகல் வேண்டுமா?',
+  'deleteAccount.export': 'தொடரும் முன் உங்கள் தரவை ஏற்றுமதி செய்யுங்கள்.',
+  'deleteAccount.typePhrase': 'உறுதிசெய்ய {phrase} என உள்ளிடவும்',
+  'deleteAccount.submit': 'அனைத்தையும் நீக்கு',
+  'deleteAccount.busy': 'நீக்குகிறது…',
+  'deleteAccount.keep': 'என் கணக்கை வைத்திரு',
+  'deleteAccount.deleting': 'உங்கள் கணக்கு நீக்கப்படுகிறது...',
+  'deleteAccount.wrongPassword': 'அந்தக் கடவுச்சொல் சரியில்லை.',
+  'deleteAccount.failed': 'உங்கள் கணக்கை நீக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'deleteAccount.done': 'உங்கள் கணக்கும் அதன் அனைத்துத் தரவும் நீக்கப்பட்டன.',
+
+  'data.title': 'உங்கள் தரவு',
+  'data.intro': 'நீங்கள் எழுதியது, முன்பதிவு செய்தது அனைத்தையும் பதிவிறக்குங்கள், அல்லது முந்தைய ஏற்றுமதியிலிருந்து சிந்தனைகளைத் திரும்பக் கொண்டுவாருங்கள்.',
+  'data.format.json': 'முழுக் காப்பகம் (JSON)',
+  'data.format.csv': 'அமர்வுகள் (CSV)',
+  'data.format.md': 'சிந்தனைகள் (Markdown)',
+  'data.preparing': 'தயாராகிறது…',
+  'data.import': 'காப்பகத்தை இறக்குமதி செய்',
+  'data.importing': 'இறக்குமதி செய்கிறது…',
+  'data.importNote': 'இறக்குமதி சிந்தனைகளை மட்டுமே சேர்க்கும்; அமர்வுகளும் சுயவிவரமும் அப்படியே இருக்கும். ஏற்கனவே உங்கள் கணக்கில் உள்ள பதிவுகள் தவிர்க்கப்படும்.',
+  'data.exportFailed': 'ஏற்றுமதி தோல்வியடைந்தது. {reason}',
+  'data.importFailed': 'இறக்குமதி தோல்வியடைந்தது. {reason}',
+  'data.archive.notJson': 'இந்தக் கோப்பு சரியான JSON அல்ல.',
+  'data.archive.notTana': 'இந்தக் கோப்பு TANA ஏற்றுமதி அல்ல.',
+  'data.archive.tooNew': 'இந்த ஏற்றுமதி TANA-வின் புதிய பதிப்பால் உருவாக்கப்பட்டது.',
+  'data.archive.noReflections': 'இந்த ஏற்றுமதியில் சிந்தனைகளின் பட்டியல் இல்லை.',
+  'data.archive.malformed.one': 'கோப்பில் {count} சிந்தனை தவறான வடிவில் உள்ளது.',
+  'data.archive.malformed.other': 'கோப்பில் {count} சிந்தனைகள் தவறான வடிவில் உள்ளன.',
+  'data.checking': 'கோப்பு சரிபார்க்கப்படுகிறது...',
+  'data.progress': 'இறக்குமதி செய்கிறது… {done} / {total}',
+  'data.imported.one': '{count} சிந்தனை இறக்குமதி செய்யப்பட்டது.',
+  'data.imported.other': '{count} சிந்தனைகள் இறக்குமதி செய்யப்பட்டன.',
+  'data.skipped.one': 'ஏற்கனவே உள்ள {count} தவிர்க்கப்பட்டது.',
+  'data.skipped.other': 'ஏற்கனவே உள்ள {count} தவிர்க்கப்பட்டன.',
+  'data.failed.one': '{count} தோல்வியடைந்தது.',
+  'data.failed.other': '{count} தோல்வியடைந்தன.',
+
+  'paywall.exhausted': 'உங்கள் இலவச அமர்வுகளை முடித்துவிட்டீர்கள் 🌙',
+  'paywall.upgrade': 'உங்கள் திட்டத்தை மேம்படுத்துங்கள் ✨',
+  'paywall.continue': 'TANA-வில் உங்கள் பயணத்தைத் தொடருங்கள்:',
+  'paywall.choose': 'தேர்ந்தெடு',
+  'paywall.loading': 'திட்டங்கள் ஏற்றப்படுகின்றன…',
+  'paywall.loadFailed': 'திட்டங்களை ஏற்ற முடியவில்லை',
+  'paywall.failed': 'ஏதோ தவறு நடந்தது. மீண்டும் முயற்சிக்கவும்.',
+  'paywall.payTo': '{plan}-க்கு {amount} இந்த UPI ID-க்குச் செலுத்துங்கள்:',
+  'paywall.openUpi': 'UPI செயலியைத் திற',
+  'paywall.reference': 'UPI பரிவர்த்தனை குறிப்பு (UTR)',
+  'paywall.referenceHint': 'உங்கள் UPI செயலியிலிருந்து 12 இலக்கக் குறிப்பு',
+  'paywall.paid': 'நான் செலுத்திவிட்டேன்',
+  'paywall.another': 'வேறு திட்டத்தைத் தேர்ந்தெடு',
+  'paywall.verifying': 'உங்கள் கட்டணம் சரிபார்க்கப்படுகிறது (குறிப்பு {reference})… இந்தப் பக்கம் தானாகப் புதுப்பிக்கப்படும்.',
+  'paywall.verified': 'கட்டணம் சரிபார்க்கப்பட்டது ✅ உங்கள் {plan} செயலில் உள்ளது.',
+  'paywall.rejected': 'இந்தக் கட்டணத்தை எங்களால் சரிபார்க்க முடியவில்லை.',
+  'paywall.rejectedBecause': 'இந்தக் கட்டணத்தை எங்களால் சரிபார்க்க முடியவில்லை: {reason}.',
+  'paywall.retryReference': 'வேறு குறிப்பை முயல்க',
+  'paywall.startOver': 'மீண்டும் தொடங்கு',
+
+  'analytics.loading': 'உங்கள் வரலாறு பகுப்பாய்வு செய்யப்படுகிறது…',
+  'analytics.historyFailed': 'சமநிலை வரலாற்றை ஏற்ற முடியவில்லை',
+  'analytics.balance': 'சமநிலை',
+  'analytics.triangle': 'TANA சமநிலை',
+  'analytics.streak': 'சிந்தனைத் தொடர்',
+  'analytics.days.one': 'நாள்',
+  'analytics.days.other': 'நாட்கள்',
+  'analytics.longest.one': 'அதிகபட்சம்: {count} நாள்',
+  'analytics.longest.other': 'அதிகபட்சம்: {count} நாட்கள்',
+  'analytics.keepStreak': 'உங்கள் தொடரைத் தக்கவைக்க இன்று எழுதுங்கள்.',
+  'analytics.needsAttention': 'கவனம் தேவை',
+  'analytics.neverActive': 'உங்கள் சமநிலையில் {pct}% — இன்னும் அமர்வுகளோ சிந்தனைகளோ இல்லை.',
+  'analytics.lastActive.one': 'உங்கள் சமநிலையில் {pct}% — கடைசிச் செயல்பாடு {count} நாளுக்கு முன்.',
+  'analytics.lastActive.other': 'உங்கள் சமநிலையில் {pct}% — கடைசிச் செயல்பாடு {count} நாட்களுக்கு முன்.',
+  'analytics.overTime': 'காலப்போக்கில் சமநிலை',
+  'analytics.chart': 'காலப்போக்கில் தூண்களின் சமநிலை',
+  'analytics.noHistory': 'உங்கள் சமநிலை எப்படி மாறுகிறது என்பதைக் காண அமர்வுகளை முன்பதிவு செய்து சிந்தனைகளை எழுதுங்கள்.',
+}
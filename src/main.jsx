@@ -1,17 +1,27 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
-import { BrowserRouter, Routes, Route } from 'react-router-dom'
+import { BrowserRouter } from 'react-router-dom'
 import App from './App'
-import Test from './Test'
+import { mockBackendEnabled, readBackendUrl } from './lib/api'
+import { registerServiceWorker } from './lib/serviceWorker'
 import './index.css'
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <BrowserRouter>
-      <Routes>
-        <Route path="/" element={<App />} />
-        <Route path="/test" element={<Test />} />
-      </Routes>
-    </BrowserRouter>
-  </React.StrictMode>,
-)
\ No newline at end of file
+// The mock backend has to be in place before the first request, so rendering waits for it.
+// It's a separate chunk: builds that never switch it on never download it.
+async function installMock() {
+  if (!mockBackendEnabled()) return
+  const { installMockBackend } = await import('./lib/mockBackend')
+  installMockBackend(readBackendUrl())
+}
+
+installMock().finally(() => {
+  ReactDOM.createRoot(document.getElementById('root')).render(
+    <React.StrictMode>
+      <BrowserRouter>
+        <App />
+      </BrowserRouter>
+    </React.StrictMode>,
+  )
+})
+
+registerServiceWorker()
@@ -0,0 +1,195 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { NavLink, Outlet, useLocation, useNavigate } from 'react-router-dom'
+import LanguageSwitcher from '../components/LanguageSwitcher'
+import ReauthDialog from '../components/ReauthDialog'
+import SyncBadge from '../components/SyncBadge'
+import VerifyBanner from '../components/VerifyBanner'
+import { hasRole, tokenSubject, useAuth } from '../lib/auth'
+import { useI18n } from '../lib/i18n'
+import { clearOfflineData, countPending, flushOutbox } from '../lib/offline'
+import { lockVault } from '../lib/vault'
+import { subscribePush, unsubscribePush } from '../lib/push'
+import { applySessionEvent, useLiveUpdates } from '../lib/live'
+import { loadNotificationPrefs, notificationPermission, useSessionReminders } from '../lib/reminders'
+import { EntitlementsProvider, buildEntitlements, canBookSession, loadRemoteEntitlements } from '../lib/entitlements'
+
+const NAV = [
+  { to: '/app/dashboard', label: 'nav.dashboard' },
+  { to: '/app/sessions', label: 'nav.sessions' },
+  { to: '/app/journal', label: 'nav.journal' },
+  { to: '/app/goals', label: 'nav.goals' },
+  { to: '/app/analytics', label: 'nav.analytics' },
+  { to: '/app/profile', label: 'nav.profile' },
+  { to: '/app/host', label: 'nav.host', role: 'host' },
+  { to: '/app/admin', label: 'nav.admin', role: 'admin' },
+]
+
+export default function AppShell() {
+  const { api, baseUrl, token, clearToken, reauthAt, dismissReauth } = useAuth()
+  const { t, setLocale, formatDateTime } = useI18n()
+  const navigate = useNavigate()
+  const location = useLocation()
+  const [status, setStatus] = useState(location.state?.message || '')
+
+  // user state
+  const [me, setMe] = useState(null)
+  const [dash, setDash] = useState(null)
+  const [sessions, setSessions] = useState([])
+  const [remoteEntitlements, setRemoteEntitlements] = useState(null)
+  // Bumped after queued writes reach the server, so pages holding their own lists can reload.
+  const [syncVersion, setSyncVersion] = useState(0)
+
+  // Expired or rejected tokens are handled by the auth layer, which returns here after login.
+  // A manual logout starts over and wipes the offline copy of the account's data from this device.
+  const logout = () => {
+    clearToken()
+    clearOfflineData()
+    unsubscribePush().catch(() => {})
+    navigate('/login', { replace: true })
+  }
+
+  // However the session ends (here, by expiry or from another tab), the vault doesn't outlive it.
+  useEffect(() => lockVault, [])
+
+  // One parallel round trip; whatever arrives is applied even when another call fails.
+  const refreshAll = async () => {
+    const [m, d, ent, s] = await Promise.allSettled([api.me(), api.dashboard(), loadRemoteEntitlements(api), api.listSessions()])
+    if (m.status === 'fulfilled') setMe(m.value)
+    if (d.status === 'fulfilled') setDash(d.value)
+    if (ent.status === 'fulfilled') setRemoteEntitlements(ent.value)
+    if (s.status === 'fulfilled') setSessions(s.value.items || [])
+    const failed = [m, d, ent, s].find(r => r.status === 'rejected')?.reason
+    // A 401 has already ended the session in the API client; anything network-shaped keeps whatever is cached on screen.
+    if (failed && failed.status !== 401) setStatus(failed.status === 0 ? t('shell.offline') : t('shell.refreshFailed'))
+    return m.value
+  }
+
+  // Host-side changes (confirmations, links, counters) stream in; polling covers backends without /events.
+  const liveStatus = useLiveUpdates({
+    baseUrl,
+    token,
+    handlers: {
+      session: (event) => setSessions(list => applySessionEvent(list, event)),
+      dashboard: setDash,
+      entitlements: setRemoteEntitlements,
+    },
+    poll: async () => {
+      const [d, s] = await Promise.allSettled([api.dashboard(), api.listSessions()])
+      if (d.status === 'fulfilled') setDash(d.value)
+      if (s.status === 'fulfilled') setSessions(s.value.items || [])
+    },
+  })
+
+  const replay = async (userId) => {
+    const { sent, rejected } = await flushOutbox(api, userId)
+    if (sent.length) {
+      setSyncVersion(v => v + 1)
+      await refreshAll()
+    }
+    if (rejected.length) setStatus(t('shell.rejected', { count: rejected.length }))
+    else if (sent.length) setStatus(t('shell.synced', { count: sent.length }))
+  }
+
+  // The mount chain and the `online` listener can both ask at once; a second call joins the run
+  // in progress rather than replaying the same queued writes again.
+  const syncing = useRef(null)
+  const sync = (userId) => {
+    syncing.current ||= replay(userId).finally(() => { syncing.current = null })
+    return syncing.current
+  }
+
+  useEffect(() => {
+    countPending()
+    refreshAll().then(m => { if (m) sync(m.id) })
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tokenSubject(token)])
+
+  // Logout drops this browser's push subscription; signing back in renews it if the user had push on.
+  useEffect(() => {
+    if (!me?.id) return
+    loadNotificationPrefs(api, me.id)
+      .then(p => { if (p.enabled && p.push && notificationPermission() === 'granted') return subscribePush(api) })
+      .catch(() => {})
+  }, [api, me?.id])
+
+  useSessionReminders(sessions, (r) => ({
+    title: t(`reminders.${r.kind}Title`),
+    body: t(`reminders.${r.kind}Body`, { topic: r.session.topic, when: formatDateTime(r.start) }),
+    url: r.kind === 'link' ? r.session.spatial_url : '/app/sessions',
+  }))
+
+  // The profile's language wins over whatever this device picked before login.
+  useEffect(() => {
+    if (me?.locale) setLocale(me.locale)
+  }, [me?.locale, setLocale])
+
+  // The profile endpoint replaces the whole profile, so the other fields ride along.
+  const saveLanguage = async (locale) => {
+    if (!me) return
+    try {
+      await api.updateProfile({ name: me.name, purpose: me.purpose, age: me.age || undefined, locale })
+      setMe({ ...me, locale })
+    } catch {
+      setStatus(t('shell.languageNotSaved'))
+    }
+  }
+
+  // Replay the outbox as soon as connectivity returns.
+  useEffect(() => {
+    const onOnline = () => sync(me?.id)
+    window.addEventListener('online', onOnline)
+    return () => window.removeEventListener('online', onOnline)
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [me?.id])
+
+  // Applies `next` right away and restores the previous state if `request` rejects.
+  const optimistic = async (next, request) => {
+    const prev = { sessions, dash }
+    if (next.sessions) setSessions(next.sessions)
+    if (next.dash) setDash(next.dash)
+    try {
+      return await request()
+    } catch (e) {
+      setSessions(prev.sessions)
+      setDash(prev.dash)
+      throw e
+    }
+  }
+
+  const entitlements = useMemo(() => dash && buildEntitlements({ remote: remoteEntitlements, me, dash }), [remoteEntitlements, me, dash])
+  const showPaywall = !!entitlements && !canBookSession(entitlements)
+
+  // Shared with every /app/* page through useOutletContext(). Reflections are paged by the journal itself.
+  const ctx = { api, me, dash, entitlements, sessions, syncVersion, refreshAll, optimistic, setStatus, showPaywall }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 py-10 px-6">
+      <div className="mx-auto max-w-6xl space-y-6">
+        <div className="flex items-center justify-between">
+          <h2 className="text-2xl font-bold bg-gradient-to-r from-indigo-600 to-pink-500 bg-clip-text text-transparent">LifeOS × TANA</h2>
+          <div className="flex items-center gap-3">
+            <SyncBadge live={liveStatus} />
+            <LanguageSwitcher onChange={saveLanguage} />
+            <span className="text-sm text-slate-700">{me?.email}</span>
+            <button onClick={()=>logout()} className="rounded bg-slate-200 px-3 py-1 text-sm">{t('nav.logout')}</button>
+          </div>
+        </div>
+
+        <nav className="flex flex-wrap gap-2">
+          {NAV.filter(n => !n.role || hasRole(me, n.role)).map(n => (
+            <NavLink key={n.to} to={n.to} className={({ isActive }) => `px-3 py-1 rounded text-sm ${isActive ? 'bg-indigo-600 text-white' : 'bg-white text-slate-700 border'}`}>{t(n.label)}</NavLink>
+          ))}
+        </nav>
+
+        <VerifyBanner api={api} me={me} />
+
+        <EntitlementsProvider value={entitlements}>
+          <Outlet context={ctx} />
+        </EntitlementsProvider>
+
+        {status && <div className="text-center text-sm text-slate-700">{status}</div>}
+      </div>
+      <ReauthDialog email={me?.email} expiresAt={reauthAt} onDismiss={dismissReauth} onLogout={logout} />
+    </div>
+  )
+}
@@ -0,0 +1,130 @@
+import { useState } from 'react'
+import { Link, useLocation, useNavigate } from 'react-router-dom'
+import LanguageSwitcher from '../components/LanguageSwitcher'
+import { Field, PasswordMeter, PillBadge } from '../components/ui'
+import { useAuth } from '../lib/auth'
+import { errorMessage } from '../lib/api'
+import { useI18n } from '../lib/i18n'
+import { PURPOSES } from '../lib/profile'
+import { PILLARS } from '../lib/reflections'
+import { describeIssues, passwordStrength } from '../lib/password'
+
+export default function Auth({ tab }) {
+  const { api, saveToken } = useAuth()
+  const { t } = useI18n()
+  const navigate = useNavigate()
+  const location = useLocation()
+  const [status, setStatus] = useState(location.state?.message || '')
+  const [loginForm, setLoginForm] = useState({ email: '', password: '' })
+  const [signupForm, setSignupForm] = useState({ name: '', email: '', password: '', age: '', purpose: 'Healing' })
+  const strength = passwordStrength(signupForm.password, signupForm)
+
+  // Return to the page that bounced us here, otherwise the dashboard.
+  const from = location.state?.from
+  const enterApp = (message) => navigate(from ? `${from.pathname}${from.search || ''}${from.hash || ''}` : '/app/dashboard', { replace: true, state: { message } })
+
+  const handleSignup = async (e) => {
+    e.preventDefault()
+    if (!strength.valid) return setStatus(t('auth.weakPassword', { issues: describeIssues(t, strength.issues) }))
+    setStatus(t('auth.creating'))
+    try {
+      const payload = {
+        name: signupForm.name,
+        email: signupForm.email,
+        password: signupForm.password,
+        age: signupForm.age ? Number(signupForm.age) : undefined,
+        purpose: signupForm.purpose,
+      }
+      const data = await api.signup(payload)
+      saveToken(data.token)
+      enterApp(t('auth.welcomeNew'))
+    } catch (err) {
+      setStatus(t('auth.signupFailed', { reason: errorMessage(err, t('common.tryAgain')) }))
+    }
+  }
+
+  const handleLogin = async (e) => {
+    e.preventDefault()
+    setStatus(t('auth.signingIn'))
+    try {
+      const data = await api.login(loginForm)
+      saveToken(data.token)
+      enterApp(t('auth.welcomeBack'))
+    } catch (err) {
+      setStatus(t('auth.loginFailed', { reason: errorMessage(err, t('auth.checkCredentials')) }))
+    }
+  }
+
+  // Keep the redirect target when switching between the login and signup tabs.
+  const tabLink = (to, label) => (
+    <Link to={to} replace state={location.state} className={`px-3 py-1 rounded ${tab===to.slice(1)?'bg-indigo-600 text-white':'bg-slate-100 text-slate-700'}`}>{label}</Link>
+  )
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 py-12 px-6">
+      <div className="mx-auto max-w-4xl">
+        <div className="mb-8 text-center">
+          <h2 className="text-3xl font-bold text-slate-800">{t('auth.title')}</h2>
+          <p className="text-slate-600">{t('auth.subtitle')}</p>
+          <LanguageSwitcher className="mt-3" />
+        </div>
+        <div className="grid md:grid-cols-2 gap-6">
+          <div className="bg-white rounded-xl shadow p-6">
+            <div className="flex gap-2 mb-4">
+              {tabLink('/login', t('auth.login'))}
+              {tabLink('/signup', t('auth.signup'))}
+            </div>
+            {tab === 'login' ? (
+              <form onSubmit={handleLogin} className="space-y-4">
+                <Field label={t('auth.email')}>
+                  <input value={loginForm.email} onChange={(e)=>setLoginForm({...loginForm,email:e.target.value})} type="email" required className="w-full rounded border p-2" />
+                </Field>
+                <Field label={t('auth.password')}>
+                  <input value={loginForm.password} onChange={(e)=>setLoginForm({...loginForm,password:e.target.value})} type="password" required className="w-full rounded border p-2" />
+                </Field>
+                <button className="w-full rounded bg-indigo-600 text-white py-2 font-semibold">{t('auth.signIn')}</button>
+                <Link to="/forgot-password" state={{ email: loginForm.email }} className="block text-center text-sm text-indigo-600 hover:underline">{t('auth.forgot')}</Link>
+              </form>
+            ) : (
+              <form onSubmit={handleSignup} className="space-y-4">
+                <Field label={t('auth.name')}>
+                  <input value={signupForm.name} onChange={(e)=>setSignupForm({...signupForm,name:e.target.value})} required className="w-full rounded border p-2" />
+                </Field>
+                <Field label={t('auth.email')}>
+                  <input value={signupForm.email} onChange={(e)=>setSignupForm({...signupForm,email:e.target.value})} type="email" required className="w-full rounded border p-2" />
+                </Field>
+                <Field label={t('auth.password')}>
+                  <input value={signupForm.password} onChange={(e)=>setSignupForm({...signupForm,password:e.target.value})} type="password" required autoComplete="new-password" className="w-full rounded border p-2" />
+                </Field>
+                <PasswordMeter strength={strength} password={signupForm.password} />
+                <div className="grid grid-cols-2 gap-3">
+                  <Field label={t('auth.age')}>
+                    <input value={signupForm.age} onChange={(e)=>setSignupForm({...signupForm,age:e.target.value})} type="number" min="0" className="w-full rounded border p-2" />
+                  </Field>
+                  <Field label={t('auth.purpose')}>
+                    <select value={signupForm.purpose} onChange={(e)=>setSignupForm({...signupForm,purpose:e.target.value})} className="w-full rounded border p-2">
+                      {PURPOSES.map(p => <option key={p} value={p}>{t(`purpose.${p}`)}</option>)}
+                    </select>
+                  </Field>
+                </div>
+                <button className="w-full rounded bg-indigo-600 text-white py-2 font-semibold">{t('auth.createAccount')}</button>
+              </form>
+            )}
+            {status && <p className="mt-3 text-sm text-slate-700">{status}</p>}
+            <Link to="/" className="mt-4 inline-block text-slate-600 hover:underline">{t('common.back')}</Link>
+          </div>
+          <div className="bg-white rounded-xl shadow p-6">
+            <h3 className="font-semibold text-slate-800 mb-2">{t('auth.modelTitle')}</h3>
+            <p className="text-slate-600 mb-4">{t('auth.modelBody')}</p>
+            <div className="flex gap-2">
+              {PILLARS.map(p => <PillBadge key={p} label={t(`pillar.${p}`)} />)}
+            </div>
+            <div className="mt-6 rounded-lg border p-4 bg-gradient-to-br from-indigo-50 to-pink-50">
+              <p className="text-sm text-slate-700">{t('auth.tokenNote')}</p>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,33 @@
+import { Link } from 'react-router-dom'
+import Spline from '@splinetool/react-spline'
+import LanguageSwitcher from '../components/LanguageSwitcher'
+import { useI18n } from '../lib/i18n'
+
+export default function Home() {
+  const { t } = useI18n()
+  return (
+    <div className="relative min-h-[70vh] w-full overflow-hidden bg-gradient-to-b from-indigo-50 to-white">
+      <div className="absolute inset-0">
+        <Spline scene="https://prod.spline.design/4cHQr84zOGAHOehh/scene.splinecode" style={{ width: '100%', height: '100%' }} />
+      </div>
+      <div className="relative z-10 mx-auto flex max-w-5xl flex-col items-center px-6 py-16 text-center">
+        <h1 className="text-4xl md:text-6xl font-extrabold tracking-tight bg-gradient-to-r from-indigo-600 via-purple-600 to-pink-500 bg-clip-text text-transparent">
+          LifeOS × TANA
+        </h1>
+        <p className="mt-4 max-w-2xl text-lg md:text-xl text-slate-700">
+          {t('home.tagline')}
+        </p>
+        <div className="mt-8 flex gap-4">
+          <Link to="/signup" className="rounded-lg bg-indigo-600 px-6 py-3 text-white font-semibold shadow hover:bg-indigo-700 transition-colors">
+            {t('home.getStarted')}
+          </Link>
+          <Link to="/test" className="rounded-lg bg-white/70 backdrop-blur px-6 py-3 text-slate-700 font-semibold shadow border border-slate-200 hover:bg-white transition-colors">
+            {t('home.checkBackend')}
+          </Link>
+        </div>
+      </div>
+      <div className="pointer-events-none absolute inset-0 bg-gradient-to-t from-white/70 to-transparent" />
+      <LanguageSwitcher className="absolute right-4 top-4 z-20" />
+    </div>
+  )
+}
@@ -0,0 +1,45 @@
+import { useState } from 'react'
+import { useLocation } from 'react-router-dom'
+import AuthCard from '../../components/AuthCard'
+import { Field } from '../../components/ui'
+import { useAuth } from '../../lib/auth'
+import { errorMessage } from '../../lib/api'
+import { useI18n } from '../../lib/i18n'
+
+export default function ForgotPassword() {
+  const { api } = useAuth()
+  const { t } = useI18n()
+  const location = useLocation()
+  const [email, setEmail] = useState(location.state?.email || '')
+  const [status, setStatus] = useState('')
+  const [sent, setSent] = useState(false)
+
+  const submit = async (e) => {
+    e.preventDefault()
+    setStatus(t('forgot.sending'))
+    try {
+      await api.requestPasswordReset(email)
+      setSent(true)
+      setStatus('')
+    } catch (err) {
+      setStatus(t('forgot.failed', { reason: errorMessage(err, t('common.tryAgain')) }))
+    }
+  }
+
+  return (
+    <AuthCard title={t('forgot.title')} subtitle={t('forgot.subtitle')}>
+      {sent ? (
+        // Same answer whether or not the address has an account, so the form can't be used to probe for users.
+        <p className="text-sm text-slate-700">{t('forgot.sent', { email })}</p>
+      ) : (
+        <form onSubmit={submit} className="space-y-4">
+          <Field label={t('auth.email')}>
+            <input value={email} onChange={e=>setEmail(e.target.value)} type="email" required autoFocus className="w-full rounded border p-2" />
+          </Field>
+          <button className="w-full rounded bg-indigo-600 text-white py-2 font-semibold">{t('forgot.submit')}</button>
+        </form>
+      )}
+      {status && <p className="mt-3 text-sm text-slate-700">{status}</p>}
+    </AuthCard>
+  )
+}
@@ -0,0 +1,58 @@
+import { useState } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import AuthCard from '../../components/AuthCard'
+import { Field, PasswordMeter } from '../../components/ui'
+import { useAuth } from '../../lib/auth'
+import { errorMessage } from '../../lib/api'
+import { useI18n } from '../../lib/i18n'
+import { describeIssues, passwordStrength } from '../../lib/password'
+
+// Landing page for the emailed link: /reset-password?token=...
+export default function ResetPassword() {
+  const { api } = useAuth()
+  const { t } = useI18n()
+  const navigate = useNavigate()
+  const [params] = useSearchParams()
+  const token = params.get('token') || ''
+  const [form, setForm] = useState({ password: '', confirm: '' })
+  const [status, setStatus] = useState('')
+  const strength = passwordStrength(form.password)
+
+  const submit = async (e) => {
+    e.preventDefault()
+    if (!strength.valid) return setStatus(describeIssues(t, strength.issues))
+    if (form.password !== form.confirm) return setStatus(t('reset.mismatch'))
+    setStatus(t('reset.saving'))
+    try {
+      await api.resetPassword(token, form.password)
+      navigate('/login', { replace: true, state: { message: t('reset.done') } })
+    } catch (err) {
+      setStatus(t('reset.failed', { reason: errorMessage(err, t('account.linkExpired')) }))
+    }
+  }
+
+  if (!token) {
+    return (
+      <AuthCard title={t('reset.title')}>
+        <p className="text-sm text-slate-700">{t('reset.incomplete')} <Link to="/forgot-password" className="text-indigo-600 hover:underline">{t('reset.requestNew')}</Link></p>
+      </AuthCard>
+    )
+  }
+
+  return (
+    <AuthCard title={t('reset.title')} subtitle={t('reset.subtitle')}>
+      <form onSubmit={submit} className="space-y-4">
+        <Field label={t('reset.newPassword')}>
+          <input value={form.password} onChange={e=>setForm({...form,password:e.target.value})} type="password" required autoComplete="new-password" className="w-full rounded border p-2" />
+        </Field>
+        <PasswordMeter strength={strength} password={form.password} />
+        <Field label={t('reset.repeatPassword')}>
+          <input value={form.confirm} onChange={e=>setForm({...form,confirm:e.target.value})} type="password" required autoComplete="new-password" className="w-full rounded border p-2" />
+        </Field>
+        <button className="w-full rounded bg-indigo-600 text-white py-2 font-semibold">{t('reset.submit')}</button>
+      </form>
+      {status && <p className="mt-3 text-sm text-slate-700">{status}</p>}
+      <Link to="/forgot-password" className="mt-3 block text-sm text-indigo-600 hover:underline">{t('reset.expired')}</Link>
+    </AuthCard>
+  )
+}
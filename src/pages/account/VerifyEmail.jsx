@@ -0,0 +1,37 @@
+import { useEffect, useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import AuthCard from '../../components/AuthCard'
+import { isTokenValid, useAuth } from '../../lib/auth'
+import { errorMessage } from '../../lib/api'
+import { useI18n } from '../../lib/i18n'
+
+// Landing page for the verification email: /verify-email?token=...
+export default function VerifyEmail() {
+  const { api, token: session } = useAuth()
+  const { t } = useI18n()
+  const [params] = useSearchParams()
+  const token = params.get('token') || ''
+  const [state, setState] = useState(token ? 'verifying' : 'missing')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!token) return
+    let live = true
+    api.verifyEmail(token)
+      .then(() => live && setState('verified'))
+      .catch(err => { if (live) { setState('failed'); setError(errorMessage(err, '')) } })
+    return () => { live = false }
+  }, [api, token])
+
+  const next = isTokenValid(session) ? { to: '/app/dashboard', label: t('verify.toDashboard') } : { to: '/login', label: t('auth.login') }
+
+  return (
+    <AuthCard title={t('verify.title')}>
+      {state === 'verifying' && <p className="text-sm text-slate-700">{t('verify.checking')}</p>}
+      {state === 'verified' && <p className="text-sm text-emerald-700">{t('verify.done')}</p>}
+      {state === 'failed' && <p className="text-sm text-rose-600">{t('verify.failed', { reason: error || t('account.linkExpired') })}</p>}
+      {state === 'missing' && <p className="text-sm text-slate-700">{t('verify.incomplete')}</p>}
+      {state !== 'verifying' && <Link to={next.to} className="mt-4 block rounded bg-indigo-600 py-2 text-center font-semibold text-white">{next.label}</Link>}
+    </AuthCard>
+  )
+}
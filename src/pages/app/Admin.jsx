@@ -0,0 +1,160 @@
+import { useEffect, useState } from 'react'
+import { useOutletContext } from 'react-router-dom'
+import { Field } from '../../components/ui'
+import { ReasonDialog } from '../../components/Modal'
+import { errorMessage } from '../../lib/api'
+import { useI18n } from '../../lib/i18n'
+import { FALLBACK_PLANS } from '../../lib/payments'
+
+const MAX_GRANT = 50
+
+// Sessions a verified payment unlocks: the order's own count, else the plan's. `null` is unlimited;
+// `undefined` means the plan isn't one we know, and the admin has to say how many.
+function grantFor(payment) {
+  if (payment.sessions !== undefined) return payment.sessions
+  return FALLBACK_PLANS.find(p => p.id === payment.plan_id)?.sessions
+}
+
+const validGrant = (n) => Number.isInteger(n) && n >= 1 && n <= MAX_GRANT
+
+function GrantCredits({ api, setStatus }) {
+  const { t } = useI18n()
+  const [form, setForm] = useState({ email: '', sessions: 1, reason: '' })
+  const [busy, setBusy] = useState(false)
+
+  const submit = async (e) => {
+    e.preventDefault()
+    setBusy(true)
+    try {
+      await api.adminGrantCredits({ email: form.email.trim(), sessions: Number(form.sessions), reason: form.reason.trim() })
+      setStatus(t('admin.granted', { count: Number(form.sessions), email: form.email.trim() }))
+      setForm({ email: '', sessions: 1, reason: '' })
+    } catch (err) {
+      setStatus(`${t('admin.grantFailed')} ${errorMessage(err, '')}`.trim())
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="rounded-xl border bg-white p-6 shadow">
+      <h3 className="text-lg font-semibold text-slate-800 mb-1">{t('admin.grantTitle')}</h3>
+      <p className="mb-4 text-sm text-slate-600">{t('admin.grantHelp')}</p>
+      <form onSubmit={submit} className="space-y-3">
+        <Field label={t('admin.email')}>
+          <input type="email" className="w-full rounded border p-2" value={form.email} onChange={e=>setForm({...form,email:e.target.value})} required />
+        </Field>
+        <Field label={t('admin.sessions')}>
+          <input type="number" min={1} max={MAX_GRANT} className="w-full rounded border p-2" value={form.sessions} onChange={e=>setForm({...form,sessions:e.target.value})} required />
+        </Field>
+        <Field label={t('admin.reason')}>
+          <input className="w-full rounded border p-2" placeholder={t('admin.reasonPlaceholder')} value={form.reason} onChange={e=>setForm({...form,reason:e.target.value})} required />
+        </Field>
+        <button disabled={busy} className={`rounded px-4 py-2 text-white ${busy ? 'bg-slate-400 cursor-not-allowed' : 'bg-indigo-600'}`}>{t('admin.grant')}</button>
+      </form>
+    </div>
+  )
+}
+
+export default function Admin() {
+  const { api, setStatus } = useOutletContext()
+  const { t, formatCurrency, formatDateTime } = useI18n()
+  const [payments, setPayments] = useState(null)
+  const [error, setError] = useState('')
+  const [rejecting, setRejecting] = useState(null)
+  // Ids with a verify/reject in flight, so a double click can't grant twice.
+  const [pending, setPending] = useState([])
+  // Session counts typed in for payments whose plan grantFor doesn't recognise, by payment id.
+  const [counts, setCounts] = useState({})
+
+  const load = async () => {
+    setError('')
+    try {
+      const data = await api.adminPayments({ status: 'pending' })
+      setPayments(data.items || [])
+    } catch (e) {
+      setError(errorMessage(e, t('admin.loadFailed')))
+    }
+  }
+
+  useEffect(() => {
+    load()
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [api])
+
+  const settle = async (payment, request, done) => {
+    setPending(p => [...p, payment.id])
+    try {
+      await request()
+      setPayments(list => list.filter(p => p.id !== payment.id))
+      setStatus(done)
+    } catch (e) {
+      setStatus(`${t('admin.updateFailed')} ${errorMessage(e, '')}`.trim())
+    } finally {
+      setPending(p => p.filter(id => id !== payment.id))
+    }
+  }
+
+  const verify = (payment, sessions) => {
+    settle(payment, () => api.adminVerifyPayment(payment.id, { grant_sessions: sessions }), t('admin.verified', { email: payment.user?.email || payment.user_email }))
+  }
+
+  const grantLabel = (sessions) => sessions === null ? t('admin.verifyUnlimited') : t('admin.verifyGrant', { count: sessions })
+
+  return (
+    <div className="grid md:grid-cols-2 gap-6">
+      <div className="rounded-xl border bg-white p-6 shadow">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-slate-800">{t('admin.paymentsTitle')}</h3>
+          <button onClick={load} className="text-sm text-indigo-600 hover:underline">{t('host.reload')}</button>
+        </div>
+        {error && <p className="text-sm text-rose-600">{error}</p>}
+        {!payments && !error && <p className="text-sm text-slate-500">{t('common.loading')}</p>}
+        <ul className="space-y-2">
+          {(payments || []).map(p => {
+            const busy = pending.includes(p.id)
+            const planned = grantFor(p)
+            const unknownPlan = planned === undefined
+            const sessions = unknownPlan ? Number(counts[p.id]) : planned
+            const ready = !unknownPlan || validGrant(sessions)
+            return (
+              <li key={p.id} className="rounded border p-3 space-y-1">
+                <div className="flex justify-between gap-2">
+                  <p className="font-medium">{p.user?.email || p.user_email}</p>
+                  <p className="text-sm font-semibold">{formatCurrency(p.amount)}</p>
+                </div>
+                <p className="text-sm text-slate-600">{p.plan_name || p.plan_id}{p.created_at && ` • ${formatDateTime(p.created_at)}`}</p>
+                <p className="text-sm text-slate-600">{t('admin.reference')}: <span className="font-mono">{p.reference || '—'}</span></p>
+                {unknownPlan && (
+                  <label className="flex items-center gap-2 text-sm text-amber-700">
+                    {t('admin.unknownPlan')}
+                    <input type="number" min={1} max={MAX_GRANT} className="w-20 rounded border p-1 text-slate-800" value={counts[p.id] ?? ''} onChange={e=>setCounts({...counts,[p.id]:e.target.value})} />
+                  </label>
+                )}
+                <div className="flex gap-3 pt-1 text-sm">
+                  <button disabled={busy || !ready} onClick={()=>verify(p, sessions)} className="text-emerald-700 hover:underline disabled:text-slate-400">{ready ? grantLabel(sessions) : t('admin.verify')}</button>
+                  <button disabled={busy} onClick={()=>setRejecting(p)} className="text-rose-600 hover:underline disabled:text-slate-400">{t('admin.reject')}</button>
+                </div>
+              </li>
+            )
+          })}
+          {payments && payments.length === 0 && <p className="text-sm text-slate-600">{t('admin.none')}</p>}
+        </ul>
+      </div>
+
+      <GrantCredits api={api} setStatus={setStatus} />
+
+      <ReasonDialog
+        open={!!rejecting}
+        onOpenChange={(o) => { if (!o) setRejecting(null) }}
+        title={t('admin.rejectTitle')}
+        description={rejecting && t('admin.rejectDescription', { reference: rejecting.reference || '—', amount: formatCurrency(rejecting.amount) })}
+        label={t('admin.reason')}
+        confirmLabel={t('admin.reject')}
+        cancelLabel={t('common.back')}
+        required
+        onConfirm={(reason) => settle(rejecting, () => api.adminRejectPayment(rejecting.id, reason), t('admin.rejected'))}
+      />
+    </div>
+  )
+}
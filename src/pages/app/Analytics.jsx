@@ -0,0 +1,87 @@
+import { useEffect, useState } from 'react'
+import { useOutletContext } from 'react-router-dom'
+import BalanceTriangle from '../../components/BalanceTriangle'
+import JournalInsights from '../../components/JournalInsights'
+import LineChart from '../../components/LineChart'
+import { PillarLegend } from '../../components/ui'
+import { errorMessage } from '../../lib/api'
+import { Gate } from '../../lib/entitlements'
+import { useGoals } from '../../lib/goals'
+import { useI18n } from '../../lib/i18n'
+import { activityEvents, loadBalanceHistory, neglectedPillar, reflectionStreaks } from '../../lib/analytics'
+import { PILLARS, PILLAR_COLORS, fetchAllReflections } from '../../lib/reflections'
+
+export default function Analytics() {
+  const { api, dash, sessions } = useOutletContext()
+  const [reflections, setReflections] = useState(null)
+  const [history, setHistory] = useState([])
+  const [error, setError] = useState(null) // { cause, fallback } where fallback is a catalog key
+  const { t } = useI18n()
+  // Completed milestones count toward the rebuilt balance; without /goals there are simply none.
+  const { goals } = useGoals(api)
+
+  useEffect(() => {
+    fetchAllReflections(api).then(setReflections).catch(cause => setError({ cause, fallback: 'journal.loadFailed' }))
+  }, [api])
+
+  useEffect(() => {
+    if (!reflections) return
+    loadBalanceHistory(api, sessions, reflections, goals || []).then(setHistory).catch(cause => setError({ cause, fallback: 'analytics.historyFailed' }))
+  }, [api, sessions, reflections, goals])
+
+  if (error) return <div className="rounded-xl border bg-white p-6 shadow text-sm text-rose-600">{errorMessage(error.cause, t(error.fallback))}</div>
+  if (!dash || !reflections) return <div className="rounded-xl border bg-white p-6 shadow text-sm text-slate-500">{t('analytics.loading')}</div>
+
+  const percentages = dash.tana.percentages
+  const streaks = reflectionStreaks(reflections)
+  const neglected = neglectedPillar(percentages, activityEvents(sessions, reflections, goals || []))
+  const lines = PILLARS.map(p => ({
+    key: p,
+    color: PILLAR_COLORS[p],
+    values: history.map(h => h[p.toLowerCase()]),
+    titles: history.map(h => `${t(`pillar.${p}`)} ${h.date}: ${h[p.toLowerCase()]}%`),
+  }))
+
+  return (
+    <div className="space-y-6">
+      <div className="grid md:grid-cols-3 gap-6">
+        <div className="rounded-xl border bg-white p-6 shadow">
+          <h3 className="text-lg font-semibold text-slate-800 mb-2">{t('analytics.balance')}</h3>
+          <BalanceTriangle percentages={percentages} />
+        </div>
+        <div className="rounded-xl border bg-white p-6 shadow">
+          <h3 className="text-lg font-semibold text-slate-800 mb-2">{t('analytics.streak')}</h3>
+          <p className="text-4xl font-bold text-indigo-600">{streaks.current} <span className="text-base font-medium text-slate-600">{t('analytics.days', { count: streaks.current })}</span></p>
+          <p className="mt-1 text-sm text-slate-600">{t('analytics.longest', { count: streaks.longest })}</p>
+          {!streaks.activeToday && streaks.current > 0 && <p className="mt-3 text-sm text-amber-700">{t('analytics.keepStreak')}</p>}
+        </div>
+        <div className="rounded-xl border bg-white p-6 shadow">
+          <h3 className="text-lg font-semibold text-slate-800 mb-2">{t('analytics.needsAttention')}</h3>
+          <p className="text-2xl font-bold" style={{ color: PILLAR_COLORS[neglected.pillar] }}>{t(`pillar.${neglected.pillar}`)}</p>
+          <p className="mt-1 text-sm text-slate-600">
+            {neglected.daysIdle === null
+              ? t('analytics.neverActive', { pct: neglected.percentage })
+              : t('analytics.lastActive', { pct: neglected.percentage, count: neglected.daysIdle })}
+          </p>
+        </div>
+      </div>
+
+      <div className="rounded-xl border bg-white p-6 shadow">
+        <div className="mb-2 flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-slate-800">{t('analytics.overTime')}</h3>
+          <div className="text-sm"><PillarLegend /></div>
+        </div>
+        {history.length > 0
+          ? <LineChart labels={history.map(h => h.date)} series={lines} min={0} max={100} ticks={[0, 25, 50, 75, 100].map(v => ({ value: v, label: `${v}%` }))} label={t('analytics.chart')} />
+          : <p className="text-sm text-slate-600">{t('analytics.noHistory')}</p>}
+      </div>
+
+      <div className="rounded-xl border bg-white p-6 shadow">
+        <h3 className="text-lg font-semibold text-slate-800 mb-4">{t('insights.title')}</h3>
+        <Gate feature="ai_insights">
+          <JournalInsights reflections={reflections} sessions={sessions} percentages={percentages} />
+        </Gate>
+      </div>
+    </div>
+  )
+}
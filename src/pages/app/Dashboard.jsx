@@ -0,0 +1,62 @@
+import { Link, useLocation, useOutletContext } from 'react-router-dom'
+import { PillBadge } from '../../components/ui'
+import Paywall from '../../components/Paywall'
+import { PILLARS, PILLAR_COLORS } from '../../lib/reflections'
+import { FEATURES } from '../../lib/entitlements'
+import { pillarGoalProgress, useGoals } from '../../lib/goals'
+import { useI18n } from '../../lib/i18n'
+
+export default function Dashboard() {
+  const { api, me, dash, entitlements, refreshAll, setStatus, showPaywall } = useOutletContext()
+  const location = useLocation()
+  const { t } = useI18n()
+  const { goals, unavailable } = useGoals(api)
+  if (!dash || !entitlements) return null
+  const goalProgress = goals && !unavailable ? pillarGoalProgress(goals) : null
+  const browsingPlans = location.hash === '#plans'
+
+  const handleGranted = async (order) => {
+    setStatus(t('dashboard.planActive', { plan: order.plan_name || t('dashboard.yourPlan') }))
+    await refreshAll()
+  }
+
+  return (
+    <div className="rounded-xl border bg-white p-6 shadow">
+      <h3 className="text-lg font-semibold text-slate-800">{t('dashboard.welcome', { name: dash.name })}</h3>
+      <p className="text-slate-600">{t('dashboard.balance')}</p>
+      <div className="mt-3 flex items-center gap-3">
+        {PILLARS.map(p => <PillBadge key={p} label={`${t(`pillar.${p}`)} ${dash.tana.percentages[p.toLowerCase()]}%`} active />)}
+      </div>
+      <div className="mt-4 space-y-2">
+        {PILLARS.map(p => (
+          <div key={p} className="flex items-center gap-2 text-xs text-slate-600">
+            <span className="w-16">{t(`pillar.${p}`)}</span>
+            <div className="h-2 flex-1 bg-slate-100 rounded overflow-hidden">
+              <div className="h-2 rounded" style={{ width: `${dash.tana.percentages[p.toLowerCase()]}%`, background: PILLAR_COLORS[p] }} />
+            </div>
+            {goalProgress && (
+              <span className="w-36 text-right">
+                {goalProgress[p].count ? `🎯 ${t('dashboard.goalProgress', { count: goalProgress[p].count, progress: goalProgress[p].progress })}` : t('dashboard.noGoals')}
+              </span>
+            )}
+          </div>
+        ))}
+      </div>
+      <div className="mt-2 flex gap-4 text-sm">
+        <Link to="/app/analytics" className="text-indigo-600 hover:underline">{t('dashboard.trendsLink')}</Link>
+        {goalProgress && <Link to="/app/goals" className="text-indigo-600 hover:underline">{t('dashboard.goalsLink')}</Link>}
+      </div>
+      <p className="mt-3 text-sm text-slate-600">{t('dashboard.sessionsUsed', { used: entitlements.sessions.used, limit: entitlements.sessions.limit ?? t('plan.unlimited') })}</p>
+      <div className="mt-3 flex flex-wrap items-center gap-2 text-xs">
+        <span className="text-slate-600">{t('dashboard.plan')} <span className="font-medium text-slate-800">{entitlements.plan?.name || t('plan.free')}</span></span>
+        {FEATURES.map(f => (
+          <span key={f} className={`rounded-full px-2 py-0.5 ${entitlements.features.has(f) ? 'bg-emerald-100 text-emerald-700' : 'bg-slate-100 text-slate-400'}`}>
+            {entitlements.features.has(f) ? '✓' : '🔒'} {t(`feature.${f}`)}
+          </span>
+        ))}
+        {!showPaywall && !browsingPlans && <Link to="#plans" className="text-indigo-600 hover:underline">{t('dashboard.upgrade')}</Link>}
+      </div>
+      {(showPaywall || browsingPlans) && <Paywall key={me?.id} api={api} userId={me?.id} exhausted={showPaywall} onGranted={handleGranted} />}
+    </div>
+  )
+}
@@ -0,0 +1,67 @@
+import { useState } from 'react'
+import { Link, useNavigate, useOutletContext } from 'react-router-dom'
+import { Field } from '../../components/ui'
+import { useAuth } from '../../lib/auth'
+import { errorMessage } from '../../lib/api'
+import { clearDrafts } from '../../lib/drafts'
+import { useI18n } from '../../lib/i18n'
+import { clearOfflineData } from '../../lib/offline'
+import { forgetVault, lockVault } from '../../lib/vault'
+
+const CONFIRM_PHRASE = 'DELETE'
+
+export default function DeleteAccount() {
+  const { api, me, setStatus } = useOutletContext()
+  const { clearToken } = useAuth()
+  const { t } = useI18n()
+  const navigate = useNavigate()
+  const [password, setPassword] = useState('')
+  const [phrase, setPhrase] = useState('')
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+  const ready = password && phrase === CONFIRM_PHRASE
+
+  const submit = async (e) => {
+    e.preventDefault()
+    if (!ready) return
+    setError('')
+    setBusy(true)
+    setStatus(t('deleteAccount.deleting'))
+    try {
+      await api.deleteAccount(password)
+    } catch (err) {
+      setBusy(false)
+      setStatus('')
+      setError(err.status === 401 ? t('deleteAccount.wrongPassword') : errorMessage(err, t('deleteAccount.failed')))
+      return
+    }
+    // The server copy is gone; take this device's copies (cache, outbox, drafts, vault key config) with it.
+    lockVault()
+    forgetVault(me?.id)
+    clearDrafts(me?.id)
+    await clearOfflineData()
+    clearToken()
+    navigate('/signup', { replace: true, state: { message: t('deleteAccount.done') } })
+  }
+
+  return (
+    <div className="rounded-xl border border-rose-200 bg-white p-6 shadow">
+      <h3 className="text-lg font-semibold text-rose-700 mb-2">{t('deleteAccount.title')}</h3>
+      <p className="text-sm text-slate-700">{t('deleteAccount.body')}</p>
+      <p className="mt-2 text-sm text-slate-600">{t('deleteAccount.noRefund')} <Link to="/app/profile" className="text-indigo-600 hover:underline">{t('deleteAccount.export')}</Link></p>
+      <form onSubmit={submit} className="mt-4 space-y-3">
+        <Field label={t('auth.password')}>
+          <input type="password" required autoComplete="current-password" value={password} onChange={e=>setPassword(e.target.value)} className="w-full rounded border p-2" />
+        </Field>
+        <Field label={t('deleteAccount.typePhrase', { phrase: CONFIRM_PHRASE })}>
+          <input required autoComplete="off" value={phrase} onChange={e=>setPhrase(e.target.value)} className="w-full rounded border p-2" />
+        </Field>
+        {error && <p className="text-sm text-rose-600">{error}</p>}
+        <div className="flex gap-2">
+          <button disabled={!ready || busy} className="rounded bg-rose-600 px-4 py-2 text-white disabled:opacity-50">{busy ? t('deleteAccount.busy') : t('deleteAccount.submit')}</button>
+          <Link to="/app/profile" className="rounded bg-slate-200 px-4 py-2">{t('deleteAccount.keep')}</Link>
+        </div>
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,233 @@
+import { useState } from 'react'
+import { useOutletContext } from 'react-router-dom'
+import { Field } from '../../components/ui'
+import { ConfirmDialog } from '../../components/Modal'
+import { errorMessage } from '../../lib/api'
+import { CADENCES, checkedIn, daysLeft, goalProgress, habitStreak, isActiveGoal, useGoals } from '../../lib/goals'
+import { useI18n } from '../../lib/i18n'
+import { PILLARS, PILLAR_COLORS } from '../../lib/reflections'
+import { startOfWeek, ymd } from '../../lib/time'
+
+const EMPTY_GOAL = { title: '', pillar: 'Mind', target_date: '', milestones: [''], cadence: '', habit_label: '', feeds_balance: true }
+
+function GoalForm({ onCreate }) {
+  const { t } = useI18n()
+  const [form, setForm] = useState(EMPTY_GOAL)
+  const [busy, setBusy] = useState(false)
+  const setMilestone = (i, title) => setForm({ ...form, milestones: form.milestones.map((m, j) => j === i ? title : m) })
+
+  const submit = async (e) => {
+    e.preventDefault()
+    setBusy(true)
+    const payload = {
+      title: form.title.trim(),
+      pillar: form.pillar,
+      target_date: form.target_date || null,
+      milestones: form.milestones.map(m => m.trim()).filter(Boolean).map(title => ({ title })),
+      habit: form.cadence ? { cadence: form.cadence, label: form.habit_label.trim() || form.title.trim() } : null,
+      feeds_balance: form.feeds_balance,
+    }
+    if (await onCreate(payload)) setForm({ ...EMPTY_GOAL, pillar: form.pillar })
+    setBusy(false)
+  }
+
+  return (
+    <form onSubmit={submit} className="space-y-3">
+      <Field label={t('goals.titleLabel')}>
+        <input className="w-full rounded border p-2" placeholder={t('goals.titlePlaceholder')} value={form.title} onChange={e=>setForm({...form,title:e.target.value})} required />
+      </Field>
+      <div className="grid grid-cols-2 gap-3">
+        <Field label={t('goals.pillar')}>
+          <select className="w-full rounded border p-2" value={form.pillar} onChange={e=>setForm({...form,pillar:e.target.value})}>
+            {PILLARS.map(p => <option key={p} value={p}>{t(`pillar.${p}`)}</option>)}
+          </select>
+        </Field>
+        <Field label={t('goals.targetDate')}>
+          <input type="date" className="w-full rounded border p-2" min={ymd(new Date())} value={form.target_date} onChange={e=>setForm({...form,target_date:e.target.value})} />
+        </Field>
+      </div>
+      <div className="space-y-1">
+        <span className="text-sm font-medium text-slate-700">{t('goals.milestones')}</span>
+        {form.milestones.map((m, i) => (
+          <div key={i} className="flex gap-2">
+            <input className="w-full rounded border p-2 text-sm" placeholder={t('goals.milestonePlaceholder', { n: i + 1 })} value={m} onChange={e=>setMilestone(i, e.target.value)} />
+            {form.milestones.length > 1 && <button type="button" onClick={()=>setForm({...form,milestones:form.milestones.filter((_, j) => j !== i)})} className="text-sm text-slate-500" aria-label={t('goals.removeMilestone')}>✕</button>}
+          </div>
+        ))}
+        <button type="button" onClick={()=>setForm({...form,milestones:[...form.milestones,'']})} className="text-sm text-indigo-600 hover:underline">{t('goals.addMilestone')}</button>
+      </div>
+      <div className="grid grid-cols-2 gap-3">
+        <Field label={t('goals.habit')}>
+          <select className="w-full rounded border p-2" value={form.cadence} onChange={e=>setForm({...form,cadence:e.target.value})}>
+            <option value="">{t('goals.noHabit')}</option>
+            {CADENCES.map(c => <option key={c} value={c}>{t(`goals.cadence.${c}`)}</option>)}
+          </select>
+        </Field>
+        {form.cadence && (
+          <Field label={t('goals.habitLabel')}>
+            <input className="w-full rounded border p-2" placeholder={t('goals.habitPlaceholder')} value={form.habit_label} onChange={e=>setForm({...form,habit_label:e.target.value})} />
+          </Field>
+        )}
+      </div>
+      <label className="flex items-center gap-2 text-sm text-slate-700">
+        <input type="checkbox" checked={form.feeds_balance} onChange={e=>setForm({...form,feeds_balance:e.target.checked})} />
+        {t('goals.feedsBalance')}
+      </label>
+      <button disabled={busy} className={`rounded px-4 py-2 text-white ${busy ? 'bg-slate-400 cursor-not-allowed' : 'bg-indigo-600'}`}>{t('goals.create')}</button>
+    </form>
+  )
+}
+
+function GoalCard({ goal, onToggleMilestone, onCheckIn, onStatus, onDelete }) {
+  const { t, formatDate } = useI18n()
+  const progress = goalProgress(goal)
+  const left = daysLeft(goal)
+  const active = isActiveGoal(goal)
+  const done = goal.habit && checkedIn(goal)
+  return (
+    <li className="rounded border p-3 space-y-2">
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <p className="font-medium">{goal.title}</p>
+          <p className="text-xs text-slate-500">
+            <span style={{ color: PILLAR_COLORS[goal.pillar] }}>{t(`pillar.${goal.pillar}`)}</span>
+            {goal.target_date && ` • ${t('goals.due', { date: formatDate(`${goal.target_date}T00:00`, { day: 'numeric', month: 'short', year: 'numeric' }) })}`}
+            {active && left !== null && ` • ${left < 0 ? t('goals.overdue', { count: -left }) : t('goals.daysLeft', { count: left })}`}
+          </p>
+        </div>
+        <span className="text-sm font-semibold text-slate-700">{progress}%</span>
+      </div>
+      <div className="h-2 rounded bg-slate-100 overflow-hidden">
+        <div className="h-2 rounded" style={{ width: `${progress}%`, background: PILLAR_COLORS[goal.pillar] }} />
+      </div>
+      {(goal.milestones || []).length > 0 && (
+        <ul className="space-y-1 text-sm">
+          {goal.milestones.map(m => (
+            <li key={m.id}>
+              <label className="flex items-center gap-2">
+                <input type="checkbox" disabled={!active} checked={!!m.done_at} onChange={e=>onToggleMilestone(goal, m, e.target.checked)} />
+                <span className={m.done_at ? 'text-slate-400 line-through' : 'text-slate-700'}>{m.title}</span>
+              </label>
+            </li>
+          ))}
+        </ul>
+      )}
+      {goal.habit && (
+        <div className="flex items-center justify-between rounded bg-slate-50 px-2 py-1 text-sm">
+          <span className="text-slate-700">{goal.habit.label} <span className="text-xs text-slate-500">({t(`goals.cadence.${goal.habit.cadence}`)}, {t(`goals.streak.${goal.habit.cadence}`, { count: habitStreak(goal) })})</span></span>
+          {active && <button onClick={()=>onCheckIn(goal, !done)} className={`rounded px-2 py-0.5 text-xs ${done ? 'bg-emerald-100 text-emerald-700' : 'bg-indigo-600 text-white'}`}>{done ? t('goals.checkedIn') : t('goals.checkIn')}</button>}
+        </div>
+      )}
+      <div className="flex gap-3 text-xs">
+        {active && <button onClick={()=>onStatus(goal, 'completed')} className="text-emerald-700 hover:underline">{t('goals.markComplete')}</button>}
+        {!active && <button onClick={()=>onStatus(goal, 'active')} className="text-indigo-600 hover:underline">{t('goals.reopen')}</button>}
+        <button onClick={()=>onDelete(goal)} className="text-rose-600 hover:underline">{t('goals.delete')}</button>
+      </div>
+    </li>
+  )
+}
+
+export default function Goals() {
+  const { api, refreshAll, setStatus } = useOutletContext()
+  const { t } = useI18n()
+  const { goals, setGoals, unavailable, error, reload } = useGoals(api)
+  const [showClosed, setShowClosed] = useState(false)
+  const [deleting, setDeleting] = useState(null)
+
+  // Applies `next` to the goal right away and puts the old one back if the server refuses.
+  const mutate = async (goal, next, request, done) => {
+    setGoals(list => list.map(g => g.id === goal.id ? next : g))
+    try {
+      const saved = await request()
+      if (saved?.id === goal.id) setGoals(list => list.map(g => g.id === goal.id ? saved : g))
+      if (done) setStatus(done)
+      return true
+    } catch (e) {
+      setGoals(list => list.map(g => g.id === goal.id ? goal : g))
+      setStatus(`${t('goals.updateFailed')} ${errorMessage(e, '')}`.trim())
+      return false
+    }
+  }
+
+  const create = async (payload) => {
+    try {
+      const saved = await api.createGoal(payload)
+      setGoals(list => [saved, ...(list || [])])
+      setStatus(t('goals.created'))
+      return true
+    } catch (e) {
+      setStatus(`${t('goals.createFailed')} ${errorMessage(e, '')}`.trim())
+      return false
+    }
+  }
+
+  // Milestones can feed the pillar balance, so the dashboard is refreshed once the server has it.
+  const toggleMilestone = async (goal, milestone, on) => {
+    const next = { ...goal, milestones: goal.milestones.map(m => m.id === milestone.id ? { ...m, done_at: on ? new Date().toISOString() : null } : m) }
+    if (await mutate(goal, next, () => api.updateMilestone(goal.id, milestone.id, { done: on }), on ? t('goals.milestoneDone') : null)) refreshAll()
+  }
+
+  // Undoing removes this period's check-in, which for weekly habits may be from an earlier day.
+  const checkIn = (goal, on) => {
+    const today = ymd(new Date())
+    const weekStart = ymd(startOfWeek(new Date()))
+    const current = (goal.checkins || []).find(d => goal.habit.cadence === 'weekly' ? d >= weekStart : d === today)
+    const checkins = on ? [...(goal.checkins || []), today] : (goal.checkins || []).filter(d => d !== current)
+    mutate(goal, { ...goal, checkins }, () => on ? api.checkIn(goal.id, today) : api.undoCheckIn(goal.id, current), on ? t('goals.checkInSaved') : null)
+  }
+
+  const setGoalStatus = (goal, status) => mutate(goal, { ...goal, status }, () => api.updateGoal(goal.id, { status }), status === 'completed' ? t('goals.completed') : null)
+
+  const remove = async (goal) => {
+    setGoals(list => list.filter(g => g.id !== goal.id))
+    try {
+      await api.deleteGoal(goal.id)
+      setStatus(t('goals.deleted'))
+      refreshAll()
+    } catch (e) {
+      setGoals(list => [goal, ...(list || [])])
+      setStatus(`${t('goals.deleteFailed')} ${errorMessage(e, '')}`.trim())
+    }
+  }
+
+  if (unavailable) return <div className="rounded-xl border bg-white p-6 shadow text-sm text-slate-600">{t('goals.unavailable')}</div>
+
+  const open = (goals || []).filter(isActiveGoal)
+  const closed = (goals || []).filter(g => !isActiveGoal(g))
+  const cardProps = { onToggleMilestone: toggleMilestone, onCheckIn: checkIn, onStatus: setGoalStatus, onDelete: setDeleting }
+
+  return (
+    <div className="grid md:grid-cols-2 gap-6">
+      <div className="rounded-xl border bg-white p-6 shadow">
+        <h3 className="text-lg font-semibold text-slate-800 mb-4">{t('goals.newTitle')}</h3>
+        <GoalForm onCreate={create} />
+      </div>
+
+      <div className="rounded-xl border bg-white p-6 shadow">
+        <h3 className="text-lg font-semibold text-slate-800 mb-4">{t('goals.yours')}</h3>
+        {error && <p className="text-sm text-rose-600">{errorMessage(error, t('goals.loadFailed'))} <button onClick={reload} className="underline">{t('goals.retry')}</button></p>}
+        {!goals && !error && <p className="text-sm text-slate-500">{t('common.loading')}</p>}
+        <ul className="space-y-2">
+          {open.map(g => <GoalCard key={g.id} goal={g} {...cardProps} />)}
+          {goals && open.length === 0 && <p className="text-sm text-slate-600">{t('goals.none')}</p>}
+        </ul>
+        {closed.length > 0 && (
+          <div className="mt-4">
+            <button onClick={()=>setShowClosed(!showClosed)} className="text-sm font-medium text-slate-700">{showClosed ? '▾' : '▸'} {t('goals.closed', { count: closed.length })}</button>
+            {showClosed && <ul className="mt-2 space-y-2">{closed.map(g => <GoalCard key={g.id} goal={g} {...cardProps} />)}</ul>}
+          </div>
+        )}
+      </div>
+
+      <ConfirmDialog
+        open={!!deleting}
+        onOpenChange={(o) => { if (!o) setDeleting(null) }}
+        title={t('goals.deleteTitle')}
+        description={deleting && t('goals.deleteDescription', { title: deleting.title })}
+        confirmLabel={t('goals.delete')}
+        danger
+        onConfirm={() => remove(deleting)}
+      />
+    </div>
+  )
+}
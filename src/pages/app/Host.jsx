@@ -0,0 +1,196 @@
+import { useEffect, useState } from 'react'
+import { useOutletContext } from 'react-router-dom'
+import { Field } from '../../components/ui'
+import { Modal, ReasonDialog } from '../../components/Modal'
+import { errorMessage } from '../../lib/api'
+import { sessionPillar } from '../../lib/analytics'
+import { useI18n } from '../../lib/i18n'
+import { PILLARS, PILLAR_COLORS } from '../../lib/reflections'
+import { isActive, normalizeStatus } from '../../lib/sessions'
+import { sessionStart, ymd } from '../../lib/time'
+
+const STATUSES = ['requested', 'confirmed', 'link_issued', 'completed', 'declined', 'cancelled', 'no_show']
+
+const isSpatialUrl = (url) => /^https:\/\/\S+$/.test(url)
+
+// The backend filters too; this keeps the list right for backends that ignore the query.
+function matches(session, { pillar, status, from, to }) {
+  const start = sessionStart(session)
+  const day = start ? ymd(start) : session.date
+  if (pillar && sessionPillar(session) !== pillar) return false
+  if (status && normalizeStatus(session) !== status) return false
+  if (from && (!day || day < from)) return false
+  if (to && (!day || day > to)) return false
+  return true
+}
+
+// The requester's TANA balance, so the host can see what they've been neglecting.
+function BalanceBadges({ tana }) {
+  const { t } = useI18n()
+  if (!tana?.percentages) return <span className="text-xs text-slate-400">{t('host.noBalance')}</span>
+  return (
+    <span className="flex flex-wrap gap-1">
+      {PILLARS.map(p => (
+        <span key={p} className="flex items-center gap-1 rounded-full bg-slate-100 px-2 py-0.5 text-[11px] text-slate-700">
+          <span className="h-2 w-2 rounded-full" style={{ background: PILLAR_COLORS[p] }} />{t(`pillar.${p}`)} {tana.percentages[p.toLowerCase()] ?? 0}%
+        </span>
+      ))}
+    </span>
+  )
+}
+
+function LinkDialog({ session, onClose, onSubmit }) {
+  const { t } = useI18n()
+  const [url, setUrl] = useState(session.spatial_url || '')
+  const valid = isSpatialUrl(url.trim())
+  return (
+    <Modal open onOpenChange={(o) => { if (!o) onClose() }} title={t('host.linkTitle')} description={t('host.linkDescription', { topic: session.topic })}>
+      <form onSubmit={(e) => { e.preventDefault(); if (valid) onSubmit(url.trim()) }} className="space-y-3">
+        <Field label={t('host.linkLabel')}>
+          <input className="w-full rounded border p-2" type="url" placeholder="https://" value={url} onChange={e=>setUrl(e.target.value)} required />
+        </Field>
+        {url && !valid && <p className="text-xs text-rose-600">{t('host.linkInvalid')}</p>}
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="rounded bg-slate-200 px-4 py-2 text-sm">{t('common.back')}</button>
+          <button disabled={!valid} className={`rounded px-4 py-2 text-sm text-white ${valid ? 'bg-indigo-600' : 'bg-slate-400 cursor-not-allowed'}`}>{t('host.linkSave')}</button>
+        </div>
+      </form>
+    </Modal>
+  )
+}
+
+export default function Host() {
+  const { api, setStatus } = useOutletContext()
+  const { t, formatDateTime } = useI18n()
+  const [filters, setFilters] = useState({ pillar: '', status: 'requested', from: '', to: '' })
+  const [items, setItems] = useState(null)
+  const [error, setError] = useState('')
+  // Balances fetched for requesters whose session rows didn't include one, keyed by user id.
+  const [balances, setBalances] = useState({})
+  const [declining, setDeclining] = useState(null)
+  const [linking, setLinking] = useState(null)
+
+  const load = async () => {
+    setError('')
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, v]) => v))
+      const data = await api.hostSessions(params)
+      setItems(data.items || [])
+    } catch (e) {
+      setError(errorMessage(e, t('host.loadFailed')))
+    }
+  }
+
+  useEffect(() => {
+    load()
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [api, filters])
+
+  useEffect(() => {
+    const missing = [...new Set((items || []).filter(s => !s.user?.tana && s.user_id && !(s.user_id in balances)).map(s => s.user_id))]
+    if (!missing.length) return
+    setBalances(b => ({ ...b, ...Object.fromEntries(missing.map(id => [id, null])) }))
+    for (const id of missing) {
+      api.hostUser(id).then(u => setBalances(b => ({ ...b, [id]: u.tana || null }))).catch(() => {})
+    }
+  }, [api, items, balances])
+
+  // Applies the change locally first and puts the row back if the server refuses it.
+  const update = async (session, changes, done) => {
+    const prev = items
+    setItems(list => list.map(s => s.id === session.id ? { ...s, ...changes } : s))
+    try {
+      const saved = await api.hostUpdateSession(session.id, changes)
+      if (saved?.id) setItems(list => list.map(s => s.id === saved.id ? { ...s, ...saved } : s))
+      setStatus(done)
+    } catch (e) {
+      setItems(prev)
+      setStatus(`${t('host.updateFailed')} ${errorMessage(e, '')}`.trim())
+    }
+  }
+
+  const when = (s) => {
+    const start = sessionStart(s)
+    return start ? formatDateTime(start, { weekday: 'short', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' }) : `${s.date} ${s.time}`
+  }
+
+  const shown = (items || []).filter(s => matches(s, filters))
+  const set = (key) => (e) => setFilters({ ...filters, [key]: e.target.value })
+
+  return (
+    <div className="rounded-xl border bg-white p-6 shadow space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-slate-800">{t('host.title')}</h3>
+        <button onClick={load} className="text-sm text-indigo-600 hover:underline">{t('host.reload')}</button>
+      </div>
+
+      <div className="grid gap-3 sm:grid-cols-4">
+        <Field label={t('host.pillar')}>
+          <select className="w-full rounded border p-2 text-sm" value={filters.pillar} onChange={set('pillar')}>
+            <option value="">{t('host.all')}</option>
+            {PILLARS.map(p => <option key={p} value={p}>{t(`pillar.${p}`)}</option>)}
+          </select>
+        </Field>
+        <Field label={t('host.status')}>
+          <select className="w-full rounded border p-2 text-sm" value={filters.status} onChange={set('status')}>
+            <option value="">{t('host.all')}</option>
+            {STATUSES.map(s => <option key={s} value={s}>{t(`status.${s}`)}</option>)}
+          </select>
+        </Field>
+        <Field label={t('host.from')}>
+          <input type="date" className="w-full rounded border p-2 text-sm" value={filters.from} onChange={set('from')} />
+        </Field>
+        <Field label={t('host.to')}>
+          <input type="date" className="w-full rounded border p-2 text-sm" value={filters.to} min={filters.from || undefined} onChange={set('to')} />
+        </Field>
+      </div>
+
+      {error && <p className="text-sm text-rose-600">{error}</p>}
+      {!items && !error && <p className="text-sm text-slate-500">{t('common.loading')}</p>}
+
+      <ul className="space-y-2">
+        {shown.map(s => {
+          const status = normalizeStatus(s)
+          const start = sessionStart(s)
+          const started = !!start && start <= new Date()
+          return (
+            <li key={s.id} className="rounded border p-3 space-y-2">
+              <div className="flex flex-wrap items-start justify-between gap-2">
+                <div>
+                  <p className="font-medium">{s.topic}</p>
+                  <p className="text-sm text-slate-600">{when(s)} • {t(`status.${status}`)}</p>
+                  <p className="text-xs text-slate-500">{s.user?.name || s.user?.email || t('host.user', { id: s.user_id })}</p>
+                </div>
+                <BalanceBadges tana={s.user?.tana || balances[s.user_id]} />
+              </div>
+              {s.spatial_url && <a className="block truncate text-xs text-indigo-600" href={s.spatial_url} target="_blank" rel="noreferrer">{s.spatial_url}</a>}
+              {s.reason && <p className="text-xs text-slate-500">{t('host.reason', { reason: s.reason })}</p>}
+              {isActive(s) && (
+                <div className="flex flex-wrap gap-3 text-sm">
+                  {status === 'requested' && <button onClick={()=>update(s, { status: 'confirmed' }, t('host.confirmed'))} className="text-indigo-600 hover:underline">{t('host.confirm')}</button>}
+                  {status === 'requested' && <button onClick={()=>setDeclining(s)} className="text-rose-600 hover:underline">{t('host.decline')}</button>}
+                  {status !== 'requested' && <button onClick={()=>setLinking(s)} className="text-indigo-600 hover:underline">{s.spatial_url ? t('host.editLink') : t('host.attachLink')}</button>}
+                  {status !== 'requested' && started && <button onClick={()=>update(s, { status: 'completed' }, t('host.completed'))} className="text-emerald-700 hover:underline">{t('host.markCompleted')}</button>}
+                  {status !== 'requested' && started && <button onClick={()=>update(s, { status: 'no_show' }, t('host.noShow'))} className="text-rose-600 hover:underline">{t('host.markNoShow')}</button>}
+                </div>
+              )}
+            </li>
+          )
+        })}
+        {items && shown.length === 0 && <p className="text-sm text-slate-600">{t('host.none')}</p>}
+      </ul>
+
+      <ReasonDialog
+        open={!!declining}
+        onOpenChange={(o) => { if (!o) setDeclining(null) }}
+        title={t('host.declineTitle')}
+        description={declining && t('host.declineDescription', { topic: declining.topic, when: when(declining) })}
+        label={t('host.declineReason')}
+        confirmLabel={t('host.decline')}
+        cancelLabel={t('common.back')}
+        onConfirm={(reason) => update(declining, { status: 'declined', reason: reason || undefined }, t('host.declined'))}
+      />
+      {linking && <LinkDialog key={linking.id} session={linking} onClose={()=>setLinking(null)} onSubmit={(url) => { setLinking(null); update(linking, { status: 'link_issued', spatial_url: url }, t('host.linked')) }} />}
+    </div>
+  )
+}
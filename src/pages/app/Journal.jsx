@@ -0,0 +1,404 @@
+import { useEffect, useRef, useState } from 'react'
+import { useOutletContext, useSearchParams } from 'react-router-dom'
+import { Field } from '../../components/ui'
+import { ConfirmDialog, Modal } from '../../components/Modal'
+import Markdown from '../../components/Markdown'
+import MarkdownEditor from '../../components/MarkdownEditor'
+import MoodPicker from '../../components/MoodPicker'
+import MoodTrends from '../../components/MoodTrends'
+import VaultBar from '../../components/VaultBar'
+import { errorMessage } from '../../lib/api'
+import { sessionPillar } from '../../lib/analytics'
+import { PILLARS, useReflectionFeed } from '../../lib/reflections'
+import { MOOD_SCALE, normalizeMood } from '../../lib/mood'
+import { SESSION_PROMPT, composeEntry, findTemplate, promptsFor, templateAnswers, templatesFor } from '../../lib/prompts'
+import { clearDraft, lastDraftPillar, readDraft, useAutosave, writeDraft } from '../../lib/drafts'
+import { UpgradePrompt, useEntitlement } from '../../lib/entitlements'
+import { isSealed, openEntry, sealReflection, useVault } from '../../lib/vault'
+import { useI18n } from '../../lib/i18n'
+import { sessionStart } from '../../lib/time'
+
+const EMPTY_FILTERS = { q: '', pillar: '', mood: '', from: '', to: '' }
+const EMPTY_ENTRY = { entry_text: '', mood: '', mood_score: null, mood_tags: [], prompt: '', template: '', answers: {}, session_id: null }
+
+// The form's persisted fields, shared by drafts and the create payload. `answers` is keyed by question id while editing.
+const entryFields = (draft) => ({
+  entry_text: draft?.entry_text || '',
+  mood: draft?.mood || '',
+  mood_score: draft?.mood_score ?? null,
+  mood_tags: draft?.mood_tags || [],
+  prompt: draft?.prompt || '',
+  template: draft?.template || '',
+  answers: draft?.answers || {},
+  session_id: draft?.session_id ?? null,
+})
+
+// What a reflection is saved as. Template answers become the Markdown body and are also kept as a structured list.
+function reflectionPayload({ answers, template, prompt, session_id, ...rest }, t) {
+  const link = session_id ? { session_id } : {}
+  const tpl = findTemplate(template)
+  if (!tpl) return { ...rest, ...link, ...(prompt ? { prompt } : {}) }
+  const structured = templateAnswers(tpl, answers, t)
+  return { ...rest, ...link, template: tpl.id, answers: structured, entry_text: composeEntry(structured) }
+}
+
+function TemplateFields({ template, answers, onChange }) {
+  const { t } = useI18n()
+  return (
+    <div className="space-y-3">
+      {template.questions.map(q => (
+        <Field key={q} label={t(`template.${template.id}.${q}`)}>
+          <textarea className="w-full rounded border p-2 text-sm" rows={2} value={answers[q] || ''} onChange={e=>onChange({ ...answers, [q]: e.target.value })} />
+        </Field>
+      ))}
+    </div>
+  )
+}
+
+function MoodSummary({ entry }) {
+  const { t } = useI18n()
+  const { score, tags, note, inferred } = normalizeMood(entry)
+  const face = score && MOOD_SCALE[score - 1]
+  // Legacy notes that mapped cleanly onto tags are already represented by them.
+  const showNote = note && (entry.mood_tags?.length || !tags.length)
+  const text = [tags.map(tag => t(`mood.tag.${tag}`)).join(', '), showNote && note].filter(Boolean).join(' — ')
+  return (
+    <>
+      {face && <span title={inferred ? t('mood.estimated', { label: t(`mood.level.${score}`) }) : t(`mood.level.${score}`)}>{face.emoji} </span>}
+      {text || (!face && '—')}
+    </>
+  )
+}
+
+function useDebounced(value, ms) {
+  const [debounced, setDebounced] = useState(value)
+  useEffect(() => {
+    const t = setTimeout(() => setDebounced(value), ms)
+    return () => clearTimeout(t)
+  }, [value, ms])
+  return debounced
+}
+
+function EditDialog({ entry, onClose, onSubmit }) {
+  const { t } = useI18n()
+  // Templated entries are edited question by question; older and free-form ones as Markdown.
+  const template = entry.answers?.length ? findTemplate(entry.template) : null
+  const [form, setForm] = useState(() => {
+    const { score, tags, inferred } = normalizeMood(entry)
+    const answers = Object.fromEntries((entry.answers || []).map(a => [a.id, a.answer]))
+    return { pillar: entry.pillar, entry_text: entry.entry_text, mood: entry.mood || '', mood_score: inferred ? null : score, mood_tags: tags, template: template?.id || '', answers }
+  })
+  return (
+    <Modal open onOpenChange={(o) => { if (!o) onClose() }} title={t('journal.editTitle')}>
+      <form onSubmit={(e) => { e.preventDefault(); onSubmit(reflectionPayload(form, t)) }} className="space-y-3">
+        <Field label={t('journal.pillar')}>
+          <select className="w-full rounded border p-2" value={form.pillar} onChange={e=>setForm({...form,pillar:e.target.value})}>
+            {PILLARS.map(p => <option key={p} value={p}>{t(`pillar.${p}`)}</option>)}
+          </select>
+        </Field>
+        <div className="space-y-1">
+          <span className="text-sm font-medium text-slate-700">{t('journal.mood')}</span>
+          <MoodPicker value={form} onChange={setForm} />
+        </div>
+        {template ? <TemplateFields template={template} answers={form.answers} onChange={answers=>setForm({...form,answers})} /> : (
+          <div className="space-y-1">
+            <span className="text-sm font-medium text-slate-700">{t('journal.entry')}</span>
+            <MarkdownEditor required rows={5} value={form.entry_text} onChange={entry_text=>setForm({...form,entry_text})} />
+          </div>
+        )}
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="rounded bg-slate-200 px-4 py-2 text-sm">{t('common.back')}</button>
+          <button className="rounded bg-indigo-600 px-4 py-2 text-sm text-white">{t('journal.saveChanges')}</button>
+        </div>
+      </form>
+    </Modal>
+  )
+}
+
+export default function Journal() {
+  const { api, me, sessions, syncVersion, refreshAll, setStatus } = useOutletContext()
+  const [reflectionForm, setReflectionForm] = useState({ pillar: 'Mind', ...EMPTY_ENTRY })
+  const [restored, setRestored] = useState(false)
+  const [isPrivate, setIsPrivate] = useState(false)
+  const [opened, setOpened] = useState({})
+  const [showTrends, setShowTrends] = useState(false)
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [editing, setEditing] = useState(null)
+  const [deleting, setDeleting] = useState(null)
+  const query = useDebounced(filters, 300)
+  const feed = useReflectionFeed(api, query)
+  const sentinel = useRef(null)
+  const vaultAccess = useEntitlement('vault')
+  const { t, formatDateTime, formatTime } = useI18n()
+  const { unlocked } = useVault()
+  const [params, setParams] = useSearchParams()
+  const writingPrivately = isPrivate && unlocked && vaultAccess.allowed
+
+  // Decrypt sealed entries in view while the vault is open; forget the plaintext as soon as it locks.
+  useEffect(() => {
+    if (!unlocked) { setOpened({}); return }
+    let stale = false
+    const pending = feed.items.filter(r => isSealed(r) && !(r.id in opened))
+    Promise.all(pending.map(r => openEntry(r.vault).then(data => [r.id, data], () => [r.id, null]))).then(pairs => {
+      if (!stale && pairs.length) setOpened(o => ({ ...o, ...Object.fromEntries(pairs) }))
+    })
+    return () => { stale = true }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [unlocked, feed.items])
+
+  // A sealed entry with its plaintext merged back in, or null while it is locked / unreadable.
+  const reveal = (r) => !isSealed(r) ? r : opened[r.id] ? { ...r, ...opened[r.id] } : null
+
+  // Pick up where the user left off: last pillar they wrote under and its draft.
+  useEffect(() => {
+    if (!me?.id) return
+    const pillar = lastDraftPillar(me.id) || 'Mind'
+    setReflectionForm({ pillar, ...entryFields(readDraft(me.id, pillar)) })
+    setRestored(true)
+  }, [me?.id])
+
+  const { pillar, ...entry } = reflectionForm
+  // Private entries never sit in localStorage as plaintext drafts.
+  const draftSavedAt = useAutosave(restored && !writingPrivately ? me?.id : null, pillar, entry)
+  const flushDraft = () => { if (me?.id && !writingPrivately) writeDraft(me.id, pillar, entry) }
+
+  // Ticking "Private" takes whatever was autosaved before it back out of localStorage.
+  useEffect(() => {
+    if (writingPrivately && me?.id) clearDraft(me.id, pillar)
+  }, [writingPrivately, pillar, me?.id])
+
+  // Each pillar keeps its own draft; flush the current one before swapping.
+  const switchPillar = (next) => {
+    flushDraft()
+    setReflectionForm({ pillar: next, ...entryFields(me?.id ? readDraft(me.id, next) : null) })
+  }
+
+  // Arriving from "Reflect" on a session: write under its pillar, tied to that session.
+  const linkParam = params.get('session')
+  useEffect(() => {
+    if (!restored || !linkParam || !sessions.length) return
+    const session = sessions.find(s => String(s.id) === linkParam)
+    const next = (session && sessionPillar(session)) || pillar
+    flushDraft()
+    const draft = next === pillar ? entry : entryFields(me?.id ? readDraft(me.id, next) : null)
+    setReflectionForm({ pillar: next, ...draft, ...(session ? { session_id: session.id } : {}), ...(session && !draft.template ? { prompt: SESSION_PROMPT } : {}) })
+    setParams({}, { replace: true })
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [restored, linkParam, sessions])
+
+  const sessionFor = (id) => id && sessions.find(s => String(s.id) === String(id))
+  const sessionLabel = (s) => {
+    const start = sessionStart(s)
+    return start ? `${s.topic} · ${formatDateTime(start, { day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' })}` : s.topic
+  }
+  const linkedSession = sessionFor(reflectionForm.session_id)
+  const template = findTemplate(reflectionForm.template)
+  const guide = template ? `template:${template.id}` : reflectionForm.prompt ? `prompt:${reflectionForm.prompt}` : ''
+  const chooseGuide = (value) => {
+    const [kind, id] = value.split(':')
+    setReflectionForm({ ...reflectionForm, prompt: kind === 'prompt' ? id : '', template: kind === 'template' ? id : '' })
+  }
+
+  // Queued entries were just written for real; swap the local placeholders for the server's copies.
+  useEffect(() => {
+    if (syncVersion) feed.reload()
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [syncVersion])
+
+  // Infinite scroll: pull the next page when the end of the list scrolls into view.
+  useEffect(() => {
+    if (!sentinel.current || !('IntersectionObserver' in window)) return
+    const observer = new IntersectionObserver(([e]) => { if (e.isIntersecting) feed.loadMore() })
+    observer.observe(sentinel.current)
+    return () => observer.disconnect()
+  }, [feed.loadMore])
+
+  const handleAddReflection = async (e) => {
+    e.preventDefault()
+    const plain = { user_id: me.id, ...reflectionPayload(reflectionForm, t) }
+    if (!plain.entry_text.trim()) {
+      setStatus(t('journal.answerOne'))
+      return
+    }
+    setStatus(t('journal.saving'))
+    try {
+      const body = writingPrivately ? await sealReflection(plain) : plain
+      const saved = await api.createReflection(body)
+      if (isSealed(body)) setOpened(o => ({ ...o, [saved.id]: plain }))
+      clearDraft(me.id, reflectionForm.pillar)
+      setReflectionForm({ pillar, ...EMPTY_ENTRY })
+      feed.upsert({ created_at: new Date().toISOString(), ...body, ...saved })
+      if (saved.pending) {
+        setStatus(t('journal.savedOffline'))
+        return
+      }
+      await refreshAll()
+      setStatus(t('journal.saved'))
+    } catch (e) {
+      setStatus(t('journal.saveFailed', { reason: errorMessage(e, '') }).replace(/\s+/g, ' '))
+    }
+  }
+
+  // `entry` may be a revealed private entry; the feed only ever holds the sealed original.
+  const handleEdit = async (entry, changes) => {
+    setEditing(null)
+    setStatus(t('journal.updating'))
+    const original = feed.items.find(r => r.id === entry.id) || entry
+    const previousPlain = opened[entry.id]
+    try {
+      const payload = isSealed(entry) ? await sealReflection({ ...changes }) : changes
+      if (isSealed(entry)) setOpened(o => ({ ...o, [entry.id]: changes }))
+      feed.upsert({ ...original, ...payload })
+      const saved = await api.updateReflection(entry.id, payload)
+      if (saved && saved.id) feed.upsert(saved)
+      await refreshAll()
+      setStatus(t('journal.updated'))
+    } catch (e) {
+      feed.upsert(original)
+      if (isSealed(entry)) setOpened(o => ({ ...o, [entry.id]: previousPlain }))
+      setStatus(t('journal.updateFailed', { reason: errorMessage(e, '') }).trim())
+    }
+  }
+
+  const handleDelete = async (entry) => {
+    setStatus(t('journal.deleting'))
+    const original = feed.items.find(r => r.id === entry.id) || entry
+    feed.remove(entry.id)
+    try {
+      await api.deleteReflection(entry.id)
+      await refreshAll()
+      setStatus(t('journal.deleted'))
+    } catch (e) {
+      feed.upsert(original)
+      setStatus(t('journal.deleteFailed', { reason: errorMessage(e, '') }).trim())
+    }
+  }
+
+  const filtered = Object.values(filters).some(Boolean)
+
+  return (
+    <div className="rounded-xl border bg-white p-6 shadow">
+      <h3 className="text-lg font-semibold text-slate-800 mb-4">{t('journal.title')}</h3>
+      <form onSubmit={handleAddReflection} className="space-y-3">
+        <div className="grid md:grid-cols-3 gap-3">
+          <Field label={t('journal.pillar')}>
+            <select className="w-full rounded border p-2" value={reflectionForm.pillar} onChange={e=>switchPillar(e.target.value)}>
+              {PILLARS.map(p => <option key={p} value={p}>{t(`pillar.${p}`)}</option>)}
+            </select>
+          </Field>
+          <div className="md:col-span-2 space-y-1">
+            <span className="text-sm font-medium text-slate-700">{t('journal.feel')}</span>
+            <MoodPicker value={reflectionForm} onChange={setReflectionForm} />
+          </div>
+        </div>
+        {reflectionForm.session_id && (
+          <div className="flex items-center justify-between gap-2 rounded bg-indigo-50 px-3 py-2 text-sm text-slate-700">
+            <span>{t('journal.linkedTo', { session: linkedSession ? sessionLabel(linkedSession) : t('journal.aSession') })}</span>
+            <button type="button" onClick={()=>setReflectionForm({ ...reflectionForm, session_id: null, prompt: reflectionForm.prompt === SESSION_PROMPT ? '' : reflectionForm.prompt })} className="text-xs text-slate-600 hover:underline">{t('journal.unlink')}</button>
+          </div>
+        )}
+        <Field label={t('journal.guide')}>
+          <select className="w-full rounded border p-2 text-sm" value={guide} onChange={e=>chooseGuide(e.target.value)}>
+            <option value="">{t('journal.freeWriting')}</option>
+            <optgroup label={t('journal.prompts')}>
+              {promptsFor(reflectionForm.pillar, me?.purpose, { session: !!reflectionForm.session_id }).map(p => <option key={p} value={`prompt:${p}`}>{t(`prompts.${p}`)}</option>)}
+            </optgroup>
+            <optgroup label={t('journal.templates')}>
+              {templatesFor(reflectionForm.pillar).map(tpl => <option key={tpl.id} value={`template:${tpl.id}`}>{t(`template.${tpl.id}.title`)}</option>)}
+            </optgroup>
+          </select>
+        </Field>
+        {template ? <TemplateFields template={template} answers={reflectionForm.answers} onChange={answers=>setReflectionForm({...reflectionForm,answers})} /> : (
+          <div className="space-y-1">
+            <span className="text-sm font-medium text-slate-700">{reflectionForm.prompt ? t(`prompts.${reflectionForm.prompt}`) : t('journal.freeLabel')}</span>
+            <MarkdownEditor required value={reflectionForm.entry_text} onChange={entry_text=>setReflectionForm({...reflectionForm,entry_text})} />
+          </div>
+        )}
+        {vaultAccess.allowed && (
+          <label className="flex items-center gap-2 text-sm text-slate-700">
+            <input type="checkbox" checked={isPrivate} onChange={e=>setIsPrivate(e.target.checked)} />
+            {t('journal.private')}{isPrivate && !unlocked && ` ${t('journal.unlockFirst')}`}
+          </label>
+        )}
+        <div className="flex items-center gap-3">
+          <button disabled={isPrivate && !writingPrivately} className="rounded bg-indigo-600 text-white px-4 py-2 disabled:opacity-50">{writingPrivately ? t('journal.savePrivate') : t('journal.save')}</button>
+          {draftSavedAt && (entry.entry_text.trim() || Object.values(entry.answers).some(a => a.trim())) && <span className="text-xs text-slate-500">{t('journal.draftSaved', { time: formatTime(draftSavedAt) })}</span>}
+        </div>
+      </form>
+
+      {me?.id && (
+        <div className="mt-4">
+          {vaultAccess.allowed ? <VaultBar userId={me.id} sample={feed.items.find(isSealed)?.vault} /> : !vaultAccess.loading && <UpgradePrompt feature="vault">{t('journal.vaultPitch')}</UpgradePrompt>}
+        </div>
+      )}
+
+      <div className="mt-6 rounded-lg border p-3">
+        <button onClick={()=>setShowTrends(!showTrends)} className="text-sm font-medium text-slate-700">{showTrends ? '▾' : '▸'} {t('journal.moodTrends')}</button>
+        {showTrends && <div className="mt-3"><MoodTrends api={api} /></div>}
+      </div>
+
+      <div className="mt-4 grid grid-cols-2 md:grid-cols-5 gap-2 text-sm">
+        <input className="col-span-2 rounded border p-2" placeholder={t('journal.search')} value={filters.q} onChange={e=>setFilters({...filters,q:e.target.value})} />
+        <select className="rounded border p-2" value={filters.pillar} onChange={e=>setFilters({...filters,pillar:e.target.value})}>
+          <option value="">{t('journal.allPillars')}</option>
+          {PILLARS.map(p => <option key={p} value={p}>{t(`pillar.${p}`)}</option>)}
+        </select>
+        <input className="rounded border p-2" placeholder={t('journal.moodFilter')} value={filters.mood} onChange={e=>setFilters({...filters,mood:e.target.value})} />
+        <div className="col-span-2 md:col-span-1 flex gap-1">
+          <input type="date" title={t('journal.from')} className="w-full rounded border p-1" value={filters.from} onChange={e=>setFilters({...filters,from:e.target.value})} />
+          <input type="date" title={t('journal.to')} className="w-full rounded border p-1" value={filters.to} onChange={e=>setFilters({...filters,to:e.target.value})} />
+        </div>
+      </div>
+      {filtered && <button onClick={()=>setFilters(EMPTY_FILTERS)} className="mt-2 text-xs text-slate-600 hover:underline">{t('journal.clearFilters')}</button>}
+
+      <ul className="mt-4 space-y-2 max-h-96 overflow-auto">
+        {feed.items.map(item => {
+          const r = reveal(item)
+          if (!r) {
+            return (
+              <li key={item.id} className="rounded border border-dashed p-3">
+                <p className="text-xs text-slate-500">{t(`pillar.${item.pillar}`)} • {formatDateTime(item.created_at)}</p>
+                <p className="mt-1 text-sm text-slate-500">🔒 {unlocked && item.id in opened ? t('journal.otherPassphrase') : t('journal.sealed')}</p>
+              </li>
+            )
+          }
+          return (
+            <li key={r.id} className="rounded border p-3">
+              <div className="flex items-start justify-between gap-2">
+                <p className="text-xs text-slate-500">{isSealed(r) && '🔓 '}{t(`pillar.${r.pillar}`)} • <MoodSummary entry={r} /> • {formatDateTime(r.created_at)}</p>
+                {r.pending ? (
+                  <span className="text-xs text-amber-700">{t('journal.pending')}</span>
+                ) : (
+                  <div className="flex gap-2 text-xs">
+                    <button onClick={()=>setEditing(r)} className="text-indigo-600 hover:underline">{t('common.edit')}</button>
+                    <button onClick={()=>setDeleting(r)} className="text-rose-600 hover:underline">{t('common.delete')}</button>
+                  </div>
+                )}
+              </div>
+              {r.session_id && <p className="mt-1 text-xs text-indigo-600">↳ {sessionFor(r.session_id) ? sessionLabel(sessionFor(r.session_id)) : t('journal.aSession')}</p>}
+              {r.prompt && !r.answers?.length && <p className="mt-1 text-xs italic text-slate-500">{t(`prompts.${r.prompt}`)}</p>}
+              <Markdown text={r.entry_text} className="mt-1 text-slate-700 text-sm" />
+            </li>
+          )
+        })}
+        {!feed.loading && feed.items.length === 0 && <p className="text-sm text-slate-600">{filtered ? t('journal.noMatches') : t('journal.empty')}</p>}
+        {feed.error && <p className="text-sm text-rose-600">{errorMessage(feed.error, t('journal.loadFailed'))} <button onClick={feed.reload} className="underline">{t('common.retry')}</button></p>}
+        <li ref={sentinel} className="text-center">
+          {feed.loading ? <span className="text-xs text-slate-500">{t('common.loading')}</span>
+            : feed.hasMore && <button onClick={feed.loadMore} className="text-xs text-indigo-600 hover:underline">{t('common.loadMore')}</button>}
+        </li>
+      </ul>
+
+      {editing && <EditDialog key={editing.id} entry={editing} onClose={()=>setEditing(null)} onSubmit={(form)=>handleEdit(editing, form)} />}
+      <ConfirmDialog
+        open={!!deleting}
+        onOpenChange={(o) => { if (!o) setDeleting(null) }}
+        title={t('journal.deleteTitle')}
+        description={t('common.cannotUndo')}
+        confirmLabel={t('common.delete')}
+        danger
+        onConfirm={() => handleDelete(deleting)}
+      />
+    </div>
+  )
+}
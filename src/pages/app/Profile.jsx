@@ -0,0 +1,62 @@
+import { useEffect, useState } from 'react'
+import { Link, useOutletContext } from 'react-router-dom'
+import DataPortability from '../../components/DataPortability'
+import NotificationSettings from '../../components/NotificationSettings'
+import { Field } from '../../components/ui'
+import { errorMessage } from '../../lib/api'
+import { useI18n } from '../../lib/i18n'
+import { PURPOSES } from '../../lib/profile'
+
+export default function Profile() {
+  const { api, me, refreshAll, setStatus } = useOutletContext()
+  const { t } = useI18n()
+  const [profileForm, setProfileForm] = useState({ name: '', age: '', purpose: 'Healing' })
+
+  useEffect(() => {
+    if (me) setProfileForm({ name: me.name || '', age: me.age || '', purpose: me.purpose || 'Healing' })
+  }, [me])
+
+  const handleProfileSave = async (e) => {
+    e.preventDefault()
+    setStatus(t('profile.saving'))
+    try {
+      const payload = {
+        name: profileForm.name,
+        purpose: profileForm.purpose,
+        age: profileForm.age ? Number(profileForm.age) : undefined,
+        locale: me?.locale,
+      }
+      await api.updateProfile(payload)
+      await refreshAll()
+      setStatus(t('profile.saved'))
+    } catch (e) {
+      setStatus(`${t('profile.saveFailed')} ${errorMessage(e, '')}`.trim())
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="rounded-xl border bg-white p-6 shadow">
+        <h3 className="text-lg font-semibold text-slate-800 mb-4">{t('profile.title')}</h3>
+        <form onSubmit={handleProfileSave} className="space-y-3">
+          <Field label={t('auth.name')}><input className="w-full rounded border p-2" value={profileForm.name} onChange={e=>setProfileForm({...profileForm,name:e.target.value})} /></Field>
+          <div className="grid grid-cols-2 gap-3">
+            <Field label={t('auth.age')}><input type="number" className="w-full rounded border p-2" value={profileForm.age} onChange={e=>setProfileForm({...profileForm,age:e.target.value})} /></Field>
+            <Field label={t('auth.purpose')}>
+              <select className="w-full rounded border p-2" value={profileForm.purpose} onChange={e=>setProfileForm({...profileForm,purpose:e.target.value})}>
+                {PURPOSES.map(p => <option key={p} value={p}>{t(`purpose.${p}`)}</option>)}
+              </select>
+            </Field>
+          </div>
+          <button className="rounded bg-indigo-600 text-white px-4 py-2">{t('profile.save')}</button>
+        </form>
+        <div className="mt-6 border-t pt-4 flex items-center justify-between gap-3">
+          <p className="text-sm text-slate-600">{t('profile.deletePrompt')}</p>
+          <Link to="/app/profile/delete" className="rounded border border-rose-300 px-3 py-1.5 text-sm text-rose-700 hover:bg-rose-50">{t('profile.deleteLink')}</Link>
+        </div>
+      </div>
+      {me && <NotificationSettings api={api} me={me} />}
+      <DataPortability api={api} me={me} refreshAll={refreshAll} />
+    </div>
+  )
+}
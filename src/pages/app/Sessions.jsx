@@ -0,0 +1,202 @@
+import { useState } from 'react'
+import { Link, useOutletContext } from 'react-router-dom'
+import { Field } from '../../components/ui'
+import { ConfirmDialog, Modal } from '../../components/Modal'
+import SessionCalendar from '../../components/SessionCalendar'
+import { errorMessage } from '../../lib/api'
+import { useI18n } from '../../lib/i18n'
+import { canCancel, canReflect, canReschedule, isActive, normalizeStatus, releaseSlot, sessionTimeline } from '../../lib/sessions'
+import { hm, sessionStart, userTimeZone, ymd } from '../../lib/time'
+import { downloadCalendar, upcomingSessions } from '../../lib/ics'
+
+// Topics are stored in English; only the option labels are translated.
+const TOPICS = [
+  { value: 'Mind — Clarity', label: 'topic.mindClarity' },
+  { value: 'Money — Discipline', label: 'topic.moneyDiscipline' },
+  { value: 'Meaning — Alignment', label: 'topic.meaningAlignment' },
+]
+
+// Session start in the viewer's language, falling back to the raw fields for sessions without a usable time.
+function useSessionWhen() {
+  const { formatDateTime } = useI18n()
+  return (session) => {
+    const start = sessionStart(session)
+    return start ? formatDateTime(start, { weekday: 'short', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' }) : `${session.date} ${session.time}`
+  }
+}
+
+function StatusTimeline({ session }) {
+  const { t } = useI18n()
+  return (
+    <ol className="mt-2 flex flex-wrap items-center gap-1 text-[11px]">
+      {sessionTimeline(session).map((step, i) => (
+        <li key={step.key} className="flex items-center gap-1">
+          {i > 0 && <span className="text-slate-300">→</span>}
+          <span className={`rounded-full px-2 py-0.5 ${step.exit ? 'bg-rose-100 text-rose-700' : step.current ? 'bg-indigo-600 text-white' : step.done ? 'bg-indigo-100 text-indigo-700' : 'bg-slate-100 text-slate-400'}`}>{t(`status.${step.key}`)}</span>
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+function RescheduleDialog({ api, session, sessions, onClose, onSubmit }) {
+  const [slot, setSlot] = useState(null)
+  const { t } = useI18n()
+  const when = useSessionWhen()
+  // The session being moved shouldn't block its own neighbourhood.
+  const others = sessions.filter(s => s.id !== session.id)
+  return (
+    <Modal open wide onOpenChange={(o) => { if (!o) onClose() }} title={t('sessions.rescheduleTitle')} description={t('sessions.currently', { topic: session.topic, when: when(session) })}>
+      <SessionCalendar api={api} sessions={others} selected={slot?.start} onSelect={setSlot} />
+      <div className="mt-4 flex justify-end gap-2">
+        <button type="button" onClick={onClose} className="rounded bg-slate-200 px-4 py-2 text-sm">{t('common.back')}</button>
+        <button type="button" disabled={!slot} onClick={() => onSubmit(slotFields(slot))} className={`rounded px-4 py-2 text-sm text-white ${slot ? 'bg-indigo-600' : 'bg-slate-400 cursor-not-allowed'}`}>{t('sessions.reschedule')}</button>
+      </div>
+    </Modal>
+  )
+}
+
+// Date and time stay in the user's zone for display; `starts_at` is the UTC instant the host sees.
+function slotFields(slot) {
+  const start = new Date(slot.start)
+  return { date: ymd(start), time: hm(start), starts_at: start.toISOString() }
+}
+
+export default function Sessions() {
+  const { api, me, dash, sessions, refreshAll, optimistic, setStatus, showPaywall } = useOutletContext()
+  const [sessionForm, setSessionForm] = useState({ topic: 'Mind — Clarity', date: '', time: '', starts_at: '' })
+  const [cancelling, setCancelling] = useState(null)
+  const [rescheduling, setRescheduling] = useState(null)
+  const { t, formatDateTime } = useI18n()
+  const when = useSessionWhen()
+
+  const handleCreateSession = async (e) => {
+    e.preventDefault()
+    if (!sessionForm.starts_at) {
+      setStatus(t('sessions.pickSlot'))
+      return
+    }
+    setStatus(t('sessions.requesting'))
+    try {
+      const body = {
+        user_id: me.id,
+        topic: sessionForm.topic,
+        date: sessionForm.date,
+        time: sessionForm.time,
+        starts_at: sessionForm.starts_at,
+        timezone: userTimeZone(),
+        status: 'requested',
+      }
+      const resp = await api.createSession(body)
+      if (resp.pending) {
+        setStatus(t('sessions.queued'))
+        setSessionForm({ ...sessionForm, date: '', time: '', starts_at: '' })
+        return
+      }
+      if (resp.limited) {
+        setStatus(t('sessions.limited'))
+      } else {
+        setStatus(t('sessions.requested'))
+        setSessionForm({ ...sessionForm, date: '', time: '', starts_at: '' })
+      }
+      await refreshAll()
+    } catch (e) {
+      setStatus(`${t('sessions.requestFailed')} ${errorMessage(e, '')}`.trim())
+    }
+  }
+
+  const upcoming = upcomingSessions(sessions)
+
+  const selectSlot = (slot) => setSessionForm({ ...sessionForm, ...slotFields(slot) })
+
+  const handleCancel = async (session) => {
+    setStatus(t('sessions.cancelling'))
+    const next = sessions.map(s => s.id === session.id ? { ...s, status: 'cancelled' } : s)
+    try {
+      await optimistic({ sessions: next, dash: releaseSlot(dash) }, () => api.cancelSession(session.id))
+      setStatus(t('sessions.cancelled'))
+      await refreshAll()
+    } catch (e) {
+      setStatus(`${t('sessions.cancelFailed')} ${errorMessage(e, '')}`.trim())
+    }
+  }
+
+  // A new time goes back to the host for confirmation, so the session returns to "requested".
+  const handleReschedule = async (session, slot) => {
+    setRescheduling(null)
+    setStatus(t('sessions.rescheduling'))
+    const next = sessions.map(s => s.id === session.id ? { ...s, ...slot, status: 'requested', spatial_url: null } : s)
+    try {
+      await optimistic({ sessions: next }, () => api.rescheduleSession(session.id, { ...slot, timezone: userTimeZone() }))
+      setStatus(t('sessions.rescheduled'))
+      await refreshAll()
+    } catch (e) {
+      setStatus(`${t('sessions.rescheduleFailed')} ${errorMessage(e, '')}`.trim())
+    }
+  }
+
+  return (
+    <div className="grid md:grid-cols-2 gap-6">
+      <div className="rounded-xl border bg-white p-6 shadow">
+        <h3 className="text-lg font-semibold text-slate-800 mb-4">{t('sessions.bookTitle')}</h3>
+        <form onSubmit={handleCreateSession} className="space-y-3">
+          <Field label={t('sessions.topic')}>
+            <select className="w-full rounded border p-2" value={sessionForm.topic} onChange={e=>setSessionForm({...sessionForm,topic:e.target.value})}>
+              {TOPICS.map(o => <option key={o.value} value={o.value}>{t(o.label)}</option>)}
+            </select>
+          </Field>
+          <div className="space-y-1">
+            <span className="text-sm font-medium text-slate-700">{t('sessions.slot')}</span>
+            <SessionCalendar api={api} sessions={sessions} selected={sessionForm.starts_at} onSelect={selectSlot} />
+          </div>
+          <p className="text-sm text-slate-600">
+            {sessionForm.starts_at ? t('sessions.selected', { when: formatDateTime(sessionForm.starts_at, { dateStyle: 'full', timeStyle: 'short' }) }) : t('sessions.noSlot')}
+          </p>
+          <button disabled={showPaywall} className={`rounded px-4 py-2 text-white ${showPaywall? 'bg-slate-400 cursor-not-allowed' : 'bg-indigo-600'}`}>{t('sessions.request')}</button>
+        </form>
+        <p className="mt-3 text-sm text-slate-600">{t('sessions.hostNote')}</p>
+      </div>
+
+      <div className="rounded-xl border bg-white p-6 shadow">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-slate-800">{t('sessions.yours')}</h3>
+          {upcoming.length > 0 && <button onClick={()=>downloadCalendar('tana-sessions.ics', upcoming)} className="text-sm text-indigo-600 hover:underline">{t('sessions.exportAll')}</button>}
+        </div>
+        <ul className="space-y-2">
+          {sessions.map(s => (
+            <li key={s.id} className="rounded border p-3">
+              <div className="flex justify-between items-center">
+                <div>
+                  <p className="font-medium">{s.topic}</p>
+                  <p className="text-sm text-slate-600">{when(s)} • {t(`status.${normalizeStatus(s)}`)}</p>
+                </div>
+                <a className="text-indigo-600 text-sm" href={s.spatial_url || '#'} target="_blank" rel="noreferrer">{s.spatial_url ? t('sessions.join') : t('sessions.pendingLink')}</a>
+              </div>
+              <StatusTimeline session={s} />
+              {(isActive(s) || canReflect(s)) && (
+                <div className="mt-2 flex gap-3 text-sm">
+                  {isActive(s) && <button onClick={()=>downloadCalendar(`tana-session-${s.id}.ics`, [s])} className="text-slate-600 hover:underline">{t('sessions.addToCalendar')}</button>}
+                  {canReschedule(s) && <button onClick={()=>setRescheduling(s)} className="text-indigo-600 hover:underline">{t('sessions.reschedule')}</button>}
+                  {canCancel(s) && <button onClick={()=>setCancelling(s)} className="text-rose-600 hover:underline">{t('sessions.cancel')}</button>}
+                  {canReflect(s) && <Link to={`/app/journal?session=${s.id}`} className="text-emerald-700 hover:underline">{t('sessions.reflect')}</Link>}
+                </div>
+              )}
+            </li>
+          ))}
+          {sessions.length === 0 && <p className="text-sm text-slate-600">{t('sessions.none')}</p>}
+        </ul>
+      </div>
+
+      <ConfirmDialog
+        open={!!cancelling}
+        onOpenChange={(o) => { if (!o) setCancelling(null) }}
+        title={t('sessions.cancelTitle')}
+        description={cancelling && t('sessions.cancelDescription', { topic: cancelling.topic, when: when(cancelling) })}
+        confirmLabel={t('sessions.cancelConfirm')}
+        danger
+        onConfirm={() => handleCancel(cancelling)}
+      />
+      {rescheduling && <RescheduleDialog key={rescheduling.id} api={api} session={rescheduling} sessions={sessions} onClose={()=>setRescheduling(null)} onSubmit={(form)=>handleReschedule(rescheduling, form)} />}
+    </div>
+  )
+}